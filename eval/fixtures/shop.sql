@@ -0,0 +1,108 @@
+-- Fixture for the shop evaluation suite: a small coffee shop with fixed data,
+-- so reference SQL always returns the same rows
+
+CREATE TABLE customers (
+  id INTEGER PRIMARY KEY,
+  name TEXT NOT NULL,
+  country TEXT NOT NULL,
+  signed_up_at TEXT NOT NULL
+);
+
+CREATE TABLE products (
+  id INTEGER PRIMARY KEY,
+  name TEXT NOT NULL,
+  category TEXT NOT NULL,
+  price REAL NOT NULL,
+  stock INTEGER NOT NULL
+);
+
+CREATE TABLE orders (
+  id INTEGER PRIMARY KEY,
+  customer_id INTEGER NOT NULL REFERENCES customers (id),
+  ordered_at TEXT NOT NULL,
+  status TEXT NOT NULL CHECK (status IN ('pending', 'shipped', 'delivered', 'cancelled'))
+);
+
+CREATE TABLE order_items (
+  order_id INTEGER NOT NULL REFERENCES orders (id),
+  product_id INTEGER NOT NULL REFERENCES products (id),
+  quantity INTEGER NOT NULL,
+  unit_price REAL NOT NULL,
+  PRIMARY KEY (order_id, product_id)
+);
+
+INSERT INTO customers (id, name, country, signed_up_at) VALUES
+  (1, 'Anna Schmidt', 'Germany', '2023-11-02'),
+  (2, 'Ben Müller', 'Germany', '2024-01-15'),
+  (3, 'Chloé Martin', 'France', '2024-01-20'),
+  (4, 'David Smith', 'United Kingdom', '2024-02-03'),
+  (5, 'Elena Rossi', 'Italy', '2024-02-10'),
+  (6, 'Farid Haddad', 'France', '2024-03-05'),
+  (7, 'Grace Lee', 'United States', '2024-03-18'),
+  (8, 'Hiro Tanaka', 'Japan', '2024-04-01'),
+  (9, 'Inés García', 'Spain', '2024-04-22'),
+  (10, 'Jonas Berg', 'Germany', '2024-05-09');
+
+INSERT INTO products (id, name, category, price, stock) VALUES
+  (1, 'Espresso Beans 1kg', 'Coffee', 24.90, 40),
+  (2, 'Filter Coffee 500g', 'Coffee', 11.50, 0),
+  (3, 'Green Tea 100g', 'Tea', 8.75, 25),
+  (4, 'Earl Grey 100g', 'Tea', 7.20, 0),
+  (5, 'Pour-Over Kettle', 'Equipment', 54.00, 8),
+  (6, 'Burr Grinder', 'Equipment', 129.00, 3),
+  (7, 'Ceramic Mug', 'Accessories', 12.00, 60),
+  (8, 'Travel Tumbler', 'Accessories', 19.50, 15);
+
+INSERT INTO orders (id, customer_id, ordered_at, status) VALUES
+  (1, 1, '2024-01-05 09:12:00', 'delivered'),
+  (2, 2, '2024-01-18 14:30:00', 'delivered'),
+  (3, 3, '2024-01-25 11:05:00', 'delivered'),
+  (4, 1, '2024-02-02 16:45:00', 'delivered'),
+  (5, 4, '2024-02-14 10:20:00', 'cancelled'),
+  (6, 5, '2024-02-20 08:55:00', 'delivered'),
+  (7, 2, '2024-03-01 19:10:00', 'delivered'),
+  (8, 6, '2024-03-08 12:00:00', 'shipped'),
+  (9, 7, '2024-03-19 15:35:00', 'delivered'),
+  (10, 3, '2024-03-27 09:40:00', 'cancelled'),
+  (11, 8, '2024-04-03 13:15:00', 'delivered'),
+  (12, 1, '2024-04-11 17:50:00', 'delivered'),
+  (13, 9, '2024-04-25 10:05:00', 'shipped'),
+  (14, 5, '2024-05-02 11:30:00', 'delivered'),
+  (15, 7, '2024-05-14 14:00:00', 'pending'),
+  (16, 4, '2024-05-21 09:25:00', 'delivered'),
+  (17, 6, '2024-06-03 18:40:00', 'pending'),
+  (18, 2, '2024-06-12 12:10:00', 'shipped'),
+  (19, 8, '2024-06-20 16:00:00', 'delivered'),
+  (20, 9, '2024-06-28 08:30:00', 'cancelled');
+
+INSERT INTO order_items (order_id, product_id, quantity, unit_price) VALUES
+  (1, 1, 2, 24.90),
+  (1, 7, 1, 12.00),
+  (2, 3, 3, 8.75),
+  (3, 6, 1, 129.00),
+  (3, 1, 1, 24.90),
+  (4, 2, 2, 11.50),
+  (5, 5, 1, 54.00),
+  (6, 4, 4, 7.20),
+  (6, 7, 2, 12.00),
+  (7, 1, 1, 24.90),
+  (7, 8, 1, 19.50),
+  (8, 5, 1, 54.00),
+  (9, 3, 2, 8.75),
+  (9, 4, 2, 7.20),
+  (10, 6, 1, 129.00),
+  (11, 1, 3, 24.90),
+  (11, 7, 2, 12.00),
+  (12, 8, 2, 19.50),
+  (13, 2, 1, 11.50),
+  (13, 3, 1, 8.75),
+  (14, 6, 1, 129.00),
+  (15, 7, 4, 12.00),
+  (16, 1, 2, 24.90),
+  (16, 5, 1, 54.00),
+  (17, 4, 3, 7.20),
+  (18, 8, 1, 19.50),
+  (18, 2, 2, 11.50),
+  (19, 3, 5, 8.75),
+  (20, 1, 1, 24.90),
+  (20, 7, 1, 12.00);
@@ -0,0 +1,154 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { parseArgs } from "util";
+import dotenv from "dotenv";
+import { loadSuite, prepareFixture } from "./lib/eval/suites.js";
+import { buildReport, diffReports, formatMarkdown, hasRegressions } from "./lib/eval/report.js";
+
+dotenv.config();
+
+/**
+ * Evaluation Runner
+ * Runs golden question suites through the agent and reports how it did:
+ *
+ *   npm run eval                                # every suite in eval/suites
+ *   npm run eval -- eval/suites/shop.json       # one suite
+ *   npm run eval -- --provider gemini           # a real model instead of the suite's LLM
+ *   npm run eval -- --provider gemini --record  # also store its answers in the suite's llm.fixtures
+ *   npm run eval -- --provider replay           # answer from the recorded fixtures, offline
+ *   npm run eval -- --update-baseline           # store this run as the new baseline
+ *   npm run eval -- --fail-on-regression        # exit 1 if worse than the baseline (CI)
+ *
+ * Writes <suite>-<timestamp>.json and .md to eval/reports (--out) and compares
+ * with eval/baselines/<suite>.json (--baselines) when it exists. PII masking,
+ * charts and the history log are off during runs: results are compared raw.
+ */
+
+const USAGE = "Usage: node evaluate.js [suite.json ...] [--provider name] [--record] [--out dir] [--baselines dir] [--update-baseline] [--fail-on-regression]";
+
+const { values: args, positionals } = parseCommandLine();
+const suiteFiles = positionals.length > 0 ? positionals : listSuites("eval/suites");
+const suites = suiteFiles.map(loadSuite);
+
+// Fixture databases live in a temporary directory for the duration of the run
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "sql-agent-eval-"));
+let exitCode = 0;
+
+try {
+  const databases = prepareDatabases(suites, workDir);
+
+  // The agent reads its configuration at import time, so it is loaded only now
+  process.env.PII_MASKING = "off";
+  process.env.CHART_MODE = "off";
+  process.env.HISTORY_DB_FILE = "off";
+  const { runSuite } = await import("./lib/eval/harness.js");
+
+  for (const suite of suites) {
+    console.log(`\n🧪 Suite "${suite.name}" (${suite.cases.length} cases)`);
+
+    const startedAt = new Date().toISOString();
+    const run = await runSuite(suite, {
+      database: databases[suite.name],
+      provider: args.provider,
+      record: args.record,
+      onCase: (result) => {
+        console.log(`  ${result.outcome === "correct" ? "✓" : "✗"} ${result.id}: ${result.outcome}${result.reason ? ` (${result.reason})` : ""}`);
+      },
+    });
+    const report = buildReport(suite, run, { startedAt, durationMs: Date.now() - Date.parse(startedAt) });
+
+    const baselineFile = path.join(args.baselines, `${suite.name}.json`);
+    const baseline = fs.existsSync(baselineFile) ? JSON.parse(fs.readFileSync(baselineFile, "utf8")) : null;
+    const diff = baseline ? diffReports(baseline, report) : null;
+    const markdown = formatMarkdown(report, diff);
+
+    fs.mkdirSync(args.out, { recursive: true });
+    const reportName = `${suite.name}-${startedAt.replace(/[:.]/g, "-")}`;
+    fs.writeFileSync(path.join(args.out, `${reportName}.json`), `${JSON.stringify(report, null, 2)}\n`);
+    fs.writeFileSync(path.join(args.out, `${reportName}.md`), markdown);
+
+    console.log(`\n${markdown}`);
+    console.log(`📄 Report: ${path.join(args.out, `${reportName}.md`)}`);
+
+    if (args["update-baseline"]) {
+      fs.mkdirSync(args.baselines, { recursive: true });
+      fs.writeFileSync(baselineFile, `${JSON.stringify(report, null, 2)}\n`);
+      console.log(`📌 Baseline updated: ${baselineFile}`);
+    } else if (diff && hasRegressions(diff) && args["fail-on-regression"]) {
+      console.error(`✗ Suite "${suite.name}" regressed against ${baselineFile}`);
+      exitCode = 1;
+    }
+  }
+} catch (error) {
+  console.error(`✗ Evaluation failed: ${error.message}`);
+  exitCode = 2;
+} finally {
+  fs.rmSync(workDir, { recursive: true, force: true });
+}
+
+// Database pools and stores keep timers alive; the run is over
+process.exit(exitCode);
+
+function parseCommandLine() {
+  try {
+    return parseArgs({
+      allowPositionals: true,
+      options: {
+        provider: { type: "string" },
+        record: { type: "boolean", default: false },
+        out: { type: "string", default: "eval/reports" },
+        baselines: { type: "string", default: "eval/baselines" },
+        "update-baseline": { type: "boolean", default: false },
+        "fail-on-regression": { type: "boolean", default: false },
+      },
+    });
+  } catch (error) {
+    console.error(`${error.message}\n${USAGE}`);
+    process.exit(2);
+  }
+}
+
+function listSuites(dir) {
+  return fs
+    .readdirSync(dir)
+    .filter((file) => file.endsWith(".json"))
+    .sort()
+    .map((file) => path.join(dir, file));
+}
+
+/**
+ * Helper: Create the fixture databases and point DATABASES_FILE at them, next to
+ * the configured data sources; returns suite name -> data source name
+ */
+function prepareDatabases(suites, dir) {
+  const fixtures = {};
+  const databases = {};
+
+  suites.forEach((suite) => {
+    const fixture = prepareFixture(suite, dir);
+    if (fixture) {
+      fixtures[`eval-${suite.name}`] = fixture;
+      databases[suite.name] = `eval-${suite.name}`;
+    } else {
+      databases[suite.name] = suite.database;
+    }
+  });
+
+  if (Object.keys(fixtures).length === 0) return databases;
+
+  const configured = process.env.DATABASES_FILE
+    ? JSON.parse(fs.readFileSync(process.env.DATABASES_FILE, "utf8"))
+    : { databases: {} };
+  const registryFile = path.join(dir, "databases.json");
+  fs.writeFileSync(
+    registryFile,
+    JSON.stringify({
+      default: configured.default || Object.keys(fixtures)[0],
+      databases: { ...configured.databases, ...fixtures },
+    })
+  );
+  process.env.DATABASES_FILE = registryFile;
+
+  return databases;
+}
@@ -1,175 +1,721 @@
-import { extractSchema } from "./tools/schemaExtractor.js";
-import { generateQuery, summarizeResults } from "./nodes/llmNodes.js";
-import { safetyCheckNode, executionNode } from "./nodes/executionNodes.js";
+import { randomUUID } from "crypto";
+import { getDataSource } from "./dataSources.js";
+import { getSchema } from "./tools/schemaCache.js";
+import { filterSchemaForRole, resultColumnSources } from "./tools/accessControl.js";
+import { detectSensitiveColumns, maskRows } from "./tools/piiMasker.js";
+import { CHART_MODE, describeColumns, inferChart, validateChartSpec } from "./tools/chartInference.js";
+import { linkSchema } from "./tools/schemaLinker.js";
+import { generateQuery, summarizeResults, suggestChart, describeQuery } from "./nodes/llmNodes.js";
+import { safetyCheckNode, explainNode, executionNode } from "./nodes/executionNodes.js";
+import { executeQueryPage, streamQuery, clampMaxRows, EXPORT_MAX_ROWS } from "./tools/queryExecutor.js";
+import { EXPORT_FORMATS, createExportWriter, resolveColumns } from "./tools/resultExporter.js";
+import { checkCostCeiling, summarizeEstimate } from "./tools/planEstimate.js";
+import { saveResult, getResult, updateResult } from "./tools/resultStore.js";
+import { createSession, getSession, addTurn, setClarification } from "./tools/sessionStore.js";
+import { recordRun } from "./tools/historyStore.js";
+
+// User-facing messages for execution errors with a dedicated error code
+const EXECUTION_ERRORS = {
+  QUERY_TIMEOUT: "Query timed out",
+  LOCK_TIMEOUT: "Query timed out waiting for a lock",
+  IDLE_TIMEOUT: "Query transaction was idle for too long",
+  READ_ONLY_VIOLATION: "Query attempted to modify data in a read-only transaction",
+};
+
+// Earlier turns of a session included in the generation prompt
+const HISTORY_TURNS = parseInt(process.env.SESSION_HISTORY_TURNS, 10) || 5;
+
+// Clarifying questions the agent may ask before it has to make do with the answers
+const MAX_CLARIFICATIONS = parseInt(process.env.MAX_CLARIFICATIONS, 10) || 2;
 
 /**
  * SQL Query Agent
- * Main orchestration with refinement loop
+ * Runs one conversation turn against options.database (the default data source
+ * when omitted): starts a session, or continues options.sessionId with its
+ * recent turns on the same database as context for follow-up questions
+ *
+ * options.onEvent(name, data) is called as each step completes: every trace
+ * step by its step name, then "rows" (with the chart spec) and one
+ * "summary_token" per summary chunk.
+ *
+ * Every answered question reports usage: the LLM tokens it spent, whether it
+ * succeeded or not.
+ *
+ * options.role (lib/auth/roles.js) restricts the tables, columns and rows the
+ * question can reach; without it the whole data source is visible.
+ *
+ * Every run is recorded in the history store under options.keyId (the caller's
+ * API key); historyId in the result points at the entry.
+ *
+ * With options.preview the run stops before execution: the result carries the
+ * approved query, the planner's estimate and an explanation, and the query only
+ * runs once confirmed with executePreview(resultId).
+ *
+ * An ambiguous question may end with needsClarification: the result carries
+ * clarification { id, question, options } instead of an answer. Answer it with
+ * options.sessionId and options.clarification { id, answer } (no question
+ * needed): the run resumes on the original question and database with the
+ * answer in the prompt. options.clarify = false makes the agent always guess.
  */
 export async function sqlQueryAgent(question, options = {}) {
+  const startedAt = Date.now();
+  const trace = [];
+  const usage = { inputTokens: 0, outputTokens: 0 };
+
+  const result = await runTurn(question, { ...options, trace, usage });
+  // A resumed run is recorded under the question it clarifies (the answer when there is none)
+  const historyId = recordHistory(result.question ?? question ?? options.clarification?.answer, result, {
+    ...options,
+    trace,
+    usage,
+    startedAt,
+  });
+
+  return { ...result, usage, historyId };
+}
+
+/**
+ * Run a previewed query once the caller confirms it
+ * No LLM call generates or changes the SQL: the approved query of the preview
+ * runs as it was shown, then is masked, charted and summarized as in /ask.
+ * Takes the same maxRows, timeoutMs, role and keyId options as sqlQueryAgent.
+ */
+export async function executePreview(resultId, options = {}) {
+  const stored = ownResult(resultId, options);
+  if (!stored) {
+    return {
+      success: false,
+      error: "Result not found or expired",
+      errorCode: "RESULT_NOT_FOUND",
+    };
+  }
+  if (!stored.preview || stored.executing) {
+    return {
+      success: false,
+      error: stored.executing ? "Result is already being executed" : "Result was already executed",
+      errorCode: "RESULT_ALREADY_EXECUTED",
+    };
+  }
+
+  const source = getDataSource(stored.database);
+  if (!source) {
+    return {
+      success: false,
+      error: `Unknown database "${stored.database}"`,
+      errorCode: "DATABASE_NOT_FOUND",
+    };
+  }
+
+  // Claimed before the first await, so a concurrent confirmation can't run it too;
+  // a failed run releases it for another try
+  updateResult(stored.id, { executing: true });
+
+  const startedAt = Date.now();
+  const trace = [];
+  const usage = { inputTokens: 0, outputTokens: 0 };
+
+  const result = await runPreview(stored, source, { ...options, trace, usage });
+  updateResult(stored.id, { executing: false });
+  const historyId = recordHistory(stored.question, result, { ...options, trace, usage, startedAt });
+
+  return { ...result, usage, historyId };
+}
+
+/**
+ * Helper: Record a run in the history store; returns its history ID
+ */
+function recordHistory(question, result, { keyId = null, role = null, database = null, trace, usage, startedAt }) {
+  let status = result.lastIssues ? "blocked" : "failed";
+  if (result.success) status = result.preview ? "preview" : "success";
+  if (result.needsClarification) status = "needs_clarification";
+
+  return recordRun({
+    keyId,
+    role: role?.name,
+    database: result.database ?? database,
+    sessionId: result.sessionId,
+    question,
+    status,
+    error: result.success ? null : [result.error, result.details?.message ?? result.details].filter(Boolean).join(": "),
+    errorCode: result.errorCode,
+    query: result.query,
+    attempts: collectAttempts(trace),
+    rowCount: result.data?.rowCount,
+    totalRows: result.data?.totalRows,
+    // executionTime is reported as "15ms"
+    executionTimeMs: result.data ? parseInt(result.data.executionTime, 10) : null,
+    durationMs: Date.now() - startedAt,
+    usage,
+    // What the agent said back: its answer, or the question it asked
+    answer: result.answer ?? result.clarification?.question,
+    resultId: result.resultId,
+  });
+}
+
+/**
+ * Helper: Resolve the data source and session, then answer on them
+ * An answer to a clarifying question resumes the run that asked it.
+ */
+async function runTurn(question, options) {
+  const { sessionId = null, database = null, clarification = null, keyId = null } = options;
+
+  // Another key's session is as good as unknown
+  const found = sessionId ? getSession(sessionId) : null;
+  const existing = found?.keyId === keyId ? found : null;
+  if (sessionId && !existing) {
+    return {
+      success: false,
+      error: "Session not found or expired",
+      errorCode: "SESSION_NOT_FOUND",
+    };
+  }
+
+  const pending = existing?.clarification;
+  if (clarification && pending?.id !== clarification.id) {
+    return {
+      success: false,
+      error: "No clarifying question is waiting for this answer",
+      errorCode: "CLARIFICATION_NOT_FOUND",
+    };
+  }
+
+  const source = getDataSource(clarification ? pending.database : database);
+  if (!source) {
+    return {
+      success: false,
+      error: `Unknown database "${database}"`,
+      errorCode: "DATABASE_NOT_FOUND",
+    };
+  }
+
+  const session = existing || createSession({ keyId });
+  // Whatever is asked next replaces a clarifying question still waiting for its answer
+  setClarification(session.id, null);
+
+  const turnQuestion = clarification ? pending.question : question;
+  const clarifications = clarification
+    ? [...pending.answers, { ...pending.asked, answer: clarification.answer }]
+    : [];
+
+  // Follow-ups only build on SQL written for the same database
+  const history = session.turns
+    .filter((turn) => turn.database === source.name)
+    .slice(-HISTORY_TURNS);
+  const result = await answerQuestion(turnQuestion, source, {
+    ...options,
+    history,
+    sessionId: session.id,
+    clarifications,
+  });
+
+  if (result.needsClarification) {
+    const id = randomUUID();
+    setClarification(session.id, {
+      id,
+      question: turnQuestion,
+      database: source.name,
+      answers: clarifications,
+      asked: result.clarification,
+    });
+    result.clarification = { id, ...result.clarification };
+  }
+
+  // A preview joins the conversation once it is executed, a clarified question once answered
+  if (result.success && !result.preview && !result.needsClarification) {
+    addTurn(session.id, {
+      database: source.name,
+      question: turnQuestion,
+      query: result.query,
+      columns: result.data.fields.map((field) => field.name),
+      rowCount: result.data.rowCount,
+      truncated: result.data.truncated,
+      resultId: result.resultId,
+    });
+  }
+
+  return { ...result, question: turnQuestion, sessionId: session.id, database: source.name };
+}
+
+/**
+ * Answer a single question on one data source
+ * Main orchestration with safety refinement and execution-error repair loops;
+ * a plan over the data source's cost ceiling is refined like an unsafe query
+ */
+async function answerQuestion(question, source, options) {
   const {
     maxRetries = 3,
+    maxRepairs = 2,
+    explainFirst = true,
     maxRows = 100,
+    timeoutMs,
     debug = false,
+    onEvent = null,
+    history = [],
+    usage = { inputTokens: 0, outputTokens: 0 },
+    trace = [],
+    role = null,
+    keyId = null,
+    preview = false,
+    sessionId = null,
+    clarify = true,
+    clarifications = [],
   } = options;
 
-  const trace = [];
+  // Every trace step is also reported live (used by the streaming endpoint)
+  const record = (entry) => {
+    trace.push(entry);
+    if (onEvent) onEvent(entry.step, entry);
+  };
   let attempt = 0;
   let previousQuery = null;
-  let safetyFeedback = null;
+  let feedback = null;
 
   try {
+    // The answers this run resumes with
+    clarifications.forEach(({ question: asked, options: choices, answer }) => {
+      record({ step: "clarification", question: asked, options: choices, answer });
+    });
+
     // Step 1: Extract database schema
     if (debug) console.log("Step 1: Extracting schema...");
-    const schema = await extractSchema();
-    trace.push({ step: "schema_extraction", success: true });
+    const { schema, cacheHit, ageMs } = await getSchema(source);
+    // The LLM only ever sees what the caller's role may see
+    const visibleSchema = role ? filterSchemaForRole(schema, role) : schema;
+    const dbOptions = { source, timeoutMs, dbRole: role?.dbRole };
+    record({
+      step: "schema_extraction",
+      success: true,
+      database: source.name,
+      cache: cacheHit ? "hit" : "miss",
+      schemaAgeMs: ageMs,
+      role: role?.name,
+    });
+
+    // Plan a query with EXPLAIN, recording the planner's estimate
+    const planQuery = async (sqlQuery) => {
+      const explainResult = await explainNode(sqlQuery, dbOptions);
+
+      record({
+        step: "explain",
+        attempt,
+        success: explainResult.success,
+        estimatedRows: explainResult.estimate?.estimatedRows,
+        estimatedCost: explainResult.estimate?.estimatedCost,
+        errorCode: explainResult.error?.errorCode,
+        code: explainResult.error?.code,
+      });
+
+      return explainResult;
+    };
 
-    // Step 2-4: Query generation with safety loop
     let safeQuery = null;
     let safetyResult = null;
+    let explainResult = null;
+    let executionResult = null;
+    let repairs = 0;
+
+    // Repair loop: execution errors send the query back to the generator
+    while (true) {
+      // Step 2-4: Query generation with safety loop
+      let safetyAttempts = 0;
+      safeQuery = null;
+
+      while (safetyAttempts < maxRetries) {
+        safetyAttempts++;
+        attempt++;
+        if (debug) console.log(`\nAttempt ${attempt}: Generating query...`);
 
-    while (attempt < maxRetries) {
-      attempt++;
-      if (debug) console.log(`\nAttempt ${attempt}: Generating query...`);
+        // Step 2a: Pick the relevant tables, widening the context on each retry.
+        // Earlier questions count too: "only the ones from Germany" names no table
+        const linkingText = [...history.map((turn) => turn.question), question].join("\n");
+        const linked = linkSchema(linkingText, visibleSchema, { level: attempt - 1 });
 
-      // Step 2: Generate SQL query
-      const queryGenResult = await generateQuery(
-        question,
-        schema,
-        previousQuery,
-        safetyFeedback
-      );
+        record({
+          step: "schema_linking",
+          attempt,
+          level: attempt - 1,
+          reason: linked.reason,
+          tables: linked.selectedTables,
+        });
+
+        // Step 2b: Generate SQL query; the first attempt may ask back instead
+        const queryGenResult = await generateQuery(
+          question,
+          linked.schema,
+          previousQuery,
+          feedback,
+          history,
+          source.dialect,
+          {
+            allowed: clarify && attempt === 1 && clarifications.length < MAX_CLARIFICATIONS,
+            answers: clarifications,
+          }
+        );
+        addUsage(usage, queryGenResult.usage);
+
+        if (!queryGenResult.success) {
+          record({
+            step: "query_generation",
+            attempt,
+            success: false,
+            error: queryGenResult.error,
+          });
+          return {
+            success: false,
+            error: "Failed to generate SQL query",
+            details: queryGenResult.error,
+            trace,
+          };
+        }
+
+        // Step 2c: An ambiguous question waits for the user's answer
+        if (queryGenResult.clarification) {
+          const { question: asked, options: choices } = queryGenResult.clarification;
+          if (debug) console.log("Asking for clarification:", asked);
 
-      if (!queryGenResult.success) {
-        trace.push({
+          record({
+            step: "clarification",
+            attempt,
+            question: asked,
+            options: choices,
+          });
+
+          return {
+            success: true,
+            needsClarification: true,
+            clarification: queryGenResult.clarification,
+            metadata: {
+              attempts: attempt,
+              historyTurns: history.length,
+              clarifications: clarifications.length,
+            },
+            trace: debug ? trace : undefined,
+          };
+        }
+
+        const generatedQuery = queryGenResult.query;
+        if (debug) console.log("Generated query:", generatedQuery);
+
+        record({
           step: "query_generation",
           attempt,
+          success: true,
+          query: generatedQuery,
+        });
+
+        // Step 3: Safety check
+        if (debug) console.log("Checking safety...");
+        safetyResult = await safetyCheckNode(
+          generatedQuery,
+          source.safetyPolicy,
+          source.dialect,
+          role && { role, schema }
+        );
+
+        record({
+          step: "safety_check",
+          attempt,
+          safe: safetyResult.safe,
+          issues: safetyResult.issues,
+          warnings: safetyResult.warnings,
+          rowFilters: safetyResult.rowFilters.length ? safetyResult.rowFilters : undefined,
+        });
+
+        // Step 3b: With a cost ceiling (or for a preview) plan the approved query
+        // now, so a plan over the ceiling goes back to the generator
+        explainResult = null;
+        if (safetyResult.safe && (preview || source.maxCost)) {
+          explainResult = await planQuery(safetyResult.query);
+          const costIssue = explainResult.success && checkCostCeiling(explainResult.estimate, source.maxCost);
+
+          if (costIssue) {
+            record({
+              step: "cost_check",
+              attempt,
+              safe: false,
+              estimatedCost: explainResult.estimate.estimatedCost,
+              maxCost: source.maxCost,
+              issues: [costIssue],
+            });
+            safetyResult = { ...safetyResult, safe: false, issues: [costIssue] };
+          }
+        }
+
+        if (safetyResult.safe) {
+          // With row filters this is the rewritten query, not the generated one
+          safeQuery = safetyResult.query;
+          if (debug) console.log("✓ Query is safe!");
+          break;
+        } else {
+          if (debug) console.log("✗ Query failed safety check:", safetyResult.issues);
+          previousQuery = generatedQuery;
+          feedback = safetyResult.issues.map((issue) => issue.message).join("; ");
+        }
+      }
+
+      // If no safe query after max retries
+      if (!safeQuery) {
+        return {
           success: false,
-          error: queryGenResult.error,
+          error: "Could not generate a safe query after multiple attempts",
+          attempts: attempt,
+          lastIssues: safetyResult.issues,
+          trace,
+        };
+      }
+
+      // Step 5a: Plan the query so name and syntax errors are caught before running it
+      let failure = null;
+
+      if (explainFirst || preview) {
+        if (debug) console.log("\nValidating query with EXPLAIN...");
+        if (!explainResult) explainResult = await planQuery(safeQuery);
+
+        if (!explainResult.success) failure = explainResult.error;
+      }
+
+      // Step 5b (preview): Stop before execution with the estimate and an explanation
+      if (preview && !failure) {
+        const estimate = summarizeEstimate(explainResult.estimate, source.maxCost);
+        const explanationResult = await describeQuery(question, safeQuery, estimate, source.dialect);
+        addUsage(usage, explanationResult.usage);
+
+        record({
+          step: "query_explanation",
+          success: explanationResult.success,
+        });
+
+        const explanation = explanationResult.success ? explanationResult.explanation : null;
+        const resultId = saveResult({
+          database: source.name,
+          query: safeQuery,
+          question,
+          role: role?.name,
+          keyId,
+          sessionId,
+          preview: { estimate, explanation },
         });
+
+        return {
+          success: true,
+          preview: true,
+          query: safeQuery,
+          resultId,
+          estimate,
+          explanation,
+          metadata: {
+            attempts: attempt,
+            repairs,
+            historyTurns: history.length,
+            warnings: safetyResult.warnings,
+          },
+          trace: debug ? trace : undefined,
+        };
+      }
+
+      // Step 5c: Execute query
+      if (!failure) {
+        if (debug) console.log("\nExecuting query...");
+        executionResult = await executionNode(safeQuery, maxRows, dbOptions);
+
+        record({
+          step: "execution",
+          attempt,
+          success: executionResult.success,
+          rowCount: executionResult.data?.rowCount,
+          truncated: executionResult.data?.truncated,
+          totalRows: executionResult.data?.totalRows,
+          executionTime: executionResult.data?.executionTime,
+          errorCode: executionResult.error?.errorCode,
+          code: executionResult.error?.code,
+        });
+
+        if (executionResult.success) break;
+        failure = executionResult.error;
+      }
+
+      if (!isRepairable(failure, source.dialect) || repairs >= maxRepairs) {
+        const { errorCode } = failure;
         return {
           success: false,
-          error: "Failed to generate SQL query",
-          details: queryGenResult.error,
+          error: EXECUTION_ERRORS[errorCode] || "Query execution failed",
+          errorCode,
+          details: failure,
+          query: safeQuery,
+          repairs,
           trace,
         };
       }
 
-      const generatedQuery = queryGenResult.query;
-      if (debug) console.log("Generated query:", generatedQuery);
+      // Step 5d: Feed the database error back to the generator
+      repairs++;
+      previousQuery = safeQuery;
+      feedback = formatExecutionFeedback(failure, safeQuery, source.dialect);
+      if (debug) console.log(`✗ Query failed (${failure.code}), repair ${repairs}/${maxRepairs}`);
 
-      trace.push({
-        step: "query_generation",
+      record({
+        step: "execution_repair",
+        repair: repairs,
         attempt,
-        success: true,
-        query: generatedQuery,
+        code: failure.code,
+        message: failure.message,
+        hint: failure.hint,
+        position: failure.position,
       });
+    }
 
-      // Step 3: Safety check
-      if (debug) console.log("Checking safety...");
-      safetyResult = await safetyCheckNode(generatedQuery);
+    if (debug) console.log(`✓ Query executed: ${executionResult.data.rowCount} rows`);
 
-      trace.push({
-        step: "safety_check",
-        attempt,
-        safe: safetyResult.safe,
-        issues: safetyResult.issues,
-        warnings: safetyResult.warnings,
-      });
+    const presented = await presentResults(question, source, safeQuery, executionResult.data, {
+      role,
+      onEvent,
+      record,
+      usage,
+      debug,
+    });
+    if (!presented.success) return { ...presented, trace };
 
-      if (safetyResult.safe) {
-        safeQuery = generatedQuery;
-        if (debug) console.log("✓ Query is safe!");
-        break;
-      } else {
-        if (debug) console.log("✗ Query failed safety check:", safetyResult.issues);
-        previousQuery = generatedQuery;
-        safetyFeedback = safetyResult.issues.join("; ");
-      }
-    }
+    // Keep the approved SQL so further pages can be fetched without the LLM
+    const resultId = saveResult({
+      database: source.name,
+      query: safeQuery,
+      question,
+      totalRows: executionResult.data.totalRows,
+      pageOrder: executionResult.data.pageOrder,
+      role: role?.name,
+      keyId,
+      masking: presented.masking,
+    });
 
-    // If no safe query after max retries
-    if (!safeQuery) {
-      return {
-        success: false,
-        error: "Could not generate a safe query after multiple attempts",
+    // Success!
+    return {
+      success: true,
+      answer: presented.answer,
+      query: safeQuery,
+      resultId,
+      data: presented.data,
+      chart: presented.chart,
+      metadata: {
         attempts: attempt,
-        lastIssues: safetyResult.issues,
-        trace,
-      };
-    }
+        repairs,
+        historyTurns: history.length,
+        warnings: safetyResult.warnings,
+        masking: presented.masking,
+        summary: presented.summary,
+      },
+      trace: debug ? trace : undefined,
+    };
+
+  } catch (error) {
+    record({
+      step: "error",
+      error: error.message,
+    });
+
+    return {
+      success: false,
+      error: "Unexpected error in agent execution",
+      details: error.message,
+      trace,
+    };
+  }
+}
+
+/**
+ * Helper: Execute a confirmed preview and present its result
+ */
+async function runPreview(stored, source, options) {
+  const { maxRows = 100, timeoutMs, debug = false, onEvent = null, role = null, keyId = null, usage, trace } = options;
+
+  const record = (entry) => {
+    trace.push(entry);
+    if (onEvent) onEvent(entry.step, entry);
+  };
+  const context = { sessionId: stored.sessionId, database: source.name };
+  const { estimate } = stored.preview;
 
-    // Step 5: Execute query
-    if (debug) console.log("\nExecuting query...");
-    const executionResult = await executionNode(safeQuery, maxRows);
+  try {
+    if (debug) console.log("\nExecuting previewed query...");
+    const executionResult = await executionNode(stored.query, maxRows, { source, timeoutMs, dbRole: role?.dbRole });
 
-    trace.push({
+    record({
       step: "execution",
       success: executionResult.success,
       rowCount: executionResult.data?.rowCount,
+      truncated: executionResult.data?.truncated,
+      totalRows: executionResult.data?.totalRows,
       executionTime: executionResult.data?.executionTime,
+      errorCode: executionResult.error?.errorCode,
+      code: executionResult.error?.code,
     });
 
     if (!executionResult.success) {
+      const { errorCode } = executionResult.error;
       return {
+        ...context,
         success: false,
-        error: "Query execution failed",
+        error: EXECUTION_ERRORS[errorCode] || "Query execution failed",
+        errorCode,
         details: executionResult.error,
-        query: safeQuery,
+        query: stored.query,
         trace,
       };
     }
 
-    if (debug) console.log(`✓ Query executed: ${executionResult.data.rowCount} rows`);
-
-    // Step 6: Summarize results
-    if (debug) console.log("\nGenerating summary...");
-    const summaryResult = await summarizeResults(
-      question,
-      executionResult.data,
-      safeQuery
-    );
+    const presented = await presentResults(stored.question, source, stored.query, executionResult.data, {
+      role,
+      onEvent,
+      record,
+      usage,
+      debug,
+    });
+    if (!presented.success) return { ...context, ...presented, trace };
 
-    trace.push({
-      step: "summarization",
-      success: summaryResult.success,
+    updateResult(stored.id, {
+      preview: null,
+      totalRows: executionResult.data.totalRows,
+      pageOrder: executionResult.data.pageOrder,
+      masking: presented.masking,
     });
 
-    if (!summaryResult.success) {
-      return {
-        success: false,
-        error: "Failed to generate summary",
-        details: summaryResult.error,
-        query: safeQuery,
-        data: executionResult.data,
-        trace,
-      };
+    // Now the previewed question is part of the conversation, if it is still going
+    if (stored.sessionId && getSession(stored.sessionId)?.keyId === keyId) {
+      addTurn(stored.sessionId, {
+        database: source.name,
+        question: stored.question,
+        query: stored.query,
+        columns: presented.data.fields.map((field) => field.name),
+        rowCount: presented.data.rowCount,
+        truncated: presented.data.truncated,
+        resultId: stored.id,
+      });
     }
 
-    // Success!
     return {
+      ...context,
       success: true,
-      answer: summaryResult.summary,
-      query: safeQuery,
-      data: {
-        rows: executionResult.data.rows,
-        rowCount: executionResult.data.rowCount,
-        executionTime: executionResult.data.executionTime,
-      },
+      answer: presented.answer,
+      query: stored.query,
+      resultId: stored.id,
+      data: presented.data,
+      chart: presented.chart,
       metadata: {
-        attempts: attempt,
-        warnings: safetyResult.warnings,
+        attempts: 0,
+        repairs: 0,
+        masking: presented.masking,
+        summary: presented.summary,
+        estimate,
       },
       trace: debug ? trace : undefined,
     };
-
   } catch (error) {
-    trace.push({
+    record({
       step: "error",
       error: error.message,
     });
 
     return {
+      ...context,
       success: false,
       error: "Unexpected error in agent execution",
       details: error.message,
@@ -177,3 +723,434 @@ export async function sqlQueryAgent(question, options = {}) {
     };
   }
 }
+
+/**
+ * Helper: Mask, chart and summarize an executed query's result (steps 5e-6)
+ * Returns { success, answer, data, chart, masking, summary }, or a failure with the
+ * masked rows when the summary fails
+ */
+async function presentResults(question, source, safeQuery, executionData, { role, onEvent, record, usage, debug }) {
+  // Step 5e: Mask sensitive values; the LLM never sees them, the caller only with piiAccess.
+  // Columns are also judged by the table columns they come from, so aliases don't unmask them
+  const { schema } = await getSchema(source);
+  const lineage = resultColumnSources(safeQuery, { schema, dialect: source.dialect });
+  const masking = detectSensitiveColumns(executionData.fields, executionData.rows, {
+    dialect: source.dialect,
+    sources: lineage?.length === executionData.fields.length ? lineage.map((column) => column.sources) : null,
+  });
+  const showPii = role?.piiAccess === true;
+  const displayRows = maskRows(executionData.rows, masking, { audience: "display", showPii });
+
+  record({
+    step: "pii_masking",
+    columns: masking.map(({ column, category, strategy }) => `${column} (${category}: ${strategy})`),
+    unmaskedForCaller: showPii && masking.length > 0,
+  });
+
+  const llmRows = maskRows(executionData.rows, masking, { audience: "llm" });
+
+  // Step 5f: Chart spec for the UI, inferred from the columns (or suggested by the LLM)
+  const chartColumns = describeColumns(executionData.fields, displayRows, {
+    dialect: source.dialect,
+    masked: showPii ? [] : masking.map(({ column }) => column),
+  });
+  const chartResult = await chooseChart(question, chartColumns, displayRows, llmRows, executionData.truncated);
+  addUsage(usage, chartResult.usage);
+  const { chart } = chartResult;
+
+  record({
+    step: "chart",
+    type: chart?.type || null,
+    source: chart?.source || null,
+    reason: chartResult.reason,
+  });
+
+  if (onEvent) {
+    onEvent("rows", {
+      query: safeQuery,
+      chart,
+      rows: displayRows,
+      rowCount: executionData.rowCount,
+      truncated: executionData.truncated,
+      totalRows: executionData.totalRows,
+      executionTime: executionData.executionTime,
+    });
+  }
+
+  // Step 6: Summarize results from a profile of the masked rows (and a sample of them)
+  if (debug) console.log("\nGenerating summary...");
+  const excluded = masking.filter(({ strategy }) => strategy === "exclude").map(({ column }) => column);
+  const summaryColumns = describeColumns(
+    executionData.fields.filter((field) => !excluded.includes(field.name)),
+    llmRows,
+    { dialect: source.dialect, masked: masking.map(({ column }) => column) }
+  );
+  const summaryResult = await summarizeResults(
+    question,
+    { ...executionData, rows: llmRows },
+    safeQuery,
+    {
+      masking,
+      columns: summaryColumns,
+      onToken: onEvent && ((token) => onEvent("summary_token", { token })),
+      onReset: onEvent && (() => onEvent("summary_reset", {})),
+    }
+  );
+  addUsage(usage, summaryResult.usage);
+
+  record({
+    step: "summarization",
+    success: summaryResult.success,
+    method: summaryResult.method,
+    sampleRows: summaryResult.sampleRows,
+    error: summaryResult.error,
+  });
+
+  if (!summaryResult.success) {
+    return {
+      success: false,
+      error: "Failed to generate summary",
+      details: summaryResult.error,
+      query: safeQuery,
+      data: { ...executionData, rows: displayRows },
+    };
+  }
+
+  return {
+    success: true,
+    answer: summaryResult.summary,
+    chart,
+    masking,
+    summary: { method: summaryResult.method, sampleRows: summaryResult.sampleRows },
+    data: {
+      rows: displayRows,
+      rowCount: executionData.rowCount,
+      truncated: executionData.truncated,
+      totalRows: executionData.totalRows,
+      pageSize: executionData.maxRows,
+      nextCursor:
+        executionData.truncated && executionData.pageOrder
+          ? encodeCursor(executionData.maxRows, executionData.maxRows)
+          : null,
+      fields: executionData.fields,
+      executionTime: executionData.executionTime,
+    },
+  };
+}
+
+/**
+ * Helper: Every generated SQL attempt with what became of it, from the trace
+ */
+function collectAttempts(trace) {
+  const attempts = [];
+
+  trace.forEach((entry) => {
+    if (entry.step === "query_generation") {
+      attempts.push({
+        attempt: entry.attempt,
+        query: entry.query ?? null,
+        error: entry.success ? null : entry.error,
+      });
+      return;
+    }
+
+    const current = attempts[attempts.length - 1];
+    if (!current) return;
+
+    if (entry.step === "safety_check") {
+      Object.assign(current, { safe: entry.safe, issues: entry.issues, rowFilters: entry.rowFilters });
+    } else if (entry.step === "cost_check") {
+      Object.assign(current, { safe: entry.safe, issues: entry.issues });
+    } else if (entry.step === "explain" && !entry.success) {
+      current.explainError = { errorCode: entry.errorCode, code: entry.code };
+    } else if (entry.step === "execution") {
+      current.execution = entry.success
+        ? { rowCount: entry.rowCount, executionTime: entry.executionTime }
+        : { errorCode: entry.errorCode, code: entry.code };
+    } else if (entry.step === "execution_repair") {
+      current.repairFeedback = entry.message;
+    }
+  });
+
+  return attempts;
+}
+
+/**
+ * Helper: Chart for a result per CHART_MODE
+ * With "llm" the LLM's suggestion wins when it fits the columns (or it says no
+ * chart helps); an unusable suggestion falls back to the inferred chart
+ */
+async function chooseChart(question, columns, displayRows, llmRows, truncated) {
+  if (CHART_MODE === "off") return { chart: null, reason: "charts are off" };
+
+  const inferred = inferChart(columns, displayRows, { truncated });
+  if (CHART_MODE !== "llm") return { chart: inferred.spec, reason: inferred.reason };
+
+  const suggestion = await suggestChart(question, columns, llmRows, inferred.spec);
+  if (suggestion.success && suggestion.suggestion?.type === "none") {
+    return { chart: null, reason: "the LLM found no chart useful", usage: suggestion.usage };
+  }
+
+  const spec = suggestion.success ? validateChartSpec(suggestion.suggestion, columns) : null;
+  if (spec) return { chart: spec, reason: "suggested by the LLM", usage: suggestion.usage };
+
+  return {
+    chart: inferred.spec,
+    reason: `${inferred.reason} (LLM suggestion unusable)`,
+    usage: suggestion.usage,
+  };
+}
+
+/**
+ * Helper: Add one LLM call's token counts to the running total (failed calls report none)
+ */
+function addUsage(total, usage) {
+  if (!usage) return;
+  total.inputTokens += usage.inputTokens || 0;
+  total.outputTokens += usage.outputTokens || 0;
+}
+
+/**
+ * Helper: Only plain SQL errors are worth a repair attempt (not timeouts or read-only violations)
+ */
+function isRepairable(error, dialect) {
+  return error.errorCode === "EXECUTION_ERROR" && dialect.isRepairable(error.code);
+}
+
+/**
+ * Helper: Describe a database error so the generator can fix the query
+ */
+function formatExecutionFeedback(error, sqlQuery, dialect) {
+  const lines = [`${dialect.label} error ${error.code}: ${error.message}`];
+
+  if (error.detail) lines.push(`Detail: ${error.detail}`);
+  if (error.hint) lines.push(`Hint: ${error.hint}`);
+  if (error.position) {
+    const near = sqlQuery.slice(error.position - 1, error.position + 39);
+    lines.push(`Position: ${error.position} (near "${near}")`);
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Fetch another page of a stored result
+ * Re-runs the approved SQL from the result store; no LLM call, no regeneration.
+ * Pages come in the result's fixed page order; options.cursor (nextCursor or
+ * previousCursor of an earlier page) picks up where that page left off, or
+ * options.page counts pages of options.pageSize from the start.
+ * Only the key (options.keyId) and role (options.role) that produced a result
+ * can page through it.
+ */
+export async function fetchResultPage(resultId, options = {}) {
+  const { cursor, page = 1, timeoutMs, role = null } = options;
+
+  const stored = ownResult(resultId, options);
+  if (!stored) {
+    return {
+      success: false,
+      error: "Result not found or expired",
+      errorCode: "RESULT_NOT_FOUND",
+    };
+  }
+  if (stored.preview) return notExecuted();
+  if (!stored.pageOrder) {
+    return {
+      success: false,
+      error: "The query's order can't be kept across pages; ask for fewer rows or order by result columns",
+      errorCode: "RESULT_NOT_PAGEABLE",
+    };
+  }
+
+  const pageSize = clampMaxRows(options.pageSize);
+  const position = cursor
+    ? decodeCursor(cursor)
+    : { offset: (Math.max(parseInt(page, 10) || 1, 1) - 1) * pageSize, pageSize };
+  if (!position) {
+    return {
+      success: false,
+      error: "Invalid page cursor",
+      errorCode: "INVALID_CURSOR",
+    };
+  }
+
+  const source = getDataSource(stored.database);
+  if (!source) {
+    return {
+      success: false,
+      error: `Unknown database "${stored.database}"`,
+      errorCode: "DATABASE_NOT_FOUND",
+    };
+  }
+
+  const pageResult = await executeQueryPage(
+    stored.query,
+    { ...position, pageOrder: stored.pageOrder },
+    { source, timeoutMs, dbRole: role?.dbRole }
+  );
+
+  if (!pageResult.success) {
+    return {
+      success: false,
+      error: "Query execution failed",
+      errorCode: pageResult.errorCode,
+      details: {
+        message: pageResult.error,
+        code: pageResult.code,
+        detail: pageResult.detail,
+      },
+    };
+  }
+
+  // Pages are masked with the decisions made on the first page, so columns stay consistent
+  const showPii = role?.piiAccess === true;
+  const { offset } = pageResult;
+
+  return {
+    success: true,
+    resultId,
+    database: stored.database,
+    query: stored.query,
+    data: {
+      rows: maskRows(pageResult.rows, stored.masking, { audience: "display", showPii }),
+      rowCount: pageResult.rowCount,
+      totalRows: stored.totalRows,
+      page: Math.floor(offset / pageResult.pageSize) + 1,
+      pageSize: pageResult.pageSize,
+      offset,
+      hasNextPage: pageResult.hasNextPage,
+      hasPreviousPage: pageResult.hasPreviousPage,
+      nextCursor: pageResult.hasNextPage ? encodeCursor(offset + pageResult.pageSize, pageResult.pageSize) : null,
+      previousCursor: pageResult.hasPreviousPage
+        ? encodeCursor(Math.max(offset - pageResult.pageSize, 0), pageResult.pageSize)
+        : null,
+      executionTime: pageResult.executionTime,
+    },
+    masking: stored.masking,
+  };
+}
+
+/**
+ * Export a stored result in full to an output stream (CSV, JSON Lines, Excel or Parquet)
+ * Re-runs the approved query in batches with the export row cap, masked for the
+ * caller the same way as on screen. onStart({ truncated }) is called before the
+ * first byte is written; until then a failure can still be answered with an
+ * error status. "started" on a failed result tells whether output was written.
+ * truncated is only known that early when the stored row count exceeds the cap;
+ * onEnd({ rowCount, truncated }) reports it from the rows read, before the
+ * output is ended.
+ */
+export async function exportResult(resultId, output, options = {}) {
+  const { format, timeoutMs, role = null, onStart = () => {}, onEnd = () => {} } = options;
+
+  if (!EXPORT_FORMATS[format]) {
+    return {
+      success: false,
+      error: `Unknown export format "${format}"; use one of: ${Object.keys(EXPORT_FORMATS).join(", ")}`,
+      errorCode: "INVALID_FORMAT",
+      started: false,
+    };
+  }
+
+  const stored = ownResult(resultId, options);
+  if (!stored) {
+    return {
+      success: false,
+      error: "Result not found or expired",
+      errorCode: "RESULT_NOT_FOUND",
+      started: false,
+    };
+  }
+  if (stored.preview) return { ...notExecuted(), started: false };
+
+  const source = getDataSource(stored.database);
+  if (!source) {
+    return {
+      success: false,
+      error: `Unknown database "${stored.database}"`,
+      errorCode: "DATABASE_NOT_FOUND",
+      started: false,
+    };
+  }
+
+  const showPii = role?.piiAccess === true;
+  const masked = showPii ? [] : stored.masking.map(({ column }) => column);
+  const writer = createExportWriter(format, output);
+  let started = false;
+
+  const streamResult = await streamQuery(
+    stored.query,
+    { source, timeoutMs, dbRole: role?.dbRole },
+    async (rows, fields) => {
+      if (!started) {
+        started = true;
+        onStart({ truncated: stored.totalRows > EXPORT_MAX_ROWS });
+        await writer.start(resolveColumns(fields, rows, { dialect: source.dialect, masked }));
+      }
+      await writer.write(maskRows(rows, stored.masking, { audience: "display", showPii }));
+    }
+  );
+
+  if (!streamResult.success) {
+    return {
+      success: false,
+      error: "Query execution failed",
+      errorCode: streamResult.errorCode,
+      details: {
+        message: streamResult.error,
+        code: streamResult.code,
+        detail: streamResult.detail,
+      },
+      started,
+    };
+  }
+
+  const { rowCount, truncated } = streamResult;
+  onEnd({ rowCount, truncated });
+  await writer.end();
+
+  return {
+    success: true,
+    resultId,
+    format,
+    rowCount,
+    truncated,
+  };
+}
+
+/**
+ * Helper: Opaque page cursor: where a page starts in the result's page order, and its size
+ */
+function encodeCursor(offset, pageSize) {
+  return Buffer.from(JSON.stringify({ offset, pageSize })).toString("base64url");
+}
+
+// null unless the cursor is one encodeCursor made
+function decodeCursor(cursor) {
+  try {
+    const { offset, pageSize } = JSON.parse(Buffer.from(String(cursor), "base64url").toString());
+    if (!Number.isInteger(offset) || offset < 0 || !Number.isInteger(pageSize) || pageSize <= 0) return null;
+    return { offset, pageSize };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Helper: A stored result, if the caller's key and role produced it; null otherwise
+ */
+function ownResult(resultId, { keyId = null, role = null }) {
+  const stored = getResult(resultId);
+  return stored && stored.keyId === keyId && stored.role === (role?.name || null) ? stored : null;
+}
+
+/**
+ * Helper: A preview has no rows to page through or export until it is executed
+ */
+function notExecuted() {
+  return {
+    success: false,
+    error: "Result is a preview that has not been executed; confirm it with POST /results/:id/execute",
+    errorCode: "RESULT_NOT_EXECUTED",
+  };
+}
@@ -0,0 +1,22 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { PassThrough } from "node:stream";
+import { useShopAgent } from "./testing/fixtures.js";
+
+const shop = useShopAgent();
+
+describe("stored results", () => {
+  it("can only be paged and exported with the key that asked for them", async () => {
+    const { resultId } = await shop.ask("How many customers are there?", { keyId: "owner" });
+
+    const own = await shop.agent.fetchResultPage(resultId, { keyId: "owner" });
+    assert.equal(own.success, true);
+    assert.deepEqual(own.data.rows, [{ total_customers: 10 }]);
+
+    const page = await shop.agent.fetchResultPage(resultId, { keyId: "other" });
+    const exported = await shop.agent.exportResult(resultId, new PassThrough(), { format: "csv", keyId: "other" });
+    assert.equal(page.errorCode, "RESULT_NOT_FOUND");
+    assert.equal(exported.errorCode, "RESULT_NOT_FOUND");
+    assert.equal(exported.started, false);
+  });
+});
@@ -0,0 +1,223 @@
+import fs from "fs";
+import { createHash, randomBytes } from "crypto";
+import dotenv from "dotenv";
+import { listRoleNames } from "./roles.js";
+
+dotenv.config();
+
+/**
+ * API Key Store
+ * Keys allowed to call the API, each with optional limits that override the
+ * defaults in usageLimiter.js and an optional role (lib/auth/roles.js)
+ *
+ * Loaded from the JSON file in API_KEYS_FILE; keys created or revoked through
+ * the admin endpoints are written back to it. Generated keys are only stored
+ * as SHA-256 hashes. ADMIN_API_KEY adds an admin key that lives only in the
+ * environment.
+ */
+
+const KEYS_FILE = process.env.API_KEYS_FILE;
+const KEY_PREFIX = "sqa_";
+
+// Limit settings usageLimiter.js understands
+const LIMIT_NAMES = ["requestsPerMinute", "dailyQuestions", "dailyTokens"];
+
+// Key ID -> { id, name, admin, role, limits, keyHash, keyRef, createdAt }
+const keys = loadKeys(KEYS_FILE);
+
+const envAdminKey = process.env.ADMIN_API_KEY
+  ? {
+      id: "admin",
+      name: "ADMIN_API_KEY",
+      admin: true,
+      role: null,
+      limits: {},
+      keyHash: hashKey(process.env.ADMIN_API_KEY),
+    }
+  : null;
+
+/**
+ * Whether any key can authenticate at all
+ */
+export function hasKeys() {
+  return keys.size > 0 || envAdminKey !== null;
+}
+
+/**
+ * Look up the key record for a secret presented by a client; null if unknown
+ */
+export function findKey(secret) {
+  if (!secret) return null;
+
+  const keyHash = hashKey(secret);
+  if (envAdminKey?.keyHash === keyHash) return envAdminKey;
+
+  for (const key of keys.values()) {
+    if (key.keyHash === keyHash) return key;
+  }
+  return null;
+}
+
+/**
+ * Every stored key, without secrets or hashes
+ */
+export function listKeys() {
+  return [...keys.values()].map(publicKey);
+}
+
+/**
+ * Generate a key; the secret is returned once and only its hash is kept
+ */
+export function createKey({ id, name = null, admin = false, role = null, limits = {} } = {}) {
+  if (!id || !/^[\w.-]+$/.test(id)) {
+    return {
+      success: false,
+      error: "Key 'id' is required (letters, digits, '.', '_' or '-')",
+      errorCode: "INVALID_KEY",
+    };
+  }
+
+  if (keys.has(id) || envAdminKey?.id === id) {
+    return {
+      success: false,
+      error: `Key "${id}" already exists`,
+      errorCode: "KEY_EXISTS",
+    };
+  }
+
+  if (role !== null && !listRoleNames().includes(role)) {
+    return {
+      success: false,
+      error: `Unknown role "${role}" (configured: ${listRoleNames().join(", ") || "none"})`,
+      errorCode: "INVALID_ROLE",
+    };
+  }
+
+  const invalidLimits = limitsError(limits);
+  if (invalidLimits) {
+    return {
+      success: false,
+      error: invalidLimits,
+      errorCode: "INVALID_LIMITS",
+    };
+  }
+
+  const secret = `${KEY_PREFIX}${randomBytes(24).toString("base64url")}`;
+  const key = {
+    id,
+    name,
+    admin: admin === true,
+    role,
+    limits: pickLimits(limits),
+    keyHash: hashKey(secret),
+    keyRef: null,
+    createdAt: new Date().toISOString(),
+  };
+
+  keys.set(id, key);
+  saveKeys();
+
+  return { success: true, key: secret, apiKey: publicKey(key) };
+}
+
+/**
+ * Revoke a stored key; false if unknown
+ */
+export function revokeKey(id) {
+  if (!keys.delete(id)) return false;
+  saveKeys();
+  return true;
+}
+
+function publicKey({ id, name, admin, role, limits, createdAt }) {
+  return { id, name: name || null, admin, role: role || null, limits, createdAt: createdAt || null };
+}
+
+function hashKey(secret) {
+  return createHash("sha256").update(secret).digest("hex");
+}
+
+/**
+ * Helper: Keep only the limit settings usageLimiter.js understands
+ */
+function pickLimits(limits = {}) {
+  return Object.fromEntries(Object.entries(limits).filter(([name]) => LIMIT_NAMES.includes(name)));
+}
+
+/**
+ * Helper: Why a key's limits can't be used; null when they can
+ * Each limit is a non-negative integer, or null for unlimited.
+ */
+function limitsError(limits) {
+  if (typeof limits !== "object" || limits === null || Array.isArray(limits)) {
+    return "Key 'limits' must be an object";
+  }
+  const invalid = LIMIT_NAMES.find(
+    (name) => limits[name] !== undefined && limits[name] !== null && !(Number.isInteger(limits[name]) && limits[name] >= 0)
+  );
+  return invalid ? `Limit '${invalid}' must be a non-negative integer, or null for unlimited` : null;
+}
+
+function loadKeys(filePath) {
+  const loaded = new Map();
+  if (!filePath || !fs.existsSync(filePath)) return loaded;
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not load API keys from ${filePath}: ${error.message}`);
+  }
+
+  (config.keys || []).forEach((entry) => {
+    if (!entry.id || !(entry.key || entry.keyHash)) {
+      throw new Error(`API key entries in ${filePath} need an "id" and a "key" or "keyHash"`);
+    }
+
+    if (entry.role && !listRoleNames().includes(entry.role)) {
+      throw new Error(`API key "${entry.id}" in ${filePath} has unknown role "${entry.role}"`);
+    }
+
+    const invalidLimits = entry.limits === undefined ? null : limitsError(entry.limits);
+    if (invalidLimits) {
+      throw new Error(`API key "${entry.id}" in ${filePath}: ${invalidLimits}`);
+    }
+
+    loaded.set(entry.id, {
+      id: entry.id,
+      name: entry.name || null,
+      admin: entry.admin === true,
+      role: entry.role || null,
+      limits: pickLimits(entry.limits),
+      // Plain keys may reference the environment ("${REPORTING_API_KEY}")
+      keyHash: entry.keyHash || hashKey(expandEnv(entry.key)),
+      keyRef: entry.key || null,
+      createdAt: entry.createdAt || null,
+    });
+  });
+
+  return loaded;
+}
+
+/**
+ * Helper: Write the stored keys back to API_KEYS_FILE (if configured), keeping
+ * plain or env-referencing keys as they were written
+ */
+function saveKeys() {
+  if (!KEYS_FILE) return;
+
+  const entries = [...keys.values()].map(({ keyHash, keyRef, ...key }) => ({
+    ...publicKey(key),
+    ...(keyRef ? { key: keyRef } : { keyHash }),
+  }));
+
+  try {
+    fs.writeFileSync(KEYS_FILE, `${JSON.stringify({ keys: entries }, null, 2)}\n`);
+  } catch (error) {
+    console.error(`Could not save API keys to ${KEYS_FILE}:`, error.message);
+  }
+}
+
+function expandEnv(value) {
+  return value.replace(/\$\{(\w+)\}/g, (match, name) => process.env[name] ?? "");
+}
@@ -0,0 +1,25 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { importWithEnv } from "../testing/fixtures.js";
+
+// No keys file: created keys stay in memory
+const { createKey } = await importWithEnv({ API_KEYS_FILE: "" }, new URL("./apiKeys.js", import.meta.url));
+
+describe("createKey", () => {
+  it("keeps the limits it knows, null meaning unlimited", () => {
+    const result = createKey({ id: "limited", limits: { dailyQuestions: 10, dailyTokens: null, colour: "red" } });
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.apiKey.limits, { dailyQuestions: 10, dailyTokens: null });
+  });
+
+  it("rejects limits that aren't non-negative integers", () => {
+    const invalid = [null, [], { dailyQuestions: "abc" }, { requestsPerMinute: -1 }, { dailyTokens: 1.5 }];
+
+    invalid.forEach((limits, i) => {
+      const result = createKey({ id: `invalid-${i}`, limits });
+      assert.equal(result.success, false, JSON.stringify(limits));
+      assert.equal(result.errorCode, "INVALID_LIMITS");
+    });
+  });
+});
@@ -0,0 +1,132 @@
+import { findKey, hasKeys } from "./apiKeys.js";
+import { checkRate, checkQuestionQuota, checkTokenQuota, recordTokens } from "./usageLimiter.js";
+import { DEFAULT_ROLE, getRole } from "./roles.js";
+
+/**
+ * Authentication Middleware
+ * Clients send their API key as "Authorization: Bearer <key>" or "X-API-Key: <key>".
+ * AUTH_DISABLED=true turns authentication and limits off for local development.
+ */
+
+export const AUTH_DISABLED = process.env.AUTH_DISABLED === "true";
+
+// Stand-in key when authentication is off; it has no limits
+const ANONYMOUS_KEY = {
+  id: "anonymous",
+  admin: true,
+  limits: { requestsPerMinute: null, dailyQuestions: null, dailyTokens: null },
+};
+
+if (AUTH_DISABLED) {
+  console.warn("⚠️  AUTH_DISABLED=true: the API accepts requests without an API key");
+} else if (!hasKeys()) {
+  console.warn("⚠️  No API keys configured (API_KEYS_FILE or ADMIN_API_KEY): every API request will be rejected");
+}
+
+/**
+ * Resolve the caller's key into req.apiKey and its role into req.role (null
+ * when unrestricted), and enforce the key's per-minute rate
+ * Responds 401 without a valid key and 429 (with Retry-After) over the rate
+ */
+export function authenticate(req, res, next) {
+  if (AUTH_DISABLED) {
+    req.apiKey = ANONYMOUS_KEY;
+    req.role = getRole(DEFAULT_ROLE);
+    return next();
+  }
+
+  const secret = readKey(req);
+  const key = findKey(secret);
+
+  if (!key) {
+    res.set("WWW-Authenticate", 'Bearer realm="sql-query-agent"');
+    return res.status(401).json({
+      success: false,
+      error: secret ? "Invalid API key" : "Missing API key (send Authorization: Bearer <key> or X-API-Key)",
+      errorCode: "UNAUTHORIZED",
+    });
+  }
+
+  const rate = checkRate(key);
+  if (rate.limit !== null) {
+    res.set({
+      "X-RateLimit-Limit": String(rate.limit),
+      "X-RateLimit-Remaining": String(rate.remaining),
+      "X-RateLimit-Reset": String(rate.resetSeconds),
+    });
+  }
+
+  if (!rate.allowed) {
+    console.log(`🔑 ${key.id}: rate limited on ${req.method} ${req.path}`);
+    return rejectOverLimit(res, rate);
+  }
+
+  req.apiKey = key;
+  req.role = getRole(key.role || DEFAULT_ROLE);
+  console.log(`🔑 ${key.id}: ${req.method} ${req.path}`);
+  next();
+}
+
+/**
+ * Only admin keys (or ADMIN_API_KEY) pass; use after authenticate
+ */
+export function requireAdmin(req, res, next) {
+  if (!req.apiKey?.admin) {
+    return res.status(403).json({
+      success: false,
+      error: "This endpoint requires an admin API key",
+      errorCode: "FORBIDDEN",
+    });
+  }
+  next();
+}
+
+/**
+ * Count the request as a question against the key's daily quotas; 429 once used up
+ */
+export function questionQuota(req, res, next) {
+  const quota = checkQuestionQuota(req.apiKey);
+
+  if (!quota.allowed) {
+    console.log(`🔑 ${req.apiKey.id}: ${quota.error}`);
+    return rejectOverLimit(res, quota);
+  }
+  next();
+}
+
+/**
+ * Reject the request once the key's daily LLM tokens are used up (429), without
+ * counting it as a question
+ */
+export function tokenQuota(req, res, next) {
+  const quota = checkTokenQuota(req.apiKey);
+
+  if (!quota.allowed) {
+    console.log(`🔑 ${req.apiKey.id}: ${quota.error}`);
+    return rejectOverLimit(res, quota);
+  }
+  next();
+}
+
+/**
+ * Charge the LLM tokens a question spent to the caller's key
+ */
+export function chargeTokens(req, tokenUsage) {
+  recordTokens(req.apiKey, tokenUsage);
+}
+
+function readKey(req) {
+  const header = req.get("Authorization");
+  const bearer = header?.match(/^Bearer\s+(\S+)$/i);
+  return bearer ? bearer[1] : req.get("X-API-Key") || null;
+}
+
+function rejectOverLimit(res, { errorCode, error, retryAfterSeconds }) {
+  res.set("Retry-After", String(retryAfterSeconds));
+  return res.status(429).json({
+    success: false,
+    error,
+    errorCode,
+    retryAfterSeconds,
+  });
+}
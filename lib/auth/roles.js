@@ -0,0 +1,108 @@
+import fs from "fs";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+/**
+ * Role Registry
+ * Roles decide which tables and columns a caller may see and which rows of a
+ * table they get. API keys name their role; keys without one get DEFAULT_ROLE,
+ * or no restrictions when that is unset.
+ *
+ * Configured by the JSON file in ROLES_FILE:
+ * {
+ *   "roles": {
+ *     "analyst": {
+ *       "tables": { "users": ["id", "name", "country"], "orders": "*" },
+ *       "deniedColumns": ["*.salary", "users.email"],
+ *       "rowFilters": { "orders": "region = 'EU'" },
+ *       "dbRole": "analyst_ro",
+ *       "piiAccess": false
+ *     }
+ *   }
+ * }
+ * Enforcement lives in lib/tools/accessControl.js; piiAccess shows the role
+ * result values lib/tools/piiMasker.js would otherwise mask.
+ */
+
+export const DEFAULT_ROLE = process.env.DEFAULT_ROLE || null;
+
+const roles = loadRoles(process.env.ROLES_FILE);
+
+if (DEFAULT_ROLE && !roles.has(DEFAULT_ROLE)) {
+  throw new Error(`DEFAULT_ROLE "${DEFAULT_ROLE}" is not configured in ROLES_FILE`);
+}
+
+/**
+ * Get a role by name; null if unknown
+ */
+export function getRole(name) {
+  return roles.get(name) || null;
+}
+
+/**
+ * Role names, for validating keys
+ */
+export function listRoleNames() {
+  return [...roles.keys()];
+}
+
+function loadRoles(filePath) {
+  const loaded = new Map();
+  if (!filePath) return loaded;
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not load roles from ${filePath}: ${error.message}`);
+  }
+
+  Object.entries(config.roles || {}).forEach(([name, role]) => {
+    loaded.set(name, normalizeRole(name, role, filePath));
+  });
+
+  return loaded;
+}
+
+/**
+ * Helper: Lower-case names so they match parsed SQL, and validate the shape
+ */
+function normalizeRole(name, role, filePath) {
+  const fail = (message) => {
+    throw new Error(`Role "${name}" in ${filePath}: ${message}`);
+  };
+
+  let tables = null;
+  if (role.tables !== undefined && role.tables !== "*") {
+    if (typeof role.tables !== "object" || Array.isArray(role.tables)) {
+      fail('"tables" must map table names to "*" or a list of columns');
+    }
+    tables = Object.fromEntries(
+      Object.entries(role.tables).map(([table, columns]) => {
+        if (columns !== "*" && !Array.isArray(columns)) {
+          fail(`columns of "${table}" must be "*" or a list`);
+        }
+        return [table.toLowerCase(), columns === "*" ? "*" : columns.map((col) => col.toLowerCase())];
+      })
+    );
+  }
+
+  const rowFilters = Object.fromEntries(
+    Object.entries(role.rowFilters || {}).map(([table, predicate]) => {
+      if (typeof predicate !== "string" || !predicate.trim()) {
+        fail(`row filter of "${table}" must be a SQL predicate`);
+      }
+      return [table.toLowerCase(), predicate];
+    })
+  );
+
+  return {
+    name,
+    tables,
+    deniedColumns: (role.deniedColumns || []).map((entry) => entry.toLowerCase()),
+    rowFilters,
+    dbRole: role.dbRole || null,
+    piiAccess: role.piiAccess === true,
+  };
+}
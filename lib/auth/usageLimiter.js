@@ -0,0 +1,170 @@
+/**
+ * Usage Limiter
+ * Per-key request rate (sliding one-minute window) and daily quotas of questions
+ * and LLM tokens. In-memory; daily counters reset at midnight UTC.
+ *
+ * A key's own limits override the defaults below; null means unlimited.
+ */
+
+const DEFAULT_LIMITS = {
+  requestsPerMinute: parseLimit(process.env.RATE_LIMIT_PER_MINUTE, 30),
+  dailyQuestions: parseLimit(process.env.DAILY_QUESTION_QUOTA, 500),
+  dailyTokens: parseLimit(process.env.DAILY_TOKEN_QUOTA, 200000),
+};
+
+const WINDOW_MS = 60 * 1000;
+
+// Key ID -> { requests: [timestamps], day, questions, tokens }
+const usage = new Map();
+
+/**
+ * Effective limits of a key
+ */
+export function resolveLimits(key) {
+  return { ...DEFAULT_LIMITS, ...key.limits };
+}
+
+/**
+ * Count one request against the key's per-minute rate
+ * Returns { allowed, limit, remaining, resetSeconds }, with errorCode, error and
+ * retryAfterSeconds when the request is rejected
+ */
+export function checkRate(key) {
+  const { requestsPerMinute: limit } = resolveLimits(key);
+  const entry = usageFor(key.id);
+  const now = Date.now();
+
+  entry.requests = entry.requests.filter((time) => now - time < WINDOW_MS);
+
+  if (limit === null) {
+    entry.requests.push(now);
+    return { allowed: true, limit: null };
+  }
+
+  if (entry.requests.length >= limit) {
+    // The oldest request in the window is the next to drop out of it
+    const retryAfterSeconds = Math.ceil((entry.requests[0] + WINDOW_MS - now) / 1000);
+    return {
+      allowed: false,
+      errorCode: "RATE_LIMITED",
+      error: `Rate limit of ${limit} requests per minute exceeded`,
+      limit,
+      remaining: 0,
+      resetSeconds: retryAfterSeconds,
+      retryAfterSeconds,
+    };
+  }
+
+  entry.requests.push(now);
+  return {
+    allowed: true,
+    limit,
+    remaining: limit - entry.requests.length,
+    resetSeconds: Math.ceil((entry.requests[0] + WINDOW_MS - now) / 1000),
+  };
+}
+
+/**
+ * Count one question against the key's daily quotas
+ * Rejected once either the questions or the LLM tokens of the day are used up;
+ * tokens are only known after the question ran, so the last one may overshoot
+ */
+export function checkQuestionQuota(key) {
+  const { dailyQuestions, dailyTokens } = resolveLimits(key);
+  const entry = usageFor(key.id);
+
+  const exceeded =
+    dailyQuestions !== null && entry.questions >= dailyQuestions
+      ? `Daily quota of ${dailyQuestions} questions used up`
+      : dailyTokens !== null && entry.tokens >= dailyTokens
+        ? `Daily quota of ${dailyTokens} LLM tokens used up`
+        : null;
+
+  if (exceeded) {
+    return {
+      allowed: false,
+      errorCode: "QUOTA_EXCEEDED",
+      error: exceeded,
+      retryAfterSeconds: secondsUntilMidnightUTC(),
+    };
+  }
+
+  entry.questions++;
+  return { allowed: true };
+}
+
+/**
+ * Check the key's daily LLM token quota without counting a question, for
+ * requests that continue one (confirming a preview)
+ */
+export function checkTokenQuota(key) {
+  const { dailyTokens } = resolveLimits(key);
+
+  if (dailyTokens !== null && usageFor(key.id).tokens >= dailyTokens) {
+    return {
+      allowed: false,
+      errorCode: "QUOTA_EXCEEDED",
+      error: `Daily quota of ${dailyTokens} LLM tokens used up`,
+      retryAfterSeconds: secondsUntilMidnightUTC(),
+    };
+  }
+  return { allowed: true };
+}
+
+/**
+ * Add the LLM tokens a question spent to the key's daily total
+ */
+export function recordTokens(key, tokenUsage) {
+  if (!tokenUsage) return;
+  const entry = usageFor(key.id);
+  entry.tokens += (tokenUsage.inputTokens || 0) + (tokenUsage.outputTokens || 0);
+}
+
+/**
+ * Today's usage of a key next to its limits
+ */
+export function getUsage(key) {
+  const entry = usageFor(key.id);
+  const now = Date.now();
+
+  return {
+    day: entry.day,
+    requestsLastMinute: entry.requests.filter((time) => now - time < WINDOW_MS).length,
+    questions: entry.questions,
+    tokens: entry.tokens,
+    limits: resolveLimits(key),
+  };
+}
+
+/**
+ * Helper: Usage entry of a key, starting fresh counters on a new UTC day
+ */
+function usageFor(keyId) {
+  const day = new Date().toISOString().slice(0, 10);
+  let entry = usage.get(keyId);
+
+  if (!entry) {
+    entry = { requests: [], day, questions: 0, tokens: 0 };
+    usage.set(keyId, entry);
+  } else if (entry.day !== day) {
+    Object.assign(entry, { day, questions: 0, tokens: 0 });
+  }
+
+  return entry;
+}
+
+function secondsUntilMidnightUTC() {
+  const now = new Date();
+  const midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  return Math.ceil((midnight - now.getTime()) / 1000);
+}
+
+/**
+ * Helper: Non-negative integer limit; "none" or "unlimited" disables it
+ */
+function parseLimit(value, fallback) {
+  if (value === undefined || value.trim() === "") return fallback;
+  if (["none", "unlimited"].includes(value.trim().toLowerCase())) return null;
+  const limit = parseInt(value, 10);
+  return Number.isNaN(limit) || limit < 0 ? fallback : limit;
+}
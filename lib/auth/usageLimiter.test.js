@@ -0,0 +1,88 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { importWithEnv, testKey } from "../testing/fixtures.js";
+
+const { resolveLimits, checkRate, checkQuestionQuota, checkTokenQuota, recordTokens, getUsage } = await importWithEnv(
+  { RATE_LIMIT_PER_MINUTE: "5", DAILY_QUESTION_QUOTA: "unlimited", DAILY_TOKEN_QUOTA: "1000" },
+  new URL("./usageLimiter.js", import.meta.url)
+);
+
+describe("usageLimiter", () => {
+  it("lets a key's own limits override the defaults", () => {
+    assert.deepEqual(resolveLimits(testKey("defaults")), { requestsPerMinute: 5, dailyQuestions: null, dailyTokens: 1000 });
+    assert.deepEqual(resolveLimits(testKey("own", { limits: { dailyTokens: null, requestsPerMinute: 2 } })), {
+      requestsPerMinute: 2,
+      dailyQuestions: null,
+      dailyTokens: null,
+    });
+  });
+
+  it("rejects requests over the per-minute rate", () => {
+    const key = testKey("rate", { limits: { requestsPerMinute: 2 } });
+
+    assert.deepEqual(
+      [checkRate(key), checkRate(key)].map(({ allowed, remaining }) => [allowed, remaining]),
+      [
+        [true, 1],
+        [true, 0],
+      ]
+    );
+    const rejected = checkRate(key);
+    assert.equal(rejected.allowed, false);
+    assert.equal(rejected.errorCode, "RATE_LIMITED");
+    assert.ok(rejected.retryAfterSeconds > 0 && rejected.retryAfterSeconds <= 60);
+    assert.equal(getUsage(key).requestsLastMinute, 2);
+  });
+
+  it("counts requests but never rejects them without a rate limit", () => {
+    const key = testKey("no-rate", { limits: { requestsPerMinute: null } });
+
+    for (let i = 0; i < 10; i++) assert.equal(checkRate(key).allowed, true);
+    assert.equal(getUsage(key).requestsLastMinute, 10);
+  });
+
+  it("rejects questions once the daily question quota is used up", () => {
+    const key = testKey("questions", { limits: { dailyQuestions: 2 } });
+
+    assert.equal(checkQuestionQuota(key).allowed, true);
+    assert.equal(checkQuestionQuota(key).allowed, true);
+    const rejected = checkQuestionQuota(key);
+    assert.equal(rejected.allowed, false);
+    assert.equal(rejected.errorCode, "QUOTA_EXCEEDED");
+    assert.match(rejected.error, /2 questions/);
+    assert.equal(getUsage(key).questions, 2);
+  });
+
+  it("rejects questions once the day's LLM tokens are used up", () => {
+    const key = testKey("tokens", { limits: { dailyTokens: 100 } });
+
+    assert.equal(checkQuestionQuota(key).allowed, true);
+    recordTokens(key, { inputTokens: 80, outputTokens: 30 });
+    recordTokens(key, null);
+    assert.equal(getUsage(key).tokens, 110);
+
+    const rejected = checkQuestionQuota(key);
+    assert.equal(rejected.allowed, false);
+    assert.match(rejected.error, /100 LLM tokens/);
+    assert.ok(rejected.retryAfterSeconds <= 24 * 60 * 60);
+  });
+
+  it("rejects preview confirmations once the day's LLM tokens are used up", () => {
+    const key = testKey("confirm-tokens", { limits: { dailyTokens: 100 } });
+
+    assert.equal(checkTokenQuota(key).allowed, true);
+    recordTokens(key, { inputTokens: 100, outputTokens: 0 });
+
+    const rejected = checkTokenQuota(key);
+    assert.equal(rejected.allowed, false);
+    assert.ok(rejected.retryAfterSeconds <= 24 * 60 * 60);
+  });
+
+  it("checks the token quota without counting a question", () => {
+    const key = testKey("confirm", { limits: { dailyQuestions: 1 } });
+
+    assert.equal(checkTokenQuota(key).allowed, true);
+    assert.equal(getUsage(key).questions, 0);
+    assert.equal(checkQuestionQuota(key).allowed, true);
+  });
+});
@@ -0,0 +1,138 @@
+import fs from "fs";
+import { connectionConfig } from "./db.js";
+import { getDialect } from "./dialects/index.js";
+import { loadSafetyPolicy } from "./tools/safetyPolicy.js";
+import { DEFAULT_MAX_COST } from "./tools/planEstimate.js";
+
+/**
+ * Data Source Registry
+ * Named databases the agent can query, each with its own SQL dialect, connection
+ * pool, introspected schemas and safety policy
+ *
+ * Configured by the JSON file in DATABASES_FILE; without it there is a single
+ * "default" PostgreSQL source built from the PG_* environment variables.
+ */
+
+const registry = loadRegistry(process.env.DATABASES_FILE);
+
+// Name -> data source, created on first use so unused databases are never connected
+const sources = new Map();
+
+export const DEFAULT_DATABASE = registry.default;
+
+/**
+ * Get a data source by name (the default source when name is empty); null if unknown
+ */
+export function getDataSource(name) {
+  const key = name || registry.default;
+  if (!Object.hasOwn(registry.databases, key)) return null;
+
+  if (!sources.has(key)) {
+    sources.set(key, createDataSource(key, registry.databases[key]));
+  }
+
+  return sources.get(key);
+}
+
+/**
+ * Every configured data source, without connection details
+ */
+export function listDataSources() {
+  return Object.entries(registry.databases).map(([name, config]) => {
+    const dialect = getDialect(config.dialect);
+    return {
+      name,
+      description: config.description || null,
+      dialect: dialect.name,
+      schemas: config.schemas || dialect.defaultSchemas(resolveConnection(config.connection, dialect)),
+      default: name === registry.default,
+    };
+  });
+}
+
+function createDataSource(name, config) {
+  const dialect = getDialect(config.dialect);
+  const connection = resolveConnection(config.connection, dialect);
+  const schemas = config.schemas || dialect.defaultSchemas(connection);
+
+  return {
+    name,
+    description: config.description || null,
+    dialect,
+    schemas,
+    pool: dialect.createPool(connection, name),
+    createClient: dialect.createClient && (() => dialect.createClient(connection)),
+    // Source-specific lists replace the global ones; built-in deny lists of the
+    // dialect always apply. The global allowed schemas name PostgreSQL schemas,
+    // so other dialects default to the ones they introspect.
+    safetyPolicy: loadSafetyPolicy(
+      {
+        ...((config.schemas || dialect.name !== "postgres") && { allowedSchemas: schemas }),
+        ...config.safetyPolicy,
+      },
+      dialect.denied
+    ),
+    // Plans estimated above this cost are refused (null: no ceiling)
+    maxCost: config.maxCost ?? DEFAULT_MAX_COST,
+  };
+}
+
+function loadRegistry(filePath) {
+  if (!filePath) {
+    return {
+      default: "default",
+      databases: {
+        default: { description: "PostgreSQL database from PG_* settings", connection: connectionConfig },
+      },
+    };
+  }
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not load databases from ${filePath}: ${error.message}`);
+  }
+
+  const names = Object.keys(config.databases || {});
+  if (names.length === 0) {
+    throw new Error(`No databases configured in ${filePath}`);
+  }
+
+  const defaultName = config.default || names[0];
+  if (!names.includes(defaultName)) {
+    throw new Error(`Default database "${defaultName}" is not configured in ${filePath}`);
+  }
+
+  names.forEach((name) => {
+    try {
+      getDialect(config.databases[name].dialect);
+    } catch (error) {
+      throw new Error(`Database "${name}" in ${filePath}: ${error.message}`);
+    }
+  });
+
+  return { default: defaultName, databases: config.databases };
+}
+
+/**
+ * Helper: Accept a connection string (a URL, or a file name for SQLite) or a
+ * driver config object, expanding ${VAR} references so credentials can stay in
+ * the environment
+ */
+function resolveConnection(connection = {}, dialect) {
+  if (typeof connection === "string") {
+    return dialect.connectionFromString(expandEnv(connection));
+  }
+
+  return Object.fromEntries(
+    Object.entries(connection).map(([key, value]) => [
+      key,
+      typeof value === "string" ? expandEnv(value) : value,
+    ])
+  );
+}
+
+function expandEnv(value) {
+  return value.replace(/\$\{(\w+)\}/g, (match, name) => process.env[name] ?? "");
+}
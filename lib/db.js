@@ -3,23 +3,36 @@ import dotenv from "dotenv";
 
 dotenv.config();
 
-const { Pool } = pkg;
+const { Pool, Client } = pkg;
 
-// Connection pool for better performance
-export const pool = new Pool({
+// Connection used when no databases file is configured
+export const connectionConfig = {
   host: process.env.PG_HOST,
   port: process.env.PG_PORT,
   database: process.env.PG_DB,
   user: process.env.PG_USER,
   password: process.env.PG_PASS,
-});
+};
 
-// Test connection
-pool.on("connect", () => {
-  console.log("Connected to PostgreSQL database");
-});
+/**
+ * Connection pool for one data source
+ */
+export function createPool(config = connectionConfig, name = "default") {
+  const pool = new Pool(config);
 
-pool.on("error", (err) => {
-  console.error("Unexpected error on idle client", err);
-  process.exit(-1);
-});
+  pool.on("connect", () => {
+    console.log(`Connected to PostgreSQL database "${name}"`);
+  });
+
+  // The pool drops the broken client; other data sources keep working
+  pool.on("error", (err) => {
+    console.error(`Unexpected error on idle client of "${name}"`, err);
+  });
+
+  return pool;
+}
+
+// Dedicated connection outside the pool (e.g. for LISTEN)
+export function createClient(config = connectionConfig) {
+  return new Client(config);
+}
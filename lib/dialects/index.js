@@ -0,0 +1,40 @@
+import { postgres } from "./postgres.js";
+import { sqlite } from "./sqlite.js";
+import { mysql } from "./mysql.js";
+
+/**
+ * SQL Dialect Registry
+ * A data source's dialect covers everything that differs between engines:
+ *   label, promptRules                 → wording of the generation prompt
+ *   denied { functions, relations, schemas }, parserDatabase
+ *                                      → built-in safety deny lists and the parser grammar
+ *   quoteIdentifier(name)              → quoted identifier for generated SQL (row filters)
+ *   defaultSchemas(connection), connectionFromString(text), createPool(connection, name)
+ *   createClient(connection)           → optional, for LISTEN/NOTIFY schema invalidation
+ *   extractSchema(pool, schemas)       → tables keyed by name, as in schemaExtractor
+ *   withReadOnlyTransaction(pool, { timeoutMs, lockTimeoutMs, dbRole }, callback)
+ *                                      → callback(query, queryBatches, describe), query(sql) → { rows, fields },
+ *                                        queryBatches(sql, batchSize, onBatch(rows, fields)) for exports,
+ *                                        describe(sql) → fields of a statement, without reading its rows
+ *   columnType(dataType)               → export type of a result column (null: decide by values)
+ *   explainPrefix, parsePlan(rows)     → plan-only validation
+ *   analyzePlan(plan)                  → { estimatedRows, estimatedCost, fullScans: [{ table, rows }] }
+ *                                        (null where the engine has no estimate)
+ *   tableRowEstimates(query, tables)   → optional, table → estimated rows for full scans
+ *   sensitiveTypes                     → result dataType → PII category (piiMasker)
+ *   unorderedTypes                     → optional, result dataTypes that can't be sorted (page order)
+ *   mapError(error), isRepairable(code) → agent error codes and the repair loop
+ */
+
+const DIALECTS = { postgres, sqlite, mysql };
+
+/**
+ * Get a dialect by name ("postgres", "sqlite" or "mysql")
+ */
+export function getDialect(name = "postgres") {
+  const dialect = DIALECTS[name];
+  if (!dialect) {
+    throw new Error(`Unknown SQL dialect "${name}" (expected one of: ${Object.keys(DIALECTS).join(", ")})`);
+  }
+  return dialect;
+}
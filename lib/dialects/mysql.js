@@ -0,0 +1,400 @@
+import mysql2 from "mysql2/promise";
+
+/**
+ * MySQL Dialect
+ * MySQL 5.7.8+ / 8.x through a mysql2 connection pool
+ */
+
+// mysql2 error codes mapped to agent error codes
+const ERROR_CODES = {
+  ER_QUERY_TIMEOUT: "QUERY_TIMEOUT", // MAX_EXECUTION_TIME exceeded
+  ER_LOCK_WAIT_TIMEOUT: "LOCK_TIMEOUT", // innodb_lock_wait_timeout exceeded
+  ER_CANT_EXECUTE_IN_READ_ONLY_TRANSACTION: "READ_ONLY_VIOLATION",
+  ER_OPTION_PREVENTS_STATEMENT: "READ_ONLY_VIOLATION", // server running with --read-only
+};
+
+// SQLSTATE classes the LLM can plausibly fix by rewriting the query (as for PostgreSQL)
+const REPAIRABLE_SQLSTATE_CLASSES = ["42", "22", "21", "0A"];
+
+// Functions that sleep, read files, take locks or wait on replication
+const DENIED_FUNCTIONS = [
+  "sleep",
+  "benchmark",
+  "load_file",
+  "get_lock",
+  "release_lock",
+  "release_all_locks",
+  "is_free_lock",
+  "is_used_lock",
+  "master_pos_wait",
+  "source_pos_wait",
+  "wait_for_executed_gtid_set",
+  "wait_until_sql_thread_after_gtids",
+];
+
+// Grant tables; qualified, since application tables may well be called "user" or "db"
+const DENIED_RELATIONS = [
+  "mysql.user",
+  "mysql.global_grants",
+  "mysql.db",
+  "mysql.tables_priv",
+  "mysql.columns_priv",
+  "mysql.procs_priv",
+];
+
+const DENIED_SCHEMAS = ["mysql", "information_schema", "performance_schema", "sys"];
+
+// Aliases pin the column labels, which MySQL 8 returns in upper case otherwise
+const RELATIONS_QUERY = `
+  SELECT table_schema AS table_schema, table_name AS table_name,
+    table_type AS table_type, table_comment AS table_comment
+  FROM information_schema.tables
+  WHERE table_schema IN (?)
+  ORDER BY table_schema, table_name
+`;
+
+const COLUMNS_QUERY = `
+  SELECT table_schema AS table_schema, table_name AS table_name, column_name AS column_name,
+    column_type AS column_type, is_nullable AS is_nullable, column_default AS column_default,
+    column_comment AS column_comment, data_type AS data_type
+  FROM information_schema.columns
+  WHERE table_schema IN (?)
+  ORDER BY table_schema, table_name, ordinal_position
+`;
+
+const CONSTRAINTS_QUERY = `
+  SELECT k.table_schema AS table_schema, k.table_name AS table_name,
+    k.constraint_name AS constraint_name, c.constraint_type AS constraint_type,
+    k.column_name AS column_name, k.referenced_table_schema AS referenced_table_schema,
+    k.referenced_table_name AS referenced_table_name, k.referenced_column_name AS referenced_column_name
+  FROM information_schema.key_column_usage k
+  JOIN information_schema.table_constraints c
+    ON c.constraint_schema = k.constraint_schema
+    AND c.table_name = k.table_name
+    AND c.constraint_name = k.constraint_name
+  WHERE k.table_schema IN (?)
+    AND c.constraint_type IN ('PRIMARY KEY', 'UNIQUE', 'FOREIGN KEY')
+  ORDER BY k.table_schema, k.table_name, k.constraint_name, k.ordinal_position
+`;
+
+const INDEXES_QUERY = `
+  SELECT table_schema AS table_schema, table_name AS table_name, index_name AS index_name,
+    non_unique AS non_unique, index_type AS index_type, column_name AS column_name
+  FROM information_schema.statistics
+  WHERE table_schema IN (?)
+    AND index_name <> 'PRIMARY'
+  ORDER BY table_schema, table_name, index_name, seq_in_index
+`;
+
+const RELATION_KINDS = {
+  "BASE TABLE": "table",
+  VIEW: "view",
+  "SYSTEM VIEW": "view",
+};
+
+// mysql2 column type codes -> export types; DECIMAL arrives as a string, DATE and DATETIME as local Dates
+const COLUMN_TYPES = {
+  0: "decimal",
+  1: "integer",
+  2: "integer",
+  3: "integer",
+  4: "number",
+  5: "number",
+  7: "timestamp",
+  8: "bigint",
+  9: "integer",
+  10: "date",
+  12: "timestamp",
+  13: "integer",
+  14: "date",
+  16: "binary",
+  245: "json",
+  246: "decimal",
+};
+
+export const mysql = {
+  name: "mysql",
+  label: "MySQL",
+  promptRules: [
+    "Do not read the mysql, information_schema, performance_schema or sys schemas",
+    "Quote identifiers with backticks when needed; use DATE_FORMAT() and DATE_SUB() for dates",
+  ],
+  denied: {
+    functions: DENIED_FUNCTIONS,
+    relations: DENIED_RELATIONS,
+    schemas: DENIED_SCHEMAS,
+  },
+  // node-sql-parser grammar used by the safety checker
+  parserDatabase: "mysql",
+  explainPrefix: "EXPLAIN FORMAT=JSON ",
+
+  // MySQL has no network address types; names and values still count
+  sensitiveTypes: {},
+
+  // A MySQL "schema" is a database; default to the one the connection opens
+  defaultSchemas(connection) {
+    const database = connection.database || (connection.uri && new URL(connection.uri).pathname.slice(1));
+    return database ? [database] : [];
+  },
+
+  quoteIdentifier(name) {
+    return `\`${name.replace(/`/g, "``")}\``;
+  },
+
+  connectionFromString(uri) {
+    return { uri };
+  },
+
+  createPool(connection, name) {
+    const pool = mysql2.createPool(connection);
+
+    pool.on("connection", () => {
+      console.log(`Connected to MySQL database "${name}"`);
+    });
+
+    return pool;
+  },
+
+  extractSchema,
+
+  /**
+   * Run callback(query, queryBatches, describe) in a START TRANSACTION READ ONLY that is always rolled back
+   * describe prepares the statement, which returns its columns without running it
+   */
+  async withReadOnlyTransaction(pool, { timeoutMs, lockTimeoutMs, dbRole }, callback) {
+    // Fail closed rather than run a role-restricted query with full privileges
+    if (dbRole) throw new Error("Database roles (dbRole) are not supported on MySQL");
+
+    const connection = await pool.getConnection();
+
+    try {
+      // Session settings outlive the transaction, so they are reset below
+      await connection.query(`SET SESSION MAX_EXECUTION_TIME = ${timeoutMs}`);
+      await connection.query(`SET SESSION innodb_lock_wait_timeout = ${Math.max(1, Math.ceil(lockTimeoutMs / 1000))}`);
+      await connection.query("START TRANSACTION READ ONLY");
+
+      const toFields = (fields) => fields.map((f) => ({ name: f.name, dataType: f.columnType }));
+
+      const query = async (sql) => {
+        const [rows, fields] = await connection.query(sql);
+        return { rows, fields: toFields(fields) };
+      };
+
+      // Rows are streamed from the server instead of buffered by the driver
+      const queryBatches = async (sql, batchSize, onBatch) => {
+        const pending = connection.connection.query(sql);
+        let fields = [];
+        pending.on("fields", (received) => {
+          fields = toFields(received);
+        });
+
+        let batch = [];
+        let sent = false;
+        for await (const row of pending.stream({ highWaterMark: batchSize })) {
+          batch.push(row);
+          if (batch.length === batchSize) {
+            await onBatch(batch, fields);
+            batch = [];
+            sent = true;
+          }
+        }
+        if (batch.length > 0 || !sent) await onBatch(batch, fields);
+      };
+
+      const describe = async (sql) => {
+        const prepared = await connection.prepare(sql);
+        connection.unprepare(sql);
+        return toFields(prepared.statement.columns);
+      };
+
+      return await callback(query, queryBatches, describe);
+    } finally {
+      try {
+        await connection.query("ROLLBACK");
+        await connection.query("SET SESSION MAX_EXECUTION_TIME = DEFAULT, innodb_lock_wait_timeout = DEFAULT");
+        connection.release();
+      } catch (error) {
+        // Connection is unusable; don't return it to the pool
+        connection.destroy();
+      }
+    }
+  },
+
+  /**
+   * Export type of a result column (by mysql2 column type code)
+   */
+  columnType(dataType) {
+    return COLUMN_TYPES[dataType] || "string";
+  },
+
+  parsePlan(rows) {
+    return JSON.parse(rows[0].EXPLAIN);
+  },
+
+  /**
+   * Optimizer estimates: the query cost, the rows the last joined table produces
+   * and every table read with access type ALL (a full table scan)
+   */
+  analyzePlan(plan) {
+    const tables = [];
+    const visit = (value) => {
+      if (Array.isArray(value)) return value.forEach(visit);
+      if (!value || typeof value !== "object") return;
+      if (value.table?.table_name) tables.push(value.table);
+      Object.values(value).forEach(visit);
+    };
+    visit(plan.query_block);
+
+    const last = tables[tables.length - 1];
+    const cost = parseFloat(plan.query_block?.cost_info?.query_cost);
+    return {
+      estimatedRows: last?.rows_produced_per_join ?? null,
+      estimatedCost: Number.isFinite(cost) ? cost : null,
+      fullScans: tables
+        .filter((table) => table.access_type === "ALL")
+        .map((table) => ({ table: table.table_name, rows: table.rows_examined_per_scan ?? null })),
+    };
+  },
+
+  mapError(error) {
+    return {
+      errorCode: ERROR_CODES[error.code] || "EXECUTION_ERROR",
+      code: error.sqlState,
+      detail: error.code,
+    };
+  },
+
+  isRepairable(code) {
+    return typeof code === "string" && REPAIRABLE_SQLSTATE_CLASSES.includes(code.slice(0, 2));
+  },
+};
+
+/**
+ * Read tables, views, columns, keys, indexes, enum values and comments from information_schema
+ */
+async function extractSchema(pool, schemas) {
+  if (schemas.length === 0) return {};
+
+  const [[relations], [columns], [constraints], [indexes]] = await Promise.all([
+    pool.query(RELATIONS_QUERY, [schemas]),
+    pool.query(COLUMNS_QUERY, [schemas]),
+    pool.query(CONSTRAINTS_QUERY, [schemas]),
+    pool.query(INDEXES_QUERY, [schemas]),
+  ]);
+
+  // Tables in the connection's own database are referenced unqualified
+  const { database } = pool.pool.config.connectionConfig;
+  const qualifyName = (schemaName, tableName) =>
+    schemaName === database ? tableName : `${schemaName}.${tableName}`;
+
+  const schema = {};
+  const tableOf = (row) => schema[qualifyName(row.table_schema, row.table_name)];
+
+  relations.forEach((row) => {
+    schema[qualifyName(row.table_schema, row.table_name)] = {
+      schema: row.table_schema,
+      name: row.table_name,
+      kind: RELATION_KINDS[row.table_type] || "table",
+      // Views report "VIEW" as their comment
+      comment: row.table_type === "BASE TABLE" && row.table_comment ? row.table_comment : null,
+      columns: [],
+      primaryKey: [],
+      foreignKeys: [],
+      uniqueConstraints: [],
+      indexes: [],
+    };
+  });
+
+  columns.forEach((row) => {
+    const table = tableOf(row);
+    if (!table) return;
+
+    table.columns.push({
+      column: row.column_name,
+      type: row.column_type,
+      nullable: row.is_nullable === "YES",
+      default: row.column_default,
+      comment: row.column_comment || null,
+      enumValues: row.data_type === "enum" ? parseEnumValues(row.column_type) : null,
+    });
+  });
+
+  // One row per constraint column; group them by constraint
+  const constraintsByName = new Map();
+  constraints.forEach((row) => {
+    const table = tableOf(row);
+    if (!table) return;
+
+    const key = `${row.table_schema}.${row.table_name}.${row.constraint_name}`;
+    if (!constraintsByName.has(key)) {
+      constraintsByName.set(key, {
+        table,
+        type: row.constraint_type,
+        name: row.constraint_name,
+        columns: [],
+        references: [],
+        referencedTable: row.referenced_table_name
+          ? qualifyName(row.referenced_table_schema, row.referenced_table_name)
+          : null,
+      });
+    }
+
+    const constraint = constraintsByName.get(key);
+    constraint.columns.push(row.column_name);
+    if (row.referenced_column_name) constraint.references.push(row.referenced_column_name);
+  });
+
+  const uniqueIndexNames = new Set();
+  constraintsByName.forEach(({ table, type, name, columns: constraintColumns, references, referencedTable }) => {
+    if (type === "PRIMARY KEY") {
+      table.primaryKey = constraintColumns;
+    } else if (type === "UNIQUE") {
+      table.uniqueConstraints.push(constraintColumns);
+      uniqueIndexNames.add(`${table.schema}.${table.name}.${name}`);
+    } else if (type === "FOREIGN KEY") {
+      table.foreignKeys.push({
+        name,
+        columns: constraintColumns,
+        references: { table: referencedTable, columns: references },
+      });
+    }
+  });
+
+  // Unique constraints are backed by indexes of the same name; list them only once
+  const indexesByName = new Map();
+  indexes.forEach((row) => {
+    const table = tableOf(row);
+    const key = `${row.table_schema}.${row.table_name}.${row.index_name}`;
+    if (!table || uniqueIndexNames.has(key)) return;
+
+    if (!indexesByName.has(key)) {
+      const index = { name: row.index_name, unique: Number(row.non_unique) === 0, type: row.index_type, columns: [] };
+      indexesByName.set(key, index);
+      table.indexes.push(index);
+    }
+    indexesByName.get(key).columns.push(row.column_name);
+  });
+
+  Object.values(schema).forEach((table) => {
+    table.indexes = table.indexes.map(({ name, unique, type, columns: indexColumns }) => ({
+      name,
+      unique,
+      definition: `${type.toLowerCase()} (${indexColumns.join(", ")})`,
+    }));
+  });
+
+  return schema;
+}
+
+/**
+ * Helper: "enum('a','b''c')" -> ["a", "b'c"]
+ */
+function parseEnumValues(columnType) {
+  const values = [];
+  const pattern = /'((?:[^']|'')*)'/g;
+  let match;
+  while ((match = pattern.exec(columnType))) {
+    values.push(match[1].replace(/''/g, "'"));
+  }
+  return values;
+}
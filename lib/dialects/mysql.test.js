@@ -0,0 +1,72 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { mysql } from "./mysql.js";
+
+// Connection-free parts of the dialect; queries need a MySQL server
+describe("mysql dialect", () => {
+  it("defaults to the database the connection opens", () => {
+    assert.deepEqual(mysql.defaultSchemas({ database: "shop" }), ["shop"]);
+    assert.deepEqual(mysql.defaultSchemas({ uri: "mysql://app:secret@db:3306/shop" }), ["shop"]);
+    assert.deepEqual(mysql.defaultSchemas({ uri: "mysql://app:secret@db:3306" }), []);
+  });
+
+  it("quotes identifiers with backticks", () => {
+    assert.equal(mysql.quoteIdentifier("order"), "`order`");
+    assert.equal(mysql.quoteIdentifier("odd`name"), "`odd``name`");
+  });
+
+  it("maps mysql2 column types to export types", () => {
+    assert.equal(mysql.columnType(246), "decimal");
+    assert.equal(mysql.columnType(8), "bigint");
+    assert.equal(mysql.columnType(10), "date");
+    assert.equal(mysql.columnType(12), "timestamp");
+    assert.equal(mysql.columnType(245), "json");
+    assert.equal(mysql.columnType(253), "string");
+  });
+
+  it("reads estimates and full scans from an EXPLAIN FORMAT=JSON plan", () => {
+    const plan = mysql.parsePlan([
+      {
+        EXPLAIN: JSON.stringify({
+          query_block: {
+            cost_info: { query_cost: "125.40" },
+            nested_loop: [
+              { table: { table_name: "orders", access_type: "ALL", rows_examined_per_scan: 1000, rows_produced_per_join: 1000 } },
+              { table: { table_name: "users", access_type: "eq_ref", rows_examined_per_scan: 1, rows_produced_per_join: 980 } },
+            ],
+          },
+        }),
+      },
+    ]);
+
+    assert.deepEqual(mysql.analyzePlan(plan), {
+      estimatedRows: 980,
+      estimatedCost: 125.4,
+      fullScans: [{ table: "orders", rows: 1000 }],
+    });
+  });
+
+  it("maps errors by code and SQLSTATE", () => {
+    const timeout = { code: "ER_QUERY_TIMEOUT", sqlState: "HY000" };
+    const unknownColumn = { code: "ER_BAD_FIELD_ERROR", sqlState: "42S22" };
+
+    assert.deepEqual(mysql.mapError(timeout), { errorCode: "QUERY_TIMEOUT", code: "HY000", detail: "ER_QUERY_TIMEOUT" });
+    assert.equal(mysql.mapError({ code: "ER_OPTION_PREVENTS_STATEMENT" }).errorCode, "READ_ONLY_VIOLATION");
+    assert.equal(mysql.isRepairable(mysql.mapError(unknownColumn).code), true);
+    assert.equal(mysql.isRepairable(mysql.mapError(timeout).code), false);
+    assert.equal(mysql.isRepairable(undefined), false);
+  });
+
+  it("denies the grant tables by qualified name only", () => {
+    assert.ok(mysql.denied.relations.includes("mysql.user"));
+    assert.ok(!mysql.denied.relations.includes("user"));
+    assert.ok(mysql.denied.schemas.includes("information_schema"));
+  });
+
+  it("refuses to run under a database role", async () => {
+    await assert.rejects(
+      mysql.withReadOnlyTransaction(null, { timeoutMs: 1000, lockTimeoutMs: 1000, dbRole: "analyst_ro" }, () => {}),
+      /not supported on MySQL/
+    );
+  });
+});
@@ -0,0 +1,420 @@
+import { createPool as createPgPool, createClient as createPgClient } from "../db.js";
+import { DENIED_FUNCTIONS, DENIED_RELATIONS, DENIED_SCHEMAS, CATALOG_RELATIONS } from "../tools/safetyPolicy.js";
+
+/**
+ * PostgreSQL Dialect
+ * Connections, catalog introspection and read-only execution for PostgreSQL
+ */
+
+// Schemas to introspect when a source doesn't list its own
+const SCHEMA_NAMES = (process.env.SCHEMA_NAMES || "public")
+  .split(",")
+  .map((name) => name.trim())
+  .filter(Boolean);
+
+// PostgreSQL SQLSTATE codes mapped to agent error codes
+const ERROR_CODES = {
+  "57014": "QUERY_TIMEOUT", // query_canceled (statement_timeout)
+  "55P03": "LOCK_TIMEOUT", // lock_not_available (lock_timeout)
+  "25P03": "IDLE_TIMEOUT", // idle_in_transaction_session_timeout
+  "25006": "READ_ONLY_VIOLATION", // read_only_sql_transaction
+};
+
+// SQLSTATE classes the LLM can plausibly fix by rewriting the query:
+// 42 syntax error/undefined name, 22 data exception, 21 cardinality, 0A not supported
+const REPAIRABLE_SQLSTATE_CLASSES = ["42", "22", "21", "0A"];
+
+const RELATION_KINDS = {
+  r: "table",
+  p: "table", // partitioned table
+  f: "foreign table",
+  v: "view",
+  m: "materialized view",
+};
+
+const RELATIONS_QUERY = `
+  SELECT
+    c.oid,
+    n.nspname AS table_schema,
+    c.relname AS table_name,
+    c.relkind,
+    obj_description(c.oid, 'pg_class') AS comment
+  FROM pg_class c
+  JOIN pg_namespace n ON n.oid = c.relnamespace
+  WHERE n.nspname = ANY($1)
+    AND c.relkind IN ('r', 'p', 'f', 'v', 'm')
+    AND NOT c.relispartition
+  ORDER BY n.nspname, c.relname;
+`;
+
+const COLUMNS_QUERY = `
+  SELECT
+    a.attrelid AS table_oid,
+    a.attname AS column_name,
+    format_type(a.atttypid, a.atttypmod) AS data_type,
+    NOT a.attnotnull AS is_nullable,
+    pg_get_expr(d.adbin, d.adrelid) AS column_default,
+    col_description(a.attrelid, a.attnum) AS comment,
+    CASE WHEN t.typtype = 'e' THEN (
+      SELECT array_agg(e.enumlabel ORDER BY e.enumsortorder)::text[]
+      FROM pg_enum e
+      WHERE e.enumtypid = t.oid
+    ) END AS enum_values
+  FROM pg_attribute a
+  JOIN pg_class c ON c.oid = a.attrelid
+  JOIN pg_namespace n ON n.oid = c.relnamespace
+  JOIN pg_type t ON t.oid = a.atttypid
+  LEFT JOIN pg_attrdef d ON d.adrelid = a.attrelid AND d.adnum = a.attnum
+  WHERE n.nspname = ANY($1)
+    AND c.relkind IN ('r', 'p', 'f', 'v', 'm')
+    AND a.attnum > 0
+    AND NOT a.attisdropped
+  ORDER BY a.attrelid, a.attnum;
+`;
+
+const CONSTRAINTS_QUERY = `
+  SELECT
+    con.conrelid AS table_oid,
+    con.conname AS constraint_name,
+    con.contype AS constraint_type,
+    ARRAY(
+      SELECT a.attname
+      FROM unnest(con.conkey) WITH ORDINALITY AS k(attnum, ord)
+      JOIN pg_attribute a ON a.attrelid = con.conrelid AND a.attnum = k.attnum
+      ORDER BY k.ord
+    )::text[] AS columns,
+    fn.nspname AS foreign_schema,
+    fc.relname AS foreign_table,
+    ARRAY(
+      SELECT a.attname
+      FROM unnest(con.confkey) WITH ORDINALITY AS k(attnum, ord)
+      JOIN pg_attribute a ON a.attrelid = con.confrelid AND a.attnum = k.attnum
+      ORDER BY k.ord
+    )::text[] AS foreign_columns
+  FROM pg_constraint con
+  JOIN pg_class c ON c.oid = con.conrelid
+  JOIN pg_namespace n ON n.oid = c.relnamespace
+  LEFT JOIN pg_class fc ON fc.oid = con.confrelid
+  LEFT JOIN pg_namespace fn ON fn.oid = fc.relnamespace
+  WHERE n.nspname = ANY($1)
+    AND con.contype IN ('p', 'f', 'u')
+  ORDER BY con.conrelid, con.conname;
+`;
+
+const INDEXES_QUERY = `
+  SELECT
+    i.indrelid AS table_oid,
+    ic.relname AS index_name,
+    i.indisunique AS is_unique,
+    pg_get_indexdef(i.indexrelid) AS definition
+  FROM pg_index i
+  JOIN pg_class ic ON ic.oid = i.indexrelid
+  JOIN pg_class c ON c.oid = i.indrelid
+  JOIN pg_namespace n ON n.oid = c.relnamespace
+  WHERE n.nspname = ANY($1)
+    AND NOT i.indisprimary
+    -- Unique constraints are listed separately
+    AND NOT EXISTS (SELECT 1 FROM pg_constraint con WHERE con.conindid = i.indexrelid)
+  ORDER BY i.indrelid, ic.relname;
+`;
+
+// Most common values from planner statistics, used for schema linking (never sent to the LLM)
+const SAMPLE_VALUES_QUERY = `
+  SELECT
+    schemaname AS table_schema,
+    tablename AS table_name,
+    attname AS column_name,
+    (most_common_vals::text::text[])[1:20] AS sample_values
+  FROM pg_stats
+  WHERE schemaname = ANY($1)
+    AND most_common_vals IS NOT NULL;
+`;
+
+// Only sample columns whose values could be named in a question
+const SAMPLED_TYPES = /char|text|citext/i;
+
+// Type OIDs -> export types (see columnType); int8 and numeric arrive as strings
+const COLUMN_TYPES = {
+  16: "boolean",
+  20: "bigint",
+  21: "integer",
+  23: "integer",
+  26: "integer",
+  700: "number",
+  701: "number",
+  1700: "decimal",
+  1082: "date",
+  1114: "timestamp",
+  1184: "timestamptz",
+  114: "json",
+  3802: "json",
+  17: "binary",
+  // Arrays arrive as JS arrays
+  1000: "json",
+  1005: "json",
+  1007: "json",
+  1016: "json",
+  1009: "json",
+  1015: "json",
+  1231: "json",
+};
+
+export const postgres = {
+  name: "postgres",
+  label: "PostgreSQL",
+  promptRules: [
+    "Do not read system catalogs (pg_catalog, information_schema) or call administrative functions",
+  ],
+  denied: {
+    functions: DENIED_FUNCTIONS,
+    relations: DENIED_RELATIONS,
+    schemas: DENIED_SCHEMAS,
+    catalogRelations: CATALOG_RELATIONS,
+  },
+  explainPrefix: "EXPLAIN (FORMAT JSON) ",
+
+  // Result column type OIDs whose values are always personal data (piiMasker)
+  sensitiveTypes: { 650: "ip_address", 869: "ip_address", 829: "ip_address", 774: "ip_address" },
+
+  // json, json[], xml, xml[] and the geometric types have no sort order
+  unorderedTypes: [114, 199, 142, 143, 600, 601, 602, 603, 604, 628, 718],
+
+  defaultSchemas() {
+    return SCHEMA_NAMES;
+  },
+
+  quoteIdentifier(name) {
+    return `"${name.replace(/"/g, '""')}"`;
+  },
+
+  connectionFromString(connectionString) {
+    return { connectionString };
+  },
+
+  createPool(connection, name) {
+    return createPgPool(connection, name);
+  },
+
+  // Dedicated connection for LISTEN/NOTIFY schema invalidation
+  createClient(connection) {
+    return createPgClient(connection);
+  },
+
+  extractSchema,
+
+  /**
+   * Run callback(query, queryBatches, describe) in a BEGIN READ ONLY transaction that is always rolled back
+   * queryBatches reads through a cursor, so large results never sit in memory at once;
+   * describe declares one and fetches no rows
+   */
+  async withReadOnlyTransaction(pool, { timeoutMs, lockTimeoutMs, dbRole }, callback) {
+    const client = await pool.connect();
+    let releaseError;
+
+    try {
+      await client.query("BEGIN READ ONLY");
+      // SET doesn't accept bind parameters; values are validated integers
+      await client.query(`SET LOCAL statement_timeout = ${timeoutMs}`);
+      await client.query(`SET LOCAL lock_timeout = ${lockTimeoutMs}`);
+      await client.query(`SET LOCAL idle_in_transaction_session_timeout = ${timeoutMs}`);
+      // The caller's role runs the query with that database role's privileges
+      if (dbRole) await client.query(`SET LOCAL ROLE ${this.quoteIdentifier(dbRole)}`);
+
+      const toFields = (fields) => fields.map((f) => ({ name: f.name, dataType: f.dataTypeID }));
+
+      const query = async (sql) => {
+        const result = await client.query(sql);
+        return { rows: result.rows, fields: toFields(result.fields) };
+      };
+
+      const queryBatches = async (sql, batchSize, onBatch) => {
+        await declareCursor(client, "agent_export", sql);
+        for (let first = true; ; first = false) {
+          const result = await client.query(`FETCH ${batchSize} FROM agent_export`);
+          if (result.rows.length > 0 || first) await onBatch(result.rows, toFields(result.fields));
+          if (result.rows.length < batchSize) return;
+        }
+      };
+
+      const describe = async (sql) => {
+        await declareCursor(client, "agent_describe", sql);
+        const result = await client.query("FETCH 0 FROM agent_describe");
+        await client.query("CLOSE agent_describe");
+        return toFields(result.fields);
+      };
+
+      return await callback(query, queryBatches, describe);
+    } finally {
+      try {
+        await client.query("ROLLBACK");
+      } catch (error) {
+        // Connection is unusable (e.g. terminated by the idle timeout); don't return it to the pool
+        releaseError = error;
+      }
+      client.release(releaseError);
+    }
+  },
+
+  /**
+   * Export type of a result column (by type OID): integer, bigint, number,
+   * decimal, boolean, date, timestamp, timestamptz, json, binary or string
+   */
+  columnType(dataType) {
+    return COLUMN_TYPES[dataType] || "string";
+  },
+
+  parsePlan(rows) {
+    const [{ Plan: plan }] = rows[0]["QUERY PLAN"];
+    return plan;
+  },
+
+  /**
+   * Planner estimates of the top node; a Seq Scan's rows are the ones left after
+   * its filter, so table sizes come from tableRowEstimates
+   */
+  analyzePlan(plan) {
+    const fullScans = [];
+    const visit = (node) => {
+      if (node["Node Type"] === "Seq Scan") fullScans.push({ table: node["Relation Name"], rows: null });
+      (node.Plans || []).forEach(visit);
+    };
+    visit(plan);
+
+    return { estimatedRows: plan["Plan Rows"], estimatedCost: plan["Total Cost"], fullScans };
+  },
+
+  // Row counts from the last ANALYZE (reltuples is -1 for tables never analyzed)
+  async tableRowEstimates(query, tables) {
+    const names = tables.map((table) => `'${table.replace(/'/g, "''")}'`).join(", ");
+    const result = await query(
+      `SELECT relname AS name, MAX(reltuples)::bigint AS rows FROM pg_class
+       WHERE relkind IN ('r', 'p', 'm') AND relname IN (${names}) GROUP BY relname`
+    );
+    return Object.fromEntries(
+      result.rows.filter((row) => Number(row.rows) >= 0).map((row) => [row.name, Number(row.rows)])
+    );
+  },
+
+  mapError(error) {
+    return {
+      errorCode: ERROR_CODES[error.code] || "EXECUTION_ERROR",
+      code: error.code,
+      detail: error.detail,
+      hint: error.hint,
+      position: error.position ? parseInt(error.position, 10) : undefined,
+    };
+  },
+
+  isRepairable(code) {
+    return typeof code === "string" && REPAIRABLE_SQLSTATE_CLASSES.includes(code.slice(0, 2));
+  },
+};
+
+/**
+ * Helper: Declare a cursor for a statement; error positions point into the statement,
+ * as they do when it runs on its own
+ */
+async function declareCursor(client, name, sql) {
+  const declare = `DECLARE ${name} NO SCROLL CURSOR FOR `;
+  try {
+    await client.query(`${declare}${sql}`);
+  } catch (error) {
+    if (error.position) error.position = String(Math.max(parseInt(error.position, 10) - declare.length, 1));
+    throw error;
+  }
+}
+
+/**
+ * Read tables, views, columns, keys, indexes, enum values and comments from pg_catalog,
+ * plus sampled column values from pg_stats for schema linking
+ */
+async function extractSchema(pool, schemas) {
+  const [relations, columns, constraints, indexes, samples] = await Promise.all([
+    pool.query(RELATIONS_QUERY, [schemas]),
+    pool.query(COLUMNS_QUERY, [schemas]),
+    pool.query(CONSTRAINTS_QUERY, [schemas]),
+    pool.query(INDEXES_QUERY, [schemas]),
+    pool.query(SAMPLE_VALUES_QUERY, [schemas]),
+  ]);
+
+  const schema = {};
+  const tablesByOid = new Map();
+
+  relations.rows.forEach((row) => {
+    const table = {
+      schema: row.table_schema,
+      name: row.table_name,
+      kind: RELATION_KINDS[row.relkind],
+      comment: row.comment,
+      columns: [],
+      primaryKey: [],
+      foreignKeys: [],
+      uniqueConstraints: [],
+      indexes: [],
+    };
+    schema[qualifyName(row.table_schema, row.table_name)] = table;
+    tablesByOid.set(row.oid, table);
+  });
+
+  columns.rows.forEach((row) => {
+    const table = tablesByOid.get(row.table_oid);
+    if (!table) return;
+
+    table.columns.push({
+      column: row.column_name,
+      type: row.data_type,
+      nullable: row.is_nullable,
+      default: row.column_default,
+      comment: row.comment,
+      enumValues: row.enum_values,
+    });
+  });
+
+  constraints.rows.forEach((row) => {
+    const table = tablesByOid.get(row.table_oid);
+    if (!table) return;
+
+    if (row.constraint_type === "p") {
+      table.primaryKey = row.columns;
+    } else if (row.constraint_type === "u") {
+      table.uniqueConstraints.push(row.columns);
+    } else if (row.constraint_type === "f") {
+      table.foreignKeys.push({
+        name: row.constraint_name,
+        columns: row.columns,
+        references: {
+          table: qualifyName(row.foreign_schema, row.foreign_table),
+          columns: row.foreign_columns,
+        },
+      });
+    }
+  });
+
+  indexes.rows.forEach((row) => {
+    const table = tablesByOid.get(row.table_oid);
+    if (!table) return;
+
+    table.indexes.push({
+      name: row.index_name,
+      unique: row.is_unique,
+      definition: row.definition,
+    });
+  });
+
+  samples.rows.forEach((row) => {
+    const table = schema[qualifyName(row.table_schema, row.table_name)];
+    const col = table?.columns.find((c) => c.column === row.column_name);
+    if (!col || !SAMPLED_TYPES.test(col.type)) return;
+
+    col.sampleValues = row.sample_values;
+  });
+
+  return schema;
+}
+
+/**
+ * Helper: Name a relation the way SQL would reference it with the default search_path
+ */
+function qualifyName(schemaName, tableName) {
+  return schemaName === "public" ? tableName : `${schemaName}.${tableName}`;
+}
@@ -0,0 +1,366 @@
+import { fork } from "node:child_process";
+import Database from "better-sqlite3";
+
+/**
+ * SQLite Dialect
+ * Local database files opened read-only through better-sqlite3
+ */
+
+// SQLite result codes mapped to agent error codes
+const ERROR_CODES = {
+  SQLITE_INTERRUPT: "QUERY_TIMEOUT", // raised below when the reader is killed at the deadline
+  SQLITE_BUSY: "LOCK_TIMEOUT", // busy_timeout exceeded while another connection writes
+  SQLITE_READONLY: "READ_ONLY_VIOLATION",
+};
+
+// Functions that load native code or touch the filesystem (the last two come with the CLI)
+const DENIED_FUNCTIONS = ["load_extension", "readfile", "writefile", "edit", "fts3_tokenizer", "pragma_*"];
+
+// Catalog tables; the schema reaches the LLM through introspection instead
+const DENIED_RELATIONS = ["sqlite_master", "sqlite_schema", "sqlite_temp_master", "sqlite_temp_schema"];
+
+const DENIED_SCHEMAS = ["temp"];
+
+// Statements run in this child process, which is killed when they overrun the timeout
+const READER_PATH = new URL("./sqliteReader.js", import.meta.url);
+
+// Reader processes kept per database file between statements, so a statement doesn't wait for a fork
+const MAX_IDLE_READERS = 4;
+const idleReaders = new Map();
+
+// Rows the reader sends per message when the whole result is read at once
+const QUERY_BATCH_SIZE = 1000;
+
+// Schema names are identifiers, not bindable values
+const relationsQuery = (schemaName) => `
+  SELECT name, type
+  FROM "${schemaName.replace(/"/g, '""')}".sqlite_schema
+  WHERE type IN ('table', 'view')
+    AND name NOT LIKE 'sqlite_%'
+  ORDER BY name
+`;
+
+export const sqlite = {
+  name: "sqlite",
+  label: "SQLite",
+  promptRules: [
+    "Do not read sqlite_schema/sqlite_master or use PRAGMA statements or functions",
+    "Use date(), datetime() and strftime() for dates; there is no ILIKE (LIKE is case-insensitive for ASCII)",
+  ],
+  denied: {
+    functions: DENIED_FUNCTIONS,
+    relations: DENIED_RELATIONS,
+    schemas: DENIED_SCHEMAS,
+  },
+  // node-sql-parser grammar used by the safety checker
+  parserDatabase: "sqlite",
+  explainPrefix: "EXPLAIN QUERY PLAN ",
+
+  // Declared types are free text in SQLite; names and values still count
+  sensitiveTypes: {},
+
+  defaultSchemas() {
+    return ["main"];
+  },
+
+  quoteIdentifier(name) {
+    return `"${name.replace(/"/g, '""')}"`;
+  },
+
+  connectionFromString(filename) {
+    return { filename };
+  },
+
+  /**
+   * A single read-only handle; better-sqlite3 is synchronous, so there is nothing to pool
+   */
+  createPool(connection, name) {
+    const db = new Database(connection.filename, { readonly: true, fileMustExist: true });
+    // Second line of defence: SQLite itself also rejects writes on this connection
+    db.pragma("query_only = ON");
+    console.log(`Opened SQLite database "${name}" (${connection.filename})`);
+    return db;
+  },
+
+  extractSchema,
+
+  /**
+   * Run callback(query, queryBatches, describe) against the database file
+   *
+   * better-sqlite3 can't interrupt a running statement and blocks its thread
+   * until it returns, so statements run in reader processes (sqliteReader.js),
+   * one statement per reader at a time. A reader is killed when the deadline
+   * passes, and kept for later statements when its statement completes.
+   */
+  async withReadOnlyTransaction(db, { timeoutMs, lockTimeoutMs, dbRole }, callback) {
+    // Fail closed rather than run a role-restricted query with full privileges
+    if (dbRole) throw new Error("Database roles (dbRole) are not supported on SQLite");
+
+    const deadline = Date.now() + timeoutMs;
+    const read = (sql, batchSize, onBatch, describeOnly = false) =>
+      runReader({ filename: db.name, sql, lockTimeoutMs, batchSize, describeOnly }, deadline, timeoutMs, onBatch);
+
+    const query = async (sql) => {
+      const rows = [];
+      const fields = await read(sql, QUERY_BATCH_SIZE, (batch) => rows.push(...batch));
+      return { rows, fields };
+    };
+
+    const queryBatches = async (sql, batchSize, onBatch) => {
+      let sent = false;
+      const fields = await read(sql, batchSize, async (batch, batchFields) => {
+        await onBatch(batch, batchFields);
+        sent = true;
+      });
+      if (!sent) await onBatch([], fields);
+    };
+
+    const describe = (sql) => read(sql, QUERY_BATCH_SIZE, () => {}, true);
+
+    return callback(query, queryBatches, describe);
+  },
+
+  /**
+   * Export type of a result column from its declared type, by SQLite's
+   * affinity rules; null for expressions and NUMERIC affinity ("DATETIME",
+   * "BOOLEAN"), which may hold any type, so the values decide
+   */
+  columnType(dataType) {
+    if (!dataType) return null;
+    const declared = dataType.toUpperCase();
+    if (declared.includes("INT")) return "integer";
+    if (/CHAR|CLOB|TEXT/.test(declared)) return "string";
+    if (declared.includes("BLOB")) return "binary";
+    if (/REAL|FLOA|DOUB/.test(declared)) return "number";
+    return null;
+  },
+
+  parsePlan(rows) {
+    return rows.map((row) => ({ id: row.id, parent: row.parent, detail: row.detail }));
+  },
+
+  /**
+   * SQLite plans carry no cost or row estimates, only which tables are scanned
+   * in full ("SCAN <table or alias>"); subqueries it scans are skipped
+   */
+  analyzePlan(plan) {
+    const subqueries = plan
+      .map((step) => /^(?:CO-ROUTINE|MATERIALIZE) (\S+)/.exec(step.detail)?.[1])
+      .filter(Boolean);
+    const fullScans = plan
+      .map((step) => /^SCAN (?:TABLE )?(\S+)/.exec(step.detail)?.[1])
+      .filter((table) => table && table !== "CONSTANT" && !subqueries.includes(table))
+      .map((table) => ({ table, rows: null }));
+
+    return { estimatedRows: null, estimatedCost: null, fullScans };
+  },
+
+  mapError(error) {
+    return {
+      errorCode: ERROR_CODES[error.code] || "EXECUTION_ERROR",
+      code: error.code,
+    };
+  },
+
+  // SQLITE_ERROR covers syntax errors and unknown tables or columns
+  isRepairable(code) {
+    return code === "SQLITE_ERROR";
+  },
+};
+
+/**
+ * Read tables, views, columns, keys and indexes through the pragma table functions
+ */
+async function extractSchema(db, schemas) {
+  const schema = {};
+
+  for (const schemaName of schemas) {
+    const relations = db.prepare(relationsQuery(schemaName)).all();
+
+    relations.forEach((relation) => {
+      schema[qualifyName(schemaName, relation.name)] = readTable(db, schemaName, relation);
+    });
+  }
+
+  // Foreign keys may omit the referenced columns when they point at the primary key
+  Object.values(schema).forEach((table) => {
+    table.foreignKeys.forEach((fk) => {
+      if (fk.references.columns.every((col) => col !== null)) return;
+      fk.references.columns = schema[fk.references.table]?.primaryKey || fk.references.columns;
+    });
+  });
+
+  return schema;
+}
+
+function readTable(db, schemaName, relation) {
+  const pragma = (name, arg) =>
+    db.prepare(`SELECT * FROM pragma_${name}(?, ?)`).all(arg, schemaName);
+
+  const columns = pragma("table_xinfo", relation.name).filter((col) => col.hidden === 0);
+
+  const foreignKeys = new Map();
+  pragma("foreign_key_list", relation.name).forEach((row) => {
+    if (!foreignKeys.has(row.id)) {
+      foreignKeys.set(row.id, {
+        name: `${relation.name}_fk_${row.id}`,
+        columns: [],
+        references: { table: qualifyName(schemaName, row.table), columns: [] },
+      });
+    }
+    foreignKeys.get(row.id).columns.push(row.from);
+    foreignKeys.get(row.id).references.columns.push(row.to);
+  });
+
+  const uniqueConstraints = [];
+  const indexes = [];
+  pragma("index_list", relation.name).forEach((index) => {
+    const indexColumns = pragma("index_info", index.name).map((col) => col.name);
+
+    if (index.origin === "u") {
+      uniqueConstraints.push(indexColumns);
+    } else if (index.origin === "c") {
+      const { sql } = db
+        .prepare(`SELECT sql FROM "${schemaName.replace(/"/g, '""')}".sqlite_schema WHERE name = ?`)
+        .get(index.name);
+      indexes.push({ name: index.name, unique: index.unique === 1, definition: sql });
+    }
+  });
+
+  return {
+    schema: schemaName,
+    name: relation.name,
+    kind: relation.type,
+    comment: null,
+    columns: columns.map((col) => ({
+      column: col.name,
+      type: col.type || "any",
+      nullable: col.notnull === 0 && col.pk === 0,
+      default: col.dflt_value,
+      comment: null,
+      enumValues: null,
+    })),
+    primaryKey: columns
+      .filter((col) => col.pk > 0)
+      .sort((a, b) => a.pk - b.pk)
+      .map((col) => col.name),
+    foreignKeys: [...foreignKeys.values()],
+    uniqueConstraints,
+    indexes,
+  };
+}
+
+/**
+ * Helper: Tables in the main database are referenced unqualified
+ */
+function qualifyName(schemaName, tableName) {
+  return schemaName === "main" ? tableName : `${schemaName}.${tableName}`;
+}
+
+/**
+ * Helper: Run one statement in a reader process, handing its rows to
+ * onBatch(rows, fields) batch by batch; resolves with the result's fields
+ */
+function runReader(request, deadline, timeoutMs, onBatch) {
+  return new Promise((resolve, reject) => {
+    const reader = takeReader(request.filename);
+    let fields = [];
+    let settled = false;
+
+    // A reader that finished its statement can take the next one; any other is killed
+    const settle = (error, finished = false) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      reader.off("message", onMessage);
+      reader.off("error", settle);
+      reader.off("close", onClose);
+      if (finished) returnReader(request.filename, reader);
+      else if (reader.exitCode === null) reader.kill("SIGKILL");
+      if (error) reject(error);
+      else resolve(fields);
+    };
+
+    const timer = setTimeout(
+      () => settle(sqliteError("SQLITE_INTERRUPT", `Query exceeded the ${timeoutMs}ms timeout`)),
+      Math.max(deadline - Date.now(), 0)
+    );
+
+    const onMessage = async (message) => {
+      try {
+        if (message.type === "fields") {
+          fields = message.fields;
+        } else if (message.type === "rows") {
+          await onBatch(message.rows.map(toBuffers), fields);
+          if (!settled) reader.send("next");
+        } else if (message.type === "error") {
+          settle(sqliteError(message.code, message.message), true);
+        } else if (message.type === "done") {
+          settle(null, true);
+        }
+      } catch (error) {
+        settle(error);
+      }
+    };
+    const onClose = (code, signal) =>
+      settle(new Error(`SQLite reader exited unexpectedly (${signal || `code ${code}`})`));
+
+    reader.on("message", onMessage);
+    reader.on("error", settle);
+    reader.on("close", onClose);
+
+    reader.send(request);
+  });
+}
+
+/**
+ * Helper: An idle reader for the database file, or a new one
+ */
+function takeReader(filename) {
+  const reader = idleReaders.get(filename)?.pop();
+  if (reader) {
+    reader.ref();
+    reader.channel.ref();
+    return reader;
+  }
+
+  const created = fork(READER_PATH, { serialization: "advanced", stdio: ["ignore", "inherit", "inherit", "ipc"] });
+  created.on("exit", () => {
+    const idle = idleReaders.get(filename) || [];
+    if (idle.includes(created)) idle.splice(idle.indexOf(created), 1);
+  });
+  return created;
+}
+
+/**
+ * Helper: Keep a reader for the next statement; an idle reader doesn't keep the process running
+ */
+function returnReader(filename, reader) {
+  const idle = idleReaders.get(filename) || [];
+  if (idle.length >= MAX_IDLE_READERS) {
+    reader.kill();
+    return;
+  }
+
+  reader.unref();
+  reader.channel.unref();
+  idle.push(reader);
+  idleReaders.set(filename, idle);
+}
+
+/**
+ * Helper: BLOBs cross the process boundary as plain Uint8Arrays; make them
+ * Buffers again, as better-sqlite3 returns them
+ */
+function toBuffers(row) {
+  for (const [key, value] of Object.entries(row)) {
+    if (value instanceof Uint8Array && !Buffer.isBuffer(value)) {
+      row[key] = Buffer.from(value.buffer, value.byteOffset, value.byteLength);
+    }
+  }
+  return row;
+}
+
+function sqliteError(code, message) {
+  return Object.assign(new Error(message), { code });
+}
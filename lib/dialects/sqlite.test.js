@@ -0,0 +1,183 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { sqlite } from "./sqlite.js";
+import { useShopDatabase } from "../testing/fixtures.js";
+
+const shop = useShopDatabase();
+const settings = { timeoutMs: 5000, lockTimeoutMs: 1000, dbRole: null };
+
+let db;
+before(() => {
+  db = sqlite.createPool({ filename: shop.filename }, "shop");
+});
+after(() => db.close());
+
+const run = (callback, overrides = {}) => sqlite.withReadOnlyTransaction(db, { ...settings, ...overrides }, callback);
+
+describe("sqlite.withReadOnlyTransaction", () => {
+  it("returns rows and fields with their declared types", async () => {
+    const { rows, fields } = await run((query) =>
+      query("SELECT id, name, price, x'0001ff' AS code FROM products WHERE id = 1")
+    );
+
+    assert.deepEqual(fields, [
+      { name: "id", dataType: "INTEGER" },
+      { name: "name", dataType: "TEXT" },
+      { name: "price", dataType: "REAL" },
+      { name: "code", dataType: null },
+    ]);
+    assert.equal(rows[0].name, "Espresso Beans 1kg");
+    // BLOBs come back as Buffers, as better-sqlite3 returns them
+    assert.ok(Buffer.isBuffer(rows[0].code));
+    assert.deepEqual([...rows[0].code], [0, 1, 255]);
+  });
+
+  it("hands rows over in batches", async () => {
+    const batches = [];
+    await run((query, queryBatches) =>
+      queryBatches("SELECT id FROM orders ORDER BY id", 8, (rows, fields) => {
+        batches.push({ ids: rows.map((row) => row.id), fields: fields.map((field) => field.name) });
+      })
+    );
+
+    assert.deepEqual(batches.map((batch) => batch.ids.length), [8, 8, 4]);
+    assert.deepEqual(batches[2].ids, [17, 18, 19, 20]);
+    assert.deepEqual(batches[0].fields, ["id"]);
+  });
+
+  it("hands over one empty batch with the fields when there are no rows", async () => {
+    const batches = [];
+    await run((query, queryBatches) =>
+      queryBatches("SELECT id, status FROM orders WHERE id < 0", 8, (rows, fields) => batches.push({ rows, fields }))
+    );
+
+    assert.deepEqual(batches, [
+      { rows: [], fields: [{ name: "id", dataType: "INTEGER" }, { name: "status", dataType: "TEXT" }] },
+    ]);
+  });
+
+  it("rejects statements that write", async () => {
+    await assert.rejects(run((query) => query("DELETE FROM orders")), (error) => {
+      assert.equal(error.code, "SQLITE_READONLY");
+      assert.equal(sqlite.mapError(error).errorCode, "READ_ONLY_VIOLATION");
+      return true;
+    });
+
+    const { rows } = await run((query) => query("SELECT count(*) AS n FROM orders"));
+    assert.equal(rows[0].n, 20);
+  });
+
+  it("reports SQL errors as repairable", async () => {
+    await assert.rejects(run((query) => query("SELECT missing FROM orders")), (error) => {
+      assert.equal(error.code, "SQLITE_ERROR");
+      assert.equal(sqlite.isRepairable(sqlite.mapError(error).code), true);
+      return true;
+    });
+  });
+
+  it("stops a runaway statement at the timeout", async () => {
+    const started = Date.now();
+
+    await assert.rejects(
+      run(
+        (query) => query("WITH RECURSIVE n(i) AS (SELECT 1 UNION ALL SELECT i + 1 FROM n) SELECT count(*) FROM n"),
+        { timeoutMs: 300 }
+      ),
+      (error) => {
+        assert.equal(error.code, "SQLITE_INTERRUPT");
+        assert.equal(sqlite.mapError(error).errorCode, "QUERY_TIMEOUT");
+        return true;
+      }
+    );
+    assert.ok(Date.now() - started < 3000);
+
+    // The next statement runs as usual
+    const { rows } = await run((query) => query("SELECT count(*) AS n FROM customers"));
+    assert.equal(rows[0].n, 10);
+  });
+
+  it("runs statements side by side and after one failed", async () => {
+    await assert.rejects(run((query) => query("SELECT missing FROM orders")), { code: "SQLITE_ERROR" });
+
+    const counts = await Promise.all(
+      ["orders", "customers", "products"].map((table) => run((query) => query(`SELECT count(*) AS n FROM ${table}`)))
+    );
+    assert.deepEqual(counts.map(({ rows }) => rows[0].n), [20, 10, 8]);
+  });
+
+  it("describes a statement's columns without reading its rows", async () => {
+    const fields = await run((query, queryBatches, describe) => describe("SELECT o.id, c.id FROM orders o, customers c"));
+
+    assert.deepEqual(fields, [
+      { name: "id", dataType: "INTEGER" },
+      { name: "id", dataType: "INTEGER" },
+    ]);
+    await assert.rejects(run((query, queryBatches, describe) => describe("DELETE FROM orders")), { code: "SQLITE_READONLY" });
+  });
+
+  it("refuses to run under a database role", async () => {
+    await assert.rejects(run((query) => query("SELECT 1"), { dbRole: "analyst_ro" }), /not supported on SQLite/);
+  });
+});
+
+describe("sqlite.extractSchema", () => {
+  it("reads tables, columns and keys", async () => {
+    const schema = await sqlite.extractSchema(db, ["main"]);
+
+    assert.deepEqual(Object.keys(schema), ["customers", "order_items", "orders", "products"]);
+    assert.deepEqual(
+      schema.customers.columns.map(({ column, type, nullable }) => [column, type, nullable]),
+      [
+        ["id", "INTEGER", false],
+        ["name", "TEXT", false],
+        ["country", "TEXT", false],
+        ["signed_up_at", "TEXT", false],
+      ]
+    );
+    assert.deepEqual(schema.order_items.primaryKey, ["order_id", "product_id"]);
+    assert.deepEqual(
+      schema.order_items.foreignKeys.map((fk) => [fk.columns, fk.references]).sort(),
+      [
+        [["order_id"], { table: "orders", columns: ["id"] }],
+        [["product_id"], { table: "products", columns: ["id"] }],
+      ].sort()
+    );
+  });
+});
+
+describe("sqlite dialect helpers", () => {
+  it("maps declared types by affinity", () => {
+    assert.equal(sqlite.columnType("BIGINT"), "integer");
+    assert.equal(sqlite.columnType("varchar(80)"), "string");
+    assert.equal(sqlite.columnType("BLOB"), "binary");
+    assert.equal(sqlite.columnType("DOUBLE PRECISION"), "number");
+    assert.equal(sqlite.columnType("DATETIME"), null);
+    assert.equal(sqlite.columnType(null), null);
+  });
+
+  it("finds full scans in a plan, skipping subqueries", () => {
+    const plan = sqlite.parsePlan([
+      { id: 2, parent: 0, detail: "MATERIALIZE recent" },
+      { id: 3, parent: 2, detail: "SCAN orders" },
+      { id: 7, parent: 0, detail: "SCAN recent" },
+      { id: 9, parent: 0, detail: "SEARCH customers USING INTEGER PRIMARY KEY (rowid=?)" },
+      { id: 12, parent: 0, detail: "SCAN CONSTANT ROW" },
+    ]);
+
+    assert.deepEqual(sqlite.analyzePlan(plan), {
+      estimatedRows: null,
+      estimatedCost: null,
+      fullScans: [{ table: "orders", rows: null }],
+    });
+  });
+
+  it("maps error codes", () => {
+    assert.equal(sqlite.mapError({ code: "SQLITE_BUSY" }).errorCode, "LOCK_TIMEOUT");
+    assert.equal(sqlite.mapError({ code: "SQLITE_CORRUPT" }).errorCode, "EXECUTION_ERROR");
+    assert.equal(sqlite.isRepairable("SQLITE_BUSY"), false);
+  });
+
+  it("quotes identifiers", () => {
+    assert.equal(sqlite.quoteIdentifier('odd"name'), '"odd""name"');
+  });
+});
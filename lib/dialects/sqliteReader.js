@@ -0,0 +1,82 @@
+import Database from "better-sqlite3";
+
+/**
+ * SQLite Reader Process
+ * Runs statements for the SQLite dialect in a child process: better-sqlite3
+ * blocks its thread until a statement returns, and a runaway one (an unbounded
+ * recursive CTE) never does, so the dialect kills this process at the deadline
+ * instead of waiting on it. Otherwise the process stays up and takes the next
+ * statement, one at a time, on the database it opened for the first.
+ *
+ *   parent → { filename, sql, lockTimeoutMs, batchSize, describeOnly }
+ *   reader → { type: "fields", fields }, { type: "rows", rows } … { type: "done" }
+ *            (no rows when describeOnly)
+ *            or { type: "error", code, message }
+ *   parent → "next" after each batch of rows, so a slow consumer holds the reader back
+ */
+
+let db = null;
+let nextBatch = null;
+
+// Nobody is left to read the rows once the parent goes away
+process.on("disconnect", () => process.exit(0));
+
+process.on("message", (message) => {
+  if (message === "next") {
+    nextBatch?.();
+  } else {
+    run(message);
+  }
+});
+
+async function run({ filename, sql, lockTimeoutMs, batchSize, describeOnly }) {
+  try {
+    if (!db) {
+      db = new Database(filename, { readonly: true, fileMustExist: true });
+      db.pragma("query_only = ON");
+    }
+    db.pragma(`busy_timeout = ${lockTimeoutMs}`);
+
+    const statement = db.prepare(sql);
+    if (!statement.readonly || !statement.reader) {
+      throw Object.assign(new Error("Only read-only statements that return rows can be executed"), {
+        code: "SQLITE_READONLY",
+      });
+    }
+    process.send({
+      type: "fields",
+      fields: statement.columns().map((col) => ({ name: col.name, dataType: col.type })),
+    });
+    if (describeOnly) {
+      process.send({ type: "done" });
+      return;
+    }
+
+    let batch = [];
+    for (const row of statement.iterate()) {
+      batch.push(row);
+      if (batch.length === batchSize) {
+        await sendRows(batch);
+        batch = [];
+      }
+    }
+    if (batch.length > 0) await sendRows(batch);
+
+    process.send({ type: "done" });
+  } catch (error) {
+    process.send({ type: "error", code: error.code, message: error.message });
+  }
+}
+
+/**
+ * Helper: Send a batch and wait until the parent asks for the next one
+ */
+function sendRows(rows) {
+  return new Promise((resolve) => {
+    nextBatch = () => {
+      nextBatch = null;
+      resolve();
+    };
+    process.send({ type: "rows", rows });
+  });
+}
@@ -0,0 +1,206 @@
+import { sqlQueryAgent } from "../agent.js";
+import { getDataSource } from "../dataSources.js";
+import { createProvider, setProvider, getProvider } from "../llm/index.js";
+import { withRecording } from "../llm/replayProvider.js";
+import { executeQuerySafe, MAX_ROWS_CEILING } from "../tools/queryExecutor.js";
+
+/**
+ * Evaluation Harness
+ * Runs every question of a suite through sqlQueryAgent and scores the answer
+ * against the reference SQL by execution result:
+ *
+ *   correct       → same rows as the reference (any row order unless the case is
+ *                   "ordered"; any column order and names); refused when expected
+ *   wrong_result  → the agent's SQL ran but returned different rows
+ *   blocked       → the safety check refused an answerable question
+ *   not_blocked   → a request that should be refused was answered
+ *   error         → generation, execution or summarization failed, or the agent
+ *                   asked a clarifying question (golden questions are unambiguous)
+ *
+ * Each case also records its generation attempts, execution repairs, latency
+ * and LLM tokens.
+ */
+
+const NUMERIC = /^-?\d+(\.\d+)?([eE][+-]?\d+)?$/;
+
+/**
+ * Run a suite; database is the data source to query (the fixture's name, or the
+ * suite's configured source). provider overrides the suite's LLM provider;
+ * record writes its calls to the suite's llm.fixtures for later replay.
+ * onCase(result) is called as each case finishes. A replayed prompt without a
+ * recording fails the whole run: the fixtures are out of date.
+ */
+export async function runSuite(suite, { database, provider = null, record = false, onCase = () => {} } = {}) {
+  const source = getDataSource(database);
+  if (!source) throw new Error(`Evaluation suite "${suite.name}": unknown database "${database}"`);
+
+  const providerName = provider || suite.llm?.provider || process.env.LLM_PROVIDER || "gemini";
+  const fixtures = suite.llm?.fixtures;
+  if ((record || providerName === "replay") && !fixtures) {
+    throw new Error(`Evaluation suite "${suite.name}": recording or replaying LLM calls needs "llm.fixtures"`);
+  }
+  if (record && providerName === "replay") {
+    throw new Error(`Evaluation suite "${suite.name}": record with a real provider, not "replay"`);
+  }
+
+  const config = {
+    mock: suite.llm?.script ? { script: suite.llm.script } : {},
+    replay: { fixtures },
+  };
+  const llm = createProvider(providerName, config[providerName] || {});
+  setProvider(record ? withRecording(llm, { fixtures }) : llm);
+
+  const cases = [];
+  for (const testCase of suite.cases) {
+    const result = await runCase(testCase, source);
+    if (llm.misses?.length > 0) {
+      throw new Error(`Case "${testCase.id}": ${llm.misses.length} prompt(s) have no recording in ${fixtures}; record the suite again`);
+    }
+    cases.push(result);
+    onCase(result);
+  }
+
+  return {
+    provider: providerName,
+    model: getProvider().defaultModel,
+    cases,
+  };
+}
+
+/**
+ * Compare two query results by their rows
+ * Columns are matched by their values, so aliases and column order don't
+ * matter; rows are compared as a multiset unless ordered. Returns { equal, reason }.
+ */
+export function compareResults(expected, actual, { ordered = false } = {}) {
+  if (expected.rows.length !== actual.rows.length) {
+    return { equal: false, reason: `expected ${expected.rows.length} rows, got ${actual.rows.length}` };
+  }
+
+  const expectedColumns = expected.fields.map((field) => field.name);
+  const actualColumns = actual.fields.map((field) => field.name);
+  if (expectedColumns.length !== actualColumns.length) {
+    return { equal: false, reason: `expected ${expectedColumns.length} columns, got ${actualColumns.length}` };
+  }
+
+  // Pair each expected column with an unused actual column holding the same values
+  const signature = (rows, column) =>
+    JSON.stringify(rows.map((row) => normalizeValue(row[column])).sort(compareNormalized));
+  const unused = new Map(actualColumns.map((column) => [column, signature(actual.rows, column)]));
+  const mapping = [];
+
+  for (const column of expectedColumns) {
+    const wanted = signature(expected.rows, column);
+    const candidates = [...unused.keys()].filter((name) => unused.get(name) === wanted);
+    const match = candidates.includes(column) ? column : candidates[0];
+    if (match === undefined) return { equal: false, reason: `no column matches the values of "${column}"` };
+    mapping.push(match);
+    unused.delete(match);
+  }
+
+  const toTuples = (rows, columns) => rows.map((row) => JSON.stringify(columns.map((column) => normalizeValue(row[column]))));
+  const expectedTuples = toTuples(expected.rows, expectedColumns);
+  const actualTuples = toTuples(actual.rows, mapping);
+  if (!ordered) {
+    expectedTuples.sort();
+    actualTuples.sort();
+  }
+
+  const mismatch = expectedTuples.findIndex((tuple, index) => tuple !== actualTuples[index]);
+  if (mismatch !== -1) {
+    return {
+      equal: false,
+      reason: ordered ? `row ${mismatch + 1} differs` : "the rows differ",
+    };
+  }
+
+  return { equal: true, reason: null };
+}
+
+async function runCase(testCase, source) {
+  const expect = testCase.expect || "rows";
+  const steps = [];
+
+  // Run the reference first: a broken golden query is the suite's fault, not the agent's
+  let reference = null;
+  if (expect === "rows") {
+    reference = await executeQuerySafe(testCase.sql, MAX_ROWS_CEILING, { source });
+    if (!reference.success) {
+      throw new Error(`Case "${testCase.id}": the reference SQL failed: ${reference.error}`);
+    }
+  }
+
+  const startedAt = Date.now();
+  const result = await sqlQueryAgent(testCase.question, {
+    database: source.name,
+    maxRows: MAX_ROWS_CEILING,
+    maxRetries: 3,
+    // Trace steps arrive as events; rows and summary tokens carry no step
+    onEvent: (event, data) => {
+      if (data?.step) steps.push(data);
+    },
+  });
+  const latencyMs = Date.now() - startedAt;
+
+  const blocked = !result.success && Boolean(result.lastIssues);
+  const { outcome, reason } = scoreCase(testCase, expect, result, blocked, reference);
+
+  return {
+    id: testCase.id,
+    question: testCase.question,
+    expect,
+    outcome,
+    reason,
+    query: result.query ?? null,
+    errorCode: result.errorCode ?? null,
+    attempts: steps.filter((step) => step.step === "query_generation").length,
+    repairs: steps.filter((step) => step.step === "execution_repair").length,
+    latencyMs,
+    usage: result.usage,
+  };
+}
+
+function scoreCase(testCase, expect, result, blocked, reference) {
+  if (result.needsClarification) {
+    return { outcome: "error", reason: `asked for clarification: ${result.clarification.question}` };
+  }
+
+  if (expect === "blocked") {
+    if (blocked) return { outcome: "correct", reason: null };
+    if (result.success) return { outcome: "not_blocked", reason: "the request was answered" };
+    return { outcome: "error", reason: result.error };
+  }
+
+  if (blocked) {
+    return { outcome: "blocked", reason: result.lastIssues.map((issue) => issue.message).join("; ") };
+  }
+  if (!result.success) {
+    return { outcome: "error", reason: [result.error, result.details?.message ?? result.details].filter(Boolean).join(": ") };
+  }
+
+  const comparison = compareResults(reference, result.data, { ordered: testCase.ordered === true });
+  return comparison.equal
+    ? { outcome: "correct", reason: null }
+    : { outcome: "wrong_result", reason: comparison.reason };
+}
+
+/**
+ * Helper: Comparable form of a value across drivers
+ * Numbers (and numeric strings, e.g. PostgreSQL NUMERIC) are rounded so float
+ * noise doesn't count; booleans are 1/0 since SQLite has none
+ */
+function normalizeValue(value) {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (Buffer.isBuffer(value)) return value.toString("hex");
+  if (typeof value === "boolean") return value ? 1 : 0;
+  if (typeof value === "bigint" || typeof value === "number" || (typeof value === "string" && NUMERIC.test(value))) {
+    return Math.round(Number(value) * 1e6) / 1e6;
+  }
+  if (typeof value === "object") return JSON.stringify(value);
+  return value;
+}
+
+function compareNormalized(a, b) {
+  return JSON.stringify(a) < JSON.stringify(b) ? -1 : JSON.stringify(a) > JSON.stringify(b) ? 1 : 0;
+}
@@ -0,0 +1,54 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { compareResults } from "./harness.js";
+import { loadSuite } from "./suites.js";
+import { SHOP_SUITE } from "../testing/fixtures.js";
+
+const result = (columns, rows) => ({
+  fields: columns.map((name) => ({ name })),
+  rows: rows.map((values) => Object.fromEntries(columns.map((column, index) => [column, values[index]]))),
+});
+
+describe("compareResults", () => {
+  it("matches columns by their values, whatever they are called", () => {
+    const expected = result(["country", "customers"], [["Germany", 3], ["France", 2]]);
+    const actual = result(["n", "c"], [[2, "France"], [3, "Germany"]]);
+
+    assert.deepEqual(compareResults(expected, actual), { equal: true, reason: null });
+  });
+
+  it("compares row order only when the case is ordered", () => {
+    const expected = result(["name"], [["a"], ["b"]]);
+    const actual = result(["name"], [["b"], ["a"]]);
+
+    assert.equal(compareResults(expected, actual).equal, true);
+    assert.deepEqual(compareResults(expected, actual, { ordered: true }), { equal: false, reason: "row 1 differs" });
+  });
+
+  it("explains why results differ", () => {
+    const expected = result(["id"], [[1], [2]]);
+
+    assert.equal(compareResults(expected, result(["id"], [[1]])).reason, "expected 2 rows, got 1");
+    assert.equal(compareResults(expected, result(["id", "x"], [[1, 1], [2, 2]])).reason, "expected 1 columns, got 2");
+    assert.equal(compareResults(expected, result(["id"], [[1], [3]])).reason, 'no column matches the values of "id"');
+  });
+
+  it("keeps rows apart that only differ across columns", () => {
+    const expected = result(["a", "b"], [[1, 2], [2, 1]]);
+    const actual = result(["a", "b"], [[1, 1], [2, 2]]);
+
+    assert.equal(compareResults(expected, actual).equal, false);
+  });
+});
+
+describe("loadSuite", () => {
+  it("resolves the fixture, mock script and recordings of the bundled suite", () => {
+    const suite = loadSuite(SHOP_SUITE);
+
+    assert.equal(suite.name, "shop");
+    assert.match(suite.database.fixture, /eval\/fixtures\/shop\.sql$/);
+    assert.match(suite.llm.fixtures, /eval\/recordings\/shop\.json$/);
+    assert.equal(typeof suite.llm.script, "object");
+    assert.ok(suite.cases.some((testCase) => testCase.expect === "blocked"));
+  });
+});
@@ -0,0 +1,194 @@
+/**
+ * Evaluation Reports
+ * Turns scored cases into a report (summary metrics plus every case), compares
+ * a report with a baseline run and renders both as Markdown.
+ */
+
+// Summary metrics shown in reports: key, label, format, whether higher is better
+const METRICS = [
+  ["executionAccuracy", "Execution accuracy", "percent", true],
+  ["unsafeBlockRate", "Unsafe requests blocked", "percent", true],
+  ["safetyBlockRate", "Answerable questions blocked", "percent", false],
+  ["retryRate", "Questions needing a retry or repair", "percent", false],
+  ["avgAttempts", "Generation attempts per question", "decimal", false],
+  ["avgRepairs", "Execution repairs per question", "decimal", false],
+  ["latencyP50Ms", "Latency p50", "ms", false],
+  ["latencyP95Ms", "Latency p95", "ms", false],
+  ["totalTokens", "LLM tokens", "integer", false],
+];
+
+// Metrics that fail a run (--fail-on-regression) when they drop below the baseline
+const GUARDED_METRICS = ["executionAccuracy", "unsafeBlockRate"];
+
+/**
+ * Build the report of one suite run
+ */
+export function buildReport(suite, run, { startedAt, durationMs }) {
+  return {
+    suite: suite.name,
+    description: suite.description || null,
+    provider: run.provider,
+    model: run.model,
+    startedAt,
+    durationMs,
+    summary: summarizeCases(run.cases),
+    cases: run.cases,
+  };
+}
+
+/**
+ * Summary metrics over scored cases
+ * Rates are fractions (null without cases to rate); answerable cases are the
+ * ones with reference SQL, unsafe ones those expected to be blocked
+ */
+export function summarizeCases(cases) {
+  const answerable = cases.filter((c) => c.expect === "rows");
+  const unsafe = cases.filter((c) => c.expect === "blocked");
+  const count = (list, outcome) => list.filter((c) => c.outcome === outcome).length;
+  const rate = (part, whole) => (whole > 0 ? round(part / whole, 4) : null);
+  const latencies = cases.map((c) => c.latencyMs).sort((a, b) => a - b);
+  const inputTokens = cases.reduce((sum, c) => sum + (c.usage?.inputTokens || 0), 0);
+  const outputTokens = cases.reduce((sum, c) => sum + (c.usage?.outputTokens || 0), 0);
+
+  return {
+    cases: cases.length,
+    answerable: answerable.length,
+    correct: count(answerable, "correct"),
+    wrongResults: count(answerable, "wrong_result"),
+    errors: count(cases, "error"),
+    blocked: count(answerable, "blocked"),
+    unsafe: unsafe.length,
+    unsafeBlocked: count(unsafe, "correct"),
+    executionAccuracy: rate(count(answerable, "correct"), answerable.length),
+    safetyBlockRate: rate(count(answerable, "blocked"), answerable.length),
+    unsafeBlockRate: rate(count(unsafe, "correct"), unsafe.length),
+    retryRate: rate(answerable.filter((c) => c.attempts > 1 || c.repairs > 0).length, answerable.length),
+    avgAttempts: cases.length > 0 ? round(cases.reduce((sum, c) => sum + c.attempts, 0) / cases.length, 2) : null,
+    avgRepairs: cases.length > 0 ? round(cases.reduce((sum, c) => sum + c.repairs, 0) / cases.length, 2) : null,
+    latencyMeanMs: latencies.length > 0 ? Math.round(latencies.reduce((sum, ms) => sum + ms, 0) / latencies.length) : null,
+    latencyP50Ms: percentile(latencies, 0.5),
+    latencyP95Ms: percentile(latencies, 0.95),
+    inputTokens,
+    outputTokens,
+    totalTokens: inputTokens + outputTokens,
+  };
+}
+
+/**
+ * Compare a report with a baseline report of the same suite
+ * Returns metric deltas and the cases whose outcome changed; a regression is a
+ * case that was correct and no longer is, or a guarded metric that dropped
+ */
+export function diffReports(baseline, report) {
+  const baselineCases = new Map(baseline.cases.map((c) => [c.id, c]));
+  const currentIds = new Set(report.cases.map((c) => c.id));
+
+  const changed = report.cases
+    .filter((c) => baselineCases.has(c.id) && baselineCases.get(c.id).outcome !== c.outcome)
+    .map((c) => ({ id: c.id, from: baselineCases.get(c.id).outcome, to: c.outcome, reason: c.reason }));
+
+  const metrics = METRICS.map(([key]) => {
+    const before = baseline.summary[key] ?? null;
+    const after = report.summary[key] ?? null;
+    return { key, baseline: before, current: after, delta: before !== null && after !== null ? round(after - before, 4) : null };
+  });
+
+  return {
+    baselineStartedAt: baseline.startedAt,
+    baselineProvider: baseline.provider,
+    metrics,
+    regressions: changed.filter((c) => c.from === "correct"),
+    improvements: changed.filter((c) => c.to === "correct"),
+    otherChanges: changed.filter((c) => c.from !== "correct" && c.to !== "correct"),
+    added: report.cases.filter((c) => !baselineCases.has(c.id)).map((c) => c.id),
+    removed: baseline.cases.filter((c) => !currentIds.has(c.id)).map((c) => c.id),
+  };
+}
+
+/**
+ * Whether a diff should fail the run
+ */
+export function hasRegressions(diff) {
+  if (diff.regressions.length > 0) return true;
+  return diff.metrics.some(({ key, delta }) => GUARDED_METRICS.includes(key) && delta !== null && delta < 0);
+}
+
+/**
+ * Markdown rendering of a report, with the baseline comparison when given
+ */
+export function formatMarkdown(report, diff = null) {
+  const { summary } = report;
+  const lines = [
+    `# Evaluation: ${report.suite}`,
+    "",
+    ...(report.description ? [report.description, ""] : []),
+    `Provider \`${report.provider}\` (model \`${report.model}\`) · ${summary.cases} cases · ${report.startedAt} · ${(report.durationMs / 1000).toFixed(1)}s`,
+    "",
+    `- Correct: ${summary.correct} of ${summary.answerable} answerable questions (wrong results: ${summary.wrongResults}, blocked: ${summary.blocked})`,
+    `- Unsafe requests blocked: ${summary.unsafeBlocked} of ${summary.unsafe}`,
+    `- Errors: ${summary.errors}`,
+    "",
+  ];
+
+  const diffByKey = new Map((diff?.metrics || []).map((metric) => [metric.key, metric]));
+  lines.push(diff ? "| Metric | Current | Baseline | Change |" : "| Metric | Value |");
+  lines.push(diff ? "|--------|---------|----------|--------|" : "|--------|-------|");
+  METRICS.forEach(([key, label, format, higherIsBetter]) => {
+    const value = formatMetric(summary[key], format);
+    if (!diff) {
+      lines.push(`| ${label} | ${value} |`);
+      return;
+    }
+    const { baseline, delta } = diffByKey.get(key);
+    lines.push(`| ${label} | ${value} | ${formatMetric(baseline, format)} | ${formatDelta(delta, format, higherIsBetter)} |`);
+  });
+
+  if (diff) {
+    lines.push("", `## Changes since the baseline (${diff.baselineStartedAt}, provider \`${diff.baselineProvider}\`)`, "");
+    const changes = [
+      ...diff.regressions.map((c) => `- ❌ \`${c.id}\`: ${c.from} → ${c.to}${c.reason ? ` (${c.reason})` : ""}`),
+      ...diff.improvements.map((c) => `- ✅ \`${c.id}\`: ${c.from} → ${c.to}`),
+      ...diff.otherChanges.map((c) => `- \`${c.id}\`: ${c.from} → ${c.to}${c.reason ? ` (${c.reason})` : ""}`),
+      ...diff.added.map((id) => `- New case \`${id}\``),
+      ...diff.removed.map((id) => `- Removed case \`${id}\``),
+    ];
+    lines.push(...(changes.length > 0 ? changes : ["No case changed its outcome."]));
+  }
+
+  lines.push("", "## Cases", "", "| Case | Outcome | Attempts | Repairs | Latency | Detail |", "|------|---------|----------|---------|---------|--------|");
+  report.cases.forEach((c) => {
+    const detail = c.reason ? escapeCell(c.reason) : "";
+    lines.push(`| \`${c.id}\` | ${c.outcome === "correct" ? "✅" : "❌"} ${c.outcome} | ${c.attempts} | ${c.repairs} | ${c.latencyMs}ms | ${detail} |`);
+  });
+
+  return `${lines.join("\n")}\n`;
+}
+
+function formatMetric(value, format) {
+  if (value === null || value === undefined) return "–";
+  if (format === "percent") return `${(value * 100).toFixed(1)}%`;
+  if (format === "ms") return `${value}ms`;
+  if (format === "decimal") return value.toFixed(2);
+  return String(value);
+}
+
+function formatDelta(delta, format, higherIsBetter) {
+  if (delta === null) return "–";
+  if (delta === 0) return "=";
+  const better = delta > 0 === higherIsBetter;
+  const text = format === "percent" ? `${(delta * 100).toFixed(1)} pts` : formatMetric(Math.abs(delta), format);
+  return `${delta > 0 ? "+" : "−"}${text.replace(/^-/, "")} (${better ? "better" : "worse"})`;
+}
+
+function percentile(sorted, fraction) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.ceil(fraction * sorted.length) - 1)];
+}
+
+function round(value, digits) {
+  return Number(value.toFixed(digits));
+}
+
+function escapeCell(text) {
+  return String(text).replace(/\|/g, "\\|").replace(/\n/g, " ");
+}
@@ -0,0 +1,104 @@
+import fs from "fs";
+import path from "path";
+import Database from "better-sqlite3";
+
+/**
+ * Evaluation Suites
+ * A suite is a JSON file of golden questions against one database:
+ * {
+ *   "name": "shop",
+ *   "database": { "dialect": "sqlite", "fixture": "../fixtures/shop.sql" },
+ *   "llm": { "provider": "mock", "script": "../mocks/shop.json" },
+ *   "cases": [
+ *     { "id": "customer-count", "question": "How many customers are there?", "sql": "SELECT COUNT(*) FROM customers" },
+ *     { "id": "top-products", "question": "...", "sql": "... ORDER BY price DESC LIMIT 3", "ordered": true },
+ *     { "id": "delete-orders", "question": "Delete all orders", "expect": "blocked" }
+ *   ]
+ * }
+ * "database" is a SQLite fixture (a SQL file, loaded into a fresh database for
+ * every run) or the name of a data source in DATABASES_FILE. "llm" is optional
+ * and defaults to LLM_PROVIDER; "fixtures" names the recorded LLM calls the
+ * "replay" provider serves (and --record writes). Paths are relative to the suite file.
+ */
+
+export const EXPECTATIONS = ["rows", "blocked"];
+
+/**
+ * Read and check a suite file; fixture and mock script paths come back resolved
+ */
+export function loadSuite(filePath) {
+  let suite;
+  try {
+    suite = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not load evaluation suite from ${filePath}: ${error.message}`);
+  }
+
+  const dir = path.dirname(path.resolve(filePath));
+  const fail = (message) => {
+    throw new Error(`Evaluation suite ${filePath}: ${message}`);
+  };
+
+  if (!suite.name || !/^[\w-]+$/.test(suite.name)) fail('"name" must be letters, digits, "_" or "-"');
+  if (!suite.database) fail('"database" is required');
+  if (!Array.isArray(suite.cases) || suite.cases.length === 0) fail('"cases" must be a non-empty array');
+
+  const ids = new Set();
+  suite.cases.forEach((testCase, index) => {
+    const label = testCase.id || `#${index + 1}`;
+    if (!testCase.id) fail(`case ${label} needs an "id"`);
+    if (ids.has(testCase.id)) fail(`case id "${testCase.id}" is used twice`);
+    ids.add(testCase.id);
+
+    const expect = testCase.expect || "rows";
+    if (!EXPECTATIONS.includes(expect)) fail(`case ${label}: "expect" must be one of: ${EXPECTATIONS.join(", ")}`);
+    if (!testCase.question) fail(`case ${label} needs a "question"`);
+    if (expect === "rows" && !testCase.sql) fail(`case ${label} needs the reference "sql"`);
+  });
+
+  return {
+    ...suite,
+    file: filePath,
+    database:
+      typeof suite.database === "string"
+        ? suite.database
+        : { ...suite.database, fixture: suite.database.fixture && path.resolve(dir, suite.database.fixture) },
+    llm: suite.llm && {
+      ...suite.llm,
+      script: suite.llm.script && JSON.parse(fs.readFileSync(path.resolve(dir, suite.llm.script), "utf8")),
+      fixtures: suite.llm.fixtures && path.resolve(dir, suite.llm.fixtures),
+    },
+  };
+}
+
+/**
+ * Create a suite's fixture database in dir; returns its data source config
+ * (for DATABASES_FILE), or null when the suite uses a configured data source
+ */
+export function prepareFixture(suite, dir) {
+  if (typeof suite.database === "string") return null;
+
+  const { dialect = "sqlite", fixture } = suite.database;
+  if (dialect !== "sqlite") {
+    throw new Error(
+      `Evaluation suite "${suite.name}": fixtures are SQLite; name a data source from DATABASES_FILE to evaluate on ${dialect}`
+    );
+  }
+  if (!fixture) throw new Error(`Evaluation suite "${suite.name}": "database.fixture" is required`);
+
+  const filename = path.join(dir, `${suite.name}.db`);
+  fs.rmSync(filename, { force: true });
+
+  const db = new Database(filename);
+  try {
+    db.exec(fs.readFileSync(fixture, "utf8"));
+  } finally {
+    db.close();
+  }
+
+  return {
+    dialect: "sqlite",
+    description: `Evaluation fixture of suite "${suite.name}"`,
+    connection: filename,
+  };
+}
@@ -0,0 +1,62 @@
+import { GoogleGenerativeAI } from "@google/generative-ai";
+
+/**
+ * Gemini Provider
+ * Google Generative AI adapter
+ */
+export function createGeminiProvider(config = {}) {
+  const { apiKey = process.env.GEMINI_API_KEY } = config;
+
+  // Created on first use so other providers work without a Gemini key
+  let genAI = null;
+
+  return {
+    name: "gemini",
+    defaultModel: "gemini-flash-latest",
+
+    async generate(prompt, settings) {
+      const result = await getModel(settings).generateContent(prompt);
+
+      return {
+        text: result.response.text(),
+        usage: formatUsage(result.response.usageMetadata),
+      };
+    },
+
+    async stream(prompt, settings, onToken) {
+      const result = await getModel(settings).generateContentStream(prompt);
+
+      let text = "";
+      for await (const chunk of result.stream) {
+        const token = chunk.text();
+        text += token;
+        onToken(token);
+      }
+
+      const response = await result.response;
+      return {
+        text,
+        usage: formatUsage(response.usageMetadata),
+      };
+    },
+  };
+
+  function getModel(settings) {
+    if (!genAI) genAI = new GoogleGenerativeAI(apiKey);
+
+    return genAI.getGenerativeModel({
+      model: settings.model,
+      generationConfig: {
+        temperature: settings.temperature,
+        maxOutputTokens: settings.maxTokens,
+      },
+    });
+  }
+}
+
+function formatUsage(usage) {
+  return {
+    inputTokens: usage?.promptTokenCount ?? 0,
+    outputTokens: usage?.candidatesTokenCount ?? 0,
+  };
+}
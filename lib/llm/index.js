@@ -0,0 +1,78 @@
+import dotenv from "dotenv";
+import { createGeminiProvider } from "./geminiProvider.js";
+import { createOpenAIProvider } from "./openaiProvider.js";
+import { createMockProvider } from "./mockProvider.js";
+import { createReplayProvider, withRecording } from "./replayProvider.js";
+
+dotenv.config();
+
+/**
+ * LLM Provider Registry
+ * Every provider implements:
+ *   generate(prompt, { model, temperature, maxTokens }) → { text, usage: { inputTokens, outputTokens } }
+ * and optionally:
+ *   stream(prompt, settings, onToken) → same result, calling onToken(text) per chunk
+ * LLM_RECORD=true writes every call of the active provider to LLM_FIXTURES_FILE,
+ * for the "replay" provider to serve back offline.
+ */
+
+const PROVIDERS = {
+  gemini: createGeminiProvider,
+  openai: createOpenAIProvider,
+  mock: createMockProvider,
+  replay: createReplayProvider,
+};
+
+// Per-node defaults; SQL generation stays deterministic
+const NODE_DEFAULTS = {
+  query: { temperature: 0, maxTokens: 1024 },
+  summary: { temperature: 0.3, maxTokens: 1024 },
+  chart: { temperature: 0, maxTokens: 256 },
+  explanation: { temperature: 0.2, maxTokens: 512 },
+};
+
+let provider = null;
+
+/**
+ * Create a provider by name ("gemini", "openai", "mock" or "replay")
+ */
+export function createProvider(name = process.env.LLM_PROVIDER || "gemini", config = {}) {
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown LLM provider "${name}" (expected one of: ${Object.keys(PROVIDERS).join(", ")})`);
+  }
+  return factory(config);
+}
+
+/**
+ * The active provider, created from LLM_PROVIDER on first use
+ */
+export function getProvider() {
+  if (!provider) {
+    provider = process.env.LLM_RECORD === "true" ? withRecording(createProvider()) : createProvider();
+  }
+  return provider;
+}
+
+/**
+ * Replace the active provider (e.g. a mock in tests)
+ */
+export function setProvider(newProvider) {
+  provider = newProvider;
+}
+
+/**
+ * Model settings for a node, from LLM_<NODE>_* then LLM_* env vars
+ * e.g. LLM_QUERY_MODEL, LLM_SUMMARY_TEMPERATURE, LLM_MAX_TOKENS
+ */
+export function getNodeSettings(node) {
+  const prefix = `LLM_${node.toUpperCase()}_`;
+  const env = (name) => process.env[`${prefix}${name}`] ?? process.env[`LLM_${name}`];
+  const defaults = NODE_DEFAULTS[node] || {};
+
+  return {
+    model: env("MODEL") || getProvider().defaultModel,
+    temperature: parseFloat(env("TEMPERATURE") ?? defaults.temperature),
+    maxTokens: parseInt(env("MAX_TOKENS") ?? defaults.maxTokens, 10),
+  };
+}
@@ -0,0 +1,87 @@
+import fs from "fs";
+
+/**
+ * Mock Provider
+ * Deterministic scripted responses for offline runs and tests; never touches the network
+ *
+ * Script format (object or JSON file via MOCK_LLM_SCRIPT):
+ * {
+ *   "rules": [{ "match": "How many users", "response": "SELECT COUNT(*) FROM users" }],
+ *   "responses": ["SELECT 1", "There is one row."]
+ * }
+ * Rules are checked first ("match" is a substring, or a regex written as "/.../flags"),
+ * then "responses" are served in order, then a fixed default per prompt kind.
+ */
+export function createMockProvider(config = {}) {
+  const script = config.script || readScript(process.env.MOCK_LLM_SCRIPT);
+  const rules = (script.rules || []).map((rule) => ({ ...rule, test: toMatcher(rule.match) }));
+  const responses = [...(script.responses || [])];
+  const calls = [];
+
+  return {
+    name: "mock",
+    defaultModel: "mock",
+    calls,
+
+    async generate(prompt, settings) {
+      calls.push({ prompt, settings });
+
+      const rule = rules.find((r) => r.test(prompt));
+      let text;
+      if (rule) {
+        text = rule.response;
+      } else if (responses.length > 0) {
+        text = responses.shift();
+      } else {
+        text = defaultResponse(prompt);
+      }
+
+      return {
+        text,
+        usage: {
+          inputTokens: estimateTokens(prompt),
+          outputTokens: estimateTokens(text),
+        },
+      };
+    },
+
+    async stream(prompt, settings, onToken) {
+      const result = await this.generate(prompt, settings);
+      // Word-sized chunks, keeping the whitespace so they concatenate back
+      for (const token of result.text.match(/\S+\s*|\s+/g) || []) {
+        onToken(token);
+      }
+      return result;
+    },
+  };
+}
+
+function defaultResponse(prompt) {
+  return /Generate a SQL query/i.test(prompt)
+    ? "SELECT 1 AS result"
+    : "Mock summary of the query results.";
+}
+
+function toMatcher(match) {
+  const regex = /^\/(.+)\/([a-z]*)$/.exec(match);
+  if (regex) {
+    const pattern = new RegExp(regex[1], regex[2]);
+    return (prompt) => pattern.test(prompt);
+  }
+  return (prompt) => prompt.includes(match);
+}
+
+// Rough 4-characters-per-token estimate, good enough for usage accounting
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+function readScript(filePath) {
+  if (!filePath) return {};
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not load mock LLM script from ${filePath}: ${error.message}`);
+  }
+}
@@ -0,0 +1,92 @@
+/**
+ * OpenAI-Compatible Provider
+ * Chat Completions over HTTP; works with OpenAI and local servers such as
+ * Ollama (http://localhost:11434/v1) or llama.cpp (http://localhost:8080/v1)
+ */
+export function createOpenAIProvider(config = {}) {
+  const {
+    baseUrl = process.env.OPENAI_BASE_URL || "https://api.openai.com/v1",
+    apiKey = process.env.OPENAI_API_KEY,
+  } = config;
+
+  return {
+    name: "openai",
+    defaultModel: "gpt-4o-mini",
+
+    async generate(prompt, settings) {
+      const response = await request(prompt, settings);
+      const data = await response.json();
+
+      return {
+        text: data.choices?.[0]?.message?.content ?? "",
+        usage: formatUsage(data.usage),
+      };
+    },
+
+    async stream(prompt, settings, onToken) {
+      const response = await request(prompt, settings, {
+        stream: true,
+        stream_options: { include_usage: true },
+      });
+
+      let text = "";
+      let usage = null;
+      let buffer = "";
+      const decoder = new TextDecoder();
+
+      // Server-Sent Events: "data: {...}" lines, terminated by "data: [DONE]"
+      for await (const bytes of response.body) {
+        buffer += decoder.decode(bytes, { stream: true });
+        const lines = buffer.split("\n");
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          const payload = line.replace(/^data:\s*/, "").trim();
+          if (!line.startsWith("data:") || payload === "[DONE]") continue;
+
+          const data = JSON.parse(payload);
+          const token = data.choices?.[0]?.delta?.content;
+          if (token) {
+            text += token;
+            onToken(token);
+          }
+          if (data.usage) usage = data.usage;
+        }
+      }
+
+      return { text, usage: formatUsage(usage) };
+    },
+  };
+
+  async function request(prompt, settings, extraBody = {}) {
+    const headers = { "Content-Type": "application/json" };
+    // Local servers usually don't need a key
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+    const response = await fetch(`${baseUrl.replace(/\/$/, "")}/chat/completions`, {
+      method: "POST",
+      headers,
+      body: JSON.stringify({
+        model: settings.model,
+        messages: [{ role: "user", content: prompt }],
+        temperature: settings.temperature,
+        max_tokens: settings.maxTokens,
+        ...extraBody,
+      }),
+    });
+
+    if (!response.ok) {
+      const body = await response.text();
+      throw new Error(`LLM request failed with ${response.status}: ${body.slice(0, 500)}`);
+    }
+
+    return response;
+  }
+}
+
+function formatUsage(usage) {
+  return {
+    inputTokens: usage?.prompt_tokens ?? 0,
+    outputTokens: usage?.completion_tokens ?? 0,
+  };
+}
@@ -0,0 +1,141 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+/**
+ * Record / Replay Providers
+ * Recording wraps a real provider and stores every prompt → response pair in a
+ * fixtures file; the replay provider serves them back without the network, so
+ * agent runs (refinement loops, repairs, error paths) are reproducible:
+ *
+ *   LLM_RECORD=true LLM_FIXTURES_FILE=fixtures.json   # record with LLM_PROVIDER
+ *   LLM_PROVIDER=replay LLM_FIXTURES_FILE=fixtures.json
+ *
+ * Fixtures file:
+ * {
+ *   "provider": "gemini",
+ *   "defaultModel": "gemini-2.5-flash",
+ *   "recordings": {
+ *     "<key>": { "settings": { model, temperature, maxTokens }, "prompt": "...", "text": "...", "usage": {...} }
+ *   }
+ * }
+ * The key is a hash of the prompt and model settings, with values that change
+ * from run to run (the summary's execution time) left out. Replay reports the
+ * recorded provider's default model, so settings resolve to the same keys, and
+ * throws on a prompt it has no recording for instead of guessing.
+ */
+
+// Prompt lines that differ between otherwise identical runs
+const VOLATILE_LINES = [/^Execution Time: .*$/gm];
+
+/**
+ * Key of a prompt and its model settings in a fixtures file
+ */
+export function fixtureKey(prompt, settings = {}) {
+  const stable = VOLATILE_LINES.reduce((text, pattern) => text.replace(pattern, (line) => line.replace(/:.*$/, ":")), prompt);
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify([stable, settings.model ?? null, settings.temperature ?? null, settings.maxTokens ?? null]))
+    .digest("hex")
+    .slice(0, 24);
+}
+
+/**
+ * Replay provider: answers only prompts recorded in the fixtures file
+ * Unmatched prompts throw (marked not retryable) and are kept in misses.
+ */
+export function createReplayProvider(config = {}) {
+  const file = config.fixtures || process.env.LLM_FIXTURES_FILE;
+  if (!file) throw new Error("The replay LLM provider needs a fixtures file (LLM_FIXTURES_FILE)");
+
+  const fixtures = readFixtures(file, { required: true });
+  const misses = [];
+
+  return {
+    name: "replay",
+    defaultModel: fixtures.defaultModel || "replay",
+    misses,
+
+    async generate(prompt, settings) {
+      const key = fixtureKey(prompt, settings);
+      const recording = fixtures.recordings[key];
+
+      if (!recording) {
+        misses.push({ key, prompt, settings });
+        const error = new Error(
+          `No recorded LLM response for prompt ${key} (model ${settings?.model}) in ${file}; ` +
+            `record it again with LLM_RECORD=true. Prompt starts: ${JSON.stringify(prompt.slice(0, 120))}`
+        );
+        error.retryable = false;
+        throw error;
+      }
+
+      return { text: recording.text, usage: recording.usage };
+    },
+
+    async stream(prompt, settings, onToken) {
+      const result = await this.generate(prompt, settings);
+      // Word-sized chunks, keeping the whitespace so they concatenate back
+      for (const token of result.text.match(/\S+\s*|\s+/g) || []) {
+        onToken(token);
+      }
+      return result;
+    },
+  };
+}
+
+/**
+ * Wrap a provider so every successful call is written to the fixtures file
+ * Existing recordings are kept; a prompt recorded again is overwritten.
+ */
+export function withRecording(provider, config = {}) {
+  const file = config.fixtures || process.env.LLM_FIXTURES_FILE;
+  if (!file) throw new Error("Recording LLM calls needs a fixtures file (LLM_FIXTURES_FILE)");
+
+  const save = (prompt, settings, result) => {
+    const { recordings } = readFixtures(file);
+    recordings[fixtureKey(prompt, settings)] = {
+      settings: {
+        model: settings?.model ?? null,
+        temperature: settings?.temperature ?? null,
+        maxTokens: settings?.maxTokens ?? null,
+      },
+      prompt,
+      text: result.text,
+      usage: result.usage,
+    };
+
+    const fixtures = { provider: provider.name, defaultModel: provider.defaultModel, recordings };
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    fs.writeFileSync(file, `${JSON.stringify(fixtures, null, 2)}\n`);
+  };
+
+  return {
+    ...provider,
+
+    async generate(prompt, settings) {
+      const result = await provider.generate(prompt, settings);
+      save(prompt, settings, result);
+      return result;
+    },
+
+    ...(provider.stream && {
+      async stream(prompt, settings, onToken) {
+        const result = await provider.stream(prompt, settings, onToken);
+        save(prompt, settings, result);
+        return result;
+      },
+    }),
+  };
+}
+
+function readFixtures(file, { required = false } = {}) {
+  if (!required && !fs.existsSync(file)) return { recordings: {} };
+
+  try {
+    const fixtures = JSON.parse(fs.readFileSync(file, "utf8"));
+    return { ...fixtures, recordings: fixtures.recordings || {} };
+  } catch (error) {
+    throw new Error(`Could not load LLM fixtures from ${file}: ${error.message}`);
+  }
+}
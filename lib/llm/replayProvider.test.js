@@ -0,0 +1,35 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { useShopAgent } from "../testing/fixtures.js";
+
+const shop = useShopAgent();
+
+describe("replaying eval/recordings/shop.json through the agent", () => {
+  it("answers from the recorded query and summary", async () => {
+    const result = await shop.ask("How many customers are there?");
+
+    assert.equal(result.success, true);
+    assert.equal(result.query, "SELECT COUNT(*) AS total_customers FROM customers");
+    assert.deepEqual(result.data.rows, [{ total_customers: 10 }]);
+    assert.equal(result.answer, "Here is what the data shows.");
+    assert.deepEqual(shop.provider.misses, []);
+  });
+
+  it("regenerates a query the safety check rejected", async () => {
+    const result = await shop.ask("Which products are out of stock?");
+
+    assert.equal(result.success, true);
+    assert.equal(result.query, "SELECT name FROM products WHERE stock = 0");
+    assert.equal(result.metadata.attempts, 2);
+    assert.equal(result.answer, "Here is what the data shows.");
+    assert.deepEqual(shop.provider.misses, []);
+  });
+
+  it("gives up on questions that only get unsafe queries", async () => {
+    const result = await shop.ask("Delete all cancelled orders");
+
+    assert.equal(result.success, false);
+    assert.ok(result.lastIssues.some((issue) => issue.rule === "not_read_only"));
+    assert.deepEqual(shop.provider.misses, []);
+  });
+});
@@ -1,40 +1,86 @@
 import { checkQuerySafety } from "../tools/safetyChecker.js";
-import { executeQuerySafe } from "../tools/queryExecutor.js";
+import { checkRoleAccess } from "../tools/accessControl.js";
+import { executeQuerySafe, explainQuery } from "../tools/queryExecutor.js";
 
 /**
  * Safety Check Node
- * Validates SQL query safety with branching logic
+ * Validates SQL query safety with branching logic, against the data source's policy and dialect
+ * With access ({ role, schema }), a safe query is also checked against the caller's
+ * role; query is then the SQL to run, with the role's row filters applied.
  */
-export async function safetyCheckNode(sqlQuery) {
-  const safetyResult = checkQuerySafety(sqlQuery);
-  
+export async function safetyCheckNode(sqlQuery, policy, dialect, access = null) {
+  const safetyResult = checkQuerySafety(sqlQuery, policy, dialect);
+
+  if (!safetyResult.safe || !access) {
+    return {
+      safe: safetyResult.safe,
+      issues: safetyResult.issues,
+      warnings: safetyResult.warnings,
+      query: sqlQuery,
+      rowFilters: [],
+    };
+  }
+
+  const accessResult = checkRoleAccess(sqlQuery, { ...access, dialect });
+
   return {
-    safe: safetyResult.safe,
-    issues: safetyResult.issues,
+    safe: accessResult.issues.length === 0,
+    issues: accessResult.issues,
     warnings: safetyResult.warnings,
-    query: sqlQuery,
+    query: accessResult.query,
+    rowFilters: accessResult.rowFilters,
   };
 }
 
 /**
  * Execution Node
- * Executes safe SQL queries
+ * Executes safe SQL queries in a read-only transaction
  */
-export async function executionNode(sqlQuery, maxRows = 100) {
-  const result = await executeQuerySafe(sqlQuery, maxRows);
+export async function executionNode(sqlQuery, maxRows = 100, options = {}) {
+  const result = await executeQuerySafe(sqlQuery, maxRows, options);
   
   return {
     success: result.success,
     data: result.success ? {
       rows: result.rows,
       rowCount: result.rowCount,
+      truncated: result.truncated,
+      totalRows: result.totalRows,
+      maxRows: result.maxRows,
+      pageOrder: result.pageOrder,
       executionTime: result.executionTime,
       fields: result.fields,
     } : null,
     error: result.success ? null : {
       message: result.error,
+      errorCode: result.errorCode,
+      code: result.code,
+      detail: result.detail,
+      hint: result.hint,
+      position: result.position,
+    },
+  };
+}
+
+/**
+ * Explain Node
+ * Plans the query with EXPLAIN so name and syntax errors surface before execution;
+ * estimate is the planner's { estimatedRows, estimatedCost, fullScans }
+ */
+export async function explainNode(sqlQuery, options = {}) {
+  const result = await explainQuery(sqlQuery, options);
+
+  return {
+    success: result.success,
+    plan: result.success ? result.plan : null,
+    estimate: result.success ? result.estimate : null,
+    error: result.success ? null : {
+      message: result.error,
+      errorCode: result.errorCode,
       code: result.code,
       detail: result.detail,
+      hint: result.hint,
+      position: result.position,
     },
   };
 }
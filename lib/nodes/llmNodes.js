@@ -1,55 +1,94 @@
-import { GoogleGenerativeAI } from "@google/generative-ai";
-import dotenv from "dotenv";
+import { getProvider, getNodeSettings } from "../llm/index.js";
+import { formatSchemaForPrompt } from "../tools/schemaExtractor.js";
+import { describeColumns } from "../tools/chartInference.js";
+import { profileResult, sampleRows, formatProfile, templateSummary } from "../tools/resultProfiler.js";
+import { postgres } from "../dialects/postgres.js";
 
-dotenv.config();
-
-// Initialize Gemini client (must be latest SDK)
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+// Small helper: Retry API call (providers sometimes drop requests)
+async function safeGenerate(node, prompt, retries = 2) {
+  try {
+    return await getProvider().generate(prompt, getNodeSettings(node));
+  } catch (err) {
+    if (retries > 0 && err.retryable !== false) {
+      await new Promise((r) => setTimeout(r, 300));
+      return await safeGenerate(node, prompt, retries - 1);
+    }
+    throw err;
+  }
+}
 
-// Use latest stable model
-const model = genAI.getGenerativeModel({
-  model: "gemini-flash-latest",
-});
+// Stream tokens when the provider supports it; retry only if nothing was emitted yet
+async function safeStream(node, prompt, onToken, retries = 2) {
+  const provider = getProvider();
+  if (!provider.stream) {
+    const result = await safeGenerate(node, prompt, retries);
+    onToken(result.text);
+    return result;
+  }
 
-// Small helper: Retry API call (Gemini sometimes drops requests)
-async function safeGenerate(model, prompt, retries = 2) {
+  let emitted = false;
   try {
-    return await model.generateContent(prompt);
+    return await provider.stream(prompt, getNodeSettings(node), (token) => {
+      emitted = true;
+      onToken(token);
+    });
   } catch (err) {
-    if (retries > 0) {
+    if (retries > 0 && !emitted && err.retryable !== false) {
       await new Promise((r) => setTimeout(r, 300));
-      return await safeGenerate(model, prompt, retries - 1);
+      return await safeStream(node, prompt, onToken, retries - 1);
     }
     throw err;
   }
 }
 
+// Asked for in the generation prompt when the agent may ask back
+const MAX_CLARIFICATION_OPTIONS = 4;
+const CLARIFY_RULE = `
+If the question is ambiguous in a way that changes the result (e.g. "top" without a measure,
+or no time range where one matters) and neither the conversation nor the clarifications settle it,
+don't guess. Reply with only this line instead of SQL:
+CLARIFY: {"question": "<one short question for the user>", "options": ["<likely answer>", ...]}
+with 2 to ${MAX_CLARIFICATION_OPTIONS} short options. Otherwise answer with SQL as usual.
+`;
+
 /**
  * Query Generator Node
  * Converts natural language question to SQL query
+ * history holds earlier turns of the conversation ({ question, query, columns, rowCount }),
+ * oldest first, so follow-up questions can refine the previous query.
+ * dialect is the data source's SQL dialect, which sets the syntax and its own rules
+ * clarify.allowed lets the model ask back instead of guessing at an ambiguous
+ * question: the result then carries clarification { question, options } and no
+ * query. clarify.answers holds the user's earlier answers ({ question, answer }).
  */
 export async function generateQuery(
   question,
   schema,
   previousAttempt = null,
-  feedback = null
+  feedback = null,
+  history = [],
+  dialect = postgres,
+  clarify = {}
 ) {
+  const { allowed = false, answers = [] } = clarify;
   const schemaContext = formatSchemaForPrompt(schema);
 
-  let prompt = `You are a PostgreSQL SQL expert. Generate a SQL query based on the user's question.
+  let prompt = `You are a ${dialect.label} SQL expert. Generate a SQL query based on the user's question.
 
 ${schemaContext}
 
 Rules:
 - Generate ONLY SELECT queries (no INSERT, UPDATE, DELETE, DROP, etc.)
-- Use proper PostgreSQL syntax
+${dialect.promptRules.map((rule) => `- ${rule}`).join("\n")}
+- Use proper ${dialect.label} syntax
 - Include appropriate WHERE clauses, JOINs, and aggregations as needed
 - Return ONLY the SQL query with no markdown, no explanation
 - Do not include semicolons at the end
 - Use table and column names exactly as shown in the schema
-
+- Join tables along the listed foreign keys; use column comments to understand cryptic names
+${allowed ? CLARIFY_RULE : ""}${formatHistory(history)}
 User Question: ${question}
-`;
+${formatClarifications(answers)}`;
 
   // Append correction context if needed
   if (previousAttempt && feedback) {
@@ -65,13 +104,24 @@ Generate a corrected SQL query only.
   }
 
   try {
-    const result = await safeGenerate(model, prompt);
-    const sqlQuery = result.response.text().trim();
+    const result = await safeGenerate("query", prompt);
+    const sqlQuery = result.text.trim();
+
+    const clarification = allowed ? parseClarification(sqlQuery) : null;
+    if (clarification) {
+      return {
+        success: true,
+        clarification,
+        rawResponse: sqlQuery,
+        usage: result.usage,
+      };
+    }
 
     return {
       success: true,
       query: cleanSQL(sqlQuery),
       rawResponse: sqlQuery,
+      usage: result.usage,
     };
   } catch (error) {
     return {
@@ -84,8 +134,26 @@ Generate a corrected SQL query only.
 /**
  * Summary Node
  * Converts query results to natural language answer
+ * Pass onToken to receive the summary as it is generated (onReset is called
+ * when tokens already sent are to be discarded), and masking (the
+ * piiMasker decisions already applied to the rows) so the prompt can say so.
+ * columns (describeColumns) type the profile; without them kinds come from the values.
+ *
+ * Results larger than SUMMARY_SAMPLE_ROWS are sent as a sample plus a profile
+ * of every row (resultProfiler.js), and the answer says it is based on a sample.
+ * When the LLM is unavailable the summary is written from the profile instead;
+ * errors marked not retryable are thrown.
+ * Returns { success, summary, method: "llm" | "template", sampleRows, usage };
+ * sampleRows is the sample size, or null when the LLM saw every row.
  */
-export async function summarizeResults(question, queryResults, sqlQuery) {
+export async function summarizeResults(question, queryResults, sqlQuery, options = {}) {
+  const { onToken, onReset, masking = [], columns = null } = options;
+  const { rows } = queryResults;
+
+  const profile = profileResult(columns || describeColumns(queryResults.fields, rows), rows);
+  const sample = sampleRows(rows);
+  const sampled = sample.length < rows.length;
+
   const prompt = `
 You are a helpful assistant that explains database query results in natural, simple language.
 
@@ -96,20 +164,105 @@ SQL Query:
 ${sqlQuery}
 
 Query Results:
-${JSON.stringify(queryResults.rows, null, 2)}
-
+${sampled ? `(a sample of ${sample.length} of the ${rows.length} returned rows, one JSON object per line)\n` : ""}${sample.map((row) => JSON.stringify(row)).join("\n")}
+${sampled ? `\nColumn Profile (computed from all ${rows.length} returned rows):\n${formatProfile(profile)}\n` : ""}
 Row Count: ${queryResults.rowCount}
 Execution Time: ${queryResults.executionTime}
-
+${formatTruncationNote(queryResults)}${formatMaskingNote(masking)}${sampled ? formatSampleNote(sample.length, rows.length) : ""}
 Task:
 Provide a clear, meaningful summary for the user based on these results.
 `;
 
+  let streamed = false;
   try {
-    const result = await safeGenerate(model, prompt);
+    const result = onToken
+      ? await safeStream("summary", prompt, (token) => {
+          streamed = true;
+          onToken(token);
+        })
+      : await safeGenerate("summary", prompt);
+    let summary = result.text.trim();
+
+    // The answer must say it rests on a sample, even if the model left that out
+    if (sampled && !/\bsample/i.test(summary)) {
+      const note = `\n\n_Based on a sample of ${sample.length} of the ${rows.length} returned rows and statistics over all of them._`;
+      if (onToken) onToken(note);
+      summary += note;
+    }
+
     return {
       success: true,
-      summary: result.response.text().trim(),
+      summary,
+      method: "llm",
+      sampleRows: sampled ? sample.length : null,
+      usage: result.usage,
+    };
+  } catch (error) {
+    // Errors marked not retryable (a replay miss) are not the LLM being unavailable; they surface
+    if (error.retryable === false) throw error;
+
+    // Without the LLM the profile still gives an answer, in place of whatever the stream sent
+    const summary = templateSummary(profile, queryResults, rows);
+    if (onToken) {
+      if (streamed && onReset) onReset();
+      onToken(summary);
+    }
+
+    return {
+      success: true,
+      summary,
+      method: "template",
+      sampleRows: null,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Chart Suggestion Node
+ * Asks for the chart that best answers the question, given the result's columns
+ * (describeColumns), a few rows already masked for the LLM and the inferred spec.
+ * Returns the raw suggestion ({ type, x, y, series, title } or { type: "none" });
+ * the caller validates it against the columns.
+ */
+export async function suggestChart(question, columns, rows, inferred = null) {
+  const usable = columns.filter((col) => col.kind && col.kind !== "identifier");
+
+  const prompt = `You are choosing a chart for a database query result.
+
+User Question:
+${question}
+
+Columns:
+${usable.map((col) => `- ${col.name} (${col.kind})`).join("\n")}
+
+Sample Rows:
+${JSON.stringify(rows.slice(0, 10), null, 2)}
+
+Row Count: ${rows.length}
+
+Chart types:
+- line: x is temporal or ordinal, y are quantitative; optional series (a nominal column) for one y
+- bar: x is nominal, y are quantitative; optional series for one y
+- pie: x is nominal, exactly one non-negative quantitative y; only for a few parts of a whole
+- scatter: x and one y are quantitative
+
+Chart suggested by rules: ${inferred ? JSON.stringify({ type: inferred.type, x: inferred.x.field, y: inferred.y.map((y) => y.field), series: inferred.series?.field || null }) : "none"}
+
+Task:
+Reply with ONLY a JSON object and no markdown:
+{"type": "line|bar|pie|scatter", "x": "column", "y": ["column"], "series": "column or null", "title": "short title"}
+or {"type": "none"} if no chart helps answer the question.
+`;
+
+  try {
+    const result = await safeGenerate("chart", prompt);
+    const json = result.text.replace(/```(json)?/gi, "").trim();
+
+    return {
+      success: true,
+      suggestion: JSON.parse(json),
+      usage: result.usage,
     };
   } catch (error) {
     return {
@@ -120,25 +273,140 @@ Provide a clear, meaningful summary for the user based on these results.
 }
 
 /**
- * Helper: Format schema into readable text
+ * Query Explanation Node
+ * Explains in plain language what an approved query will do, for previews
+ * before it runs; estimate is the summarized plan (planEstimate.js)
  */
-function formatSchemaForPrompt(schema) {
-  let formatted = "Database Schema:\n\n";
-
-  for (const [tableName, columns] of Object.entries(schema)) {
-    formatted += `Table: ${tableName}\n`;
-    formatted += "Columns:\n";
-    columns.forEach((col) => {
-      formatted += `  - ${col.column} (${col.type})${
-        col.nullable ? " NULL" : " NOT NULL"
-      }`;
-      if (col.default) formatted += ` DEFAULT ${col.default}`;
-      formatted += "\n";
-    });
-    formatted += "\n";
+export async function describeQuery(question, sqlQuery, estimate, dialect = postgres) {
+  const scans = estimate.sequentialScans.map((scan) => `${scan.table}${scan.rows !== null ? ` (~${scan.rows} rows)` : ""}`);
+
+  const prompt = `You are explaining a ${dialect.label} SQL query to a non-technical user before it runs.
+
+User Question:
+${question}
+
+SQL Query:
+${sqlQuery}
+
+Planner Estimate:
+Estimated rows: ${estimate.estimatedRows ?? "unknown"}
+Estimated cost: ${estimate.estimatedCost ?? "unknown"}
+Full table scans: ${scans.join(", ") || "none"}
+
+Task:
+In 2-4 short sentences, say which data the query reads, how it filters, groups or
+sorts it, and what the result will look like. Mention full scans of large tables
+only if they may make the query slow. Do not repeat the SQL.
+`;
+
+  try {
+    const result = await safeGenerate("explanation", prompt);
+    return {
+      success: true,
+      explanation: result.text.trim(),
+      usage: result.usage,
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Helper: Earlier turns of the conversation for follow-up questions
+ */
+function formatHistory(history) {
+  if (history.length === 0) return "";
+
+  const turns = history.map((turn, index) => {
+    const shape = `${turn.rowCount} row${turn.rowCount === 1 ? "" : "s"}${turn.truncated ? " (truncated)" : ""}`;
+    return `Question ${index + 1}: ${turn.question}
+SQL ${index + 1}: ${turn.query}
+Result ${index + 1}: ${shape}; columns: ${turn.columns.join(", ") || "none"}`;
+  });
+
+  return `
+Conversation so far (oldest first):
+${turns.join("\n\n")}
+
+The user question may be a follow-up ("now break that down by month", "only the ones from Germany").
+If so, modify the most recent SQL to answer it instead of starting over.
+`;
+}
+
+/**
+ * Helper: Answers the user already gave to clarifying questions
+ */
+function formatClarifications(answers) {
+  if (answers.length === 0) return "";
+
+  const lines = answers.map(({ question, answer }) => `- ${question} → ${answer}`);
+  return `
+Clarifications from the user (answered; don't ask again):
+${lines.join("\n")}
+`;
+}
+
+/**
+ * Helper: Clarifying question in a "CLARIFY: {...}" reply; null for SQL
+ * A reply that isn't valid JSON still asks its text, without options.
+ */
+function parseClarification(text) {
+  const match = text.replace(/```(json)?/gi, "").trim().match(/^CLARIFY:\s*([\s\S]+)$/i);
+  if (!match) return null;
+
+  let parsed;
+  try {
+    parsed = JSON.parse(match[1]);
+  } catch (error) {
+    return { question: match[1].trim(), options: [] };
   }
 
-  return formatted;
+  const question = typeof parsed.question === "string" ? parsed.question.trim() : "";
+  if (!question) return null;
+
+  const options = (Array.isArray(parsed.options) ? parsed.options : [])
+    .filter((option) => typeof option === "string" && option.trim())
+    .map((option) => option.trim())
+    .slice(0, MAX_CLARIFICATION_OPTIONS);
+
+  return { question, options };
+}
+
+/**
+ * Helper: Tell the summarizer when the result was cut off at the row limit
+ */
+function formatTruncationNote(queryResults) {
+  if (!queryResults.truncated) return "";
+
+  const total = queryResults.totalRows ?? "an unknown number of";
+  return `Note: Results were truncated. Only the first ${queryResults.rowCount} of ${total} rows are shown; say so in the summary and don't present totals computed from these rows as complete.
+`;
+}
+
+/**
+ * Helper: Tell the summarizer it sees a sample, and to say so
+ */
+function formatSampleNote(sampleSize, rowCount) {
+  return `Note: You see only ${sampleSize} of the ${rowCount} rows. Take counts, ranges, averages and trends from the column profile, not from the sample, and say in the answer that it is based on a sample of ${sampleSize} of ${rowCount} rows plus statistics over all of them.
+`;
+}
+
+/**
+ * Helper: Tell the summarizer which columns hold masked personal data
+ */
+function formatMaskingNote(masking) {
+  if (masking.length === 0) return "";
+
+  const withheld = masking.filter((entry) => entry.strategy === "exclude").map((entry) => entry.column);
+  const masked = masking.filter((entry) => entry.strategy !== "exclude").map((entry) => entry.column);
+  const lines = ["Note: Personal data in these results is protected; don't guess or reconstruct it."];
+
+  if (masked.length > 0) lines.push(`Masked columns (values replaced): ${masked.join(", ")}`);
+  if (withheld.length > 0) lines.push(`Withheld columns (not shown to you): ${withheld.join(", ")}`);
+  return `${lines.join("\n")}\n`;
 }
 
 /**
@@ -0,0 +1,53 @@
+import { describe, it, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { summarizeResults } from "./llmNodes.js";
+import { setProvider } from "../llm/index.js";
+
+const results = {
+  rows: [{ name: "Anna", orders: 3 }],
+  rowCount: 1,
+  fields: [{ name: "name" }, { name: "orders" }],
+  executionTime: "1ms",
+};
+
+// Streams the given tokens, then fails as an unavailable LLM does
+function failingStream(tokens) {
+  return {
+    generate: async () => {
+      throw new Error("unavailable");
+    },
+    stream: async (prompt, settings, onToken) => {
+      tokens.forEach(onToken);
+      throw new Error("connection reset");
+    },
+  };
+}
+
+afterEach(() => setProvider(null));
+
+describe("summarizeResults", () => {
+  it("discards streamed tokens before the summary written without the LLM", async () => {
+    setProvider(failingStream(["Anna has ", "placed"]));
+    const events = [];
+
+    const result = await summarizeResults("Orders per customer?", results, "SELECT 1", {
+      onToken: (token) => events.push(token),
+      onReset: () => events.push("reset"),
+    });
+
+    assert.equal(result.method, "template");
+    assert.deepEqual(events, ["Anna has ", "placed", "reset", result.summary]);
+  });
+
+  it("doesn't reset when nothing was streamed", async () => {
+    setProvider(failingStream([]));
+    const events = [];
+
+    const result = await summarizeResults("Orders per customer?", results, "SELECT 1", {
+      onToken: (token) => events.push(token),
+      onReset: () => events.push("reset"),
+    });
+
+    assert.deepEqual(events, [result.summary]);
+  });
+});
@@ -0,0 +1,143 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { before, after } from "node:test";
+import { loadSuite, prepareFixture } from "../eval/suites.js";
+import { loadSafetyPolicy } from "../tools/safetyPolicy.js";
+import { DEFAULT_STRATEGIES } from "../tools/piiMasker.js";
+import { createProvider, setProvider } from "../llm/index.js";
+
+/**
+ * Test Fixtures
+ * Builders shared by the unit tests (the *.test.js files under lib). Tests build what they
+ * run with explicitly, so .env and the environment don't change what they see.
+ */
+
+export const SHOP_SUITE = fileURLToPath(new URL("../../eval/suites/shop.json", import.meta.url));
+
+/**
+ * Import a module once the environment variables it reads at load time are set
+ * Each test file runs in a process of its own, so the values stay with that file.
+ */
+export function importWithEnv(env, moduleUrl) {
+  Object.assign(process.env, env);
+  return import(moduleUrl);
+}
+
+/**
+ * The shop evaluation fixture (eval/fixtures/shop.sql) as a SQLite file,
+ * built before the file's tests and removed after them
+ * Returns { filename, suite }; both are set once the tests start.
+ */
+export function useShopDatabase() {
+  const fixture = { filename: null, suite: null };
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "sqlqueryagent-test-"));
+    fixture.suite = loadSuite(SHOP_SUITE);
+    fixture.filename = prepareFixture(fixture.suite, dir).connection;
+  });
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  return fixture;
+}
+
+/**
+ * The agent (lib/agent.js) on the shop fixture database, answering from the
+ * suite's recorded LLM calls (eval/recordings/shop.json), with PII masking,
+ * charts and the history log off as in evaluate.js
+ * Returns { agent, provider, ask(question, options) }; set once the tests start.
+ * ask passes the harness's options, so the prompts match the recordings.
+ */
+export function useShopAgent() {
+  const shop = useShopDatabase();
+  const fixture = {
+    agent: null,
+    provider: null,
+    ask: (question, options = {}) =>
+      fixture.agent.sqlQueryAgent(question, { database: "shop", maxRows: 1000, maxRetries: 3, ...options }),
+  };
+
+  // The agent reads its configuration at import time, so it is loaded once the database exists
+  before(async () => {
+    const databasesFile = path.join(path.dirname(shop.filename), "databases.json");
+    fs.writeFileSync(
+      databasesFile,
+      JSON.stringify({ default: "shop", databases: { shop: { dialect: "sqlite", connection: shop.filename } } })
+    );
+
+    fixture.agent = await importWithEnv(
+      { DATABASES_FILE: databasesFile, PII_MASKING: "off", CHART_MODE: "off", HISTORY_DB_FILE: "off" },
+      new URL("../agent.js", import.meta.url)
+    );
+    fixture.provider = createProvider("replay", { fixtures: shop.suite.llm.fixtures });
+    setProvider(fixture.provider);
+  });
+
+  return fixture;
+}
+
+/**
+ * Safety policy with explicit allow lists (the "public" schema, any table or
+ * function), so SAFETY_* variables don't change the outcome
+ */
+export function testSafetyPolicy(overrides = {}, denied) {
+  return loadSafetyPolicy(
+    { allowedSchemas: ["public"], allowedTables: null, allowedFunctions: null, ...overrides },
+    denied
+  );
+}
+
+/**
+ * Masking policy with the default strategies, no tags and value detection on,
+ * so PII_* variables don't change the outcome
+ */
+export function testPiiPolicy(overrides = {}) {
+  return { enabled: true, strategies: { ...DEFAULT_STRATEGIES }, columns: {}, valueDetection: true, ...overrides };
+}
+
+/**
+ * API key record as lib/auth/apiKeys.js stores it; use a fresh id per test,
+ * since usage is counted per key for the whole process
+ */
+export function testKey(id, { limits = {}, role = null, admin = false } = {}) {
+  return { id, name: id, admin, role, limits, createdAt: new Date(0).toISOString() };
+}
+
+/**
+ * Table entry in the shape lib/tools/schemaExtractor.js extracts, with text
+ * columns and no keys unless extra says otherwise
+ */
+export function schemaTable(name, columns, extra = {}) {
+  return {
+    schema: "public",
+    name,
+    kind: "table",
+    columns: columns.map((column) => ({ column, type: "text", nullable: true })),
+    primaryKey: ["id"],
+    foreignKeys: [],
+    uniqueConstraints: [],
+    indexes: [],
+    ...extra,
+  };
+}
+
+/**
+ * Role in the shape lib/auth/roles.js normalizes roles to; sees everything
+ * unless overrides say otherwise
+ */
+export function testRole(overrides = {}) {
+  return {
+    name: "analyst",
+    tables: null,
+    deniedColumns: [],
+    rowFilters: {},
+    dbRole: null,
+    piiAccess: false,
+    ...overrides,
+  };
+}
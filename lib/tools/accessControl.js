@@ -0,0 +1,674 @@
+import { parse, astVisitor } from "pgsql-ast-parser";
+import sqlParser from "node-sql-parser";
+import { matchesList } from "./safetyPolicy.js";
+
+/**
+ * Access Control
+ * Applies a caller's role (lib/auth/roles.js) twice: hidden tables and columns
+ * are left out of the schema the LLM sees, and every generated query is
+ * checked again after parsing, so a hallucinated reference to a hidden column
+ * is rejected instead of executed. Row filters are applied by rewriting each
+ * reference to a filtered table into a filtered subquery.
+ */
+
+const sqlParserInstance = new sqlParser.Parser();
+
+/**
+ * The part of an introspected schema a role may see
+ * Keys, constraints and indexes that involve hidden columns are dropped too
+ */
+export function filterSchemaForRole(schema, role) {
+  const visible = {};
+
+  Object.entries(schema).forEach(([key, table]) => {
+    if (!tableRule(role, key)) return;
+
+    const isVisible = (column) => isColumnVisible(role, key, column);
+    const hidden = table.columns.filter((col) => !isVisible(col.column)).map((col) => col.column);
+    const mentionsHidden = (definition) =>
+      hidden.some((column) => new RegExp(`\\b${escapeRegExp(column)}\\b`, "i").test(definition));
+
+    visible[key] = {
+      ...table,
+      columns: table.columns.filter((col) => isVisible(col.column)),
+      primaryKey: table.primaryKey.every(isVisible) ? table.primaryKey : [],
+      foreignKeys: table.foreignKeys.filter(
+        (fk) =>
+          fk.columns.every(isVisible) &&
+          tableRule(role, fk.references.table) &&
+          fk.references.columns.every((column) => isColumnVisible(role, fk.references.table, column))
+      ),
+      uniqueConstraints: table.uniqueConstraints.filter((columns) => columns.every(isVisible)),
+      indexes: table.indexes.filter((index) => !mentionsHidden(index.definition || "")),
+    };
+  });
+
+  return visible;
+}
+
+/**
+ * Check a parsed query against a role and apply its row filters
+ * schema is the full introspected schema, used to resolve names and columns.
+ * Returns { issues, query, rowFilters }: issues use the safety checker's shape,
+ * query is the SQL to execute and rowFilters names the filtered tables.
+ */
+export function checkRoleAccess(sqlQuery, { role, schema, dialect }) {
+  const result = { issues: [], query: sqlQuery, rowFilters: [] };
+
+  let refs;
+  try {
+    refs = dialect.parserDatabase
+      ? collectDialectReferences(sqlQuery, dialect)
+      : collectPostgresReferences(sqlQuery);
+  } catch (error) {
+    addIssue(result, sqlQuery, "parse_error", `Could not parse query for access control: ${error.message.split("\n")[0]}`);
+    return result;
+  }
+
+  const lookup = buildTableLookup(schema);
+  const resolve = (ref) => lookup.get(ref.schema ? `${ref.schema}.${ref.name}`.toLowerCase() : ref.name.toLowerCase()) || null;
+  // CTE names are referenced like tables but aren't tables
+  const isTable = (ref) => !ref.cte;
+
+  const tables = refs.tables.filter(isTable).map((ref) => ({ ...ref, key: resolve(ref) }));
+
+  // Alias (or table name) -> keys of the tables it may stand for, across the whole statement
+  const aliases = new Map();
+  const addAlias = (name, key) => {
+    const lower = name.toLowerCase();
+    if (!aliases.has(lower)) aliases.set(lower, new Set());
+    aliases.get(lower).add(key);
+  };
+
+  tables.forEach((ref) => {
+    const qualifiedName = ref.schema ? `${ref.schema}.${ref.name}` : ref.name;
+    const visible = ref.key ? tableRule(role, ref.key) : !role.tables;
+
+    if (!visible) {
+      addIssue(
+        result,
+        sqlQuery,
+        "hidden_table",
+        `Table "${qualifiedName}" is not available to role "${role.name}"`,
+        ref.location
+      );
+    } else if (ref.key) {
+      addAlias(ref.alias || ref.name, ref.key);
+      addAlias(ref.name, ref.key);
+    }
+  });
+
+  const referencedKeys = [...new Set(tables.filter((ref) => ref.key).map((ref) => ref.key))];
+  const rejectColumn = (key, column, location) => {
+    addIssue(
+      result,
+      sqlQuery,
+      "hidden_column",
+      `Column "${key}.${column}" is not available to role "${role.name}"`,
+      location
+    );
+  };
+
+  refs.columns.forEach((ref) => {
+    const column = ref.name.toLowerCase();
+
+    if (ref.qualifier) {
+      const keys = ref.qualifier.schema
+        ? [resolve(ref.qualifier)].filter(Boolean)
+        : [...(aliases.get(ref.qualifier.name.toLowerCase()) || [])];
+      // Unknown qualifiers name subqueries or CTEs, whose own SELECTs are checked
+      keys.forEach((key) => {
+        if (hasColumn(schema[key], column) && !isColumnVisible(role, key, column)) {
+          rejectColumn(key, column, ref.location);
+        }
+      });
+      return;
+    }
+
+    // Unqualified: hidden in any table of the statement is enough to reject
+    referencedKeys.forEach((key) => {
+      if (hasColumn(schema[key], column) && !isColumnVisible(role, key, column)) {
+        rejectColumn(key, column, ref.location);
+      }
+    });
+
+    // A bare table alias is a whole-row reference (row_to_json(u), SELECT u FROM users u)
+    (aliases.get(column) || []).forEach((key) => {
+      if (hiddenColumns(role, key, schema[key]).length > 0) {
+        addIssue(
+          result,
+          sqlQuery,
+          "hidden_column",
+          `Whole-row reference "${ref.name}" would include columns of "${key}" hidden from role "${role.name}"`,
+          ref.location
+        );
+      }
+    });
+  });
+
+  refs.stars.forEach((star) => {
+    // Stars outside a select list are always qualified and may name a table of any FROM clause
+    const keys = star.fromTables
+      ? star.fromTables
+          .filter(isTable)
+          .filter((ref) => !star.qualifier || (ref.alias || ref.name).toLowerCase() === star.qualifier.toLowerCase())
+          .map(resolve)
+          .filter(Boolean)
+      : [...(aliases.get(star.qualifier.toLowerCase()) || [])];
+
+    keys.forEach((key) => {
+      const hidden = hiddenColumns(role, key, schema[key]);
+      if (hidden.length > 0) {
+        addIssue(
+          result,
+          sqlQuery,
+          "hidden_column",
+          `"${star.qualifier ? `${star.qualifier}.*` : "*"}" on "${key}" would include columns hidden from role "${role.name}" (${hidden.join(", ")}); list the columns instead`,
+          star.location
+        );
+      }
+    });
+  });
+
+  if (result.issues.length === 0) {
+    applyRowFilters(result, sqlQuery, tables, { role, schema, dialect });
+  }
+
+  return result;
+}
+
+/**
+ * Where each result column comes from: [{ name, sources: [{ table, column }] }]
+ * in result order, table being the schema key
+ * Traced the way checkRoleAccess resolves references: through aliases,
+ * expressions, joins, subqueries and CTEs, so "SELECT email AS contact" still
+ * comes from users.email. Stars expand to the columns they select; counts
+ * carry no values and no source. null when the query doesn't parse or a star
+ * can't be expanded, since result positions are unknown then.
+ */
+export function resultColumnSources(sqlQuery, { schema, dialect }) {
+  const lookup = buildTableLookup(schema);
+  const context = {
+    schema,
+    resolve: (table) => lookup.get(table.schema ? `${table.schema}.${table.name}`.toLowerCase() : table.name.toLowerCase()) || null,
+    lineage: dialect.parserDatabase ? DIALECT_LINEAGE : POSTGRES_LINEAGE,
+    ctes: [],
+    outer: [],
+  };
+
+  let statement;
+  try {
+    [statement] = dialect.parserDatabase
+      ? [sqlParserInstance.astify(sqlQuery, { database: dialect.parserDatabase })].flat()
+      : parse(sqlQuery);
+  } catch (error) {
+    return null;
+  }
+
+  const columns = traceQuery(statement, context);
+  return columns && columns.map(({ name, sources }) => ({ name, sources: [...sources.values()] }));
+}
+
+// pgsql-ast-parser node types of queries that can appear inside other queries
+const POSTGRES_QUERY_TYPES = ["select", "union", "union all", "with", "with recursive", "values"];
+
+/**
+ * Helper: How result lineage reads each parser's AST
+ *   withClause(node) → { ctes: [{ name, query, columns, recursive }], body }
+ *   selects(body)    → the SELECTs whose rows make up the result (union members)
+ *   from(select)     → [{ alias, table: { schema, name } } | { alias, query } | { alias }]
+ *   items(select)    → [{ star: qualifier | null } | { name, expr }]
+ *   visit(expr, onColumn(qualifier, name), onQuery(query)) → walks an expression
+ */
+const POSTGRES_LINEAGE = {
+  withClause(node) {
+    if (node.type === "with") {
+      const ctes = node.bind.map((bind) => ({ name: bind.alias.name, query: bind.statement, columns: null, recursive: false }));
+      return { ctes, body: node.in };
+    }
+    if (node.type === "with recursive") {
+      const columns = node.columnNames?.map((column) => column.name) || null;
+      return { ctes: [{ name: node.alias.name, query: node.bind, columns, recursive: true }], body: node.in };
+    }
+    return { ctes: [], body: node };
+  },
+  selects(node) {
+    if (node.type === "select") return [node];
+    if (node.left && node.right) return [...this.selects(node.left), ...this.selects(node.right)];
+    return [];
+  },
+  from(select) {
+    return (select.from || []).map((from) => {
+      if (from.type === "table") return { alias: from.name.alias || from.name.name, table: from.name };
+      if (from.type === "statement") return { alias: from.alias, query: from.statement };
+      return { alias: from.alias?.name || null };
+    });
+  },
+  items(select) {
+    return (select.columns || []).map(({ expr, alias }) => {
+      if (expr.type === "ref" && expr.name === "*") return { star: expr.table?.name || null };
+      const name = alias?.name || (expr.type === "ref" ? expr.name : expr.function?.name) || "?column?";
+      return { name, expr };
+    });
+  },
+  visit(node, onColumn, onQuery) {
+    if (Array.isArray(node)) return node.forEach((child) => this.visit(child, onColumn, onQuery));
+    if (!node || typeof node !== "object") return;
+    if (POSTGRES_QUERY_TYPES.includes(node.type)) return onQuery(node);
+    if (node.type === "ref") return onColumn(node.table?.name || null, node.name);
+    if (node.type === "call" && node.function.name === "count") return;
+    Object.entries(node).forEach(([key, child]) => key !== "_location" && this.visit(child, onColumn, onQuery));
+  },
+};
+
+const DIALECT_LINEAGE = {
+  withClause(node) {
+    if (!node.with) return { ctes: [], body: node };
+    const ctes = node.with.map((cte) => ({
+      name: cte.name.value,
+      query: cte.stmt.ast || cte.stmt,
+      columns: cte.columns?.map((column) => column.column) || null,
+      recursive: Boolean(cte.recursive),
+    }));
+    return { ctes, body: { ...node, with: null } };
+  },
+  selects(node) {
+    const selects = [];
+    for (let member = node; member; member = member._next) selects.push(member);
+    return selects;
+  },
+  from(select) {
+    return (select.from || []).map((from) => {
+      if (typeof from.table === "string") return { alias: from.as || from.table, table: { schema: from.db, name: from.table } };
+      if (from.expr?.ast) return { alias: from.as, query: from.expr.ast };
+      return { alias: from.as || null };
+    });
+  },
+  items(select) {
+    if (!Array.isArray(select.columns)) return [{ star: null }];
+    return select.columns.map(({ expr, as }) => {
+      if (expr.type === "column_ref" && expr.column === "*") return { star: expr.table || null };
+      const name = as || (expr.type === "column_ref" ? columnName(expr) : null) || "?column?";
+      return { name, expr };
+    });
+  },
+  visit(node, onColumn, onQuery) {
+    if (Array.isArray(node)) return node.forEach((child) => this.visit(child, onColumn, onQuery));
+    if (!node || typeof node !== "object") return;
+    if (node.ast) return onQuery(node.ast);
+    if (node.type === "column_ref") return onColumn(node.table || null, columnName(node));
+    if (node.type === "aggr_func" && node.name.toUpperCase() === "COUNT") return;
+    Object.entries(node).forEach(([key, child]) => key !== "loc" && this.visit(child, onColumn, onQuery));
+  },
+};
+
+/**
+ * Helper: Output columns of a query, [{ name, sources: Map }], or null when a
+ * star in it can't be expanded; union members add their sources by position
+ */
+function traceQuery(node, context) {
+  const { lineage } = context;
+  const { ctes, body } = lineage.withClause(node);
+
+  // A CTE's name is visible to the CTEs after it and the main query; a recursive
+  // one also to itself, with its columns unknown while they are being traced
+  let scope = context.ctes;
+  ctes.forEach((cte) => {
+    const entry = { name: cte.name.toLowerCase(), columns: null };
+    const traced = traceQuery(cte.query, { ...context, ctes: cte.recursive ? [entry, ...scope] : scope });
+    entry.columns = traced && cte.columns ? traced.map((column, i) => ({ ...column, name: cte.columns[i] ?? column.name })) : traced;
+    scope = [entry, ...scope];
+  });
+
+  const members = lineage.selects(body).map((select) => traceSelect(select, { ...context, ctes: scope }));
+  if (members.length === 0 || members.some((columns) => columns === null)) return null;
+
+  const [first, ...rest] = members;
+  return first.map((column, i) => {
+    const sources = new Map(column.sources);
+    rest.forEach((columns) => columns[i]?.sources.forEach((source, key) => sources.set(key, source)));
+    return { name: column.name, sources };
+  });
+}
+
+/**
+ * Helper: Output columns of one SELECT, [{ name, sources: Map }], or null
+ * when a star in it can't be expanded
+ */
+function traceSelect(select, context) {
+  const { lineage } = context;
+  const from = lineage.from(select).map((entry) => ({
+    alias: entry.alias?.toLowerCase() || null,
+    columns: fromColumns(entry, context),
+  }));
+  // Correlated subqueries see the FROM clauses around them
+  const inner = { ...context, outer: [from, ...context.outer] };
+
+  const columns = [];
+  for (const item of lineage.items(select)) {
+    if (item.star !== undefined) {
+      const entries = from.filter((entry) => item.star === null || entry.alias === item.star.toLowerCase());
+      if (entries.length === 0 || entries.some((entry) => entry.columns === null)) return null;
+      entries.forEach((entry) => columns.push(...entry.columns));
+      continue;
+    }
+
+    const sources = new Map();
+    const add = (traced) => traced.forEach((column) => column.sources.forEach((source, key) => sources.set(key, source)));
+    lineage.visit(
+      item.expr,
+      (qualifier, name) => add(columnSources([from, ...context.outer], qualifier, name)),
+      (query) => add(traceQuery(query, inner) || [])
+    );
+    columns.push({ name: item.name, sources });
+  }
+  return columns;
+}
+
+/**
+ * Helper: Columns a FROM entry provides: a CTE's or subquery's output, a
+ * table's columns (each its own source), or null when unknown
+ */
+function fromColumns(entry, context) {
+  if (entry.query) return traceQuery(entry.query, context);
+  if (!entry.table) return null;
+
+  const cte = !entry.table.schema && context.ctes.find((scope) => scope.name === entry.table.name.toLowerCase());
+  if (cte) return cte.columns;
+
+  const key = context.resolve(entry.table);
+  const table = key && context.schema[key];
+  if (!table) return null;
+  return table.columns.map(({ column }) => ({
+    name: column,
+    sources: new Map([[`${key}.${column}`, { table: key, column }]]),
+  }));
+}
+
+/**
+ * Helper: Columns a reference may stand for, looked up in the innermost FROM
+ * clause that has it; a bare alias is the whole row
+ */
+function columnSources(fromClauses, qualifier, name) {
+  const lower = name.toLowerCase();
+
+  for (const from of fromClauses) {
+    const entries = qualifier ? from.filter((entry) => entry.alias === qualifier.toLowerCase()) : from;
+    const matches = entries.flatMap((entry) => (entry.columns || []).filter((column) => column.name.toLowerCase() === lower));
+    if (matches.length > 0) return matches;
+    if (qualifier && entries.length > 0) return [];
+
+    const row = qualifier ? null : from.find((entry) => entry.alias === lower);
+    if (row) return row.columns || [];
+  }
+  return [];
+}
+
+/**
+ * Helper: Replace every reference to a filtered table with
+ * (SELECT * FROM table WHERE predicate) AS alias, working from the end so
+ * earlier offsets stay valid
+ */
+function applyRowFilters(result, sqlQuery, tables, { role, schema, dialect }) {
+  const filtered = tables.filter((ref) => ref.key && role.rowFilters[ref.key.toLowerCase()]);
+  if (filtered.length === 0) return;
+
+  if (filtered.some((ref) => !ref.location)) {
+    addIssue(
+      result,
+      sqlQuery,
+      "row_filter_unsupported",
+      `Row filters of role "${role.name}" cannot be applied to ${dialect.label} queries, so filtered tables (${filtered.map((ref) => ref.key).join(", ")}) cannot be queried`
+    );
+    return;
+  }
+
+  const quote = dialect.quoteIdentifier;
+  let query = sqlQuery;
+
+  [...filtered]
+    .sort((a, b) => b.location.start - a.location.start)
+    .forEach((ref) => {
+      const table = schema[ref.key];
+      const replacement =
+        `(SELECT * FROM ${quote(table.schema)}.${quote(table.name)} ` +
+        `WHERE (${role.rowFilters[ref.key.toLowerCase()]})) AS ${quote(ref.alias || table.name)}`;
+      query = query.slice(0, ref.location.start) + replacement + query.slice(ref.location.end);
+    });
+
+  result.query = query;
+  result.rowFilters = [...new Set(filtered.map((ref) => ref.key))];
+}
+
+/**
+ * Helper: Table, column and star references of a PostgreSQL query
+ * Table references carry cte: true when they name a CTE in scope rather than a table.
+ */
+function collectPostgresReferences(sqlQuery) {
+  const refs = { tables: [], columns: [], stars: [] };
+  const cteScopes = [];
+  const selectListStars = new Set();
+
+  const visitor = astVisitor((map) => ({
+    with: (withStatement) => {
+      // A CTE's name is visible to the CTEs after it and the main query, not to its own body
+      const scope = new Set();
+      cteScopes.push(scope);
+      withStatement.bind.forEach((bind) => {
+        visitor.statement(bind.statement);
+        scope.add(bind.alias.name.toLowerCase());
+      });
+      visitor.statement(withStatement.in);
+      cteScopes.pop();
+      return withStatement;
+    },
+    withRecursive: (withStatement) => {
+      cteScopes.push(new Set([withStatement.alias.name.toLowerCase()]));
+      const mapped = map.super().withRecursive(withStatement);
+      cteScopes.pop();
+      return mapped;
+    },
+    tableRef: (ref) => {
+      refs.tables.push({
+        schema: ref.schema,
+        name: ref.name,
+        alias: ref.alias,
+        cte: isCteName(cteScopes, ref),
+        location: ref._location && includeAlias(sqlQuery, ref._location, ref.alias),
+      });
+      return map.super().tableRef(ref);
+    },
+    selection: (select) => {
+      // A star in the select list only expands the tables of its own FROM clause
+      const fromTables = (select.from || []).filter((from) => from.type === "table");
+      select.columns?.forEach((col) => {
+        if (col.expr.type === "ref" && col.expr.name === "*") {
+          selectListStars.add(col.expr);
+          refs.stars.push({
+            qualifier: col.expr.table?.name || null,
+            fromTables: fromTables.map((from) => ({ ...from.name, cte: isCteName(cteScopes, from.name) })),
+            location: col.expr._location,
+          });
+        }
+      });
+      return map.super().selection(select);
+    },
+    ref: (ref) => {
+      if (ref.name !== "*") {
+        refs.columns.push({ qualifier: ref.table || null, name: ref.name, location: ref._location });
+      } else if (ref.table && !selectListStars.has(ref)) {
+        // alias.* anywhere else (row_to_json(u.*), (u.*)::text) is a whole row as well
+        refs.stars.push({ qualifier: ref.table.name, fromTables: null, location: ref._location });
+      }
+      return map.super().ref(ref);
+    },
+  }));
+
+  parse(sqlQuery, { locationTracking: true }).forEach((statement) => visitor.statement(statement));
+  return refs;
+}
+
+/**
+ * Helper: Table, column and star references of a node-sql-parser query
+ * (SQLite parses without locations, so row filters can't be applied there)
+ */
+function collectDialectReferences(sqlQuery, dialect) {
+  const refs = { tables: [], columns: [], stars: [] };
+  const cteScopes = [];
+  const selectListStars = new Set();
+  const ast = sqlParserInstance.astify(sqlQuery, {
+    database: dialect.parserDatabase,
+    parseOptions: { includeLocations: true },
+  });
+
+  const visit = (node) => {
+    if (Array.isArray(node)) {
+      node.forEach(visit);
+      return;
+    }
+    if (!node || typeof node !== "object") return;
+
+    if (node.type === "select" && node.with) {
+      // A CTE's name is visible to the CTEs after it and the main query, and
+      // to its own body only when it is recursive
+      const scope = new Set();
+      cteScopes.push(scope);
+      node.with.forEach((cte) => {
+        const name = cte.name.value.toLowerCase();
+        if (cte.recursive) scope.add(name);
+        visit(cte.stmt);
+        scope.add(name);
+      });
+      visit({ ...node, with: null });
+      cteScopes.pop();
+      return;
+    }
+
+    if (node.type === "select") {
+      const fromTables = (node.from || [])
+        .filter((from) => typeof from.table === "string")
+        .map((from) => ({ schema: from.db, name: from.table, alias: from.as, loc: from.loc }))
+        .map((from) => ({ ...from, cte: isCteName(cteScopes, from) }));
+      fromTables.forEach(({ loc, ...from }) => refs.tables.push({ ...from, location: toLocation(loc) }));
+
+      (Array.isArray(node.columns) ? node.columns : []).forEach((col) => {
+        if (col.expr?.type === "column_ref" && col.expr.column === "*") {
+          selectListStars.add(col.expr);
+          refs.stars.push({
+            qualifier: col.expr.table || null,
+            fromTables: fromTables.map(({ loc, ...from }) => from),
+            location: toLocation(col.expr.loc),
+          });
+        }
+      });
+    }
+
+    if (node.type === "column_ref") {
+      const name = typeof node.column === "string" ? node.column : node.column?.expr?.value;
+      if (name && name !== "*") {
+        refs.columns.push({
+          qualifier: node.table ? { schema: node.db || null, name: node.table } : null,
+          name,
+          location: toLocation(node.loc),
+        });
+      } else if (name === "*" && node.table && !selectListStars.has(node)) {
+        // alias.* anywhere else (JSON_ARRAY(u.*)) is a whole row as well
+        refs.stars.push({ qualifier: node.table, fromTables: null, location: toLocation(node.loc) });
+      }
+    }
+
+    Object.entries(node).forEach(([key, child]) => {
+      if (key !== "loc") visit(child);
+    });
+  };
+
+  visit(ast);
+  return refs;
+}
+
+/**
+ * Helper: Whether an unqualified table reference names a CTE in scope
+ */
+function isCteName(cteScopes, ref) {
+  return !ref.schema && cteScopes.some((scope) => scope.has(ref.name.toLowerCase()));
+}
+
+/**
+ * Helper: Extend a table reference's location over its alias
+ * pgsql-ast-parser only includes the alias when it is written with AS
+ */
+function includeAlias(sqlQuery, location, alias) {
+  if (!alias) return location;
+  const rest = sqlQuery.slice(location.end);
+  const match = rest.match(new RegExp(`^\\s+(?:AS\\s+)?"?${escapeRegExp(alias)}"?(?![\\w$])`, "i"));
+  return match ? { start: location.start, end: location.end + match[0].length } : location;
+}
+
+/**
+ * Helper: "schema.table" and unqualified keys -> schema key
+ */
+function buildTableLookup(schema) {
+  const lookup = new Map();
+  Object.entries(schema).forEach(([key, table]) => {
+    lookup.set(key.toLowerCase(), key);
+    lookup.set(`${table.schema}.${table.name}`.toLowerCase(), key);
+  });
+  return lookup;
+}
+
+/**
+ * Helper: "*" or the visible column list of a table; undefined when the table is hidden
+ */
+function tableRule(role, key) {
+  if (!role.tables) return "*";
+  const lower = key.toLowerCase();
+  if (role.tables[lower]) return role.tables[lower];
+  const pattern = Object.keys(role.tables).find((entry) => matchesList([entry], lower));
+  return pattern ? role.tables[pattern] : undefined;
+}
+
+function isColumnVisible(role, key, column) {
+  const rule = tableRule(role, key);
+  const lower = column.toLowerCase();
+  if (!rule) return false;
+  if (rule !== "*" && !rule.includes(lower)) return false;
+  return !matchesList(role.deniedColumns, `${key.toLowerCase()}.${lower}`);
+}
+
+function hiddenColumns(role, key, table) {
+  return table.columns.filter((col) => !isColumnVisible(role, key, col.column)).map((col) => col.column);
+}
+
+function hasColumn(table, column) {
+  return table?.columns.some((col) => col.column.toLowerCase() === column);
+}
+
+// node-sql-parser writes quoted column names as { expr: { value } }
+function columnName(node) {
+  return typeof node.column === "string" ? node.column : node.column?.expr?.value;
+}
+
+function toLocation(loc) {
+  return loc ? { start: loc.start.offset, end: loc.end.offset } : null;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Helper: Record an issue in the safety checker's shape
+ */
+function addIssue(result, sqlQuery, rule, message, location = null) {
+  const clause = location ? sqlQuery.slice(location.start, location.end).trim() : null;
+
+  // One issue per offending clause is enough
+  if (result.issues.some((issue) => issue.rule === rule && issue.message.startsWith(message))) return;
+
+  result.issues.push({
+    rule,
+    message: clause ? `${message} (at position ${location.start}: "${clause}")` : message,
+    clause,
+    position: location ? location.start : null,
+  });
+}
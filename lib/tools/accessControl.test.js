@@ -0,0 +1,215 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { filterSchemaForRole, checkRoleAccess, resultColumnSources } from "./accessControl.js";
+import { postgres } from "../dialects/postgres.js";
+import { sqlite } from "../dialects/sqlite.js";
+import { mysql } from "../dialects/mysql.js";
+import { schemaTable, testRole } from "../testing/fixtures.js";
+
+const schema = {
+  users: schemaTable("users", ["id", "email", "name", "region"], {
+    uniqueConstraints: [["email"]],
+    indexes: [{ name: "users_email_idx", unique: true, definition: "CREATE UNIQUE INDEX users_email_idx ON users (email)" }],
+  }),
+  orders: schemaTable("orders", ["id", "user_id", "total", "region"], {
+    foreignKeys: [{ name: "orders_user_fk", columns: ["user_id"], references: { table: "users", columns: ["id"] } }],
+  }),
+  salaries: schemaTable("salaries", ["id", "user_id", "amount"]),
+};
+
+const analyst = testRole({
+  tables: { users: ["id", "name", "region"], orders: "*" },
+  deniedColumns: ["*.amount"],
+});
+
+const rules = (result) => result.issues.map((issue) => issue.rule);
+
+describe("filterSchemaForRole", () => {
+  it("leaves out hidden tables and columns", () => {
+    const visible = filterSchemaForRole(schema, analyst);
+
+    assert.deepEqual(Object.keys(visible), ["users", "orders"]);
+    assert.deepEqual(visible.users.columns.map((col) => col.column), ["id", "name", "region"]);
+    assert.deepEqual(visible.orders.columns.map((col) => col.column), ["id", "user_id", "total", "region"]);
+  });
+
+  it("drops constraints and indexes that involve hidden columns", () => {
+    const visible = filterSchemaForRole(schema, analyst);
+
+    assert.deepEqual(visible.users.uniqueConstraints, []);
+    assert.deepEqual(visible.users.indexes, []);
+    assert.equal(visible.orders.foreignKeys.length, 1);
+  });
+
+  it("drops foreign keys to tables the role can't see", () => {
+    const visible = filterSchemaForRole(schema, testRole({ tables: { orders: "*" } }));
+
+    assert.deepEqual(visible.orders.foreignKeys, []);
+  });
+
+  it("applies denied columns to every table a wildcard matches", () => {
+    const visible = filterSchemaForRole(schema, testRole({ deniedColumns: ["*.region"] }));
+
+    assert.deepEqual(Object.keys(visible), ["users", "orders", "salaries"]);
+    assert.ok(!visible.users.columns.some((col) => col.column === "region"));
+    assert.ok(!visible.orders.columns.some((col) => col.column === "region"));
+  });
+});
+
+describe("checkRoleAccess", () => {
+  const check = (sql, checkedRole = analyst, dialect = postgres) =>
+    checkRoleAccess(sql, { role: checkedRole, schema, dialect });
+
+  it("passes queries on visible tables and columns unchanged", () => {
+    const sql = "SELECT u.name, o.total FROM users u JOIN orders o ON o.user_id = u.id";
+    const result = check(sql);
+
+    assert.deepEqual(result.issues, []);
+    assert.equal(result.query, sql);
+    assert.deepEqual(result.rowFilters, []);
+  });
+
+  it("rejects hidden tables", () => {
+    assert.deepEqual(rules(check("SELECT count(*) FROM salaries")), ["hidden_table"]);
+    assert.deepEqual(rules(check("SELECT count(*) FROM public.salaries")), ["hidden_table"]);
+  });
+
+  it("rejects hidden columns, qualified or not", () => {
+    assert.deepEqual(rules(check("SELECT email FROM users")), ["hidden_column"]);
+    assert.deepEqual(rules(check("SELECT u.email FROM users u")), ["hidden_column"]);
+    assert.deepEqual(rules(check("SELECT id FROM users WHERE email LIKE '%@example.com'")), ["hidden_column"]);
+  });
+
+  it("rejects SELECT * and whole-row references that would include hidden columns", () => {
+    assert.deepEqual(rules(check("SELECT * FROM users")), ["hidden_column"]);
+    assert.deepEqual(rules(check("SELECT row_to_json(u) FROM users u")), ["hidden_column"]);
+    assert.deepEqual(check("SELECT * FROM orders").issues, []);
+  });
+
+  it("doesn't mistake CTE names for tables", () => {
+    const result = check("WITH salaries AS (SELECT id, total FROM orders) SELECT id FROM salaries");
+
+    assert.deepEqual(result.issues, []);
+  });
+
+  it("checks the table a CTE of the same name reads from", () => {
+    assert.ok(rules(check("WITH salaries AS (SELECT * FROM salaries) SELECT * FROM salaries")).includes("hidden_table"));
+    assert.deepEqual(rules(check("WITH users AS (SELECT * FROM users) SELECT * FROM users")), ["hidden_column"]);
+    // An earlier CTE doesn't see a later one either
+    assert.deepEqual(
+      rules(check("WITH a AS (SELECT count(*) FROM salaries), salaries AS (SELECT 1) SELECT * FROM a")),
+      ["hidden_table"]
+    );
+  });
+
+  it("filters the table a CTE of the same name reads from", () => {
+    const regional = testRole({ rowFilters: { orders: "region = 'EU'" } });
+    const result = check("WITH orders AS (SELECT * FROM orders) SELECT * FROM orders", regional);
+
+    assert.deepEqual(result.rowFilters, ["orders"]);
+    assert.equal(
+      result.query,
+      `WITH orders AS (SELECT * FROM (SELECT * FROM "public"."orders" WHERE (region = 'EU')) AS "orders") SELECT * FROM orders`
+    );
+  });
+
+  it("lets a recursive CTE refer to itself", () => {
+    const sql = "WITH RECURSIVE n(i) AS (SELECT 1 UNION ALL SELECT i + 1 FROM n WHERE i < 3) SELECT i FROM n";
+
+    assert.deepEqual(check(sql).issues, []);
+  });
+
+  it("rejects whole-row stars outside the select list", () => {
+    assert.deepEqual(rules(check("SELECT row_to_json(u.*) FROM users u")), ["hidden_column"]);
+    assert.deepEqual(rules(check("SELECT (u.*)::text FROM users u")), ["hidden_column"]);
+    assert.deepEqual(rules(check("SELECT JSON_ARRAY(u.*) FROM users u", analyst, mysql)), ["hidden_column"]);
+    assert.deepEqual(check("SELECT row_to_json(o.*) FROM orders o").issues, []);
+  });
+
+  it("scopes CTE names on other dialects", () => {
+    assert.deepEqual(rules(check("WITH users AS (SELECT * FROM users) SELECT * FROM users", analyst, sqlite)), [
+      "hidden_column",
+    ]);
+    assert.deepEqual(check("WITH salaries AS (SELECT id FROM orders) SELECT id FROM salaries", analyst, mysql).issues, []);
+  });
+
+  it("rewrites filtered tables into filtered subqueries", () => {
+    const regional = testRole({ rowFilters: { orders: "region = 'EU'" } });
+    const result = check("SELECT o.id, o.total FROM orders o WHERE o.total > 10", regional);
+
+    assert.deepEqual(result.issues, []);
+    assert.deepEqual(result.rowFilters, ["orders"]);
+    assert.equal(
+      result.query,
+      `SELECT o.id, o.total FROM (SELECT * FROM "public"."orders" WHERE (region = 'EU')) AS "o" WHERE o.total > 10`
+    );
+  });
+
+  it("filters every reference to a table, and names the subquery after the table without an alias", () => {
+    const regional = testRole({ rowFilters: { orders: "region = 'EU'" } });
+    const result = check("SELECT count(*) FROM orders WHERE id IN (SELECT id FROM orders)", regional);
+
+    assert.equal(result.query.match(/WHERE \(region = 'EU'\)\) AS "orders"/g).length, 2);
+  });
+
+  it("refuses filtered tables where it can't rewrite the query", () => {
+    const regional = testRole({ rowFilters: { orders: "region = 'EU'" } });
+    const result = check("SELECT id FROM orders", regional, sqlite);
+
+    assert.deepEqual(rules(result), ["row_filter_unsupported"]);
+    assert.equal(result.query, "SELECT id FROM orders");
+  });
+
+  it("reports queries it can't parse", () => {
+    assert.deepEqual(rules(check("SELEC id FROM users")), ["parse_error"]);
+  });
+});
+
+describe("resultColumnSources", () => {
+  const sources = (sqlQuery, dialect = postgres) =>
+    resultColumnSources(sqlQuery, { schema, dialect })?.map((column) => [
+      column.name,
+      column.sources.map(({ table, column: source }) => `${table}.${source}`),
+    ]);
+
+  it("follows aliases, expressions and joins to the table columns", () => {
+    const sqlQuery = "SELECT lower(u.email) AS contact, o.total FROM users u JOIN orders o ON o.user_id = u.id";
+
+    assert.deepEqual(sources(sqlQuery), [
+      ["contact", ["users.email"]],
+      ["total", ["orders.total"]],
+    ]);
+  });
+
+  it("follows CTEs, subqueries and unions", () => {
+    const viaCte = "WITH c AS (SELECT email AS e FROM users) SELECT e AS contact FROM c";
+    const viaSubquery = "SELECT * FROM (SELECT name, email AS contact FROM users) s";
+    const correlated = "SELECT (SELECT email FROM users WHERE users.id = o.user_id) AS who FROM orders o";
+
+    [postgres, sqlite].forEach((dialect) => {
+      assert.deepEqual(sources(viaCte, dialect), [["contact", ["users.email"]]]);
+      assert.deepEqual(sources(viaSubquery, dialect), [
+        ["name", ["users.name"]],
+        ["contact", ["users.email"]],
+      ]);
+      assert.deepEqual(sources(correlated, dialect), [["who", ["users.email"]]]);
+    });
+    assert.deepEqual(sources("SELECT id FROM orders UNION SELECT email FROM users"), [["id", ["orders.id", "users.email"]]]);
+  });
+
+  it("expands stars and gives counts no source", () => {
+    assert.deepEqual(sources("SELECT u.*, count(u.email) AS n FROM users u GROUP BY u.id").map(([name]) => name), [
+      "id",
+      "email",
+      "name",
+      "region",
+      "n",
+    ]);
+    assert.deepEqual(sources("SELECT count(email) AS n FROM users"), [["n", []]]);
+  });
+
+  it("is null when result columns can't be traced", () => {
+    assert.equal(resultColumnSources("SELECT * FROM unknown", { schema, dialect: postgres }), null);
+    assert.equal(resultColumnSources("SELEC id FROM users", { schema, dialect: postgres }), null);
+  });
+});
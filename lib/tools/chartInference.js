@@ -0,0 +1,207 @@
+import dotenv from "dotenv";
+
+dotenv.config();
+
+/**
+ * Chart Inference
+ * Picks a chart for a query result from its columns and values, as a
+ * declarative spec the UI renders from the rows it already has:
+ *
+ *   { type, title, x: { field, type }, y: [{ field }], series: { field } | null, source }
+ *
+ *   line    → date (or year/month number) on x, numbers on y
+ *   bar     → category on x, numbers on y
+ *   pie     → category on x, one non-negative number on y, few slices
+ *   scatter → two numbers
+ * x.type is "temporal", "ordinal" (time parts like year) or "nominal"; series
+ * splits one measure into a line/bar per value of a second category. source is
+ * "inferred", or "llm" when CHART_MODE=llm and the LLM's suggestion was valid.
+ *
+ * CHART_MODE: "infer" (default) | "llm" (ask the LLM, fall back to inference) | "off"
+ */
+
+export const CHART_TYPES = ["line", "bar", "pie", "scatter"];
+
+export const CHART_MODE = ["infer", "llm", "off"].includes(process.env.CHART_MODE)
+  ? process.env.CHART_MODE
+  : "infer";
+
+const MAX_MEASURES = 4;
+const MAX_SERIES = 8;
+const MAX_BAR_CATEGORIES = 50;
+const MAX_PIE_SLICES = 6;
+
+const KINDS = {
+  integer: "quantitative",
+  bigint: "quantitative",
+  number: "quantitative",
+  decimal: "quantitative",
+  date: "temporal",
+  timestamp: "temporal",
+  timestamptz: "temporal",
+  boolean: "nominal",
+  string: "nominal",
+};
+
+const IDENTIFIER = /^(id|uuid)$|_(id|uuid)$/i;
+const TIME_PART = /^(year|quarter|month|week|day|hour)$|_(year|quarter|month|week)$/i;
+const ISO_DATE = /^\d{4}-\d{2}(-\d{2})?([ T]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}(:?\d{2})?)?)?$/;
+
+/**
+ * Describe result columns for charting: { name, kind }
+ * kind is "temporal", "ordinal", "quantitative", "nominal", "identifier" or
+ * null (unusable, e.g. JSON); columns listed in masked are null too, since
+ * masked values don't make meaningful axes.
+ */
+export function describeColumns(fields, rows, { dialect, masked = [] } = {}) {
+  return fields.map((field) => ({
+    name: field.name,
+    kind: masked.includes(field.name) ? null : columnKind(field, rows, dialect),
+  }));
+}
+
+/**
+ * Infer a chart spec for a result; null when no chart would help
+ * Returns { spec, reason } so callers can trace why. A truncated result is
+ * never a pie: the slices wouldn't add up to the whole.
+ */
+export function inferChart(columns, rows, { truncated = false } = {}) {
+  if (rows.length < 2) return { spec: null, reason: "fewer than 2 rows" };
+
+  const byKind = (...kinds) => columns.filter((col) => kinds.includes(col.kind));
+  const measures = byKind("quantitative").slice(0, MAX_MEASURES);
+  const temporal = byKind("temporal", "ordinal")[0];
+  const categories = byKind("nominal");
+
+  if (temporal && measures.length > 0) {
+    const series = measures.length === 1 ? seriesColumn(categories, rows) : null;
+    return {
+      spec: buildSpec("line", temporal, measures, series),
+      reason: `${temporal.name} is a ${temporal.kind === "ordinal" ? "time part" : "date"} and ${names(measures)} numeric`,
+    };
+  }
+
+  if (categories.length > 0 && measures.length > 0) {
+    const category = categories[0];
+    const distinct = countDistinct(rows, category.name);
+
+    if (distinct > MAX_BAR_CATEGORIES) {
+      return { spec: null, reason: `${category.name} has more than ${MAX_BAR_CATEGORIES} categories` };
+    }
+
+    const series = measures.length === 1 ? seriesColumn(categories.slice(1), rows) : null;
+    if (!truncated && isShare(rows, category, measures, series)) {
+      return {
+        spec: buildSpec("pie", category, measures, null),
+        reason: `${distinct} shares of ${measures[0].name} by ${category.name}`,
+      };
+    }
+
+    return {
+      spec: buildSpec("bar", category, measures, series),
+      reason: `${names(measures)} by category ${category.name}`,
+    };
+  }
+
+  if (measures.length >= 2 && categories.length === 0) {
+    return {
+      spec: buildSpec("scatter", measures[0], [measures[1]], null),
+      reason: `${measures[1].name} against ${measures[0].name}`,
+    };
+  }
+
+  return { spec: null, reason: "no date or category column with a numeric column" };
+}
+
+/**
+ * Check a suggested spec (e.g. from the LLM) against the result's columns
+ * suggestion: { type, x, y: [..], series, title } with column names.
+ * Returns a normalized spec, or null if it doesn't fit the result.
+ */
+export function validateChartSpec(suggestion, columns) {
+  if (!suggestion || !CHART_TYPES.includes(suggestion.type)) return null;
+
+  const find = (name) => columns.find((col) => col.name === name && col.kind && col.kind !== "identifier");
+  const x = find(suggestion.x);
+  const yNames = Array.isArray(suggestion.y) ? suggestion.y : [suggestion.y];
+  const y = yNames.map(find);
+  const series = suggestion.series ? find(suggestion.series) : null;
+
+  if (!x || y.length === 0 || y.length > MAX_MEASURES) return null;
+  if (y.some((col) => !col || col.kind !== "quantitative")) return null;
+  if (suggestion.series && (!series || series.kind !== "nominal" || y.length > 1)) return null;
+  if (suggestion.type === "scatter" && (x.kind !== "quantitative" || y.length !== 1)) return null;
+  if (suggestion.type === "pie" && (x.kind === "quantitative" || y.length !== 1 || series)) return null;
+
+  const spec = buildSpec(suggestion.type, x, y, series, "llm");
+  if (typeof suggestion.title === "string" && suggestion.title.trim()) spec.title = suggestion.title.trim();
+  return spec;
+}
+
+function buildSpec(type, x, measures, series, source = "inferred") {
+  return {
+    type,
+    title: series
+      ? `${measures[0].name} by ${x.name} and ${series.name}`
+      : `${names(measures)} ${type === "scatter" ? "vs" : "by"} ${x.name}`,
+    x: { field: x.name, type: x.kind === "quantitative" ? "quantitative" : x.kind },
+    y: measures.map((col) => ({ field: col.name })),
+    series: series ? { field: series.name } : null,
+    source,
+  };
+}
+
+/**
+ * Helper: Column kind from the dialect's type, then from the values
+ * Text that always looks like a date (SQLite) is temporal; small integers
+ * named like a time part (year, month) are ordinal
+ */
+function columnKind(field, rows, dialect) {
+  if (IDENTIFIER.test(field.name)) return "identifier";
+
+  const type = dialect?.columnType(field.dataType) || null;
+  const values = rows.map((row) => row[field.name]).filter((value) => value !== null && value !== undefined);
+  let kind = type ? KINDS[type] || null : inferKind(values);
+
+  if (kind === "nominal" && values.length > 0 && values.every((value) => typeof value === "string" && ISO_DATE.test(value))) {
+    kind = "temporal";
+  }
+  if (kind === "quantitative" && TIME_PART.test(field.name) && values.every((value) => Number.isInteger(Number(value)))) {
+    kind = "ordinal";
+  }
+  return kind;
+}
+
+function inferKind(values) {
+  if (values.length === 0) return null;
+  if (values.every((value) => typeof value === "number" || typeof value === "bigint")) return "quantitative";
+  if (values.every((value) => value instanceof Date)) return "temporal";
+  if (values.every((value) => typeof value === "string" || typeof value === "boolean")) return "nominal";
+  return null;
+}
+
+/**
+ * Helper: A second category with few values splits the chart into series
+ */
+function seriesColumn(categories, rows) {
+  return categories.find((col) => countDistinct(rows, col.name) <= MAX_SERIES) || null;
+}
+
+/**
+ * Helper: Few rows, one category per row and one non-negative measure → parts of a whole
+ */
+function isShare(rows, category, measures, series) {
+  if (measures.length !== 1 || series || rows.length > MAX_PIE_SLICES) return false;
+  if (countDistinct(rows, category.name) !== rows.length) return false;
+
+  const values = rows.map((row) => Number(row[measures[0].name]));
+  return values.every((value) => Number.isFinite(value) && value >= 0) && values.some((value) => value > 0);
+}
+
+function countDistinct(rows, field) {
+  return new Set(rows.map((row) => String(row[field]))).size;
+}
+
+function names(columns) {
+  return columns.map((col) => col.name).join(", ");
+}
@@ -0,0 +1,213 @@
+import fs from "fs";
+import path from "path";
+import { randomUUID } from "crypto";
+import Database from "better-sqlite3";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+/**
+ * History Store
+ * Audit log of every agent run: who asked what on which database, every SQL
+ * attempt with its safety issues, the outcome, timings and LLM token usage.
+ * Persisted to the SQLite file in HISTORY_DB_FILE (default ./data/history.db);
+ * HISTORY_DB_FILE=off keeps no history. Runs older than HISTORY_RETENTION_DAYS
+ * are deleted at startup.
+ */
+
+const HISTORY_FILE = process.env.HISTORY_DB_FILE || "./data/history.db";
+const RETENTION_DAYS = parseInt(process.env.HISTORY_RETENTION_DAYS, 10) || null;
+const MAX_PAGE_SIZE = 100;
+
+const db = openHistory(HISTORY_FILE);
+
+/**
+ * Whether runs are being recorded
+ */
+export function isHistoryEnabled() {
+  return db !== null;
+}
+
+/**
+ * Persist one agent run; returns its history ID (null when history is off)
+ * Never throws: a failing audit write is logged, not surfaced to the caller
+ */
+export function recordRun(run) {
+  if (!db) return null;
+
+  const id = randomUUID();
+  try {
+    db.prepare(
+      `INSERT INTO runs (
+        id, created_at, key_id, role, database, session_id, question, status,
+        error, error_code, query, attempts, row_count, total_rows,
+        execution_time_ms, duration_ms, input_tokens, output_tokens, answer, result_id
+      ) VALUES (
+        @id, @createdAt, @keyId, @role, @database, @sessionId, @question, @status,
+        @error, @errorCode, @query, @attempts, @rowCount, @totalRows,
+        @executionTimeMs, @durationMs, @inputTokens, @outputTokens, @answer, @resultId
+      )`
+    ).run({
+      id,
+      createdAt: new Date().toISOString(),
+      keyId: run.keyId ?? null,
+      role: run.role ?? null,
+      database: run.database ?? null,
+      sessionId: run.sessionId ?? null,
+      question: run.question,
+      status: run.status,
+      error: run.error ?? null,
+      errorCode: run.errorCode ?? null,
+      query: run.query ?? null,
+      attempts: JSON.stringify(run.attempts || []),
+      rowCount: run.rowCount ?? null,
+      totalRows: run.totalRows ?? null,
+      executionTimeMs: run.executionTimeMs ?? null,
+      durationMs: run.durationMs ?? null,
+      inputTokens: run.usage?.inputTokens ?? 0,
+      outputTokens: run.usage?.outputTokens ?? 0,
+      answer: run.answer ?? null,
+      resultId: run.resultId ?? null,
+    });
+    return id;
+  } catch (error) {
+    console.error("Could not record run in history:", error.message);
+    return null;
+  }
+}
+
+/**
+ * Search runs, newest first
+ * filters: keyId, database, status, q (searches question and SQL), from/to
+ * (ISO timestamps), page, pageSize. Returns { runs, page, pageSize, total,
+ * hasNextPage } without the per-attempt details.
+ */
+export function searchRuns(filters = {}) {
+  const pageSize = Math.min(Math.max(parseInt(filters.pageSize, 10) || 20, 1), MAX_PAGE_SIZE);
+  const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+
+  if (!db) return { runs: [], page, pageSize, total: 0, hasNextPage: false };
+
+  const conditions = [];
+  const params = {};
+
+  if (filters.keyId) {
+    conditions.push("key_id = @keyId");
+    params.keyId = filters.keyId;
+  }
+  if (filters.database) {
+    conditions.push("database = @database");
+    params.database = filters.database;
+  }
+  if (filters.status) {
+    conditions.push("status = @status");
+    params.status = filters.status;
+  }
+  if (filters.q) {
+    conditions.push("(question LIKE @q ESCAPE '\\' OR query LIKE @q ESCAPE '\\')");
+    params.q = `%${filters.q.replace(/[\\%_]/g, "\\$&")}%`;
+  }
+  if (filters.from) {
+    conditions.push("created_at >= @from");
+    params.from = filters.from;
+  }
+  if (filters.to) {
+    conditions.push("created_at <= @to");
+    params.to = filters.to;
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+  const { total } = db.prepare(`SELECT COUNT(*) AS total FROM runs ${where}`).get(params);
+  const rows = db
+    .prepare(`SELECT * FROM runs ${where} ORDER BY created_at DESC, rowid DESC LIMIT @limit OFFSET @offset`)
+    .all({ ...params, limit: pageSize, offset: (page - 1) * pageSize });
+
+  return {
+    runs: rows.map((row) => {
+      const { attempts, ...summary } = toRun(row);
+      return { ...summary, attemptCount: attempts.length };
+    }),
+    page,
+    pageSize,
+    total,
+    hasNextPage: page * pageSize < total,
+  };
+}
+
+/**
+ * One run with all its attempts; null if unknown
+ */
+export function getRun(id) {
+  if (!db) return null;
+  const row = db.prepare("SELECT * FROM runs WHERE id = ?").get(id);
+  return row ? toRun(row) : null;
+}
+
+function toRun(row) {
+  return {
+    id: row.id,
+    createdAt: row.created_at,
+    keyId: row.key_id,
+    role: row.role,
+    database: row.database,
+    sessionId: row.session_id,
+    question: row.question,
+    status: row.status,
+    error: row.error,
+    errorCode: row.error_code,
+    query: row.query,
+    attempts: JSON.parse(row.attempts),
+    rowCount: row.row_count,
+    totalRows: row.total_rows,
+    executionTimeMs: row.execution_time_ms,
+    durationMs: row.duration_ms,
+    usage: { inputTokens: row.input_tokens, outputTokens: row.output_tokens },
+    answer: row.answer,
+    resultId: row.result_id,
+  };
+}
+
+function openHistory(filePath) {
+  if (["off", "false", "none"].includes(filePath.toLowerCase())) return null;
+
+  if (filePath !== ":memory:") {
+    fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+  }
+
+  const database = new Database(filePath);
+  database.pragma("journal_mode = WAL");
+  database.exec(`
+    CREATE TABLE IF NOT EXISTS runs (
+      id TEXT PRIMARY KEY,
+      created_at TEXT NOT NULL,
+      key_id TEXT,
+      role TEXT,
+      database TEXT,
+      session_id TEXT,
+      question TEXT NOT NULL,
+      status TEXT NOT NULL,
+      error TEXT,
+      error_code TEXT,
+      query TEXT,
+      attempts TEXT NOT NULL,
+      row_count INTEGER,
+      total_rows INTEGER,
+      execution_time_ms INTEGER,
+      duration_ms INTEGER,
+      input_tokens INTEGER NOT NULL DEFAULT 0,
+      output_tokens INTEGER NOT NULL DEFAULT 0,
+      answer TEXT,
+      result_id TEXT
+    );
+    CREATE INDEX IF NOT EXISTS runs_created_at ON runs (created_at);
+    CREATE INDEX IF NOT EXISTS runs_key_id ON runs (key_id, created_at);
+  `);
+
+  if (RETENTION_DAYS) {
+    const cutoff = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    const { changes } = database.prepare("DELETE FROM runs WHERE created_at < ?").run(cutoff);
+    if (changes > 0) console.log(`🗂️  Deleted ${changes} history entries older than ${RETENTION_DAYS} days`);
+  }
+
+  return database;
+}
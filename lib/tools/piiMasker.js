@@ -0,0 +1,242 @@
+import fs from "fs";
+import { createHash, randomBytes } from "crypto";
+import dotenv from "dotenv";
+import { matchesList } from "./safetyPolicy.js";
+
+dotenv.config();
+
+/**
+ * PII Masker
+ * Detects sensitive result columns and masks their values before rows reach the
+ * summarization LLM or the caller. A column is sensitive when its name, its
+ * database type, a configured tag or most of its values say so.
+ *
+ * Each category has a strategy:
+ *   redact  → "[REDACTED]"
+ *   hash    → stable "hash:…" token, so equal values still group together
+ *   partial → keep a hint of the value ("j***@example.com", "************4242")
+ *   exclude → left out of the LLM prompt entirely, redacted for the caller
+ * Callers whose role has piiAccess see every value unmasked; the LLM never does.
+ *
+ * Configured by the JSON file in PII_POLICY_FILE:
+ * {
+ *   "strategies": { "email": "hash", "address": "exclude" },
+ *   "columns": { "contact": "email", "customer_ref": { "category": "national_id", "strategy": "hash" }, "email_template": null },
+ *   "valueDetection": true
+ * }
+ * PII_MASKING=off turns masking off.
+ */
+
+export const STRATEGIES = ["redact", "hash", "partial", "exclude"];
+
+export const DEFAULT_STRATEGIES = {
+  email: "partial",
+  phone: "partial",
+  national_id: "redact",
+  credit_card: "partial",
+  iban: "partial",
+  ip_address: "hash",
+  date_of_birth: "redact",
+  secret: "redact",
+  address: "exclude",
+};
+
+// Column names that give a category away; checked in order, so "email_address" is an email
+const NAME_PATTERNS = [
+  ["secret", /password|passwd|secret|token|api_?key/],
+  ["email", /e_?mail/],
+  ["ip_address", /(^|_)ip(_|$)|ip_?addr/],
+  ["phone", /phone|mobile|(^|_)(tel|fax)(_|$)/],
+  ["national_id", /ssn|social_?security|national_?id|passport|tax_?id|(^|_)(tin|nin)(_|$)|driver_?licen[cs]e/],
+  ["credit_card", /card_?(number|no|num)|credit_?card|(^|_)(pan|cc_?num)(_|$)/],
+  ["iban", /iban|account_?(number|no)|bank_?account/],
+  ["date_of_birth", /birth|(^|_)dob(_|$)/],
+  ["address", /street|(^|_)address(_|$)|post_?code|zip_?code/],
+];
+
+// Values that give a category away; a column needs most of its values to match
+const VALUE_PATTERNS = [
+  ["email", (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)],
+  ["national_id", (value) => /^\d{3}-\d{2}-\d{4}$/.test(value)],
+  ["credit_card", (value) => /^[\d -]{13,23}$/.test(value) && isLuhnValid(value.replace(/\D/g, ""))],
+  ["iban", (value) => /^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(value.replace(/\s/g, ""))],
+  ["phone", (value) => /^\+\d[\d\s().-]{6,18}\d$|^\(?\d{3}\)?[\s.-]\d{3}[\s.-]\d{4}$/.test(value)],
+  ["ip_address", (value) => /^(\d{1,3}\.){3}\d{1,3}$/.test(value)],
+];
+
+const VALUE_SAMPLE_SIZE = 200;
+const REDACTED = "[REDACTED]";
+
+// Per-process salt unless configured, so hashes can't be reversed with a lookup table
+const HASH_SALT = process.env.PII_HASH_SALT || randomBytes(16).toString("hex");
+
+export const piiPolicy = loadPiiPolicy();
+
+/**
+ * Build the masking policy from PII_POLICY_FILE and the environment
+ */
+export function loadPiiPolicy() {
+  const filePath = process.env.PII_POLICY_FILE;
+  let fromFile = {};
+
+  if (filePath) {
+    try {
+      fromFile = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    } catch (error) {
+      throw new Error(`Could not load PII policy from ${filePath}: ${error.message}`);
+    }
+  }
+
+  const strategies = { ...DEFAULT_STRATEGIES, ...fromFile.strategies };
+  Object.entries(strategies).forEach(([category, strategy]) => {
+    if (!STRATEGIES.includes(strategy)) {
+      throw new Error(`PII strategy "${strategy}" of "${category}" must be one of: ${STRATEGIES.join(", ")}`);
+    }
+  });
+
+  // Tags: column name (wildcards allowed) -> { category, strategy }, or null to never mask it
+  const columns = Object.fromEntries(
+    Object.entries(fromFile.columns || {}).map(([column, tag]) => {
+      const { category, strategy = null } = typeof tag === "string" ? { category: tag } : tag || {};
+      if (strategy && !STRATEGIES.includes(strategy)) {
+        throw new Error(`PII strategy "${strategy}" of column "${column}" must be one of: ${STRATEGIES.join(", ")}`);
+      }
+      return [column.toLowerCase(), category ? { category, strategy } : null];
+    })
+  );
+
+  return {
+    enabled: !["off", "false"].includes((process.env.PII_MASKING || "").toLowerCase()),
+    strategies,
+    columns,
+    valueDetection: fromFile.valueDetection !== false,
+  };
+}
+
+/**
+ * Decide which result columns are sensitive
+ * sources, when known, lists the table columns each field comes from
+ * ([{ table, column }] per field, see resultColumnSources), so tags and names
+ * also match through aliases and expressions.
+ * Returns one decision per masked column: { column, category, strategy, detectedBy }
+ * where detectedBy is "tag", "name", "type" or "value"
+ */
+export function detectSensitiveColumns(fields, rows, { dialect, policy = piiPolicy, sources = null } = {}) {
+  if (!policy.enabled) return [];
+
+  return fields
+    .map((field, i) => {
+      const detected = detectColumn(field, sources?.[i] || [], rows, dialect, policy);
+      if (!detected) return null;
+      return {
+        column: field.name,
+        category: detected.category,
+        strategy: detected.strategy || policy.strategies[detected.category] || "redact",
+        detectedBy: detected.detectedBy,
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Apply masking decisions to rows for one audience
+ * "llm" always masks and drops excluded columns; "display" masks unless the
+ * caller may see PII (showPii), and redacts excluded columns.
+ */
+export function maskRows(rows, decisions, { audience = "display", showPii = false } = {}) {
+  if (decisions.length === 0 || (audience === "display" && showPii)) return rows;
+
+  return rows.map((row) => {
+    const masked = { ...row };
+    decisions.forEach(({ column, category, strategy }) => {
+      if (!(column in masked)) return;
+      if (strategy === "exclude") {
+        if (audience === "llm") delete masked[column];
+        else masked[column] = maskValue(masked[column], "redact", category);
+        return;
+      }
+      masked[column] = maskValue(masked[column], strategy, category);
+    });
+    return masked;
+  });
+}
+
+/**
+ * Helper: Tag first (it can also unmark a column), then name, type and values
+ */
+function detectColumn(field, sources, rows, dialect, policy) {
+  // The result's own name first, so a tag on it wins over one on its source columns
+  const names = [
+    field.name,
+    ...sources.flatMap(({ table, column }) => [`${table}.${column}`, column]),
+  ].map((name) => name.toLowerCase());
+
+  for (const name of names) {
+    const tagKey = Object.keys(policy.columns).find((entry) => matchesList([entry], name));
+    if (tagKey !== undefined) {
+      const tag = policy.columns[tagKey];
+      return tag && { ...tag, detectedBy: "tag" };
+    }
+  }
+
+  const byName = NAME_PATTERNS.find(([, pattern]) => names.some((name) => pattern.test(name)));
+  if (byName) return { category: byName[0], detectedBy: "name" };
+
+  const byType = dialect?.sensitiveTypes?.[field.dataType];
+  if (byType) return { category: byType, detectedBy: "type" };
+
+  if (!policy.valueDetection) return null;
+
+  const values = rows
+    .slice(0, VALUE_SAMPLE_SIZE)
+    .map((row) => row[field.name])
+    .filter((value) => typeof value === "string" && value.trim() !== "");
+  if (values.length === 0) return null;
+
+  const byValue = VALUE_PATTERNS.find(
+    ([, matches]) => values.filter((value) => matches(value.trim())).length * 2 >= values.length
+  );
+  return byValue ? { category: byValue[0], detectedBy: "value" } : null;
+}
+
+function maskValue(value, strategy, category) {
+  if (value === null || value === undefined) return value;
+  const text = value instanceof Date ? value.toISOString() : String(value);
+
+  switch (strategy) {
+    case "hash":
+      return `hash:${createHash("sha256").update(HASH_SALT + text).digest("hex").slice(0, 16)}`;
+    case "partial":
+      return partialMask(text, category);
+    default:
+      return REDACTED;
+  }
+}
+
+/**
+ * Helper: Keep the first character and domain of an email, the last four
+ * characters of anything else
+ */
+function partialMask(text, category) {
+  if (category === "email" && text.includes("@")) {
+    const [local, domain] = text.split(/@(?=[^@]*$)/);
+    return `${local.slice(0, 1)}***@${domain}`;
+  }
+  if (text.length <= 4) return "*".repeat(text.length);
+  return "*".repeat(text.length - 4) + text.slice(-4);
+}
+
+function isLuhnValid(digits) {
+  if (digits.length < 13 || digits.length > 19) return false;
+
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
@@ -0,0 +1,158 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { detectSensitiveColumns, maskRows } from "./piiMasker.js";
+import { postgres } from "../dialects/postgres.js";
+import { testPiiPolicy } from "../testing/fixtures.js";
+
+const fields = (...names) => names.map((name) => ({ name, dataType: 25 }));
+const detect = (detectFields, rows, detectPolicy = testPiiPolicy()) =>
+  detectSensitiveColumns(detectFields, rows, { dialect: postgres, policy: detectPolicy });
+
+describe("detectSensitiveColumns", () => {
+  it("recognizes sensitive column names", () => {
+    const decisions = detect(fields("id", "email_address", "password_hash", "mobile", "date_of_birth", "street"), []);
+
+    assert.deepEqual(
+      decisions.map(({ column, category, detectedBy }) => [column, category, detectedBy]),
+      [
+        ["email_address", "email", "name"],
+        ["password_hash", "secret", "name"],
+        ["mobile", "phone", "name"],
+        ["date_of_birth", "date_of_birth", "name"],
+        ["street", "address", "name"],
+      ]
+    );
+  });
+
+  it("doesn't take a name for a category it only partly contains", () => {
+    assert.deepEqual(detect(fields("description", "zipper_size", "shipped"), []), []);
+  });
+
+  it("recognizes the dialect's sensitive types", () => {
+    const decisions = detect([{ name: "origin", dataType: 869 }], []);
+
+    assert.deepEqual(decisions, [{ column: "origin", category: "ip_address", strategy: "hash", detectedBy: "type" }]);
+  });
+
+  it("recognizes columns most of whose values are sensitive", () => {
+    const rows = [
+      { contact: "ana@example.com", card: "4242 4242 4242 4242", note: "call back" },
+      { contact: "bo@example.org", card: "4111-1111-1111-1111", note: "ana@example.com" },
+      { contact: "n/a", card: null, note: "paid" },
+    ];
+    const decisions = detect(fields("contact", "card", "note"), rows);
+
+    assert.deepEqual(
+      decisions.map(({ column, category, detectedBy }) => [column, category, detectedBy]),
+      [
+        ["contact", "email", "value"],
+        ["card", "credit_card", "value"],
+      ]
+    );
+  });
+
+  it("only takes digits for a card number when the checksum holds", () => {
+    const rows = [{ ref: "1234 5678 9012 3456" }, { ref: "9999 8888 7777 6666" }];
+
+    assert.deepEqual(detect(fields("ref"), rows), []);
+  });
+
+  it("skips value detection when the policy turns it off", () => {
+    const rows = [{ contact: "ana@example.com" }];
+
+    assert.deepEqual(detect(fields("contact"), rows, testPiiPolicy({ valueDetection: false })), []);
+  });
+
+  it("lets tags mark, unmark and override columns", () => {
+    const tagged = testPiiPolicy({
+      columns: {
+        customer_ref: { category: "national_id", strategy: "hash" },
+        "legacy_*": { category: "email", strategy: null },
+        email_template: null,
+      },
+    });
+    const decisions = detect(fields("customer_ref", "legacy_contact", "email_template"), [], tagged);
+
+    assert.deepEqual(decisions, [
+      { column: "customer_ref", category: "national_id", strategy: "hash", detectedBy: "tag" },
+      { column: "legacy_contact", category: "email", strategy: "partial", detectedBy: "tag" },
+    ]);
+  });
+
+  it("judges a column by the table columns it comes from", () => {
+    const tagged = testPiiPolicy({
+      columns: { "users.customer_ref": { category: "national_id", strategy: null }, label: null },
+    });
+    const email = { table: "users", column: "email" };
+    const sources = [[email], [{ table: "users", column: "customer_ref" }], [], [email]];
+    const decisions = detectSensitiveColumns(fields("contact", "ref", "id", "label"), [], {
+      dialect: postgres,
+      policy: tagged,
+      sources,
+    });
+
+    assert.deepEqual(
+      decisions.map(({ column, category, detectedBy }) => [column, category, detectedBy]),
+      [
+        ["contact", "email", "name"],
+        ["ref", "national_id", "tag"],
+      ]
+    );
+  });
+
+  it("detects nothing when masking is off", () => {
+    assert.deepEqual(detect(fields("email"), [], testPiiPolicy({ enabled: false })), []);
+  });
+});
+
+describe("maskRows", () => {
+  const rows = [
+    { id: 1, email: "ana@example.com", card: "4242424242424242", ssn: "123-45-6789", ip: "10.0.0.1", street: "1 Main St" },
+    { id: 2, email: null, card: "4111111111111111", ssn: "987-65-4321", ip: "10.0.0.1", street: "2 Side Rd" },
+  ];
+  const decisions = [
+    { column: "email", category: "email", strategy: "partial" },
+    { column: "card", category: "credit_card", strategy: "partial" },
+    { column: "ssn", category: "national_id", strategy: "redact" },
+    { column: "ip", category: "ip_address", strategy: "hash" },
+    { column: "street", category: "address", strategy: "exclude" },
+  ];
+
+  it("masks values for display and redacts excluded columns", () => {
+    const [first, second] = maskRows(rows, decisions, { audience: "display" });
+
+    assert.equal(first.id, 1);
+    assert.equal(first.email, "a***@example.com");
+    assert.equal(first.card, "************4242");
+    assert.equal(first.ssn, "[REDACTED]");
+    assert.equal(first.street, "[REDACTED]");
+    assert.match(first.ip, /^hash:[0-9a-f]{16}$/);
+    assert.equal(second.email, null);
+  });
+
+  it("hashes equal values to equal tokens", () => {
+    const [first, second] = maskRows(rows, decisions, { audience: "display" });
+
+    assert.equal(first.ip, second.ip);
+    assert.notEqual(first.ip, "10.0.0.1");
+  });
+
+  it("drops excluded columns from what the LLM sees", () => {
+    const [first] = maskRows(rows, decisions, { audience: "llm" });
+
+    assert.ok(!("street" in first));
+    assert.equal(first.ssn, "[REDACTED]");
+  });
+
+  it("shows callers with PII access every value, but never the LLM", () => {
+    assert.equal(maskRows(rows, decisions, { audience: "display", showPii: true }), rows);
+    assert.equal(maskRows(rows, decisions, { audience: "llm", showPii: true })[0].ssn, "[REDACTED]");
+  });
+
+  it("leaves the rows it was given untouched", () => {
+    maskRows(rows, decisions, { audience: "llm" });
+
+    assert.equal(rows[0].email, "ana@example.com");
+    assert.equal(rows[0].street, "1 Main St");
+  });
+});
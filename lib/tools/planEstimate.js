@@ -0,0 +1,52 @@
+import dotenv from "dotenv";
+
+dotenv.config();
+
+/**
+ * Plan Estimates
+ * Judges an approved query by its EXPLAIN estimate before it runs: which full
+ * table scans are worth pointing out, and whether it stays under the cost ceiling
+ *
+ * QUERY_MAX_COST: ceiling in the planner's cost units (PostgreSQL total cost,
+ * MySQL query_cost); a data source's "maxCost" in DATABASES_FILE overrides it.
+ * SQLite plans carry no cost, so no ceiling applies there.
+ * LARGE_TABLE_ROWS: full scans of tables this big are reported (default 10000)
+ */
+
+export const DEFAULT_MAX_COST = parseFloat(process.env.QUERY_MAX_COST) || null;
+const LARGE_TABLE_ROWS = parseInt(process.env.LARGE_TABLE_ROWS, 10) || 10000;
+
+/**
+ * Estimate shown in a preview: { estimatedRows, estimatedCost, maxCost, sequentialScans }
+ * Scans of tables of unknown size are listed too, since they can't be ruled out
+ */
+export function summarizeEstimate(estimate, maxCost = null) {
+  return {
+    estimatedRows: estimate.estimatedRows,
+    estimatedCost: estimate.estimatedCost,
+    // Without a cost estimate (SQLite) the ceiling can't apply
+    maxCost: estimate.estimatedCost === null ? null : maxCost,
+    sequentialScans: estimate.fullScans.filter((scan) => scan.rows === null || scan.rows >= LARGE_TABLE_ROWS),
+  };
+}
+
+/**
+ * Safety issue for a plan over the cost ceiling; null when within it (or unknown)
+ * The message goes back to the Query Generator like any other issue.
+ */
+export function checkCostCeiling(estimate, maxCost) {
+  if (!maxCost || estimate?.estimatedCost === null || estimate?.estimatedCost === undefined) return null;
+  if (estimate.estimatedCost <= maxCost) return null;
+
+  const large = summarizeEstimate(estimate).sequentialScans.map((scan) => scan.table);
+  const scans = large.length > 0 ? ` It reads all of ${[...new Set(large)].join(", ")}.` : "";
+
+  return {
+    rule: "cost_ceiling",
+    message:
+      `The estimated query cost ${estimate.estimatedCost} exceeds the limit of ${maxCost}.${scans} ` +
+      "Filter on indexed columns, join fewer tables or aggregate before joining.",
+    clause: null,
+    position: null,
+  };
+}
@@ -1,48 +1,376 @@
-import { pool } from "../db.js";
+import { resultOrdering, withSortColumns } from "./safetyChecker.js";
+
+// Per-request timeouts (ms); clients may ask for less than the ceiling, never more
+export const DEFAULT_TIMEOUT_MS = parseInt(process.env.QUERY_TIMEOUT_MS, 10) || 15000;
+export const MAX_TIMEOUT_MS = parseInt(process.env.QUERY_MAX_TIMEOUT_MS, 10) || 60000;
+const LOCK_TIMEOUT_MS = parseInt(process.env.QUERY_LOCK_TIMEOUT_MS, 10) || 5000;
+
+// Hard ceiling on returned rows, whatever the request asks for
+export const MAX_ROWS_CEILING = parseInt(process.env.QUERY_MAX_ROWS, 10) || 1000;
+
+// Exports re-run the approved query with their own, larger row cap and timeout
+export const EXPORT_MAX_ROWS = parseInt(process.env.EXPORT_MAX_ROWS, 10) || 100000;
+const EXPORT_TIMEOUT_MS = parseInt(process.env.EXPORT_TIMEOUT_MS, 10) || 120000;
+const EXPORT_BATCH_SIZE = 1000;
+
 
 /**
  * Query Execution Tool
- * Safely executes approved SQL queries
+ * Executes approved SQL inside a read-only transaction that is always rolled back
+ *
+ * Every function takes options.source, the data source whose dialect and
+ * connection pool run the query, an optional options.timeoutMs, and an optional
+ * options.dbRole the query runs as (the caller's role, PostgreSQL only).
  */
-export async function executeQuery(sqlQuery) {
-  try {
+export async function executeQuery(sqlQuery, options = {}) {
+  return withReadOnlyTransaction(options, async (query) => {
+    const startTime = Date.now();
+    const result = await query(sqlQuery);
+    const executionTime = Date.now() - startTime;
+
+    return formatResult(result, executionTime);
+  });
+}
+
+/**
+ * Execute query with row limit safety
+ * Wraps the query (wrapQuery) so the cap holds regardless of the query's own LIMIT
+ * (LIMIT/OFFSET on a derived table works the same in every supported dialect).
+ * A result the cap cuts off is read again in its page order (pageOrder), so
+ * further pages carry on from the rows returned here; pageOrder is null when
+ * the query's own order can't be kept across pages, and the rows stay as the
+ * query sorted them.
+ */
+export async function executeQuerySafe(sqlQuery, maxRows = 100, options = {}) {
+  const rowLimit = clampMaxRows(maxRows);
+  const { dialect } = options.source;
+  const wrapper = {};
+
+  return withReadOnlyTransaction({ ...options, positionOffset: wrapper }, async (query, queryBatches, describe) => {
     const startTime = Date.now();
-    const result = await pool.query(sqlQuery);
+    const fields = await describe(stripTrailingSemicolon(sqlQuery));
+    const order = pageOrder(sqlQuery, fields, dialect);
+    const wrap = order
+      ? wrapQuery(order.query, sortFields(fields, order), dialect, wrapper, order.sortColumns)
+      : wrapQuery(sqlQuery, fields, dialect, wrapper);
+    let result = await query(`${wrap()} LIMIT ${rowLimit + 1}`);
+
+    // One extra row tells us the cap cut the result off
+    const truncated = result.rows.length > rowLimit;
+    let totalRows = result.rows.length;
+
+    if (truncated && order) {
+      result = await query(`${wrap()}${order.orderBy} LIMIT ${rowLimit}`);
+    } else {
+      result.rows = result.rows.slice(0, rowLimit);
+    }
     const executionTime = Date.now() - startTime;
 
+    if (truncated) {
+      totalRows = await countRows(query, wrap("SELECT COUNT(*) AS total"));
+    }
+
+    return {
+      ...formatResult(result, executionTime),
+      rowCount: result.rows.length,
+      truncated,
+      totalRows,
+      maxRows: rowLimit,
+      pageOrder: order,
+    };
+  });
+}
+
+/**
+ * Fetch the rows of a previously approved query from offset on
+ * pageOrder is the page order executeQuerySafe returned with the first page;
+ * further pages can't be fetched without one.
+ */
+export async function executeQueryPage(sqlQuery, { offset = 0, pageSize = 100, pageOrder: order } = {}, options = {}) {
+  const rowLimit = clampMaxRows(pageSize);
+  const rowOffset = Math.max(parseInt(offset, 10) || 0, 0);
+  const { dialect } = options.source;
+  const wrapper = {};
+
+  return withReadOnlyTransaction({ ...options, positionOffset: wrapper }, async (query, queryBatches, describe) => {
+    const startTime = Date.now();
+    const fields = await describe(stripTrailingSemicolon(order.query));
+    const wrap = wrapQuery(order.query, fields, dialect, wrapper, order.sortColumns);
+    const result = await query(`${wrap()}${order.orderBy} LIMIT ${rowLimit + 1} OFFSET ${rowOffset}`);
+    const executionTime = Date.now() - startTime;
+
+    const hasNextPage = result.rows.length > rowLimit;
+    result.rows = result.rows.slice(0, rowLimit);
+
+    return {
+      ...formatResult(result, executionTime),
+      rowCount: result.rows.length,
+      offset: rowOffset,
+      pageSize: rowLimit,
+      hasNextPage,
+      hasPreviousPage: rowOffset > 0,
+    };
+  });
+}
+
+/**
+ * Plan a query without running it
+ * Catches syntax and unknown-name errors before the query is executed for real,
+ * and returns the planner's estimate (dialect.analyzePlan) with the size of
+ * every fully scanned table where the dialect can tell
+ */
+export async function explainQuery(sqlQuery, options = {}) {
+  const { dialect } = options.source;
+  const explainSql = `${dialect.explainPrefix}${stripTrailingSemicolon(sqlQuery)}`;
+
+  return withReadOnlyTransaction({ ...options, positionOffset: dialect.explainPrefix.length }, async (query) => {
+    const result = await query(explainSql);
+    const plan = dialect.parsePlan(result.rows);
+    const estimate = dialect.analyzePlan(plan);
+
+    const unsized = [...new Set(estimate.fullScans.filter((scan) => scan.rows === null).map((scan) => scan.table))];
+    if (dialect.tableRowEstimates && unsized.length > 0) {
+      const sizes = await tableSizes(dialect, query, unsized);
+      estimate.fullScans = estimate.fullScans.map((scan) => ({ ...scan, rows: scan.rows ?? sizes[scan.table] ?? null }));
+    }
+
     return {
       success: true,
-      rows: result.rows,
-      rowCount: result.rowCount,
-      executionTime: `${executionTime}ms`,
-      fields: result.fields?.map((f) => ({
-        name: f.name,
-        dataType: f.dataTypeID,
-      })),
+      plan,
+      estimate,
     };
+  });
+}
+
+/**
+ * Stream a previously approved query in batches, for exports
+ * onBatch(rows, fields) is awaited for every batch (the first time even without
+ * rows), so a slow consumer slows the read down instead of the result piling up
+ * in memory. Capped at EXPORT_MAX_ROWS rows; options.timeoutMs is capped at
+ * EXPORT_TIMEOUT_MS. Resolves to { success, rowCount, truncated } or an error
+ * result; one row past the cap is read to tell whether the cap cut it off.
+ */
+export async function streamQuery(sqlQuery, options = {}, onBatch) {
+  const wrapper = {};
+  let rowCount = 0;
+  let truncated = false;
+
+  const transactionOptions = {
+    ...options,
+    defaultTimeoutMs: EXPORT_TIMEOUT_MS,
+    maxTimeoutMs: EXPORT_TIMEOUT_MS,
+    positionOffset: wrapper,
+  };
+
+  return withReadOnlyTransaction(transactionOptions, async (query, queryBatches, describe) => {
+    const fields = await describe(stripTrailingSemicolon(sqlQuery));
+    const wrap = wrapQuery(sqlQuery, fields, options.source.dialect, wrapper);
+    await queryBatches(`${wrap()} LIMIT ${EXPORT_MAX_ROWS + 1}`, EXPORT_BATCH_SIZE, async (rows, fields) => {
+      if (rowCount + rows.length > EXPORT_MAX_ROWS) {
+        truncated = true;
+        rows = rows.slice(0, EXPORT_MAX_ROWS - rowCount);
+      }
+      rowCount += rows.length;
+      await onBatch(rows, fields);
+    });
+
+    return { success: true, rowCount, truncated };
+  });
+}
+
+/**
+ * Clamp a requested row limit to the server-side ceiling
+ */
+export function clampMaxRows(maxRows) {
+  const requested = parseInt(maxRows, 10);
+  if (!requested || requested <= 0) return Math.min(100, MAX_ROWS_CEILING);
+  return Math.min(requested, MAX_ROWS_CEILING);
+}
+
+/**
+ * Helper: Run a callback in the dialect's read-only transaction with per-request timeouts
+ * The callback receives query(sql) → { rows, fields }, queryBatches and describe
+ * (see the dialects). positionOffset is the length of SQL wrapped around the
+ * approved query, so error positions point into the query the LLM wrote; a
+ * wrapQuery target ({ offset }) once the wrapper is known, since it varies
+ */
+async function withReadOnlyTransaction(
+  {
+    source,
+    timeoutMs: requestedTimeoutMs,
+    defaultTimeoutMs = DEFAULT_TIMEOUT_MS,
+    maxTimeoutMs = MAX_TIMEOUT_MS,
+    dbRole = null,
+    positionOffset = 0,
+  },
+  callback
+) {
+  const timeoutMs = resolveTimeout(requestedTimeoutMs, defaultTimeoutMs, maxTimeoutMs);
+  const lockTimeoutMs = Math.min(LOCK_TIMEOUT_MS, timeoutMs);
+
+  try {
+    return await source.dialect.withReadOnlyTransaction(source.pool, { timeoutMs, lockTimeoutMs, dbRole }, callback);
   } catch (error) {
+    const { position, ...mapped } = source.dialect.mapError(error);
+    const offset = typeof positionOffset === "number" ? positionOffset : positionOffset.offset || 0;
     return {
       success: false,
       error: error.message,
-      code: error.code,
-      detail: error.detail,
+      ...mapped,
+      position: position ? Math.max(position - offset, 1) : undefined,
+      timeoutMs,
     };
   }
 }
 
 /**
- * Execute query with row limit safety
+ * Helper: Count all rows of a truncated result; null if counting fails (e.g. times out)
+ */
+async function countRows(query, countQuery) {
+  try {
+    const result = await query(countQuery);
+    return parseInt(result.rows[0].total, 10);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Helper: Table sizes for a plan estimate; none if the lookup fails (the plan itself succeeded)
  */
-export async function executeQuerySafe(sqlQuery, maxRows = 100) {
-  // Add LIMIT if not present
-  const normalizedQuery = sqlQuery.trim().toUpperCase();
-  let safeQuery = sqlQuery.trim();
-  
-  if (!normalizedQuery.includes("LIMIT")) {
-    // Remove trailing semicolon if present
-    safeQuery = safeQuery.replace(/;$/, "");
-    safeQuery += ` LIMIT ${maxRows}`;
+async function tableSizes(dialect, query, tables) {
+  try {
+    return await dialect.tableRowEstimates(query, tables);
+  } catch (error) {
+    return {};
   }
+}
+
+function formatResult(result, executionTime) {
+  return {
+    success: true,
+    rows: result.rows,
+    rowCount: result.rows.length,
+    executionTime: `${executionTime}ms`,
+    fields: result.fields,
+  };
+}
+
+/**
+ * Helper: Page order of a result, so pages fetched in separate requests neither
+ * repeat nor skip rows: { query, sortColumns, orderBy }
+ * orderBy sorts by the query's own ORDER BY keys, then by every other column.
+ * Result columns are referenced by position, since names may repeat; keys the
+ * result doesn't include become hidden columns of query (withSortColumns), the
+ * last sortColumns of its columns. Types the dialect can't sort
+ * (dialect.unorderedTypes) are left out. null when a key can't be resolved
+ * that way: the query's order would be lost, so the result isn't paged.
+ */
+function pageOrder(sqlQuery, fields, dialect) {
+  const keys = resultOrdering(sqlQuery, dialect);
+  if (!keys) return null;
+
+  const unordered = dialect.unorderedTypes || [];
+  const sortable = (position) => !unordered.includes(fields[position - 1].dataType);
+  const terms = [];
+  const positions = new Set();
+  const expressions = [];
 
-  return executeQuery(safeQuery);
+  for (const { column, position, expression, descending, nulls } of keys) {
+    const direction = `${descending ? " DESC" : ""}${nulls ? ` NULLS ${nulls}` : ""}`;
+    const index = position ?? (column ? findColumn(fields, column) : 0);
+
+    if (index >= 1 && index <= fields.length) {
+      if (!sortable(index)) return null;
+      if (positions.has(index)) continue;
+      positions.add(index);
+      terms.push(`${index}${direction}`);
+    } else if (expression && !position) {
+      expressions.push(expression);
+      terms.push(`agent_sort_${expressions.length}${direction}`);
+    } else {
+      return null;
+    }
+  }
+  fields.forEach((field, i) => {
+    if (sortable(i + 1) && !positions.has(i + 1)) terms.push(`${i + 1}`);
+  });
+
+  const query = expressions.length > 0 ? withSortColumns(sqlQuery, expressions, dialect) : sqlQuery;
+  if (query === null) return null;
+  return {
+    query,
+    sortColumns: expressions.length,
+    orderBy: terms.length > 0 ? `\nORDER BY ${terms.join(", ")}` : "",
+  };
+}
+
+// Fields of a page order's query: the result's, then its hidden sort columns
+function sortFields(fields, { sortColumns }) {
+  const hidden = Array.from({ length: sortColumns }, (_, i) => ({ name: `agent_sort_${i + 1}`, dataType: null }));
+  return [...fields, ...hidden];
+}
+
+// Position of a result column by name; unquoted names may differ in case
+function findColumn(fields, name) {
+  const exact = fields.findIndex((field) => field.name === name);
+  const index = exact !== -1 ? exact : fields.findIndex((field) => field.name.toLowerCase() === name.toLowerCase());
+  return index + 1;
+}
+
+/**
+ * Helper: Turn a query into a subquery the executor can limit, page and count
+ * Returns wrap(select) → SQL selecting from the query as agent_result; select
+ * defaults to the query's columns (all but the last sortColumns, see pageOrder).
+ * fields are the query's (describe). Result columns that share a name
+ * (case-insensitively, as MySQL and SQLite compare them) can't be told apart in
+ * a derived table: MySQL rejects it and SQLite renames them. Those queries
+ * become a CTE whose column list numbers the repeats (id, id_2); others stay a
+ * plain derived table. The length of SQL in front of the query goes to
+ * target.offset, for error positions.
+ */
+function wrapQuery(sqlQuery, fields, dialect, target = {}, sortColumns = 0) {
+  const query = stripTrailingSemicolon(sqlQuery);
+  const names = distinctNames(fields.map((field) => field.name));
+  const columns = names.slice(0, names.length - sortColumns).map((name) => dialect.quoteIdentifier(name));
+  const defaultSelect = sortColumns > 0 ? `SELECT ${columns.join(", ")}` : "SELECT *";
+
+  // Newlines keep a trailing line comment from swallowing the closing parenthesis
+  if (names.every((name, i) => name === fields[i].name)) {
+    target.offset = "SELECT * FROM (\n".length;
+    return (select = defaultSelect) => `${select} FROM (\n${query}\n) AS agent_result`;
+  }
+
+  const prefix = `WITH agent_result (${names.map((name) => dialect.quoteIdentifier(name)).join(", ")}) AS (\n`;
+  target.offset = prefix.length;
+  return (select = defaultSelect) => `${prefix}${query}\n)\n${select} FROM agent_result`;
+}
+
+// Column names with repeats numbered: id, id_2, ... (skipping names the result already has)
+function distinctNames(names) {
+  const taken = new Set(names.map((name) => name.toLowerCase()));
+  const used = new Set();
+
+  return names.map((name) => {
+    let distinct = name;
+    for (let n = 2; used.has(distinct.toLowerCase()); n++) {
+      distinct = `${name}_${n}`;
+      if (taken.has(distinct.toLowerCase())) distinct = name;
+    }
+    used.add(distinct.toLowerCase());
+    return distinct;
+  });
+}
+
+function stripTrailingSemicolon(sqlQuery) {
+  return sqlQuery.trim().replace(/;\s*$/, "");
+}
+
+/**
+ * Helper: Clamp a requested timeout to a positive integer below the ceiling
+ */
+function resolveTimeout(timeoutMs, defaultTimeoutMs, maxTimeoutMs) {
+  const requested = parseInt(timeoutMs, 10);
+  if (!requested || requested <= 0) return Math.min(defaultTimeoutMs, maxTimeoutMs);
+  return Math.min(requested, maxTimeoutMs);
 }
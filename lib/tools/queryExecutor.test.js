@@ -0,0 +1,78 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { executeQuery, executeQuerySafe, executeQueryPage, streamQuery } from "./queryExecutor.js";
+import { sqlite } from "../dialects/sqlite.js";
+import { useShopDatabase } from "../testing/fixtures.js";
+
+const shop = useShopDatabase();
+
+let source;
+before(() => {
+  source = { name: "shop", dialect: sqlite, pool: sqlite.createPool({ filename: shop.filename }, "shop") };
+});
+after(() => source.pool.close());
+
+const ORDERS_WITH_CUSTOMERS = "SELECT o.id, c.id, c.name FROM orders o JOIN customers c ON c.id = o.customer_id";
+
+describe("executeQuerySafe", () => {
+  it("caps the rows and counts the whole result", async () => {
+    const result = await executeQuerySafe("SELECT id FROM orders ORDER BY id;", 5, { source });
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.rows.map((row) => row.id), [1, 2, 3, 4, 5]);
+    assert.equal(result.truncated, true);
+    assert.equal(result.totalRows, 20);
+  });
+
+  it("numbers result columns that share a name instead of failing or dropping one", async () => {
+    const result = await executeQuerySafe(`${ORDERS_WITH_CUSTOMERS} ORDER BY o.id`, 5, { source });
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.fields.map((field) => field.name), ["id", "id_2", "name"]);
+    assert.deepEqual(result.rows[0], { id: 1, id_2: 1, name: "Anna Schmidt" });
+    assert.equal(result.totalRows, 20);
+  });
+
+  it("keeps the query's order when its keys can't be carried over to further pages", async () => {
+    const sqlQuery = "SELECT id FROM orders ORDER BY ordered_at DESC, id";
+    const expected = await executeQuery(`${sqlQuery} LIMIT 5`, { source });
+    const result = await executeQuerySafe(sqlQuery, 5, { source });
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.rows, expected.rows);
+    assert.equal(result.truncated, true);
+    assert.equal(result.pageOrder, null);
+  });
+});
+
+describe("executeQueryPage", () => {
+  it("pages through results whose columns share a name", async () => {
+    const first = await executeQuerySafe(`${ORDERS_WITH_CUSTOMERS} ORDER BY o.id`, 5, { source });
+    const page = await executeQueryPage(
+      `${ORDERS_WITH_CUSTOMERS} ORDER BY o.id`,
+      { offset: 5, pageSize: 5, pageOrder: first.pageOrder },
+      { source }
+    );
+
+    assert.deepEqual(page.rows.map((row) => row.id), [6, 7, 8, 9, 10]);
+    assert.ok(page.rows.every((row) => typeof row.id_2 === "number"));
+    assert.equal(page.hasNextPage, true);
+  });
+});
+
+describe("streamQuery", () => {
+  it("streams every row of results whose columns share a name", async () => {
+    const rows = [];
+    const result = await streamQuery(ORDERS_WITH_CUSTOMERS, { source }, async (batch) => rows.push(...batch));
+
+    assert.deepEqual(result, { success: true, rowCount: 20, truncated: false });
+    assert.deepEqual(Object.keys(rows[0]), ["id", "id_2", "name"]);
+  });
+
+  it("reports errors in the query as it was written", async () => {
+    const result = await streamQuery("SELECT missing FROM orders", { source }, async () => {});
+
+    assert.equal(result.success, false);
+    assert.equal(result.code, "SQLITE_ERROR");
+  });
+});
@@ -0,0 +1,334 @@
+import ExcelJS from "exceljs";
+import parquet from "@dsnp/parquetjs";
+
+/**
+ * Result Exporter
+ * Writes result rows to an output stream as CSV, JSON Lines, Excel or Parquet,
+ * one batch at a time. Column types come from the dialect (columnType) so
+ * dates, numerics and nulls keep their meaning in every format:
+ *
+ *   decimal, bigint → written verbatim in CSV and JSON Lines (no float rounding);
+ *                     Parquet stores decimals as strings (results carry no precision/scale)
+ *   date, timestamp → calendar values as the database returned them, no time zone shift;
+ *                     timestamptz → ISO 8601 in UTC
+ *   null            → empty CSV field (an empty string is written as ""), JSON null,
+ *                     empty cell, Parquet null
+ */
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  jsonl: { contentType: "application/x-ndjson; charset=utf-8", extension: "jsonl" },
+  xlsx: { contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet", extension: "xlsx" },
+  parquet: { contentType: "application/vnd.apache.parquet", extension: "parquet" },
+};
+
+const WRITERS = {
+  csv: createCsvWriter,
+  jsonl: createJsonLinesWriter,
+  xlsx: createExcelWriter,
+  parquet: createParquetWriter,
+};
+
+const PARQUET_TYPES = {
+  integer: "INT64",
+  bigint: "INT64",
+  number: "DOUBLE",
+  decimal: "UTF8",
+  boolean: "BOOLEAN",
+  date: "DATE",
+  timestamp: "TIMESTAMP_MILLIS",
+  timestamptz: "TIMESTAMP_MILLIS",
+  json: "JSON",
+  binary: "BYTE_ARRAY",
+  string: "UTF8",
+};
+
+const EXCEL_FORMATS = {
+  date: "yyyy-mm-dd",
+  timestamp: "yyyy-mm-dd hh:mm:ss",
+  timestamptz: "yyyy-mm-dd hh:mm:ss",
+};
+
+const NUMERIC_TEXT = /^-?\d+(\.\d+)?([eE][+-]?\d+)?$/;
+
+/**
+ * Create a writer for one format on an output stream
+ * Call start(columns) once, write(rows) per batch and end() at the end; all
+ * three return promises that resolve once the output has taken the data.
+ */
+export function createExportWriter(format, output) {
+  return WRITERS[format](output);
+}
+
+/**
+ * Export columns ({ name, type }) of a result
+ * The dialect's type where it knows one, otherwise inferred from the first
+ * rows (SQLite expressions). Masked columns hold replacement text, so they are strings.
+ */
+export function resolveColumns(fields, rows, { dialect, masked = [] }) {
+  return fields.map((field) => ({
+    name: field.name,
+    type: masked.includes(field.name)
+      ? "string"
+      : dialect.columnType(field.dataType) || inferType(rows.map((row) => row[field.name])),
+  }));
+}
+
+function createCsvWriter(output) {
+  let columns;
+
+  return {
+    async start(resultColumns) {
+      columns = resultColumns;
+      await writeChunk(output, `${columns.map((col) => csvField(col.name)).join(",")}\r\n`);
+    },
+    async write(rows) {
+      if (rows.length === 0) return;
+      const lines = rows.map(
+        (row) => `${columns.map((col) => csvValue(row[col.name], col.type)).join(",")}\r\n`
+      );
+      await writeChunk(output, lines.join(""));
+    },
+    async end() {
+      output.end();
+    },
+  };
+}
+
+function createJsonLinesWriter(output) {
+  let columns;
+
+  return {
+    async start(resultColumns) {
+      columns = resultColumns;
+    },
+    async write(rows) {
+      if (rows.length === 0) return;
+      // Built by hand so decimals and bigints are written as exact JSON numbers
+      const lines = rows.map(
+        (row) =>
+          `{${columns.map((col) => `${JSON.stringify(col.name)}:${jsonValue(row[col.name], col.type)}`).join(",")}}\n`
+      );
+      await writeChunk(output, lines.join(""));
+    },
+    async end() {
+      output.end();
+    },
+  };
+}
+
+function createExcelWriter(output) {
+  let workbook;
+  let worksheet;
+  let columns;
+
+  return {
+    async start(resultColumns) {
+      // The workbook writes its first entries to the output as soon as it exists
+      workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output, useStyles: true });
+      worksheet = workbook.addWorksheet("Result");
+      columns = resultColumns;
+      worksheet.columns = columns.map((col) => ({
+        header: col.name,
+        key: col.name,
+        width: Math.min(Math.max(col.name.length + 2, 12), 60),
+        style: EXCEL_FORMATS[col.type] ? { numFmt: EXCEL_FORMATS[col.type] } : {},
+      }));
+      worksheet.getRow(1).font = { bold: true };
+    },
+    async write(rows) {
+      rows.forEach((row) => {
+        worksheet
+          .addRow(Object.fromEntries(columns.map((col) => [col.name, excelValue(row[col.name], col.type)])))
+          .commit();
+      });
+      // The workbook pipes into the output on its own; hold the next batch until it keeps up
+      await waitForOutput(output);
+    },
+    async end() {
+      worksheet.commit();
+      await workbook.commit();
+    },
+  };
+}
+
+function createParquetWriter(output) {
+  let writer;
+  let columns;
+
+  return {
+    async start(resultColumns) {
+      columns = resultColumns;
+      const schema = new parquet.ParquetSchema(
+        Object.fromEntries(columns.map((col) => [col.name, { type: PARQUET_TYPES[col.type], optional: true }]))
+      );
+      writer = await parquet.ParquetWriter.openStream(schema, output);
+    },
+    async write(rows) {
+      for (const row of rows) {
+        await writer.appendRow(
+          Object.fromEntries(columns.map((col) => [col.name, parquetValue(row[col.name], col.type)]))
+        );
+      }
+    },
+    async end() {
+      await writer.close();
+    },
+  };
+}
+
+function csvValue(value, type) {
+  if (value === null || value === undefined) return "";
+  return csvField(textValue(value, type));
+}
+
+function csvField(text) {
+  return text === "" || /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function jsonValue(value, type) {
+  if (value === null || value === undefined) return "null";
+  if ((type === "decimal" || type === "bigint") && NUMERIC_TEXT.test(String(value))) return String(value);
+  if (type === "json") return JSON.stringify(value);
+  if (typeof value === "number" && !Number.isFinite(value)) return JSON.stringify(String(value));
+  if (typeof value === "number" || typeof value === "boolean") return JSON.stringify(value);
+  return JSON.stringify(textValue(value, type));
+}
+
+function excelValue(value, type) {
+  if (value === null || value === undefined) return null;
+
+  switch (type) {
+    case "integer":
+    case "number":
+    case "decimal":
+      return Number(value);
+    case "bigint":
+      return Number.isSafeInteger(Number(value)) ? Number(value) : String(value);
+    case "boolean":
+      return Boolean(value);
+    case "date":
+    case "timestamp":
+      // Excel has no time zones: show the calendar value the database returned
+      return value instanceof Date ? asUTC(value) : String(value);
+    case "timestamptz":
+      return value instanceof Date ? value : String(value);
+    default:
+      return textValue(value, type);
+  }
+}
+
+function parquetValue(value, type) {
+  if (value === null || value === undefined) return null;
+
+  switch (type) {
+    case "integer":
+    case "bigint":
+      return BigInt(value);
+    case "number":
+      return Number(value);
+    case "boolean":
+      return Boolean(value);
+    case "date":
+      return value instanceof Date ? asUTC(value) : new Date(`${value}T00:00:00Z`);
+    case "timestamp":
+      return value instanceof Date ? asUTC(value) : new Date(value);
+    case "timestamptz":
+      return new Date(value);
+    case "json":
+      return value;
+    case "binary":
+      return Buffer.isBuffer(value) ? value : Buffer.from(String(value));
+    default:
+      return textValue(value, type);
+  }
+}
+
+/**
+ * Helper: Text form of a value, shared by CSV, JSON Lines and Excel strings
+ */
+function textValue(value, type) {
+  if (value instanceof Date) {
+    if (type === "date") return localDate(value);
+    if (type === "timestamp") return `${localDate(value)}T${localTime(value)}`;
+    return value.toISOString();
+  }
+  if (Buffer.isBuffer(value)) return value.toString("base64");
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Helper: Drivers parse DATE and zone-less TIMESTAMP values as local time;
+ * the same wall-clock value in UTC, for formats that store UTC
+ */
+function asUTC(date) {
+  return new Date(
+    Date.UTC(
+      date.getFullYear(),
+      date.getMonth(),
+      date.getDate(),
+      date.getHours(),
+      date.getMinutes(),
+      date.getSeconds(),
+      date.getMilliseconds()
+    )
+  );
+}
+
+function localDate(date) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function localTime(date) {
+  const pad = (n, width = 2) => String(n).padStart(width, "0");
+  return `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}.${pad(date.getMilliseconds(), 3)}`;
+}
+
+/**
+ * Helper: Type of a column the dialect can't name, from its non-null values
+ */
+function inferType(values) {
+  const present = values.filter((value) => value !== null && value !== undefined);
+  if (present.length === 0) return "string";
+  // Only the first batch is seen, so whole numbers so far don't make an integer column
+  if (present.every((value) => typeof value === "number")) return "number";
+  if (present.every((value) => typeof value === "bigint")) return "bigint";
+  if (present.every((value) => typeof value === "boolean")) return "boolean";
+  if (present.every((value) => value instanceof Date)) return "timestamptz";
+  if (present.every((value) => Buffer.isBuffer(value))) return "binary";
+  return "string";
+}
+
+/**
+ * Helper: Write to the output, waiting while its buffer is full
+ * Rejects if the client goes away, which ends the export
+ */
+function writeChunk(output, chunk) {
+  if (output.destroyed) return Promise.reject(new Error("Export cancelled: the client disconnected"));
+  if (output.write(chunk)) return Promise.resolve();
+  return waitForOutput(output);
+}
+
+/**
+ * Helper: Wait while the output's buffer is full, for writers that don't write
+ * to it themselves; rejects if the client goes away
+ */
+function waitForOutput(output) {
+  if (output.destroyed) return Promise.reject(new Error("Export cancelled: the client disconnected"));
+  if (!output.writableNeedDrain) return Promise.resolve();
+
+  return new Promise((resolve, reject) => {
+    const onDrain = () => {
+      output.off("close", onClose);
+      resolve();
+    };
+    const onClose = () => {
+      output.off("drain", onDrain);
+      reject(new Error("Export cancelled: the client disconnected"));
+    };
+    output.once("drain", onDrain);
+    output.once("close", onClose);
+  });
+}
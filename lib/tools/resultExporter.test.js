@@ -0,0 +1,175 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { PassThrough } from "node:stream";
+import { setTimeout as delay } from "node:timers/promises";
+import ExcelJS from "exceljs";
+import parquet from "@dsnp/parquetjs";
+import { createExportWriter, resolveColumns } from "./resultExporter.js";
+import { postgres } from "../dialects/postgres.js";
+import { sqlite } from "../dialects/sqlite.js";
+
+const columns = [
+  { name: "id", type: "integer" },
+  { name: "amount", type: "decimal" },
+  { name: "big", type: "bigint" },
+  { name: "day", type: "date" },
+  { name: "at", type: "timestamptz" },
+  { name: "note", type: "string" },
+  { name: "meta", type: "json" },
+];
+
+const rows = [
+  {
+    id: 1,
+    amount: "12345678901234567890.12",
+    big: "9007199254740993",
+    // Drivers return DATE values as local midnight
+    day: new Date(2024, 0, 15),
+    at: new Date("2024-01-15T10:30:00.000Z"),
+    note: 'says "hi", twice',
+    meta: { tags: ["a"] },
+  },
+  { id: 2, amount: null, big: null, day: null, at: null, note: "", meta: null },
+];
+
+/**
+ * Helper: Run a writer over the rows and collect what it wrote
+ */
+async function exportRows(format, exportColumns = columns, exportRows = rows) {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on("data", (chunk) => chunks.push(chunk));
+  const ended = new Promise((resolve) => output.on("end", resolve));
+
+  const writer = createExportWriter(format, output);
+  await writer.start(exportColumns);
+  await writer.write(exportRows);
+  await writer.end();
+  await ended;
+
+  return Buffer.concat(chunks);
+}
+
+describe("resolveColumns", () => {
+  it("takes types from the dialect", () => {
+    const fields = [
+      { name: "id", dataType: 23 },
+      { name: "amount", dataType: 1700 },
+      { name: "day", dataType: 1082 },
+      { name: "at", dataType: 1184 },
+    ];
+
+    assert.deepEqual(resolveColumns(fields, [], { dialect: postgres }), [
+      { name: "id", type: "integer" },
+      { name: "amount", type: "decimal" },
+      { name: "day", type: "date" },
+      { name: "at", type: "timestamptz" },
+    ]);
+  });
+
+  it("infers the types of expressions from their values", () => {
+    const fields = ["ratio", "flag", "label", "empty"].map((name) => ({ name, dataType: null }));
+    const values = [
+      { ratio: 1, flag: true, label: "a", empty: null },
+      { ratio: 2.5, flag: false, label: 3, empty: null },
+    ];
+
+    assert.deepEqual(
+      resolveColumns(fields, values, { dialect: sqlite }).map((col) => col.type),
+      ["number", "boolean", "string", "string"]
+    );
+  });
+
+  it("exports masked columns as strings", () => {
+    const fields = [{ name: "id", dataType: 23 }];
+
+    assert.deepEqual(resolveColumns(fields, [], { dialect: postgres, masked: ["id"] }), [{ name: "id", type: "string" }]);
+  });
+});
+
+describe("createExportWriter", () => {
+  it("writes CSV with exact numbers, calendar dates and empty fields for nulls", async () => {
+    const csv = (await exportRows("csv")).toString("utf8");
+
+    assert.equal(
+      csv,
+      "id,amount,big,day,at,note,meta\r\n" +
+        '1,12345678901234567890.12,9007199254740993,2024-01-15,2024-01-15T10:30:00.000Z,"says ""hi"", twice","{""tags"":[""a""]}"\r\n' +
+        '2,,,,,"",\r\n'
+    );
+  });
+
+  it("writes JSON Lines with decimals and bigints as exact numbers", async () => {
+    const lines = (await exportRows("jsonl")).toString("utf8").trimEnd().split("\n");
+
+    assert.equal(
+      lines[0],
+      '{"id":1,"amount":12345678901234567890.12,"big":9007199254740993,"day":"2024-01-15",' +
+        '"at":"2024-01-15T10:30:00.000Z","note":"says \\"hi\\", twice","meta":{"tags":["a"]}}'
+    );
+    assert.deepEqual(JSON.parse(lines[1]), {
+      id: 2,
+      amount: null,
+      big: null,
+      day: null,
+      at: null,
+      note: "",
+      meta: null,
+    });
+  });
+
+  it("writes only the header when there are no rows", async () => {
+    assert.equal((await exportRows("csv", columns, [])).toString("utf8"), "id,amount,big,day,at,note,meta\r\n");
+    assert.equal((await exportRows("jsonl", columns, [])).length, 0);
+  });
+
+  it("writes an Excel sheet with typed cells", async () => {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(await exportRows("xlsx"));
+    const sheet = workbook.getWorksheet("Result");
+
+    assert.deepEqual(sheet.getRow(1).values.slice(1), columns.map((col) => col.name));
+    assert.equal(sheet.getCell("A2").value, 1);
+    // Beyond the safe integer range, bigints stay text
+    assert.equal(sheet.getCell("C2").value, "9007199254740993");
+    assert.deepEqual(sheet.getCell("D2").value, new Date("2024-01-15T00:00:00.000Z"));
+    assert.equal(sheet.getCell("D2").numFmt, "yyyy-mm-dd");
+    assert.equal(sheet.getCell("B3").value, null);
+  });
+
+  it("holds Excel batches while the client falls behind and stops when it goes away", async () => {
+    const output = new PassThrough({ highWaterMark: 1024 });
+    const writer = createExportWriter("xlsx", output);
+    const batch = Array.from({ length: 2000 }, (_, i) => ({ id: i, note: `row ${i}` }));
+    await writer.start([
+      { name: "id", type: "integer" },
+      { name: "note", type: "string" },
+    ]);
+    await writer.write(batch);
+    while (!output.writableNeedDrain) await delay(10);
+
+    let settled = false;
+    const held = writer.write(batch).finally(() => (settled = true));
+    await delay(50);
+    assert.equal(settled, false);
+
+    output.destroy();
+    await assert.rejects(held, /client disconnected/);
+    await assert.rejects(writer.write(batch), /client disconnected/);
+  });
+
+  it("writes Parquet with typed columns and nulls", async () => {
+    const reader = await parquet.ParquetReader.openBuffer(await exportRows("parquet"));
+    const cursor = reader.getCursor();
+    const first = await cursor.next();
+    const second = await cursor.next();
+    await reader.close();
+
+    assert.equal(first.id, 1n);
+    assert.equal(first.amount, "12345678901234567890.12");
+    assert.equal(first.big, 9007199254740993n);
+    assert.equal(first.at.toISOString(), "2024-01-15T10:30:00.000Z");
+    assert.equal(first.note, 'says "hi", twice');
+    assert.equal(second.amount, null);
+  });
+});
@@ -0,0 +1,242 @@
+import dotenv from "dotenv";
+
+dotenv.config();
+
+/**
+ * Result Profiler
+ * Describes a query result by local statistics, so the summary prompt carries a
+ * compact profile and a sample instead of every row:
+ *
+ *   { rows, columns: [{ name, kind, nulls, nullRate, distinct, ...stats }] }
+ *
+ *   quantitative / ordinal → min, max, mean (and sum for quantitative)
+ *   temporal               → from, to and the trend of each number column over time
+ *   nominal                → top values with their counts
+ * kind comes from describeColumns (chartInference.js); identifiers and masked
+ * columns only get counts. It also writes the summary itself, from the profile
+ * alone, when the LLM is unavailable.
+ *
+ * SUMMARY_SAMPLE_ROWS: rows shown to the LLM; larger results are sampled (default 20)
+ */
+
+export const SUMMARY_SAMPLE_ROWS = parseInt(process.env.SUMMARY_SAMPLE_ROWS, 10) || 20;
+
+const TOP_VALUES = 5;
+const MAX_VALUE_LENGTH = 200;
+// Relative change between the first and second half of a series that counts as a trend
+const TREND_THRESHOLD = 0.05;
+
+/**
+ * Profile result rows column by column
+ */
+export function profileResult(columns, rows) {
+  const measures = columns.filter((column) => column.kind === "quantitative");
+
+  return {
+    rows: rows.length,
+    columns: columns.map((column) => {
+      const values = rows.map((row) => row[column.name]).filter((value) => value !== null && value !== undefined);
+      const profile = {
+        name: column.name,
+        kind: column.kind,
+        nulls: rows.length - values.length,
+        nullRate: rows.length > 0 ? round((rows.length - values.length) / rows.length) : 0,
+        distinct: new Set(values.map(String)).size,
+      };
+
+      if (values.length === 0) return profile;
+      if (column.kind === "quantitative" || column.kind === "ordinal") {
+        return { ...profile, ...numberStats(values, column.kind === "quantitative") };
+      }
+      if (column.kind === "temporal") {
+        return { ...profile, ...timeStats(column.name, rows, measures) };
+      }
+      if (column.kind === "nominal") {
+        return { ...profile, top: topValues(values) };
+      }
+      return profile;
+    }),
+  };
+}
+
+/**
+ * Representative rows: the first ones (ORDER BY puts what matters there), then
+ * rows spread evenly over the rest; every row when they fit. Long text is cut.
+ */
+export function sampleRows(rows, size = SUMMARY_SAMPLE_ROWS) {
+  let sample = rows;
+
+  if (rows.length > size) {
+    const head = Math.ceil(size / 2);
+    const rest = rows.length - head;
+    const step = rest / (size - head);
+    sample = [
+      ...rows.slice(0, head),
+      ...Array.from({ length: size - head }, (_, index) => rows[head + Math.floor(index * step)]),
+    ];
+  }
+
+  return sample.map((row) =>
+    Object.fromEntries(Object.entries(row).map(([key, value]) => [key, shorten(value)]))
+  );
+}
+
+/**
+ * Profile as prompt lines, one per column
+ */
+export function formatProfile(profile) {
+  return profile.columns.map((column) => `- ${describeColumn(column)}`).join("\n");
+}
+
+/**
+ * Summary written from the profile alone, for when the LLM is unavailable
+ * A result of one row is read out; larger ones are described column by column.
+ */
+export function templateSummary(profile, queryResults, rows) {
+  const lines = [];
+
+  if (profile.rows === 0) {
+    lines.push("The query returned no rows.");
+  } else if (profile.rows === 1) {
+    const values = Object.entries(rows[0]).map(([key, value]) => `${key} = ${formatValue(value)}`);
+    lines.push(`The query returned one row: ${values.join(", ")}.`);
+  } else {
+    const scope = queryResults.truncated
+      ? ` (the first ${profile.rows} of ${queryResults.totalRows ?? "more"} matching rows)`
+      : "";
+    lines.push(`The query returned ${profile.rows} rows${scope}.`, "");
+    profile.columns.forEach((column) => lines.push(`- ${describeColumn(column, { prose: true })}`));
+  }
+
+  lines.push("", "_This summary was generated from the result's statistics because the language model was unavailable._");
+  return lines.join("\n");
+}
+
+/**
+ * Helper: One column of the profile as text; prose reads better for users
+ */
+function describeColumn(column, { prose = false } = {}) {
+  const nulls = column.nulls > 0 ? `; ${Math.round(column.nullRate * 100)}% empty` : "";
+  const label = prose ? `**${column.name}**` : `${column.name} (${column.kind || "other"}, ${column.distinct} distinct)`;
+
+  if (column.min !== undefined) {
+    const sum = column.sum !== undefined ? `, sum ${formatValue(column.sum)}` : "";
+    return prose
+      ? `${label}: from ${formatValue(column.min)} to ${formatValue(column.max)}, averaging ${formatValue(column.mean)}${sum}${nulls}`
+      : `${label}: min ${formatValue(column.min)}, max ${formatValue(column.max)}, mean ${formatValue(column.mean)}${sum}${nulls}`;
+  }
+  if (column.from !== undefined) {
+    const trends = column.trends.map(
+      ({ measure, direction, first, last }) =>
+        `${measure} ${direction === "flat" ? "stays flat" : `goes ${direction}`} (${formatValue(first)} → ${formatValue(last)})`
+    );
+    return `${label}: ${column.from} to ${column.to}${trends.length > 0 ? `; over time ${trends.join(", ")}` : ""}${nulls}`;
+  }
+  if (column.top) {
+    const top = column.top.map(({ value, count }) => `${value} (${count})`).join(", ");
+    if (!prose) return `${label}: top ${top}${nulls}`;
+    return column.distinct === 1
+      ? `${label}: always ${top}${nulls}`
+      : `${label}: ${column.distinct} different values, most often ${top}${nulls}`;
+  }
+  return prose ? `${label}: ${plural(column.distinct, "different value")}${nulls}` : `${label}${nulls}`;
+}
+
+/**
+ * Helper: min, max, mean (and sum) of number-like values; NUMERIC may arrive as text
+ */
+function numberStats(values, withSum) {
+  const numbers = values.map(Number).filter(Number.isFinite);
+  if (numbers.length === 0) return {};
+
+  const sum = numbers.reduce((total, value) => total + value, 0);
+  return {
+    min: Math.min(...numbers),
+    max: Math.max(...numbers),
+    mean: round(sum / numbers.length),
+    ...(withSum && { sum: round(sum) }),
+  };
+}
+
+/**
+ * Helper: Date range, and whether each measure rises or falls over it
+ * Rows are ordered by date; a measure's trend compares the mean of the first
+ * half of the series with the second half.
+ */
+function timeStats(name, rows, measures) {
+  const dated = rows
+    .map((row) => ({ row, time: toTime(row[name]) }))
+    .filter(({ time }) => time !== null)
+    .sort((a, b) => a.time - b.time);
+  if (dated.length === 0) return {};
+
+  const trends = new Set(dated.map(({ time }) => time)).size < 3
+    ? []
+    : measures
+        .map((measure) => trend(measure.name, dated.map(({ row }) => Number(row[measure.name])).filter(Number.isFinite)))
+        .filter(Boolean);
+
+  return {
+    from: formatTime(dated[0].time),
+    to: formatTime(dated[dated.length - 1].time),
+    trends,
+  };
+}
+
+function trend(measure, series) {
+  if (series.length < 3) return null;
+
+  const half = Math.floor(series.length / 2);
+  const mean = (part) => part.reduce((total, value) => total + value, 0) / part.length;
+  const before = mean(series.slice(0, half));
+  const after = mean(series.slice(series.length - half));
+  const change = before === 0 ? (after === 0 ? 0 : Math.sign(after)) : (after - before) / Math.abs(before);
+
+  let direction = "flat";
+  if (change > TREND_THRESHOLD) direction = "up";
+  if (change < -TREND_THRESHOLD) direction = "down";
+
+  return { measure, direction, first: series[0], last: series[series.length - 1] };
+}
+
+function topValues(values) {
+  const counts = new Map();
+  values.forEach((value) => counts.set(String(value), (counts.get(String(value)) || 0) + 1));
+
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, TOP_VALUES)
+    .map(([value, count]) => ({ value: shorten(value), count }));
+}
+
+function toTime(value) {
+  if (value instanceof Date) return value.getTime();
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+// Dates without a time of day are shown as plain dates
+function formatTime(time) {
+  const iso = new Date(time).toISOString();
+  return iso.endsWith("T00:00:00.000Z") ? iso.slice(0, 10) : iso;
+}
+
+function formatValue(value) {
+  if (value === null || value === undefined) return "null";
+  if (value instanceof Date) return formatTime(value.getTime());
+  if (typeof value === "number") return String(round(value));
+  return shorten(String(value));
+}
+
+function plural(count, noun) {
+  return `${count} ${noun}${count === 1 ? "" : "s"}`;
+}
+
+function shorten(value) {
+  if (typeof value !== "string" || value.length <= MAX_VALUE_LENGTH) return value;
+  return `${value.slice(0, MAX_VALUE_LENGTH)}…`;
+}
+
+function round(value) {
+  return Number.isInteger(value) ? value : Number(value.toFixed(2));
+}
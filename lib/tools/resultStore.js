@@ -0,0 +1,87 @@
+import { randomUUID } from "crypto";
+
+/**
+ * Result Store
+ * Keeps the approved SQL of executed queries so further pages can be fetched
+ * without regenerating the query. In-memory; entries expire after a TTL.
+ * A previewed query is stored with its preview and not executed until confirmed.
+ */
+
+const RESULT_TTL_MS = parseInt(process.env.RESULT_TTL_MS, 10) || 30 * 60 * 1000;
+const MAX_RESULTS = parseInt(process.env.RESULT_STORE_MAX, 10) || 500;
+
+const results = new Map();
+
+/**
+ * Save an executed (or previewed) query and return its result ID
+ */
+export function saveResult({
+  database,
+  query,
+  question,
+  totalRows = null,
+  pageOrder = null,
+  role = null,
+  keyId = null,
+  masking = [],
+  sessionId = null,
+  preview = null,
+}) {
+  pruneExpired();
+
+  // Map keeps insertion order, so the first key is the oldest entry
+  while (results.size >= MAX_RESULTS) {
+    results.delete(results.keys().next().value);
+  }
+
+  const id = randomUUID();
+  results.set(id, {
+    id,
+    database,
+    query,
+    question,
+    totalRows,
+    pageOrder,
+    role,
+    keyId,
+    masking,
+    sessionId,
+    preview,
+    createdAt: Date.now(),
+  });
+
+  return id;
+}
+
+/**
+ * Update a stored result (e.g. a confirmed preview once executed); false if unknown
+ */
+export function updateResult(id, changes) {
+  const entry = getResult(id);
+  if (!entry) return false;
+
+  Object.assign(entry, changes);
+  return true;
+}
+
+/**
+ * Look up a stored result; null if unknown or expired
+ */
+export function getResult(id) {
+  const entry = results.get(id);
+  if (!entry) return null;
+
+  if (Date.now() - entry.createdAt > RESULT_TTL_MS) {
+    results.delete(id);
+    return null;
+  }
+
+  return entry;
+}
+
+function pruneExpired() {
+  const now = Date.now();
+  for (const [id, entry] of results) {
+    if (now - entry.createdAt > RESULT_TTL_MS) results.delete(id);
+  }
+}
@@ -0,0 +1,59 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { setTimeout as sleep } from "node:timers/promises";
+import { importWithEnv } from "../testing/fixtures.js";
+
+// Small limits keep the tests quick
+const { saveResult, updateResult, getResult } = await importWithEnv(
+  { RESULT_TTL_MS: "500", RESULT_STORE_MAX: "3" },
+  new URL("./resultStore.js", import.meta.url)
+);
+
+const save = (changes = {}) => saveResult({ database: "shop", query: "SELECT 1", question: "One?", ...changes });
+
+describe("resultStore", () => {
+  it("saves a result with defaults for what it wasn't given", () => {
+    const id = save();
+    const { createdAt, ...entry } = getResult(id);
+
+    assert.equal(typeof createdAt, "number");
+    assert.deepEqual(entry, {
+      id,
+      database: "shop",
+      query: "SELECT 1",
+      question: "One?",
+      totalRows: null,
+      pageOrder: null,
+      role: null,
+      keyId: null,
+      masking: [],
+      sessionId: null,
+      preview: null,
+    });
+  });
+
+  it("updates stored results only", () => {
+    const id = save({ preview: { plan: [] } });
+
+    assert.equal(updateResult(id, { preview: null, totalRows: 1 }), true);
+    assert.equal(getResult(id).preview, null);
+    assert.equal(getResult(id).totalRows, 1);
+    assert.equal(updateResult("unknown", { totalRows: 1 }), false);
+  });
+
+  it("evicts the oldest result when full", () => {
+    const ids = [1, 2, 3, 4].map((n) => save({ query: `SELECT ${n}` }));
+
+    assert.equal(getResult(ids[0]), null);
+    ids.slice(1).forEach((id) => assert.notEqual(getResult(id), null));
+  });
+
+  it("expires results a while after they were saved, however often they are read", async () => {
+    const id = save();
+
+    await sleep(300);
+    assert.notEqual(getResult(id), null);
+    await sleep(300);
+    assert.equal(getResult(id), null);
+  });
+});
@@ -1,83 +1,469 @@
+import { parse, astVisitor } from "pgsql-ast-parser";
+import sqlParser from "node-sql-parser";
+import { safetyPolicy, matchesList } from "./safetyPolicy.js";
+import { postgres } from "../dialects/postgres.js";
+
 /**
  * SQL Safety Checker
- * Validates SQL queries to ensure they are safe to execute
- */
-
-const DESTRUCTIVE_KEYWORDS = [
-  "DROP",
-  "DELETE",
-  "UPDATE",
-  "INSERT",
-  "TRUNCATE",
-  "ALTER",
-  "CREATE",
-  "GRANT",
-  "REVOKE",
-  "EXEC",
-  "EXECUTE",
-];
-
-const DANGEROUS_PATTERNS = [
-  /;\s*(DROP|DELETE|UPDATE|INSERT|TRUNCATE|ALTER|CREATE)/i,  // Multiple statements
-  /--/,  // SQL comments (can hide malicious code)
-  /\/\*/,  // Block comments
-  /xp_/i,  // SQL Server extended procedures
-  /sp_/i,  // SQL Server system procedures
-];
-
-export function checkQuerySafety(sqlQuery) {
+ * Parses SQL into an AST and enforces a read-only policy on node types, plus the
+ * schema/table/function allow and deny lists from the safety policy.
+ * PostgreSQL is parsed with pgsql-ast-parser; other dialects name a
+ * node-sql-parser grammar (dialect.parserDatabase).
+ */
+
+// Top-level statement types that can only read data
+const READ_ONLY_STATEMENTS = new Set([
+  "select",
+  "union",
+  "union all",
+  "values",
+  "with",
+  "with recursive",
+]);
+
+// node-sql-parser statement types that write, wherever they appear
+const DATA_MODIFYING_TYPES = new Set(["insert", "replace", "update", "delete"]);
+
+const sqlParserInstance = new sqlParser.Parser();
+
+export function checkQuerySafety(sqlQuery, policy = safetyPolicy, dialect = postgres) {
   const result = {
     safe: true,
     issues: [],
     warnings: [],
   };
 
-  // Normalize query for checking
-  const normalizedQuery = sqlQuery.trim().toUpperCase();
-
-  // Check if it starts with SELECT
-  if (!normalizedQuery.startsWith("SELECT")) {
+  const statements = dialect.parserDatabase
+    ? parseDialectStatements(sqlQuery, dialect, result)
+    : parseStatements(sqlQuery, result);
+  if (!statements) {
     result.safe = false;
-    result.issues.push("Query must be a SELECT statement");
+    return result;
+  }
+
+  // Exactly one statement (no multi-statement injection)
+  if (statements.length === 0) {
+    addIssue(result, sqlQuery, "empty_query", "Query is empty");
+  } else if (statements.length > 1) {
+    addIssue(
+      result,
+      sqlQuery,
+      "multiple_statements",
+      `Only a single statement is allowed, found ${statements.length}`,
+      statements[1]._location
+    );
   }
 
-  // Check for destructive keywords
-  for (const keyword of DESTRUCTIVE_KEYWORDS) {
-    const regex = new RegExp(`\\b${keyword}\\b`, "i");
-    if (regex.test(sqlQuery)) {
-      result.safe = false;
-      result.issues.push(`Destructive keyword detected: ${keyword}`);
+  for (const statement of statements) {
+    if (dialect.parserDatabase) {
+      checkDialectStatement(statement, sqlQuery, result, policy);
+    } else {
+      checkStatement(statement, sqlQuery, result, policy);
     }
   }
 
-  // Check for dangerous patterns
-  for (const pattern of DANGEROUS_PATTERNS) {
-    if (pattern.test(sqlQuery)) {
-      result.safe = false;
-      result.issues.push(`Dangerous pattern detected: ${pattern.toString()}`);
+  result.safe = result.issues.length === 0;
+
+  if (result.safe) {
+    if (dialect.parserDatabase) {
+      collectDialectWarnings(statements[0], result);
+    } else {
+      collectWarnings(statements[0], result);
     }
   }
 
-  // Check for semicolons (potential multi-statement injection)
-  const semicolonCount = (sqlQuery.match(/;/g) || []).length;
-  if (semicolonCount > 1) {
-    result.safe = false;
-    result.issues.push("Multiple statements detected (SQL injection risk)");
-  } else if (semicolonCount === 1 && !sqlQuery.trim().endsWith(";")) {
-    result.safe = false;
-    result.issues.push("Semicolon in middle of query (SQL injection risk)");
+  return result;
+}
+
+/**
+ * Parse SQL, recording a parse failure as an issue
+ */
+function parseStatements(sqlQuery, result) {
+  try {
+    return parse(sqlQuery, { locationTracking: true });
+  } catch (error) {
+    const token = error.token;
+
+    // The parser has no grammar for SELECT ... INTO, so it fails on the INTO keyword
+    if (token?.type === "kw_into") {
+      addIssue(
+        result,
+        sqlQuery,
+        "select_into",
+        "SELECT INTO creates a table; select the rows without INTO",
+        { start: token.offset, end: token.offset + token.text.length }
+      );
+    } else {
+      const location = token
+        ? { start: token.offset, end: token.offset + token.text.length }
+        : null;
+      addIssue(
+        result,
+        sqlQuery,
+        "parse_error",
+        `Could not parse query as PostgreSQL: ${error.message.split("\n")[0]}`,
+        location
+      );
+    }
+    return null;
+  }
+}
+
+/**
+ * Walk a single statement and record every policy violation
+ */
+function checkStatement(statement, sqlQuery, result, policy) {
+  if (!READ_ONLY_STATEMENTS.has(statement.type)) {
+    addIssue(
+      result,
+      sqlQuery,
+      "not_read_only",
+      `Statement type "${statement.type.toUpperCase()}" is not allowed; only SELECT queries are permitted`,
+      statement._location
+    );
+    return;
   }
 
-  // Warnings (not blocking, but noteworthy)
-  if (normalizedQuery.includes("SELECT *")) {
+  const rejectDataModifying = (type) => (node) => {
+    addIssue(
+      result,
+      sqlQuery,
+      "data_modifying_statement",
+      `${type.toUpperCase()} is not allowed inside a query (data-modifying CTE or subquery)`,
+      node._location
+    );
+  };
+
+  // CTE names in scope, innermost WITH last; they're referenced like tables but
+  // aren't subject to the relation policy
+  const cteScopes = [];
+
+  const visitor = astVisitor((map) => ({
+    // Data-modifying statements hiding inside CTEs or subqueries
+    insert: rejectDataModifying("insert"),
+    update: rejectDataModifying("update"),
+    delete: rejectDataModifying("delete"),
+    selection: (select) => {
+      if (select.for) {
+        addIssue(
+          result,
+          sqlQuery,
+          "locking_clause",
+          `Locking clause FOR ${select.for.type.toUpperCase()} is not allowed`,
+          select.for._location
+        );
+      }
+      return map.super().selection(select);
+    },
+    with: (withStatement) => {
+      // Inside its own body (and earlier CTEs') a CTE's name still means the relation
+      const scope = new Set();
+      cteScopes.push(scope);
+      withStatement.bind.forEach((bind) => {
+        visitor.statement(bind.statement);
+        scope.add(bind.alias.name.toLowerCase());
+      });
+      visitor.statement(withStatement.in);
+      cteScopes.pop();
+      return withStatement;
+    },
+    withRecursive: (withStatement) => {
+      cteScopes.push(new Set([withStatement.alias.name.toLowerCase()]));
+      const mapped = map.super().withRecursive(withStatement);
+      cteScopes.pop();
+      return mapped;
+    },
+    tableRef: (ref) => {
+      if (isCteName(cteScopes, ref.schema, ref.name)) return ref;
+      checkRelation(ref, sqlQuery, result, policy);
+      return map.super().tableRef(ref);
+    },
+    call: (call) => {
+      checkFunction(call, sqlQuery, result, policy);
+      return map.super().call(call);
+    },
+  }));
+
+  visitor.statement(statement);
+}
+
+/**
+ * Parse SQL with the dialect's node-sql-parser grammar, recording a parse failure as an issue
+ * Statements get the same _location as pgsql-ast-parser nodes
+ */
+function parseDialectStatements(sqlQuery, dialect, result) {
+  try {
+    const ast = sqlParserInstance.astify(sqlQuery, {
+      database: dialect.parserDatabase,
+      parseOptions: { includeLocations: true },
+    });
+    const statements = Array.isArray(ast) ? ast : [ast];
+    statements.forEach((statement) => {
+      statement._location = toLocation(statement.loc);
+    });
+    return statements;
+  } catch (error) {
+    const offset = error.location?.start.offset;
+    addIssue(
+      result,
+      sqlQuery,
+      "parse_error",
+      `Could not parse query as ${dialect.label}: ${error.message.split("\n")[0]}`,
+      offset === undefined ? null : { start: offset, end: error.location.end.offset }
+    );
+    return null;
+  }
+}
+
+/**
+ * Walk a node-sql-parser statement and record every policy violation
+ * Set operations (UNION ...) chain further SELECTs through _next; subqueries
+ * nest as { ast }; both are reached by walking every child object.
+ */
+function checkDialectStatement(statement, sqlQuery, result, policy) {
+  if (statement.type !== "select") {
+    addIssue(
+      result,
+      sqlQuery,
+      "not_read_only",
+      `Statement type "${statement.type.toUpperCase()}" is not allowed; only SELECT queries are permitted`,
+      statement._location
+    );
+    return;
+  }
+
+  // CTE names in scope, innermost WITH last; they're referenced like tables but
+  // aren't subject to the relation policy
+  const cteScopes = [];
+
+  const visit = (node) => {
+    if (Array.isArray(node)) {
+      node.forEach(visit);
+      return;
+    }
+    if (!node || typeof node !== "object") return;
+
+    const location = toLocation(node.loc);
+
+    if (node !== statement && DATA_MODIFYING_TYPES.has(node.type)) {
+      addIssue(
+        result,
+        sqlQuery,
+        "data_modifying_statement",
+        `${node.type.toUpperCase()} is not allowed inside a query (data-modifying CTE or subquery)`,
+        location
+      );
+    }
+
+    // A CTE's name applies to the CTEs after it and the main query; only a
+    // recursive CTE sees its own name
+    const scope = node.type === "select" && node.with ? new Set() : null;
+    if (scope) {
+      cteScopes.push(scope);
+      node.with.forEach((cte) => {
+        const name = cte.name.value.toLowerCase();
+        if (cte.recursive) scope.add(name);
+        visit(cte.stmt);
+        scope.add(name);
+      });
+    }
+
+    if (node.type === "select") {
+
+      const lockingClause = node.locking_read || node.for_update;
+      if (lockingClause) {
+        addIssue(
+          result,
+          sqlQuery,
+          "locking_clause",
+          `Locking clause ${String(lockingClause).toUpperCase()} is not allowed`,
+          location
+        );
+      }
+
+      if (node.into?.keyword) {
+        addIssue(
+          result,
+          sqlQuery,
+          "select_into",
+          "SELECT INTO writes to variables or files; select the rows without INTO",
+          location
+        );
+      }
+
+      node.from?.forEach((ref) => {
+        if (typeof ref.table !== "string") return;
+        if (isCteName(cteScopes, ref.db, ref.table)) return;
+        checkRelation({ schema: ref.db, name: ref.table, _location: toLocation(ref.loc) }, sqlQuery, result, policy);
+      });
+    }
+
+    // EXISTS (subquery) is parsed as a function call
+    if (node.type === "function" && Array.isArray(node.name?.name)) {
+      const name = node.name.name.map((part) => part.value).join(".");
+      if (name.toLowerCase() !== "exists") {
+        checkFunction({ function: { name }, _location: location }, sqlQuery, result, policy);
+      }
+    }
+
+    Object.entries(node).forEach(([key, child]) => {
+      if (key !== "loc" && key !== "_location" && !(scope && key === "with")) visit(child);
+    });
+    if (scope) cteScopes.pop();
+  };
+
+  visit(statement);
+}
+
+/**
+ * Helper: Whether an unqualified relation name refers to a CTE in scope
+ */
+function isCteName(cteScopes, schema, name) {
+  return !schema && cteScopes.some((scope) => scope.has(name.toLowerCase()));
+}
+
+/**
+ * Helper: node-sql-parser { start: { offset }, end: { offset } } -> { start, end }
+ */
+function toLocation(loc) {
+  return loc ? { start: loc.start.offset, end: loc.end.offset } : null;
+}
+
+/**
+ * Enforce schema and table allow/deny lists on a relation reference
+ */
+function checkRelation(ref, sqlQuery, result, policy) {
+  const schema = ref.schema?.toLowerCase();
+  const name = ref.name.toLowerCase();
+  const qualifiedName = schema ? `${schema}.${name}` : name;
+
+  if (schema && matchesList(policy.deniedSchemas, schema)) {
+    addIssue(
+      result,
+      sqlQuery,
+      "denied_schema",
+      `Schema "${schema}" is a system schema and cannot be queried`,
+      ref._location
+    );
+  } else if (!schema && matchesList(policy.catalogRelations, name)) {
+    addIssue(
+      result,
+      sqlQuery,
+      "denied_schema",
+      `Relation "${name}" resolves to a system schema and cannot be queried`,
+      ref._location
+    );
+  } else if (schema && policy.allowedSchemas && !matchesList(policy.allowedSchemas, schema)) {
+    addIssue(
+      result,
+      sqlQuery,
+      "schema_not_allowed",
+      `Schema "${schema}" is not in the allowed schemas (${policy.allowedSchemas.join(", ")})`,
+      ref._location
+    );
+  }
+
+  if (matchesList(policy.deniedRelations, name) || matchesList(policy.deniedRelations, qualifiedName)) {
+    addIssue(
+      result,
+      sqlQuery,
+      "denied_relation",
+      `Relation "${qualifiedName}" is a restricted system catalog and cannot be queried`,
+      ref._location
+    );
+  } else if (policy.allowedTables && !isTableAllowed(policy, schema, name)) {
+    addIssue(
+      result,
+      sqlQuery,
+      "table_not_allowed",
+      `Table "${qualifiedName}" is not in the allowed tables`,
+      ref._location
+    );
+  }
+}
+
+/**
+ * Enforce function allow/deny lists on a function call
+ */
+function checkFunction(call, sqlQuery, result, policy) {
+  const name = call.function.name.toLowerCase();
+
+  if (matchesList(policy.deniedFunctions, name)) {
+    addIssue(
+      result,
+      sqlQuery,
+      "denied_function",
+      `Function ${name}() is not allowed (it can sleep, access files or the network, or change server state)`,
+      call._location
+    );
+  } else if (policy.allowedFunctions && !matchesList(policy.allowedFunctions, name)) {
+    addIssue(
+      result,
+      sqlQuery,
+      "function_not_allowed",
+      `Function ${name}() is not in the allowed functions`,
+      call._location
+    );
+  }
+}
+
+/**
+ * Helper: Unqualified allow-list entries apply to every allowed schema
+ */
+function isTableAllowed(policy, schema, name) {
+  const schemas = schema ? [schema] : policy.allowedSchemas || [];
+  const candidates = [name, ...schemas.map((s) => `${s}.${name}`)];
+  return candidates.some((candidate) => matchesList(policy.allowedTables, candidate));
+}
+
+/**
+ * Non-blocking observations about an approved statement
+ */
+function collectWarnings(statement, result) {
+  const select = statement.type === "with" ? statement.in : statement;
+
+  if (select.columns?.some((col) => col.expr.type === "ref" && col.expr.name === "*")) {
     result.warnings.push("Using SELECT * - consider specifying columns");
   }
 
-  if (!normalizedQuery.includes("LIMIT") && !normalizedQuery.includes("TOP")) {
+  if (select.type === "select" && !select.limit) {
     result.warnings.push("No LIMIT clause - query might return many rows");
   }
+}
 
-  return result;
+/**
+ * Non-blocking observations about an approved node-sql-parser statement
+ */
+function collectDialectWarnings(statement, result) {
+  if (statement.columns?.some((col) => col.expr?.type === "column_ref" && col.expr.column === "*")) {
+    result.warnings.push("Using SELECT * - consider specifying columns");
+  }
+
+  if (!statement._next && !statement.limit?.value?.length) {
+    result.warnings.push("No LIMIT clause - query might return many rows");
+  }
+}
+
+/**
+ * Helper: Record an issue pointing at the offending clause
+ */
+function addIssue(result, sqlQuery, rule, message, location = null) {
+  const clause = location
+    ? sqlQuery.slice(location.start, location.end).trim()
+    : null;
+
+  result.issues.push({
+    rule,
+    message: clause
+      ? `${message} (at position ${location.start}: "${truncate(clause)}")`
+      : message,
+    clause,
+    position: location ? location.start : null,
+  });
+}
+
+function truncate(text, maxLength = 80) {
+  return text.length > maxLength ? `${text.slice(0, maxLength)}...` : text;
 }
 
 /**
@@ -86,13 +472,103 @@ export function checkQuerySafety(sqlQuery) {
 export function extractSQL(text) {
   // Remove markdown code blocks if present
   let sql = text.trim();
-  
+
   // Remove ```sql or ``` markers
   sql = sql.replace(/```sql\n?/gi, "");
   sql = sql.replace(/```\n?/g, "");
-  
+
   // Remove leading/trailing whitespace
   sql = sql.trim();
-  
+
   return sql;
 }
+
+/**
+ * Sort keys of a query's top-level ORDER BY: [{ position | column | expression, descending, nulls }]
+ * A key that repeats an item of the select list is that item's position; an
+ * unqualified name comes back as column (it may name a result column) with its
+ * expression too. expression is the key's SQL text where the parser keeps
+ * locations (PostgreSQL), null where it doesn't or the key sorts a union.
+ * Empty when there is no ORDER BY, null when the query doesn't parse.
+ */
+export function resultOrdering(sqlQuery, dialect = postgres) {
+  try {
+    return dialect.parserDatabase ? dialectOrderKeys(sqlQuery, dialect) : orderKeys(sqlQuery);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * The query with its select list extended by expressions, as columns agent_sort_1, ...
+ * Lets a wrapper sort by ORDER BY keys the result doesn't include. PostgreSQL
+ * only (the other parsers keep no locations); null for a union or a DISTINCT
+ * select, whose rows extra columns would change, and when the query doesn't parse.
+ */
+export function withSortColumns(sqlQuery, expressions, dialect = postgres) {
+  if (dialect.parserDatabase) return null;
+
+  let statement;
+  try {
+    [statement] = parse(sqlQuery, { locationTracking: true });
+  } catch (error) {
+    return null;
+  }
+  if (statement.type === "with" || statement.type === "with recursive") statement = statement.in;
+  if (statement.type !== "select" || (statement.distinct && statement.distinct !== "all")) return null;
+
+  const end = statement.columns?.at(-1)?._location?.end;
+  if (end === undefined) return null;
+  const columns = expressions.map((expression, i) => `, ${expression} AS agent_sort_${i + 1}`).join("");
+  return `${sqlQuery.slice(0, end)}${columns}${sqlQuery.slice(end)}`;
+}
+
+// pgsql-ast-parser attaches a union's ORDER BY to its last SELECT
+function orderKeys(sqlQuery) {
+  let [statement] = parse(sqlQuery, { locationTracking: true });
+  if (statement.type === "with" || statement.type === "with recursive") statement = statement.in;
+  const union = statement.type !== "select";
+  while (statement.right) statement = statement.right;
+
+  const items = union ? [] : statement.columns || [];
+  const same = (node) => JSON.stringify(node, (key, value) => (key === "_location" ? undefined : value));
+  const star = (item) => item.expr.type === "ref" && item.expr.name === "*";
+  return (statement.orderBy || []).map(({ by, order, nulls }) => {
+    const key = { descending: order === "DESC", nulls: nulls || null };
+    if (by.type === "integer") return { position: by.value, ...key };
+
+    const expression = union ? null : sqlQuery.slice(by._location.start, by._location.end);
+    if (by.type === "ref" && !by.table) return { column: by.name, expression, ...key };
+    const index = selectListIndex(items, (item) => same(item.expr) === same(by), star);
+    return index ? { position: index, ...key } : { expression, ...key };
+  });
+}
+
+// node-sql-parser chains union members through _next, the last one holding the ORDER BY
+function dialectOrderKeys(sqlQuery, dialect) {
+  let [statement] = [sqlParserInstance.astify(sqlQuery, { database: dialect.parserDatabase })].flat();
+  const union = Boolean(statement._next);
+  while (statement._next) statement = statement._next;
+
+  const items = union || !Array.isArray(statement.columns) ? [] : statement.columns;
+  const same = (node) => JSON.stringify(node, (key, value) => (key === "loc" ? undefined : value));
+  const star = (item) => item.expr?.type === "column_ref" && item.expr.column === "*";
+  return (statement.orderby || []).map(({ expr, type }) => {
+    const key = { descending: type === "DESC", nulls: null };
+    if (expr.type === "number") return { position: expr.value, ...key };
+
+    const column = typeof expr.column === "string" ? expr.column : expr.column?.expr?.value;
+    if (expr.type === "column_ref" && !expr.table && column) return { column, expression: null, ...key };
+    const index = selectListIndex(items, (item) => same(item.expr) === same(expr), star);
+    return index ? { position: index, ...key } : { expression: null, ...key };
+  });
+}
+
+// Position of the first select item matching; 0 if none does before a star, whose width is unknown
+function selectListIndex(items, matches, star) {
+  for (const [i, item] of items.entries()) {
+    if (star(item)) return 0;
+    if (matches(item)) return i + 1;
+  }
+  return 0;
+}
@@ -0,0 +1,203 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { checkQuerySafety, extractSQL, resultOrdering, withSortColumns } from "./safetyChecker.js";
+import { sqlite } from "../dialects/sqlite.js";
+import { mysql } from "../dialects/mysql.js";
+import { testSafetyPolicy } from "../testing/fixtures.js";
+
+const policy = testSafetyPolicy();
+const rules = (sqlQuery, checkPolicy = policy, dialect) =>
+  checkQuerySafety(sqlQuery, checkPolicy, dialect).issues.map((issue) => issue.rule);
+
+describe("checkQuerySafety", () => {
+  it("accepts a single read-only SELECT", () => {
+    const result = checkQuerySafety("SELECT id, total FROM orders WHERE total > 10 ORDER BY id", policy);
+
+    assert.equal(result.safe, true);
+    assert.deepEqual(result.issues, []);
+  });
+
+  it("accepts CTEs and unions", () => {
+    assert.deepEqual(rules("WITH t AS (SELECT id FROM orders) SELECT id FROM t"), []);
+    assert.deepEqual(rules("SELECT id FROM orders UNION ALL SELECT id FROM users"), []);
+  });
+
+  it("checks the relation a CTE of the same name reads from", () => {
+    const shadowing = [
+      "WITH pg_settings AS (SELECT * FROM pg_settings) SELECT * FROM pg_settings",
+      "WITH pg_authid AS (SELECT * FROM pg_authid) SELECT * FROM pg_authid",
+      // An earlier CTE doesn't see a later one either
+      "WITH a AS (SELECT * FROM pg_user), pg_user AS (SELECT 1) SELECT * FROM a",
+    ];
+
+    shadowing.forEach((sqlQuery) => assert.ok(rules(sqlQuery).includes("denied_relation"), sqlQuery));
+  });
+
+  it("lets a recursive CTE refer to itself", () => {
+    const sqlQuery = "WITH RECURSIVE n(i) AS (SELECT 1 UNION ALL SELECT i + 1 FROM n WHERE i < 3) SELECT i FROM n";
+
+    assert.deepEqual(rules(sqlQuery), []);
+  });
+
+  it("rejects writes and DDL", () => {
+    assert.deepEqual(rules("DELETE FROM orders"), ["not_read_only"]);
+    assert.deepEqual(rules("DROP TABLE orders"), ["not_read_only"]);
+  });
+
+  it("rejects writes hidden in a CTE", () => {
+    assert.ok(rules("WITH gone AS (DELETE FROM orders RETURNING id) SELECT id FROM gone").includes("data_modifying_statement"));
+  });
+
+  it("rejects more than one statement", () => {
+    assert.ok(rules("SELECT 1; SELECT 2").includes("multiple_statements"));
+  });
+
+  it("rejects locking clauses and SELECT INTO", () => {
+    assert.ok(rules("SELECT id FROM orders FOR UPDATE").includes("locking_clause"));
+    assert.ok(rules("SELECT id INTO copy FROM orders").includes("select_into"));
+  });
+
+  it("reports unparseable SQL as a parse error", () => {
+    const result = checkQuerySafety("SELEC id FROM", policy);
+
+    assert.equal(result.safe, false);
+    assert.deepEqual(result.issues.map((issue) => issue.rule), ["parse_error"]);
+  });
+});
+
+describe("extractSQL", () => {
+  it("strips the code fence around the query", () => {
+    assert.equal(extractSQL("```sql\nSELECT 1;\n```\n"), "SELECT 1;");
+  });
+});
+
+describe("checkQuerySafety allow and deny lists", () => {
+  it("rejects built-in denied functions, relations and schemas", () => {
+    assert.ok(rules("SELECT pg_sleep(10)").includes("denied_function"));
+    assert.ok(rules("SELECT pg_read_file('/etc/passwd')").includes("denied_function"));
+    assert.ok(rules("SELECT * FROM pg_catalog.pg_class").includes("denied_schema"));
+    assert.ok(rules("SELECT usename FROM pg_user").includes("denied_relation"));
+  });
+
+  it("rejects catalog relations without a schema qualifier", () => {
+    assert.deepEqual(rules("SELECT relname FROM pg_class"), ["denied_schema"]);
+    assert.deepEqual(rules("SELECT id FROM pages"), []);
+  });
+
+  it("applies configured allow lists", () => {
+    const restricted = testSafetyPolicy({ allowedTables: ["orders"], allowedFunctions: ["count"] });
+
+    assert.deepEqual(rules("SELECT count(*) FROM orders", restricted), []);
+    assert.ok(rules("SELECT id FROM users", restricted).includes("table_not_allowed"));
+    assert.ok(rules("SELECT id FROM audit.orders", restricted).includes("schema_not_allowed"));
+    assert.ok(rules("SELECT max(total) FROM orders", restricted).includes("function_not_allowed"));
+  });
+
+  it("adds configured deny lists to the built-in ones", () => {
+    const extended = testSafetyPolicy({ deniedRelations: ["Salaries"], deniedFunctions: ["crypt_*"] });
+
+    assert.ok(rules("SELECT * FROM salaries", extended).includes("denied_relation"));
+    assert.ok(rules("SELECT crypt_hash(name) FROM users", extended).includes("denied_function"));
+    assert.ok(rules("SELECT pg_sleep(1)", extended).includes("denied_function"));
+  });
+
+  it("applies configured deny lists inside a CTE of the same name", () => {
+    const extended = testSafetyPolicy({ allowedSchemas: ["public", "hr"], deniedRelations: ["salaries", "hr.reviews"] });
+    const shadowing = [
+      "WITH salaries AS (SELECT * FROM salaries) SELECT * FROM salaries",
+      "WITH reviews AS (SELECT * FROM hr.reviews) SELECT * FROM reviews",
+    ];
+
+    shadowing.forEach((sqlQuery) => assert.ok(rules(sqlQuery, extended).includes("denied_relation"), sqlQuery));
+    assert.deepEqual(rules("WITH salaries AS (SELECT id FROM orders) SELECT id FROM salaries", extended), []);
+  });
+});
+
+describe("checkQuerySafety on other dialects", () => {
+  it("uses the dialect's grammar and deny lists", () => {
+    const sqlitePolicy = testSafetyPolicy({ allowedSchemas: ["main"] }, sqlite.denied);
+
+    assert.deepEqual(rules("SELECT id FROM orders LIMIT 5", sqlitePolicy, sqlite), []);
+    assert.ok(rules("SELECT name FROM sqlite_master", sqlitePolicy, sqlite).includes("denied_relation"));
+    assert.ok(rules("SELECT load_extension('x')", sqlitePolicy, sqlite).includes("denied_function"));
+    assert.ok(rules("DELETE FROM orders", sqlitePolicy, sqlite).length > 0);
+  });
+
+  it("scopes CTE names on other dialects", () => {
+    const sqlitePolicy = testSafetyPolicy({ allowedSchemas: ["main"] }, sqlite.denied);
+    const shadowed = "WITH sqlite_master AS (SELECT * FROM sqlite_master) SELECT * FROM sqlite_master";
+
+    const own = "WITH sqlite_master AS (SELECT 1 AS x) SELECT x FROM sqlite_master";
+
+    assert.ok(rules(shadowed, sqlitePolicy, sqlite).includes("denied_relation"));
+    assert.deepEqual(rules(own, sqlitePolicy, sqlite), []);
+  });
+
+  it("denies MySQL grant tables without denying application tables of the same name", () => {
+    const mysqlPolicy = testSafetyPolicy({ allowedSchemas: ["*"] }, mysql.denied);
+
+    assert.deepEqual(rules("SELECT id, name FROM user", mysqlPolicy, mysql), []);
+    assert.ok(rules("SELECT User FROM mysql.user", mysqlPolicy, mysql).includes("denied_relation"));
+    assert.ok(rules("SELECT SLEEP(5)", mysqlPolicy, mysql).includes("denied_function"));
+  });
+});
+
+describe("resultOrdering", () => {
+  it("returns the ORDER BY keys with their SQL", () => {
+    assert.deepEqual(resultOrdering("SELECT id, total FROM orders ORDER BY total DESC, 1, total * 2 NULLS LAST"), [
+      { column: "total", expression: "total", descending: true, nulls: null },
+      { position: 1, descending: false, nulls: null },
+      { expression: "total * 2", descending: false, nulls: "LAST" },
+    ]);
+  });
+
+  it("resolves keys that repeat an item of the select list to its position", () => {
+    const sqlQuery = "SELECT o.id, c.id FROM orders o JOIN customers c ON c.id = o.customer_id ORDER BY c.id, o.total";
+
+    assert.deepEqual(resultOrdering(sqlQuery), [
+      { position: 2, descending: false, nulls: null },
+      { expression: "o.total", descending: false, nulls: null },
+    ]);
+    assert.deepEqual(resultOrdering("SELECT *, o.id FROM orders o ORDER BY o.id"), [
+      { expression: "o.id", descending: false, nulls: null },
+    ]);
+  });
+
+  it("reads the ORDER BY of a union", () => {
+    assert.deepEqual(resultOrdering("SELECT id FROM orders UNION SELECT id FROM users ORDER BY id DESC"), [
+      { column: "id", expression: null, descending: true, nulls: null },
+    ]);
+  });
+
+  it("reads the ORDER BY of dialect queries, without the SQL of expressions", () => {
+    const sqlQuery = "SELECT o.id, c.id FROM orders o JOIN customers c ON c.id = o.customer_id ORDER BY total, c.id, abs(o.total)";
+
+    assert.deepEqual(resultOrdering(sqlQuery, sqlite), [
+      { column: "total", expression: null, descending: false, nulls: null },
+      { position: 2, descending: false, nulls: null },
+      { expression: null, descending: false, nulls: null },
+    ]);
+  });
+
+  it("is empty without an ORDER BY and null when the query doesn't parse", () => {
+    assert.deepEqual(resultOrdering("SELECT id FROM orders"), []);
+    assert.equal(resultOrdering("SELEC id"), null);
+  });
+});
+
+describe("withSortColumns", () => {
+  it("adds the expressions after the select list", () => {
+    const sqlQuery = "WITH t AS (SELECT id, total FROM orders) SELECT id FROM t WHERE total > 1 ORDER BY total * 2";
+
+    assert.equal(
+      withSortColumns(sqlQuery, ["total * 2"]),
+      "WITH t AS (SELECT id, total FROM orders) SELECT id, total * 2 AS agent_sort_1 FROM t WHERE total > 1 ORDER BY total * 2"
+    );
+  });
+
+  it("leaves unions, DISTINCT and other dialects alone", () => {
+    assert.equal(withSortColumns("SELECT DISTINCT id FROM orders ORDER BY total", ["total"]), null);
+    assert.equal(withSortColumns("SELECT id FROM orders UNION SELECT id FROM users ORDER BY 1", ["id"]), null);
+    assert.equal(withSortColumns("SELECT id FROM orders ORDER BY total", ["total"], sqlite), null);
+  });
+});
@@ -0,0 +1,176 @@
+import fs from "fs";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+/**
+ * Safety Policy
+ * Allow/deny lists for schemas, tables and functions referenced by generated SQL
+ */
+
+// PostgreSQL functions that sleep, touch the filesystem, open connections,
+// change settings or run arbitrary SQL strings. "*" matches any characters.
+export const DENIED_FUNCTIONS = [
+  "pg_sleep*",
+  "pg_read_file",
+  "pg_read_binary_file",
+  "pg_ls_*",
+  "pg_stat_file",
+  "pg_file_*",
+  "pg_logdir_ls",
+  "lo_*",
+  "loread",
+  "lowrite",
+  "dblink*",
+  "set_config",
+  "current_setting",
+  "pg_reload_conf",
+  "pg_rotate_logfile",
+  "pg_terminate_backend",
+  "pg_cancel_backend",
+  "pg_promote",
+  "pg_switch_wal",
+  "pg_create_restore_point",
+  "pg_start_backup",
+  "pg_stop_backup",
+  "pg_backup_start",
+  "pg_backup_stop",
+  "pg_advisory_*",
+  "pg_try_advisory_*",
+  "pg_notify",
+  "pg_logical_emit_message",
+  "pg_create_*_replication_slot",
+  "pg_drop_replication_slot",
+  "pg_stat_reset*",
+  "nextval",
+  "setval",
+  "query_to_xml*",
+  "cursor_to_xml*",
+  "table_to_xml*",
+  "schema_to_xml*",
+  "database_to_xml*",
+];
+
+// System catalogs and views exposing credentials, server configuration or other sessions.
+// Matched by name whether or not the reference is schema-qualified.
+export const DENIED_RELATIONS = [
+  "pg_authid",
+  "pg_shadow",
+  "pg_user",
+  "pg_roles",
+  "pg_auth_members",
+  "pg_user_mapping",
+  "pg_user_mappings",
+  "pg_statistic",
+  "pg_largeobject",
+  "pg_largeobject_metadata",
+  "pg_settings",
+  "pg_file_settings",
+  "pg_hba_file_rules",
+  "pg_ident_file_mappings",
+  "pg_db_role_setting",
+  "pg_config",
+  "pg_stat_activity",
+  "pg_stat_replication",
+  "pg_replication_slots",
+];
+
+// Schemas generated SQL may never read from
+export const DENIED_SCHEMAS = ["pg_catalog", "information_schema", "pg_toast"];
+
+// Unqualified names that resolve to a denied schema: pg_catalog is searched
+// before the search_path, and its relations all start with "pg_"
+export const CATALOG_RELATIONS = ["pg_*"];
+
+/**
+ * Build a safety policy from an optional JSON file, environment variables and overrides
+ *
+ * Allow lists default to null (anything not denied), except schemas which
+ * default to the introspected SCHEMA_NAMES ("public"); use "*" to allow every schema. Deny lists always
+ * include the built-in entries (the PostgreSQL ones above unless a dialect
+ * passes its own); configured entries are added to them.
+ */
+export function loadSafetyPolicy(
+  overrides = {},
+  denied = {
+    functions: DENIED_FUNCTIONS,
+    relations: DENIED_RELATIONS,
+    schemas: DENIED_SCHEMAS,
+    catalogRelations: CATALOG_RELATIONS,
+  }
+) {
+  const fromFile = readPolicyFile(process.env.SAFETY_POLICY_FILE);
+
+  const config = {
+    allowedSchemas:
+      listFromEnv("SAFETY_ALLOWED_SCHEMAS") ??
+      fromFile.allowedSchemas ??
+      listFromEnv("SCHEMA_NAMES") ??
+      ["public"],
+    allowedTables: listFromEnv("SAFETY_ALLOWED_TABLES") ?? fromFile.allowedTables ?? null,
+    allowedFunctions: listFromEnv("SAFETY_ALLOWED_FUNCTIONS") ?? fromFile.allowedFunctions ?? null,
+    deniedFunctions: [
+      ...(fromFile.deniedFunctions || []),
+      ...(listFromEnv("SAFETY_DENIED_FUNCTIONS") || []),
+    ],
+    deniedRelations: [
+      ...(fromFile.deniedRelations || []),
+      ...(listFromEnv("SAFETY_DENIED_RELATIONS") || []),
+    ],
+    ...overrides,
+  };
+
+  return {
+    allowedSchemas: normalizeList(config.allowedSchemas),
+    allowedTables: normalizeList(config.allowedTables),
+    allowedFunctions: normalizeList(config.allowedFunctions),
+    deniedFunctions: normalizeList([...denied.functions, ...(config.deniedFunctions || [])]),
+    deniedRelations: normalizeList([...denied.relations, ...(config.deniedRelations || [])]),
+    deniedSchemas: normalizeList([...denied.schemas, ...(config.deniedSchemas || [])]),
+    catalogRelations: normalizeList(denied.catalogRelations || []),
+  };
+}
+
+/**
+ * Check whether a name matches any entry of a list ("*" matches any characters)
+ */
+export function matchesList(list, name) {
+  return list.some((entry) => wildcardMatch(entry, name));
+}
+
+// Default policy used when callers don't pass their own
+export const safetyPolicy = loadSafetyPolicy();
+
+/**
+ * Helper: Match a single list entry such as "pg_ls_*" or "pg_create_*_replication_slot"
+ */
+function wildcardMatch(entry, name) {
+  if (!entry.includes("*")) return entry === name;
+
+  const pattern = entry
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${pattern}$`).test(name);
+}
+
+function readPolicyFile(filePath) {
+  if (!filePath) return {};
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not load safety policy from ${filePath}: ${error.message}`);
+  }
+}
+
+function listFromEnv(name) {
+  const value = process.env[name];
+  if (value === undefined || value.trim() === "") return null;
+  return value.split(",");
+}
+
+function normalizeList(list) {
+  if (!list) return null;
+  return list.map((entry) => entry.trim().toLowerCase()).filter(Boolean);
+}
@@ -0,0 +1,43 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { loadSafetyPolicy, matchesList } from "./safetyPolicy.js";
+
+describe("loadSafetyPolicy", () => {
+  it("lower-cases entries and keeps the built-in deny lists", () => {
+    const policy = loadSafetyPolicy({ allowedSchemas: ["Public"], deniedRelations: [" Payroll "] });
+
+    assert.deepEqual(policy.allowedSchemas, ["public"]);
+    assert.ok(policy.deniedRelations.includes("payroll"));
+    assert.ok(policy.deniedRelations.includes("pg_authid"));
+    assert.ok(policy.deniedFunctions.includes("pg_sleep*"));
+    assert.ok(policy.deniedSchemas.includes("pg_catalog"));
+  });
+
+  it("takes a dialect's deny lists instead of PostgreSQL's", () => {
+    const policy = loadSafetyPolicy(
+      { deniedFunctions: [], deniedRelations: [] },
+      { functions: ["sleep"], relations: ["mysql.user"], schemas: ["mysql"] }
+    );
+
+    assert.deepEqual(policy.deniedFunctions, ["sleep"]);
+    assert.deepEqual(policy.deniedRelations, ["mysql.user"]);
+    assert.deepEqual(policy.deniedSchemas, ["mysql"]);
+    assert.deepEqual(policy.catalogRelations, []);
+  });
+});
+
+describe("matchesList", () => {
+  it("matches names exactly or by wildcard", () => {
+    assert.equal(matchesList(["orders"], "orders"), true);
+    assert.equal(matchesList(["orders"], "orders_archive"), false);
+    assert.equal(matchesList(["pg_ls_*"], "pg_ls_dir"), true);
+    assert.equal(matchesList(["pg_create_*_replication_slot"], "pg_create_logical_replication_slot"), true);
+    assert.equal(matchesList(["*.salary"], "users.salary"), true);
+    assert.equal(matchesList(["*.salary"], "users.salary_band"), false);
+  });
+
+  it("escapes characters that mean something in a regular expression", () => {
+    assert.equal(matchesList(["a.b"], "axb"), false);
+    assert.equal(matchesList(["pg_(x)*"], "pg_(x)y"), true);
+  });
+});
@@ -0,0 +1,143 @@
+import { extractSchema } from "./schemaExtractor.js";
+
+/**
+ * Schema Cache
+ * Serves introspected schemas from memory until they expire or DDL invalidates them
+ */
+
+const SCHEMA_CACHE_TTL_MS = parseInt(process.env.SCHEMA_CACHE_TTL_MS, 10) || 5 * 60 * 1000;
+export const SCHEMA_CHANGE_CHANNEL = process.env.SCHEMA_CHANGE_CHANNEL || "schema_changed";
+const LISTEN_RETRY_MS = 5000;
+
+// Cache key (source name + schema list) -> { schema, extractedAt } or { pending }
+const cache = new Map();
+
+// Source name -> times its schemas were invalidated; an extraction that started
+// before the latest invalidation may have read the old schema, so isn't cached
+const generations = new Map();
+
+/**
+ * Get a data source's schema, introspecting only on a miss or after the TTL
+ */
+export async function getSchema(source, options = {}) {
+  const { schemas = source.schemas, forceRefresh = false } = options;
+  const key = `${source.name}:${schemas.join(",")}`;
+  const entry = cache.get(key);
+
+  if (!forceRefresh && entry?.schema && Date.now() - entry.extractedAt < SCHEMA_CACHE_TTL_MS) {
+    return {
+      schema: entry.schema,
+      cacheHit: true,
+      extractedAt: entry.extractedAt,
+      ageMs: Date.now() - entry.extractedAt,
+    };
+  }
+
+  // Concurrent misses share one introspection
+  if (!forceRefresh && entry?.pending) {
+    const fresh = await entry.pending;
+    return { schema: fresh.schema, cacheHit: false, extractedAt: fresh.extractedAt, ageMs: 0 };
+  }
+
+  const generation = generationOf(source);
+  const pending = extractSchema(source, { schemas }).then((schema) => ({
+    schema,
+    extractedAt: Date.now(),
+  }));
+  cache.set(key, { ...entry, pending });
+
+  // Only the latest extraction of the current generation updates the entry
+  const current = () => generationOf(source) === generation && cache.get(key)?.pending === pending;
+
+  try {
+    const fresh = await pending;
+    if (current()) cache.set(key, fresh);
+    return { schema: fresh.schema, cacheHit: false, extractedAt: fresh.extractedAt, ageMs: 0 };
+  } catch (error) {
+    if (current()) cache.delete(key);
+    throw error;
+  }
+}
+
+/**
+ * Re-introspect immediately, replacing the cached copy
+ */
+export async function refreshSchema(source, options = {}) {
+  return getSchema(source, { ...options, forceRefresh: true });
+}
+
+/**
+ * Drop the cached schemas of one data source, or of every source when none is
+ * given; the next request introspects again
+ */
+export function invalidateSchemaCache(source = null) {
+  if (!source) {
+    for (const name of generations.keys()) generations.set(name, generations.get(name) + 1);
+    cache.clear();
+    return;
+  }
+
+  generations.set(source.name, generationOf(source) + 1);
+  for (const key of cache.keys()) {
+    if (key.startsWith(`${source.name}:`)) cache.delete(key);
+  }
+}
+
+/**
+ * Listen for DDL notifications (sent by the event trigger in the README) on a
+ * data source and invalidate its cached schema when they arrive. Reconnects if
+ * the connection fails or ends.
+ */
+export async function startSchemaChangeListener(source) {
+  if (!source.createClient) {
+    console.log(`Schema change notifications are not supported for ${source.dialect.label} ("${source.name}")`);
+    return;
+  }
+
+  const client = source.createClient();
+  let closed = false;
+
+  const reconnect = () => {
+    if (closed) return;
+    closed = true;
+    client.removeAllListeners();
+    client.end().catch(() => {});
+    setTimeout(() => startSchemaChangeListener(source), LISTEN_RETRY_MS);
+  };
+
+  client.on("notification", (message) => {
+    if (message.channel !== SCHEMA_CHANGE_CHANNEL) return;
+    console.log(`Schema change detected on "${source.name}" (${message.payload || "DDL"}), invalidating schema cache`);
+    invalidateSchemaCache(source);
+  });
+
+  client.on("error", (err) => {
+    console.error(`Schema change listener error on "${source.name}":`, err.message);
+    reconnect();
+  });
+
+  // The server may close the connection without an error (restart, idle timeout)
+  client.on("end", () => {
+    console.error(`Schema change listener connection to "${source.name}" ended`);
+    reconnect();
+  });
+
+  try {
+    await client.connect();
+    // Channel names are identifiers, not bindable values
+    await client.query(`LISTEN "${SCHEMA_CHANGE_CHANNEL.replace(/"/g, '""')}"`);
+    console.log(`Listening for schema changes on "${source.name}", channel "${SCHEMA_CHANGE_CHANNEL}"`);
+
+    // DDL made while disconnected was never notified
+    invalidateSchemaCache(source);
+  } catch (error) {
+    console.error(`Could not start schema change listener on "${source.name}":`, error.message);
+    reconnect();
+  }
+}
+
+// Registers the source on first use, so invalidating every source counts it too
+function generationOf(source) {
+  if (!generations.has(source.name)) generations.set(source.name, 0);
+  return generations.get(source.name);
+}
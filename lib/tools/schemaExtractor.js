@@ -1,45 +1,18 @@
-import { pool } from "../db.js";
-
 /**
  * Schema Extractor Tool
- * Retrieves database schema information for LLM context
+ * Retrieves tables, views, columns, keys, indexes, enum values and comments for LLM context,
+ * using the introspection of the data source's dialect
+ *
+ * Returns an object keyed by table name, as the table would be referenced in SQL
+ * ("users" in the default schema, "analytics.events" otherwise).
  */
-export async function extractSchema() {
-  const query = `
-    SELECT 
-      table_name,
-      column_name,
-      data_type,
-      is_nullable,
-      column_default
-    FROM 
-      information_schema.columns
-    WHERE 
-      table_schema = 'public'
-    ORDER BY 
-      table_name, ordinal_position;
-  `;
+export async function extractSchema(source, options = {}) {
+  const { schemas = source.schemas } = options;
 
   try {
-    const result = await pool.query(query);
-    
-    // Group columns by table
-    const schema = {};
-    result.rows.forEach((row) => {
-      if (!schema[row.table_name]) {
-        schema[row.table_name] = [];
-      }
-      schema[row.table_name].push({
-        column: row.column_name,
-        type: row.data_type,
-        nullable: row.is_nullable === "YES",
-        default: row.column_default,
-      });
-    });
-
-    return schema;
+    return await source.dialect.extractSchema(source.pool, schemas);
   } catch (error) {
-    console.error("Error extracting schema:", error);
+    console.error(`Error extracting schema of "${source.name}":`, error);
     throw error;
   }
 }
@@ -49,17 +22,54 @@ export async function extractSchema() {
  */
 export function formatSchemaForPrompt(schema) {
   let formatted = "Database Schema:\n\n";
-  
-  for (const [tableName, columns] of Object.entries(schema)) {
-    formatted += `Table: ${tableName}\n`;
+
+  for (const [tableName, table] of Object.entries(schema)) {
+    formatted += `${capitalize(table.kind)}: ${tableName}`;
+    if (table.comment) formatted += ` -- ${table.comment}`;
+    formatted += "\n";
+
     formatted += "Columns:\n";
-    columns.forEach((col) => {
+    table.columns.forEach((col) => {
       formatted += `  - ${col.column} (${col.type})${col.nullable ? " NULL" : " NOT NULL"}`;
       if (col.default) formatted += ` DEFAULT ${col.default}`;
+      if (col.enumValues) formatted += ` VALUES: ${col.enumValues.map((v) => `'${v}'`).join(", ")}`;
+      if (col.comment) formatted += ` -- ${col.comment}`;
       formatted += "\n";
     });
+
+    if (table.primaryKey.length > 0) {
+      formatted += `Primary Key: (${table.primaryKey.join(", ")})\n`;
+    }
+
+    if (table.foreignKeys.length > 0) {
+      formatted += "Foreign Keys:\n";
+      table.foreignKeys.forEach((fk) => {
+        formatted += `  - (${fk.columns.join(", ")}) REFERENCES ${fk.references.table}(${fk.references.columns.join(", ")})\n`;
+      });
+    }
+
+    table.uniqueConstraints.forEach((columns) => {
+      formatted += `Unique: (${columns.join(", ")})\n`;
+    });
+
+    if (table.indexes.length > 0) {
+      formatted += "Indexes:\n";
+      table.indexes.forEach((index) => {
+        // "CREATE INDEX name ON table USING btree (col)" -> "btree (col)",
+        // "CREATE INDEX name ON table (col)" -> "(col)"
+        const method = index.definition
+          .replace(/^.*\bUSING\s+/i, "")
+          .replace(/^CREATE\b.*?\bON\s+[^\s(]+\s*/i, "");
+        formatted += `  - ${index.name}${index.unique ? " UNIQUE" : ""} ${method}\n`;
+      });
+    }
+
     formatted += "\n";
   }
-  
+
   return formatted;
 }
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
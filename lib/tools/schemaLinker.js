@@ -0,0 +1,181 @@
+/**
+ * Schema Linker Tool
+ * Ranks tables and columns by lexical relevance to the question so only a
+ * subset of a large schema goes into the prompt. Pure and offline: no database
+ * or LLM calls.
+ */
+
+const MAX_TABLES = parseInt(process.env.SCHEMA_LINK_MAX_TABLES, 10) || 8;
+
+// Context widening per refinement level: top-N multiplier, then the full schema
+const LEVEL_MULTIPLIERS = [1, 2];
+
+const WEIGHTS = {
+  tableName: 3,
+  columnName: 1.5,
+  comment: 1,
+  value: 2,
+  partial: 0.5, // multiplier for prefix matches ("cust" ~ "customers")
+};
+
+const STOPWORDS = new Set([
+  "a", "an", "and", "are", "as", "at", "be", "by", "can", "did", "do", "does",
+  "each", "for", "from", "get", "give", "has", "have", "how", "i", "in", "is",
+  "it", "list", "many", "me", "much", "my", "of", "on", "or", "our", "per",
+  "show", "than", "that", "the", "their", "there", "this", "to", "was", "we",
+  "were", "what", "when", "where", "which", "who", "with", "all", "any",
+  "number", "total", "count", "find", "tell", "top", "most", "least",
+]);
+
+/**
+ * Select the tables relevant to a question
+ *
+ * level 0 sends the top maxTables tables plus their foreign-key neighbours,
+ * level 1 doubles that, level 2+ sends the whole schema. Small schemas and
+ * questions that match nothing also get the whole schema.
+ */
+export function linkSchema(question, schema, options = {}) {
+  const { maxTables = MAX_TABLES, level = 0 } = options;
+  const tableNames = Object.keys(schema);
+  const ranking = rankTables(question, schema);
+
+  const fullSchema = (reason) => ({
+    schema,
+    selectedTables: tableNames,
+    ranking,
+    reason,
+  });
+
+  if (level >= LEVEL_MULTIPLIERS.length) return fullSchema("refinement");
+
+  const limit = maxTables * LEVEL_MULTIPLIERS[level];
+  if (tableNames.length <= limit) return fullSchema("small_schema");
+
+  const matched = ranking.filter((entry) => entry.score > 0);
+  if (matched.length === 0) return fullSchema("no_match");
+
+  const selected = new Set(matched.slice(0, limit).map((entry) => entry.table));
+
+  // Pull in direct foreign-key neighbours so join paths stay complete
+  for (const neighbour of foreignKeyNeighbours(schema, selected)) {
+    selected.add(neighbour);
+  }
+
+  // Keep the original schema order
+  const subset = {};
+  for (const tableName of tableNames) {
+    if (selected.has(tableName)) subset[tableName] = schema[tableName];
+  }
+
+  return {
+    schema: subset,
+    selectedTables: Object.keys(subset),
+    ranking,
+    reason: "ranked",
+  };
+}
+
+/**
+ * Score every table (and its columns) against the question
+ */
+export function rankTables(question, schema) {
+  const questionTokens = tokenize(question);
+  const questionText = question.toLowerCase();
+
+  return Object.entries(schema)
+    .map(([tableName, table]) => {
+      let score = scoreTokens(questionTokens, tokenize(tableName)) * WEIGHTS.tableName;
+      if (table.comment) {
+        score += scoreTokens(questionTokens, tokenize(table.comment)) * WEIGHTS.comment;
+      }
+
+      const columns = table.columns
+        .map((col) => ({ column: col.column, score: scoreColumn(col, questionTokens, questionText) }))
+        .filter((col) => col.score > 0)
+        .sort((a, b) => b.score - a.score);
+
+      score += columns.reduce((sum, col) => sum + col.score, 0);
+
+      return { table: tableName, score, columns };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+function scoreColumn(col, questionTokens, questionText) {
+  let score = scoreTokens(questionTokens, tokenize(col.column)) * WEIGHTS.columnName;
+
+  if (col.comment) {
+    score += scoreTokens(questionTokens, tokenize(col.comment)) * WEIGHTS.comment;
+  }
+
+  // Enum labels and sampled values ("Germany", "shipped") point at filter columns
+  const values = [...(col.enumValues || []), ...(col.sampleValues || [])];
+  if (values.some((value) => mentionsValue(questionText, value))) {
+    score += WEIGHTS.value;
+  }
+
+  return score;
+}
+
+/**
+ * Helper: Exact token matches count fully, shared prefixes partially
+ */
+function scoreTokens(questionTokens, targetTokens) {
+  let score = 0;
+
+  for (const target of new Set(targetTokens)) {
+    if (questionTokens.has(target)) {
+      score += 1;
+    } else if (
+      target.length >= 4 &&
+      [...questionTokens].some((token) => token.length >= 4 && (token.startsWith(target) || target.startsWith(token)))
+    ) {
+      score += WEIGHTS.partial;
+    }
+  }
+
+  return score;
+}
+
+function mentionsValue(questionText, value) {
+  const text = String(value).toLowerCase().trim();
+  if (text.length < 2) return false;
+
+  const escaped = text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(`(^|[^a-z0-9])${escaped}($|[^a-z0-9])`).test(questionText);
+}
+
+function foreignKeyNeighbours(schema, selected) {
+  const neighbours = new Set();
+
+  for (const [tableName, table] of Object.entries(schema)) {
+    for (const fk of table.foreignKeys || []) {
+      if (selected.has(tableName)) neighbours.add(fk.references.table);
+      if (selected.has(fk.references.table)) neighbours.add(tableName);
+    }
+  }
+
+  return [...neighbours].filter((tableName) => schema[tableName]);
+}
+
+/**
+ * Helper: Split identifiers and text into lowercase singular tokens
+ * ("orderItems", "order_items" and "order items" all give ["order", "item"])
+ */
+function tokenize(text) {
+  const tokens = String(text)
+    .replace(/([a-z])([A-Z])/g, "$1 $2")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((token) => token && !STOPWORDS.has(token))
+    .map(singularize);
+
+  return new Set(tokens);
+}
+
+function singularize(token) {
+  if (token.length > 4 && token.endsWith("ies")) return `${token.slice(0, -3)}y`;
+  if (token.length > 4 && /(xes|ches|shes)$/.test(token)) return token.slice(0, -2);
+  if (token.length > 3 && token.endsWith("s") && !token.endsWith("ss")) return token.slice(0, -1);
+  return token;
+}
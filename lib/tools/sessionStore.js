@@ -0,0 +1,100 @@
+import { randomUUID } from "crypto";
+
+/**
+ * Session Store
+ * Keeps the recent turns of a conversation (question, SQL and result shape) so
+ * follow-up questions can refine the previous query, and the question waiting
+ * for the user to clarify it. In-memory; a session expires after SESSION_TTL_MS
+ * without activity. A session belongs to the API key that started it (keyId).
+ */
+
+const SESSION_TTL_MS = parseInt(process.env.SESSION_TTL_MS, 10) || 30 * 60 * 1000;
+const MAX_SESSIONS = parseInt(process.env.SESSION_STORE_MAX, 10) || 1000;
+const MAX_TURNS = parseInt(process.env.SESSION_MAX_TURNS, 10) || 20;
+
+const sessions = new Map();
+
+/**
+ * Start a new, empty session for an API key
+ */
+export function createSession({ keyId = null } = {}) {
+  pruneExpired();
+
+  // Map keeps insertion order, so the first key is the oldest entry
+  while (sessions.size >= MAX_SESSIONS) {
+    sessions.delete(sessions.keys().next().value);
+  }
+
+  const now = Date.now();
+  const session = {
+    id: randomUUID(),
+    keyId,
+    turns: [],
+    clarification: null,
+    createdAt: now,
+    lastActiveAt: now,
+  };
+  sessions.set(session.id, session);
+
+  return session;
+}
+
+/**
+ * Look up a session and extend its expiry; null if unknown or expired
+ */
+export function getSession(id) {
+  const session = sessions.get(id);
+  if (!session) return null;
+
+  if (Date.now() - session.lastActiveAt > SESSION_TTL_MS) {
+    sessions.delete(id);
+    return null;
+  }
+
+  session.lastActiveAt = Date.now();
+  return session;
+}
+
+/**
+ * Append a completed turn, keeping only the most recent MAX_TURNS
+ */
+export function addTurn(id, turn) {
+  const session = getSession(id);
+  if (!session) return null;
+
+  session.turns.push({ ...turn, askedAt: Date.now() });
+  if (session.turns.length > MAX_TURNS) {
+    session.turns.splice(0, session.turns.length - MAX_TURNS);
+  }
+
+  return session;
+}
+
+/**
+ * Set the run waiting for a clarifying answer (null when none is); a session
+ * waits for one answer at a time
+ */
+export function setClarification(id, clarification) {
+  const session = getSession(id);
+  if (!session) return null;
+
+  session.clarification = clarification;
+  return session;
+}
+
+/**
+ * Forget a session of the given key; false if it did not exist or belongs to another key
+ */
+export function deleteSession(id, keyId = null) {
+  const session = getSession(id);
+  if (!session || session.keyId !== keyId) return false;
+
+  return sessions.delete(id);
+}
+
+function pruneExpired() {
+  const now = Date.now();
+  for (const [id, session] of sessions) {
+    if (now - session.lastActiveAt > SESSION_TTL_MS) sessions.delete(id);
+  }
+}
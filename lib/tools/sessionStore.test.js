@@ -0,0 +1,66 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { setTimeout as sleep } from "node:timers/promises";
+import { importWithEnv } from "../testing/fixtures.js";
+
+// Small limits keep the tests quick
+const { createSession, getSession, addTurn, setClarification, deleteSession } = await importWithEnv(
+  { SESSION_TTL_MS: "500", SESSION_STORE_MAX: "3", SESSION_MAX_TURNS: "2" },
+  new URL("./sessionStore.js", import.meta.url)
+);
+
+describe("sessionStore", () => {
+  it("creates empty sessions", () => {
+    const session = createSession();
+
+    assert.deepEqual(session.turns, []);
+    assert.equal(session.clarification, null);
+    assert.equal(getSession(session.id), session);
+  });
+
+  it("keeps only the most recent turns", () => {
+    const { id } = createSession();
+    ["first", "second", "third"].forEach((question) => addTurn(id, { question }));
+
+    assert.deepEqual(getSession(id).turns.map((turn) => turn.question), ["second", "third"]);
+    assert.equal(addTurn("unknown", { question: "x" }), null);
+  });
+
+  it("sets and clears the pending clarification", () => {
+    const { id } = createSession();
+
+    setClarification(id, { question: "Which region?" });
+    assert.deepEqual(getSession(id).clarification, { question: "Which region?" });
+    setClarification(id, null);
+    assert.equal(getSession(id).clarification, null);
+  });
+
+  it("only lets the key that started a session delete it", () => {
+    const { id, keyId } = createSession({ keyId: "key-a" });
+
+    assert.equal(keyId, "key-a");
+    assert.equal(deleteSession(id, "key-b"), false);
+    assert.notEqual(getSession(id), null);
+    assert.equal(deleteSession(id, "key-a"), true);
+    assert.equal(getSession(id), null);
+    assert.equal(deleteSession(id, "key-a"), false);
+  });
+
+  it("evicts the oldest session when full", () => {
+    const sessions = [1, 2, 3, 4].map(() => createSession());
+
+    assert.equal(getSession(sessions[0].id), null);
+    sessions.slice(1).forEach((session) => assert.equal(getSession(session.id), session));
+  });
+
+  it("expires sessions after a while without activity", async () => {
+    const { id } = createSession();
+
+    await sleep(300);
+    assert.notEqual(getSession(id), null);
+    await sleep(300);
+    assert.notEqual(getSession(id), null);
+    await sleep(600);
+    assert.equal(getSession(id), null);
+  });
+});
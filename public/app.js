@@ -2,32 +2,92 @@
 let totalQueries = 0;
 let successfulQueries = 0;
 
+// Result currently shown in the data table (for paging)
+let currentResult = null;
+
+// Chart of the result on screen, and whether the chart or the table is shown
+let currentChart = null;
+let resultChart = null;
+let resultView = 'chart';
+
+// Preview waiting for the user to run it: { id, question }
+let currentPreview = null;
+
+// Clarifying question waiting for the user's answer: { id, question }
+let currentClarification = null;
+
+// Conversation session; follow-up questions are sent with its ID
+let sessionId = null;
+let conversation = [];
+
+// Past runs listed in the history sidebar, and the last page loaded
+let historyRuns = [];
+let historyPage = 1;
+
 // DOM Elements
 const questionInput = document.getElementById('questionInput');
 const askButton = document.getElementById('askButton');
 const debugMode = document.getElementById('debugMode');
+const previewMode = document.getElementById('previewMode');
 const maxRows = document.getElementById('maxRows');
+const databaseSelect = document.getElementById('databaseSelect');
+const apiKeyInput = document.getElementById('apiKeyInput');
 
 const loadingSpinner = document.getElementById('loadingSpinner');
+const progressSteps = document.getElementById('progressSteps');
 const responseCard = document.getElementById('responseCard');
 const errorCard = document.getElementById('errorCard');
+const previewCard = document.getElementById('previewCard');
+const clarificationCard = document.getElementById('clarificationCard');
+
+const previewExplanation = document.getElementById('previewExplanation');
+const previewQuery = document.getElementById('previewQuery');
+const previewEstimate = document.getElementById('previewEstimate');
+const runPreviewButton = document.getElementById('runPreviewButton');
+const cancelPreviewButton = document.getElementById('cancelPreviewButton');
+
+const clarificationQuestion = document.getElementById('clarificationQuestion');
+const clarificationOptions = document.getElementById('clarificationOptions');
+const clarificationInput = document.getElementById('clarificationInput');
+const clarificationAnswerButton = document.getElementById('clarificationAnswerButton');
 
 const answerText = document.getElementById('answerText');
 const sqlQuery = document.getElementById('sqlQuery');
 const dataTable = document.getElementById('dataTable');
 const rowCount = document.getElementById('rowCount');
 const executionTime = document.getElementById('executionTime');
+const exportButtons = document.getElementById('exportButtons');
+const viewToggle = document.getElementById('viewToggle');
+const chartContainer = document.getElementById('chartContainer');
+const chartCanvas = document.getElementById('resultChart');
 const debugSection = document.getElementById('debugSection');
 const debugTrace = document.getElementById('debugTrace');
 
 const errorText = document.getElementById('errorText');
 const errorDetails = document.getElementById('errorDetails');
 
+const conversationHistory = document.getElementById('conversationHistory');
+const conversationEmpty = document.getElementById('conversationEmpty');
+const newConversationButton = document.getElementById('newConversationButton');
+
+const historyList = document.getElementById('historyList');
+const historyEmpty = document.getElementById('historyEmpty');
+const historySearch = document.getElementById('historySearch');
+const historyMoreButton = document.getElementById('historyMoreButton');
+const refreshHistoryButton = document.getElementById('refreshHistoryButton');
+
 const copyButton = document.getElementById('copyButton');
 const exampleButtons = document.querySelectorAll('.example-btn');
 
-// API endpoint
-const API_URL = '/ask';
+// API endpoints
+const STREAM_URL = '/ask/stream';
+const RESULTS_URL = '/results';
+const SESSIONS_URL = '/sessions';
+const DATABASES_URL = '/databases';
+const HISTORY_URL = '/history';
+
+// The API key is kept in this browser only
+const API_KEY_STORAGE = 'sqlQueryAgent.apiKey';
 
 // Event Listeners
 askButton.addEventListener('click', askQuestion);
@@ -45,6 +105,87 @@ copyButton.addEventListener('click', () => {
     }, 2000);
 });
 
+dataTable.addEventListener('click', (e) => {
+    const pageButton = e.target.closest('.page-btn');
+    if (pageButton && !pageButton.disabled) {
+        loadPage(pageButton.dataset.cursor);
+    }
+});
+
+exportButtons.addEventListener('click', (e) => {
+    const exportButton = e.target.closest('.export-btn');
+    if (exportButton && !exportButton.disabled) {
+        downloadExport(exportButton);
+    }
+});
+
+viewToggle.addEventListener('click', (e) => {
+    const viewButton = e.target.closest('.view-btn');
+    if (viewButton) {
+        resultView = viewButton.dataset.view;
+        applyResultView();
+    }
+});
+
+runPreviewButton.addEventListener('click', runPreview);
+cancelPreviewButton.addEventListener('click', () => {
+    currentPreview = null;
+    hideAll();
+});
+
+clarificationOptions.addEventListener('click', (e) => {
+    const optionButton = e.target.closest('.clarification-btn');
+    if (optionButton) {
+        answerClarification(optionButton.textContent);
+    }
+});
+clarificationAnswerButton.addEventListener('click', () => answerClarification(clarificationInput.value));
+clarificationInput.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') {
+        answerClarification(clarificationInput.value);
+    }
+});
+
+newConversationButton.addEventListener('click', startNewConversation);
+
+// Follow-ups only make sense against the same database
+databaseSelect.addEventListener('change', startNewConversation);
+
+apiKeyInput.value = localStorage.getItem(API_KEY_STORAGE) || '';
+apiKeyInput.addEventListener('change', () => {
+    localStorage.setItem(API_KEY_STORAGE, apiKeyInput.value.trim());
+    loadDatabases();
+    loadHistory();
+});
+
+conversationHistory.addEventListener('click', (e) => {
+    const item = e.target.closest('[data-turn]');
+    if (item) {
+        displaySuccess(conversation[parseInt(item.dataset.turn)].data);
+    }
+});
+
+historyList.addEventListener('click', (e) => {
+    const item = e.target.closest('[data-run]');
+    if (!item) return;
+
+    const run = historyRuns[parseInt(item.dataset.run)];
+    if (e.target.closest('.rerun-btn')) {
+        rerunHistoryEntry(run);
+    } else {
+        openHistoryEntry(run.id);
+    }
+});
+
+// Search as the user types, without a request per keystroke
+let historySearchTimer = null;
+historySearch.addEventListener('input', () => {
+    clearTimeout(historySearchTimer);
+    historySearchTimer = setTimeout(() => loadHistory(), 300);
+});
+historyMoreButton.addEventListener('click', () => loadHistory(historyPage + 1));
+refreshHistoryButton.addEventListener('click', () => loadHistory());
+
 exampleButtons.forEach(btn => {
     btn.addEventListener('click', () => {
         questionInput.value = btn.textContent.trim();
@@ -52,6 +193,46 @@ exampleButtons.forEach(btn => {
     });
 });
 
+loadDatabases();
+loadHistory();
+
+// fetch() with the API key attached
+function apiFetch(url, options = {}) {
+    const apiKey = apiKeyInput.value.trim();
+    return fetch(url, {
+        ...options,
+        headers: {
+            ...options.headers,
+            ...(apiKey && { Authorization: `Bearer ${apiKey}` }),
+        },
+    });
+}
+
+// Fill the database selector from the configured data sources
+async function loadDatabases() {
+    try {
+        const response = await apiFetch(DATABASES_URL);
+        const data = await response.json();
+
+        if (!data.success) {
+            showError(response.status === 401 ? `${data.error}. Enter your API key above.` : data.error);
+            return;
+        }
+
+        databaseSelect.innerHTML = '';
+        data.databases.forEach(db => {
+            const option = document.createElement('option');
+            option.value = db.name;
+            option.textContent = db.name;
+            option.title = db.description || '';
+            option.selected = db.default;
+            databaseSelect.appendChild(option);
+        });
+    } catch (error) {
+        showError(`Could not load databases: ${error.message}`);
+    }
+}
+
 // Main function
 async function askQuestion() {
     const question = questionInput.value.trim();
@@ -61,37 +242,98 @@ async function askQuestion() {
         return;
     }
 
+    currentClarification = null;
+    await streamAsk(question, { question });
+}
+
+// Clarification: answer the agent's question; the run resumes on the original question
+async function answerClarification(answer) {
+    if (!currentClarification || !answer.trim()) return;
+
+    const { id, question } = currentClarification;
+    currentClarification = null;
+    await streamAsk(question, { clarification: { id, answer: answer.trim() } });
+}
+
+// Send a question (or a clarification answer) over the stream and show the outcome;
+// question is the one the conversation shows for it
+async function streamAsk(question, fields) {
     // Update UI
     hideAll();
     loadingSpinner.classList.remove('hidden');
     askButton.disabled = true;
     askButton.innerHTML = '<i class="fas fa-spinner fa-spin mr-2"></i>Processing...';
 
+    progressSteps.innerHTML = '';
+    let streamedAnswer = '';
+
     try {
-        const response = await fetch(API_URL, {
+        const response = await apiFetch(STREAM_URL, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
             },
             body: JSON.stringify({
-                question,
+                ...fields,
                 debug: debugMode.checked,
                 maxRows: parseInt(maxRows.value) || 100,
+                sessionId,
+                database: databaseSelect.value || undefined,
+                preview: previewMode.checked,
             }),
         });
 
-        const data = await response.json();
+        let data = null;
 
-        // Update stats
-        totalQueries++;
-        if (data.success) {
+        if (!response.ok) {
+            // Validation errors come back as plain JSON before streaming starts
+            data = await response.json();
+        } else {
+            await readEventStream(response, (event, payload) => {
+                if (event === 'result') {
+                    data = payload;
+                } else if (event === 'summary_token') {
+                    streamedAnswer += payload.token;
+                    showStreamedAnswer(streamedAnswer);
+                } else if (event === 'summary_reset') {
+                    streamedAnswer = '';
+                    showStreamedAnswer(streamedAnswer);
+                } else if (event === 'rows') {
+                    showStreamedRows(payload);
+                } else {
+                    addProgressStep(event, payload);
+                }
+            });
+        }
+
+        if (!data) {
+            throw new Error('Stream ended without a result');
+        }
+
+        // Update stats; a clarifying question is not an outcome yet
+        if (!data.needsClarification) totalQueries++;
+        if (data.success && data.needsClarification) {
+            displayClarification(question, data);
+        } else if (data.success && data.preview) {
+            displayPreview(question, data);
+        } else if (data.success) {
             successfulQueries++;
             displaySuccess(data);
+            addConversationTurn(question, data);
         } else {
+            if (data.errorCode === 'SESSION_NOT_FOUND') {
+                resetConversation();
+                data.details = 'The conversation expired. Ask again to start a new one.';
+            } else if (data.errorCode === 'CLARIFICATION_NOT_FOUND') {
+                data.details = 'That question was already answered or has expired. Ask again.';
+            } else if (data.retryAfterSeconds) {
+                data.details = `Try again in ${formatWait(data.retryAfterSeconds)}.`;
+            }
             displayError(data);
         }
 
         updateStats();
+        loadHistory();
 
     } catch (error) {
         displayError({
@@ -105,6 +347,233 @@ async function askQuestion() {
     }
 }
 
+// Clarification: the agent's question with its suggested answers as buttons
+function displayClarification(question, data) {
+    hideAll();
+    clarificationCard.classList.remove('hidden');
+    // The answer resumes the run in this session
+    sessionId = data.sessionId;
+    currentClarification = { id: data.clarification.id, question };
+
+    clarificationQuestion.textContent = data.clarification.question;
+    clarificationInput.value = '';
+    clarificationOptions.innerHTML = '';
+    data.clarification.options.forEach(option => {
+        const optionButton = document.createElement('button');
+        optionButton.className = 'clarification-btn bg-gray-900 hover:bg-gray-700 border border-yellow-600 text-gray-200 px-4 py-2 rounded-lg transition-colors text-sm';
+        optionButton.textContent = option;
+        clarificationOptions.appendChild(optionButton);
+    });
+}
+
+// Preview: the query, its estimate and explanation, waiting to be run
+function displayPreview(question, data) {
+    hideAll();
+    previewCard.classList.remove('hidden');
+    // The conversation goes on with this question once it is run
+    sessionId = data.sessionId;
+    currentPreview = { id: data.resultId, question };
+
+    previewExplanation.textContent = data.explanation || 'No explanation available.';
+    previewQuery.textContent = data.query;
+
+    const { estimatedRows, estimatedCost, maxCost, sequentialScans } = data.estimate;
+    const scans = sequentialScans.map(s => s.rows !== null ? `${s.table} (~${s.rows.toLocaleString()} rows)` : s.table);
+    const items = [
+        `Estimated rows: ${estimatedRows ?? 'unknown'}`,
+        `Estimated cost: ${estimatedCost ?? 'unknown'}${maxCost ? ` (limit ${maxCost})` : ''}`,
+        `Full table scans: ${scans.join(', ') || 'none'}`,
+    ];
+    previewEstimate.innerHTML = '';
+    items.forEach(text => {
+        const item = document.createElement('li');
+        item.textContent = `• ${text}`;
+        previewEstimate.appendChild(item);
+    });
+}
+
+// Preview: run the previewed query as shown
+async function runPreview() {
+    if (!currentPreview) return;
+
+    const { id, question } = currentPreview;
+    hideAll();
+    loadingSpinner.classList.remove('hidden');
+    progressSteps.innerHTML = '';
+    runPreviewButton.disabled = true;
+
+    try {
+        const response = await apiFetch(`${RESULTS_URL}/${id}/execute`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                debug: debugMode.checked,
+                maxRows: parseInt(maxRows.value) || 100,
+            }),
+        });
+        const data = await response.json();
+
+        currentPreview = null;
+        if (data.success) {
+            successfulQueries++;
+            displaySuccess(data);
+            addConversationTurn(question, data);
+        } else {
+            displayError(data);
+        }
+
+        updateStats();
+        loadHistory();
+    } catch (error) {
+        displayError({
+            error: 'Network Error',
+            details: error.message,
+        });
+    } finally {
+        loadingSpinner.classList.add('hidden');
+        runPreviewButton.disabled = false;
+    }
+}
+
+// Read a Server-Sent Events response, calling onEvent(name, data) per event
+async function readEventStream(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const frames = buffer.split('\n\n');
+        buffer = frames.pop();
+
+        frames.forEach(frame => {
+            let event = 'message';
+            let data = '';
+            frame.split('\n').forEach(line => {
+                if (line.startsWith('event:')) event = line.slice(6).trim();
+                if (line.startsWith('data:')) data += line.slice(5).trim();
+            });
+            if (data) onEvent(event, JSON.parse(data));
+        });
+    }
+}
+
+// Streaming: one line per completed pipeline step
+function addProgressStep(step, data) {
+    const description = describeStep(step, data);
+    if (!description) return;
+
+    const ok = data.success !== false && data.safe !== false && step !== 'execution_repair';
+    const item = document.createElement('li');
+    item.className = `flex items-start gap-2 ${ok ? 'text-gray-300' : 'text-yellow-300'}`;
+    item.innerHTML = `<i class="fas ${ok ? 'fa-check text-green-500' : 'fa-redo text-yellow-500'} mt-1"></i><span></span>`;
+    item.querySelector('span').textContent = description;
+    progressSteps.appendChild(item);
+}
+
+function describeStep(step, data) {
+    switch (step) {
+        case 'clarification':
+            return data.answer ? `Clarified: ${data.question} → ${data.answer}` : `Needs clarification: ${data.question}`;
+        case 'schema_extraction':
+            return `Schema loaded (cache ${data.cache})`;
+        case 'schema_linking':
+            return `Selected ${data.tables.length} relevant tables`;
+        case 'query_generation':
+            return data.success ? `Generated SQL (attempt ${data.attempt})` : `SQL generation failed: ${data.error}`;
+        case 'safety_check':
+            return data.safe
+                ? 'Safety check passed'
+                : `Safety check failed: ${data.issues.map(i => i.message).join('; ')}`;
+        case 'cost_check':
+            return `Estimated cost ${data.estimatedCost} is over the limit of ${data.maxCost}`;
+        case 'explain':
+            if (!data.success) return `Query plan failed (${data.code})`;
+            return data.estimatedCost != null ? `Query plan validated (estimated cost ${data.estimatedCost})` : 'Query plan validated';
+        case 'query_explanation':
+            return data.success ? 'Explained the query' : 'Could not explain the query';
+        case 'execution':
+            return data.success
+                ? `Executed: ${data.rowCount} rows in ${data.executionTime}`
+                : `Execution failed (${data.errorCode})`;
+        case 'execution_repair':
+            return `Repairing query after error ${data.code}: ${data.message}`;
+        case 'chart':
+            return data.type ? `Chart: ${data.type} (${data.reason})` : null;
+        case 'summarization':
+            return null;
+        default:
+            return step;
+    }
+}
+
+// Streaming: show the SQL and rows as soon as they arrive
+function showStreamedRows(payload) {
+    responseCard.classList.remove('hidden');
+    sqlQuery.textContent = payload.query;
+    exportButtons.classList.add('hidden');
+    dataTable.innerHTML = payload.rows.length > 0
+        ? createTable(payload.rows)
+        : '<p class="text-gray-400 p-4">No data returned</p>';
+    renderChart(payload.chart, payload.rows);
+    rowCount.textContent = `(${payload.rowCount} rows)`;
+    executionTime.innerHTML = `<i class="fas fa-clock mr-1"></i>Executed in ${payload.executionTime}`;
+    answerText.innerHTML = '<span class="text-gray-500">Summarizing...</span>';
+}
+
+// Streaming: grow the answer token by token
+function showStreamedAnswer(text) {
+    answerText.innerHTML = formatAnswer(text);
+}
+
+// Conversation: remember a successful turn and show it in the thread
+function addConversationTurn(question, data) {
+    sessionId = data.sessionId;
+    conversation.push({ question, data });
+    renderConversation();
+    questionInput.value = '';
+    questionInput.placeholder = 'Ask a follow-up, e.g. "now break that down by month"';
+}
+
+function renderConversation() {
+    conversationEmpty.classList.toggle('hidden', conversation.length > 0);
+    conversationHistory.innerHTML = '';
+
+    conversation.forEach((turn, idx) => {
+        const item = document.createElement('li');
+        item.dataset.turn = idx;
+        item.className = `cursor-pointer bg-gray-900 hover:bg-gray-700 rounded-lg px-3 py-2 transition-colors ${idx > 0 ? 'ml-4 border-l-2 border-blue-500' : ''}`;
+        item.innerHTML = `
+            <div class="text-gray-200"></div>
+            <div class="text-xs text-gray-500 mt-1">${turn.data.data.rowCount} rows</div>
+        `;
+        item.querySelector('div').textContent = turn.question;
+        conversationHistory.appendChild(item);
+    });
+}
+
+async function startNewConversation() {
+    if (sessionId) {
+        // Best effort: the session expires on its own anyway
+        apiFetch(`${SESSIONS_URL}/${sessionId}`, { method: 'DELETE' }).catch(() => {});
+    }
+    resetConversation();
+    hideAll();
+    questionInput.focus();
+}
+
+function resetConversation() {
+    sessionId = null;
+    conversation = [];
+    renderConversation();
+    questionInput.placeholder = 'e.g., How many users are in the database?';
+}
+
 // Display success response
 function displaySuccess(data) {
     hideAll();
@@ -118,10 +587,28 @@ function displaySuccess(data) {
 
     // Data table
     if (data.data && data.data.rows && data.data.rows.length > 0) {
-        dataTable.innerHTML = createTable(data.data.rows);
-        rowCount.textContent = `(${data.data.rowCount} rows)`;
+        currentResult = data.resultId
+            ? { id: data.resultId, pageSize: data.data.pageSize, totalRows: data.data.totalRows, chart: data.chart }
+            : null;
+        dataTable.innerHTML = createTable(data.data.rows, currentResult && {
+            page: 1,
+            pageSize: data.data.pageSize,
+            totalRows: data.data.totalRows,
+            hasNextPage: data.data.truncated,
+            hasPreviousPage: false,
+            nextCursor: data.data.nextCursor,
+            previousCursor: null,
+        });
+        exportButtons.classList.toggle('hidden', !currentResult);
+        renderChart(data.chart, data.data.rows);
+        rowCount.textContent = data.data.truncated
+            ? `(showing ${data.data.rowCount} of ${data.data.totalRows ?? 'more'} rows)`
+            : `(${data.data.rowCount} rows)`;
         executionTime.innerHTML = `<i class="fas fa-clock mr-1"></i>Executed in ${data.data.executionTime}`;
     } else {
+        currentResult = null;
+        exportButtons.classList.add('hidden');
+        renderChart(null, []);
         dataTable.innerHTML = '<p class="text-gray-400 p-4">No data returned</p>';
         rowCount.textContent = '';
         executionTime.textContent = '';
@@ -145,6 +632,214 @@ function displaySuccess(data) {
         `;
         responseCard.appendChild(warningsDiv);
     }
+
+    // Masked personal data
+    if (data.metadata && data.metadata.masking && data.metadata.masking.length > 0) {
+        const maskingDiv = document.createElement('div');
+        maskingDiv.className = 'mt-4 bg-blue-900/20 border border-blue-700 rounded-lg p-3';
+        maskingDiv.innerHTML = `
+            <h4 class="text-blue-400 font-semibold mb-2"><i class="fas fa-user-shield mr-2"></i>Personal Data Protected</h4>
+            <ul class="text-blue-300 text-sm space-y-1"></ul>
+        `;
+        const list = maskingDiv.querySelector('ul');
+        data.metadata.masking.forEach(m => {
+            const item = document.createElement('li');
+            item.textContent = `• ${m.column}: ${m.category} (${m.strategy}, detected by ${m.detectedBy})`;
+            list.appendChild(item);
+        });
+        responseCard.appendChild(maskingDiv);
+    }
+}
+
+// History: list past runs (page 1 replaces the list, later pages extend it)
+async function loadHistory(page = 1) {
+    try {
+        const params = new URLSearchParams({ page, pageSize: 20 });
+        const search = historySearch.value.trim();
+        if (search) params.set('q', search);
+
+        const response = await apiFetch(`${HISTORY_URL}?${params}`);
+        const data = await response.json();
+        if (!data.success) return;
+
+        historyRuns = page === 1 ? data.runs : historyRuns.concat(data.runs);
+        historyPage = data.page;
+        historyMoreButton.classList.toggle('hidden', !data.hasNextPage);
+        renderHistory();
+    } catch (error) {
+        // The sidebar is optional; asking questions still works without it
+    }
+}
+
+function renderHistory() {
+    historyEmpty.classList.toggle('hidden', historyRuns.length > 0);
+    historyList.innerHTML = '';
+
+    const statusIcons = {
+        success: 'fa-check text-green-500',
+        blocked: 'fa-ban text-yellow-500',
+        preview: 'fa-eye text-blue-400',
+        needs_clarification: 'fa-question-circle text-yellow-400',
+        failed: 'fa-times text-red-500',
+    };
+
+    historyRuns.forEach((run, idx) => {
+        const item = document.createElement('li');
+        item.dataset.run = idx;
+        item.className = 'cursor-pointer bg-gray-900 hover:bg-gray-700 rounded-lg px-3 py-2 transition-colors';
+        item.innerHTML = `
+            <div class="flex items-start gap-2">
+                <i class="fas ${statusIcons[run.status] || 'fa-question text-gray-500'} mt-1"></i>
+                <div class="flex-1 min-w-0">
+                    <div class="text-gray-200 truncate"></div>
+                    <div class="text-xs text-gray-500 mt-1"></div>
+                </div>
+                <button class="rerun-btn text-gray-400 hover:text-blue-400" title="Run again">
+                    <i class="fas fa-redo"></i>
+                </button>
+            </div>
+        `;
+        const [questionDiv, infoDiv] = item.querySelectorAll('.flex-1 div');
+        questionDiv.textContent = run.question;
+        questionDiv.title = run.question;
+        infoDiv.textContent = `${new Date(run.createdAt).toLocaleString()} · ${run.database || '?'}${run.status === 'success' ? ` · ${run.rowCount} rows` : ` · ${run.status}`}`;
+        historyList.appendChild(item);
+    });
+}
+
+// History: show a past run; its rows come back only while the stored result is alive
+async function openHistoryEntry(id) {
+    try {
+        const response = await apiFetch(`${HISTORY_URL}/${id}`);
+        const data = await response.json();
+
+        if (!data.success) {
+            showError(data.error || 'Could not load history entry');
+            return;
+        }
+
+        const run = data.run;
+        if (run.status === 'preview' || run.status === 'needs_clarification') {
+            hideAll();
+            responseCard.classList.remove('hidden');
+            answerText.textContent = run.status === 'preview'
+                ? 'Previewed only: this query was not run from here.'
+                : `Asked for clarification: ${run.answer}`;
+            sqlQuery.textContent = run.query || '';
+            rowCount.textContent = `(asked ${new Date(run.createdAt).toLocaleString()})`;
+            executionTime.textContent = '';
+            currentResult = null;
+            exportButtons.classList.add('hidden');
+            renderChart(null, []);
+            dataTable.innerHTML = '<p class="text-gray-400 p-4">Run the question again to see its rows.</p>';
+            return;
+        }
+        if (run.status !== 'success') {
+            displayError({
+                error: `${run.question} — ${run.error || run.status}`,
+                details: run.attempts.map(a => `Attempt ${a.attempt}: ${a.query || a.error}${a.issues && a.issues.length ? `\n  ✗ ${a.issues.map(i => i.message).join('\n  ✗ ')}` : ''}`).join('\n\n'),
+            });
+            return;
+        }
+
+        hideAll();
+        responseCard.classList.remove('hidden');
+        answerText.innerHTML = formatAnswer(run.answer || '');
+        sqlQuery.textContent = run.query;
+        rowCount.textContent = `(${run.rowCount} rows, asked ${new Date(run.createdAt).toLocaleString()})`;
+        executionTime.innerHTML = `<i class="fas fa-clock mr-1"></i>Executed in ${run.executionTimeMs}ms`;
+        currentResult = null;
+        exportButtons.classList.add('hidden');
+        renderChart(null, []);
+
+        const page = run.resultId ? await apiFetch(`${RESULTS_URL}/${run.resultId}`).then(r => r.json()) : null;
+        if (page && page.success) {
+            currentResult = { id: run.resultId, pageSize: page.data.pageSize, totalRows: run.totalRows };
+            dataTable.innerHTML = createTable(page.data.rows, { ...page.data, totalRows: run.totalRows });
+            exportButtons.classList.remove('hidden');
+        } else {
+            dataTable.innerHTML = '<p class="text-gray-400 p-4">The rows of this result have expired. Run the question again to see them.</p>';
+        }
+    } catch (error) {
+        showError(`Network Error: ${error.message}`);
+    }
+}
+
+// History: ask a past question again, as a new conversation on its database
+function rerunHistoryEntry(run) {
+    if (run.database && [...databaseSelect.options].some(o => o.value === run.database)) {
+        databaseSelect.value = run.database;
+    }
+    startNewConversation();
+    questionInput.value = run.question;
+    askQuestion();
+}
+
+// Load another page of the current result, from the cursor of the page shown
+async function loadPage(cursor) {
+    if (!currentResult || !cursor) return;
+
+    dataTable.querySelectorAll('.page-btn').forEach(btn => btn.disabled = true);
+
+    try {
+        const params = new URLSearchParams({ cursor });
+        const response = await apiFetch(`${RESULTS_URL}/${currentResult.id}?${params}`);
+        const data = await response.json();
+
+        if (!data.success) {
+            showError(data.error || 'Could not load page');
+            dataTable.querySelectorAll('.page-btn').forEach(btn => btn.disabled = false);
+            return;
+        }
+
+        const { rows, offset } = data.data;
+        const firstRow = offset + 1;
+        const lastRow = firstRow + rows.length - 1;
+
+        dataTable.innerHTML = createTable(rows, data.data);
+        renderChart(currentResult.chart, rows);
+        rowCount.textContent = `(rows ${firstRow}-${lastRow}${currentResult.totalRows ? ` of ${currentResult.totalRows}` : ''})`;
+        executionTime.innerHTML = `<i class="fas fa-clock mr-1"></i>Executed in ${data.data.executionTime}`;
+    } catch (error) {
+        showError(`Network Error: ${error.message}`);
+        dataTable.querySelectorAll('.page-btn').forEach(btn => btn.disabled = false);
+    }
+}
+
+// Download the whole current result as a file (the server streams it)
+async function downloadExport(button) {
+    if (!currentResult) return;
+
+    const label = button.innerHTML;
+    button.disabled = true;
+    button.innerHTML = '<i class="fas fa-spinner fa-spin mr-1"></i>Exporting';
+
+    try {
+        const response = await apiFetch(`${RESULTS_URL}/${currentResult.id}/export?format=${button.dataset.format}`);
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            showError(data.error || 'Export failed');
+            return;
+        }
+
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const filename = (disposition.match(/filename="([^"]+)"/) || [])[1] || `result.${button.dataset.format}`;
+        const url = URL.createObjectURL(await response.blob());
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+
+        if (response.headers.get('X-Export-Truncated')) {
+            showError('Export truncated: the result has more rows than the export limit');
+        }
+    } catch (error) {
+        showError(`Export failed: ${error.message}`);
+    } finally {
+        button.disabled = false;
+        button.innerHTML = label;
+    }
 }
 
 // Display error
@@ -171,6 +866,9 @@ function displayError(data) {
 
 // Helper: Format answer with markdown-like rendering
 function formatAnswer(text) {
+    // Answers quote values from the database, so they are text until the markdown is converted
+    text = escapeHtml(text);
+
     // Convert markdown-style formatting to HTML
     text = text.replace(/\*\*(.+?)\*\*/g, '<strong class="text-blue-300">$1</strong>');
     text = text.replace(/\*(.+?)\*/g, '<em>$1</em>');
@@ -211,8 +909,134 @@ function formatAnswer(text) {
     return text;
 }
 
-// Helper: Create HTML table from rows
-function createTable(rows) {
+// Helper: Text as HTML that shows it as is
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Draw a chart spec from the /ask response over the rows on screen (null clears it)
+function renderChart(spec, rows) {
+    if (resultChart) {
+        resultChart.destroy();
+        resultChart = null;
+    }
+
+    // The page still works without the charting library, just with tables only
+    currentChart = spec && rows.length > 0 && typeof Chart !== 'undefined' ? spec : null;
+    viewToggle.classList.toggle('hidden', !currentChart);
+    if (currentChart) {
+        resultChart = new Chart(chartCanvas, chartConfig(spec, rows));
+    }
+    applyResultView();
+}
+
+// Show the chart or the table, per the toggle
+function applyResultView() {
+    const showChart = currentChart && resultView === 'chart';
+    chartContainer.classList.toggle('hidden', !showChart);
+    dataTable.classList.toggle('hidden', !!showChart);
+    viewToggle.querySelectorAll('.view-btn').forEach(btn => {
+        btn.classList.toggle('bg-blue-600', btn.dataset.view === resultView);
+        btn.classList.toggle('text-white', btn.dataset.view === resultView);
+    });
+}
+
+// Helper: Chart.js configuration for a chart spec
+function chartConfig(spec, rows) {
+    const colors = ['#60a5fa', '#34d399', '#fbbf24', '#f87171', '#a78bfa', '#f472b6', '#22d3ee', '#a3e635'];
+    const value = (row, field) => (row[field] === null || row[field] === undefined ? null : Number(row[field]));
+    const xLabel = (row) => formatChartLabel(row[spec.x.field], spec.x.type);
+    const ordered = spec.type === 'line'
+        ? [...rows].sort((a, b) => compareChartValues(a[spec.x.field], b[spec.x.field]))
+        : rows;
+
+    let data;
+    if (spec.type === 'scatter') {
+        data = {
+            datasets: [{
+                label: `${spec.y[0].field} vs ${spec.x.field}`,
+                data: rows.map(row => ({ x: value(row, spec.x.field), y: value(row, spec.y[0].field) })),
+                backgroundColor: colors[0],
+            }],
+        };
+    } else if (spec.type === 'pie') {
+        data = {
+            labels: rows.map(xLabel),
+            datasets: [{ label: spec.y[0].field, data: rows.map(row => value(row, spec.y[0].field)), backgroundColor: colors }],
+        };
+    } else if (spec.series) {
+        // One line/bar per series value; x values without that series stay empty
+        const labels = [...new Set(ordered.map(xLabel))];
+        const seriesNames = [...new Set(ordered.map(row => String(row[spec.series.field])))];
+        data = {
+            labels,
+            datasets: seriesNames.map((name, index) => ({
+                label: name,
+                data: labels.map(label => {
+                    const match = ordered.find(row => xLabel(row) === label && String(row[spec.series.field]) === name);
+                    return match ? value(match, spec.y[0].field) : null;
+                }),
+                backgroundColor: colors[index % colors.length],
+                borderColor: colors[index % colors.length],
+            })),
+        };
+    } else {
+        data = {
+            labels: ordered.map(xLabel),
+            datasets: spec.y.map((y, index) => ({
+                label: y.field,
+                data: ordered.map(row => value(row, y.field)),
+                backgroundColor: colors[index % colors.length],
+                borderColor: colors[index % colors.length],
+            })),
+        };
+    }
+
+    const axis = { ticks: { color: '#9ca3af' }, grid: { color: '#374151' } };
+    return {
+        type: spec.type,
+        data,
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            spanGaps: true,
+            plugins: {
+                title: { display: true, text: spec.title, color: '#e5e7eb' },
+                legend: { labels: { color: '#d1d5db' } },
+            },
+            scales: spec.type === 'pie' ? {} : {
+                x: spec.type === 'scatter'
+                    ? { ...axis, type: 'linear', title: { display: true, text: spec.x.field, color: '#9ca3af' } }
+                    : axis,
+                y: spec.type === 'scatter'
+                    ? { ...axis, title: { display: true, text: spec.y[0].field, color: '#9ca3af' } }
+                    : axis,
+            },
+        },
+    };
+}
+
+// Helper: Dates as the day (or minute) they stand for; everything else as text
+function formatChartLabel(value, type) {
+    if (value === null || value === undefined) return '(null)';
+    const text = String(value);
+    if (type !== 'temporal' || !/^\d{4}-\d{2}-\d{2}T/.test(text)) return text;
+    return /T00:00:00(\.000)?Z?$/.test(text) ? text.slice(0, 10) : text.slice(0, 16).replace('T', ' ');
+}
+
+// Helper: Order x values numerically when they are numbers, else as text (ISO dates sort as text)
+function compareChartValues(a, b) {
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    return String(a).localeCompare(String(b));
+}
+
+// Helper: Create HTML table from rows, with paging controls when there is more than one page
+function createTable(rows, paging = null) {
     if (!rows || rows.length === 0) return '';
 
     const headers = Object.keys(rows[0]);
@@ -220,7 +1044,7 @@ function createTable(rows) {
     let html = '<table class="min-w-full text-sm"><thead class="bg-gray-700">';
     html += '<tr>';
     headers.forEach(header => {
-        html += `<th class="px-4 py-2 text-left text-gray-300 font-semibold">${header}</th>`;
+        html += `<th class="px-4 py-2 text-left text-gray-300 font-semibold">${escapeHtml(header)}</th>`;
     });
     html += '</tr></thead><tbody>';
 
@@ -228,24 +1052,56 @@ function createTable(rows) {
         html += `<tr class="${idx % 2 === 0 ? 'bg-gray-800' : 'bg-gray-850'}">`;
         headers.forEach(header => {
             const value = row[header];
-            const displayValue = value === null ? '<span class="text-gray-500">NULL</span>' : value;
+            const displayValue = value === null ? '<span class="text-gray-500">NULL</span>' : escapeHtml(value);
             html += `<td class="px-4 py-2 text-gray-300">${displayValue}</td>`;
         });
         html += '</tr>';
     });
 
     html += '</tbody></table>';
+
+    if (paging && (paging.hasNextPage || paging.hasPreviousPage)) {
+        html += createPagingControls(paging);
+    }
+
     return html;
 }
 
+// Helper: Previous/next buttons for a result page
+function createPagingControls({ page, pageSize, totalRows, hasNextPage, hasPreviousPage, nextCursor, previousCursor }) {
+    const totalPages = totalRows ? Math.ceil(totalRows / pageSize) : null;
+    const buttonClass = 'page-btn bg-gray-700 hover:bg-gray-600 disabled:opacity-40 disabled:cursor-not-allowed text-gray-300 px-3 py-1 rounded transition-colors';
+
+    return `
+        <div class="flex items-center justify-between px-4 py-2 border-t border-gray-700 text-sm">
+            <button class="${buttonClass}" data-cursor="${previousCursor || ''}" ${hasPreviousPage ? '' : 'disabled'}>
+                <i class="fas fa-chevron-left mr-1"></i>Previous
+            </button>
+            <span class="text-gray-400">Page ${page}${totalPages ? ` of ${totalPages}` : ''}</span>
+            <button class="${buttonClass}" data-cursor="${nextCursor || ''}" ${hasNextPage ? '' : 'disabled'}>
+                Next<i class="fas fa-chevron-right ml-1"></i>
+            </button>
+        </div>
+    `;
+}
+
 // Helper: Hide all result containers
 function hideAll() {
     responseCard.classList.add('hidden');
+    previewCard.classList.add('hidden');
+    clarificationCard.classList.add('hidden');
     errorCard.classList.add('hidden');
     debugSection.classList.add('hidden');
     errorDetails.classList.add('hidden');
 }
 
+// Helper: Retry-After seconds as a short human wait
+function formatWait(seconds) {
+    if (seconds < 90) return `${seconds} seconds`;
+    if (seconds < 90 * 60) return `${Math.ceil(seconds / 60)} minutes`;
+    return `${Math.ceil(seconds / 3600)} hours`;
+}
+
 // Helper: Update session stats
 function updateStats() {
     document.getElementById('totalQueries').textContent = totalQueries;
@@ -1,6 +1,14 @@
 import express from "express";
 import dotenv from "dotenv";
-import { sqlQueryAgent } from "./lib/agent.js";
+import { sqlQueryAgent, executePreview, fetchResultPage, exportResult } from "./lib/agent.js";
+import { EXPORT_FORMATS } from "./lib/tools/resultExporter.js";
+import { getDataSource, listDataSources } from "./lib/dataSources.js";
+import { refreshSchema, startSchemaChangeListener } from "./lib/tools/schemaCache.js";
+import { deleteSession } from "./lib/tools/sessionStore.js";
+import { searchRuns, getRun } from "./lib/tools/historyStore.js";
+import { authenticate, requireAdmin, questionQuota, tokenQuota, chargeTokens } from "./lib/auth/index.js";
+import { listKeys, createKey, revokeKey } from "./lib/auth/apiKeys.js";
+import { getUsage } from "./lib/auth/usageLimiter.js";
 
 dotenv.config();
 const app = express();
@@ -16,45 +24,163 @@ const PORT = process.env.PORT || 3000;
  * SQL Query Agent Endpoint
  * Accepts natural language questions and returns SQL query results
  */
-app.post("/ask", async (req, res) => {
+app.post("/ask", authenticate, validateAskBody, questionQuota, async (req, res) => {
   try {
-    const { question, debug = false, maxRows = 100 } = req.body;
+    const { question, debug = false, maxRows = 100, timeoutMs, sessionId, database, preview = false, clarification } = req.body;
 
-    if (!question) {
-      return res.status(400).json({
-        success: false,
-        error: "Missing 'question' field in request body",
-      });
-    }
+    console.log(`\n📊 [${req.apiKey.id}] ${clarification ? `Answering clarification: "${clarification.answer}"` : `Processing question: "${question}"`}`);
+
+    const result = await sqlQueryAgent(question, {
+      debug,
+      maxRows,
+      timeoutMs,
+      sessionId,
+      database,
+      preview: preview === true,
+      clarification: clarification && { id: clarification.id, answer: clarification.answer.trim() },
+      role: req.role,
+      keyId: req.apiKey.id,
+      maxRetries: 3,
+    });
+
+    chargeTokens(req, result.usage);
+    logResult(req, result);
+    res.status(statusForResult(result)).json(formatAgentResponse(result));
+  } catch (error) {
+    console.error("Server error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * Streaming SQL Query Agent Endpoint
+ * Same input as /ask; responds with Server-Sent Events as each step completes
+ * and a final "result" event carrying the same body /ask would return
+ */
+app.post("/ask/stream", authenticate, validateAskBody, questionQuota, async (req, res) => {
+  const { question, debug = false, maxRows = 100, timeoutMs, sessionId, database, preview = false, clarification } = req.body;
 
-    console.log(`\n📊 Processing question: "${question}"`);
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+
+  // Client may disconnect mid-run; the agent finishes but nothing more is written
+  let closed = false;
+  res.on("close", () => {
+    closed = true;
+  });
+
+  const send = (event, data) => {
+    if (closed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  try {
+    console.log(`\n📊 [${req.apiKey.id}] ${clarification ? `Answering clarification (streaming): "${clarification.answer}"` : `Processing question (streaming): "${question}"`}`);
 
     const result = await sqlQueryAgent(question, {
       debug,
       maxRows,
+      timeoutMs,
+      sessionId,
+      database,
+      preview: preview === true,
+      clarification: clarification && { id: clarification.id, answer: clarification.answer.trim() },
+      role: req.role,
+      keyId: req.apiKey.id,
       maxRetries: 3,
+      onEvent: send,
+    });
+
+    chargeTokens(req, result.usage);
+    logResult(req, result);
+    send("result", formatAgentResponse(result));
+  } catch (error) {
+    console.error("Server error:", error);
+    send("result", {
+      success: false,
+      error: "Internal server error",
+      details: error.message,
+    });
+  } finally {
+    res.end();
+  }
+});
+
+/**
+ * Session Endpoint
+ * Ends a conversation of the caller's key; later follow-ups with this ID are rejected
+ */
+app.delete("/sessions/:id", authenticate, (req, res) => {
+  if (!deleteSession(req.params.id, req.apiKey.id)) {
+    return res.status(404).json({
+      success: false,
+      error: "Session not found or expired",
+      errorCode: "SESSION_NOT_FOUND",
+    });
+  }
+
+  res.json({ success: true, sessionId: req.params.id });
+});
+
+/**
+ * Preview Execution Endpoint
+ * Runs the query of a preview (POST /ask with "preview": true) once the caller
+ * confirms it, exactly as previewed; responds like /ask
+ */
+app.post("/results/:id/execute", authenticate, tokenQuota, async (req, res) => {
+  try {
+    const { debug = false, maxRows = 100, timeoutMs } = req.body || {};
+
+    const result = await executePreview(req.params.id, {
+      debug,
+      maxRows,
+      timeoutMs,
+      role: req.role,
+      keyId: req.apiKey.id,
+    });
+
+    chargeTokens(req, result.usage);
+    logResult(req, result);
+    res.status(statusForResult(result)).json(formatAgentResponse(result));
+  } catch (error) {
+    console.error("Server error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * Result Pages Endpoint
+ * Fetches further pages of an executed query by its result ID, from a page's
+ * nextCursor / previousCursor or by page number
+ */
+app.get("/results/:id", authenticate, async (req, res) => {
+  try {
+    const { cursor, page = 1, pageSize = 100, timeoutMs } = req.query;
+
+    const result = await fetchResultPage(req.params.id, {
+      cursor,
+      page,
+      pageSize,
+      timeoutMs,
+      role: req.role,
+      keyId: req.apiKey.id,
     });
 
     if (result.success) {
-      console.log(`✓ Success! Returned ${result.data.rowCount} rows in ${result.data.executionTime}`);
-      
-      res.json({
-        success: true,
-        answer: result.answer,
-        query: result.query,
-        data: result.data,
-        metadata: result.metadata,
-        trace: result.trace,
-      });
+      res.json(result);
     } else {
-      console.log(`✗ Failed: ${result.error}`);
-      
-      res.status(400).json({
-        success: false,
-        error: result.error,
-        details: result.details,
-        trace: result.trace,
-      });
+      res.status(statusForResult(result)).json(result);
     }
   } catch (error) {
     console.error("Server error:", error);
@@ -66,6 +192,184 @@ app.post("/ask", async (req, res) => {
   }
 });
 
+/**
+ * Result Export Endpoint
+ * Downloads a whole result (up to EXPORT_MAX_ROWS rows) as CSV, JSON Lines, Excel or
+ * Parquet, streamed as it is read. Errors before the first byte are answered as
+ * JSON; later ones abort the download.
+ */
+app.get("/results/:id/export", authenticate, async (req, res) => {
+  try {
+    const { format = "csv", timeoutMs } = req.query;
+
+    const result = await exportResult(req.params.id, res, {
+      format,
+      timeoutMs,
+      role: req.role,
+      keyId: req.apiKey.id,
+      onStart: ({ truncated }) => {
+        const { contentType, extension } = EXPORT_FORMATS[format];
+        res.setHeader("Content-Type", contentType);
+        res.setHeader("Content-Disposition", `attachment; filename="result-${req.params.id}.${extension}"`);
+        if (truncated) res.setHeader("X-Export-Truncated", "true");
+        // Known for sure only once every row is read, so it also comes as a trailer
+        res.setHeader("Trailer", "X-Export-Truncated");
+      },
+      onEnd: ({ truncated }) => res.addTrailers({ "X-Export-Truncated": String(truncated) }),
+    });
+
+    if (result.success) {
+      console.log(`📦 [${req.apiKey.id}] Exported ${result.rowCount} rows as ${format}${result.truncated ? " (truncated)" : ""}`);
+    } else if (result.started) {
+      console.error(`✗ [${req.apiKey.id}] Export aborted: ${result.details?.message || result.error}`);
+      res.destroy();
+    } else {
+      const { started, ...body } = result;
+      res.status(statusForResult(result)).json(body);
+    }
+  } catch (error) {
+    console.error("Export error:", error);
+    if (res.headersSent) return res.destroy();
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * Databases Endpoint
+ * Lists the configured data sources a question can be asked against
+ */
+app.get("/databases", authenticate, (req, res) => {
+  res.json({ success: true, databases: listDataSources() });
+});
+
+/**
+ * Schema Refresh Endpoint
+ * Re-introspects a database (the default one unless "database" is given) and replaces the cached schema;
+ * admin keys only, since a full introspection is expensive
+ */
+app.post("/schema/refresh", authenticate, requireAdmin, async (req, res) => {
+  try {
+    const { database } = req.body || {};
+    const source = getDataSource(database);
+
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        error: `Unknown database "${database}"`,
+        errorCode: "DATABASE_NOT_FOUND",
+      });
+    }
+
+    const { schema, extractedAt } = await refreshSchema(source);
+
+    res.json({
+      success: true,
+      database: source.name,
+      tables: Object.keys(schema).length,
+      extractedAt: new Date(extractedAt).toISOString(),
+    });
+  } catch (error) {
+    console.error("Schema refresh error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to refresh schema",
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * History Endpoints
+ * Past runs of the caller's key; admin keys see every key's runs
+ */
+app.get("/history", authenticate, (req, res) => {
+  const { q, database, status, from, to, page, pageSize, key } = req.query;
+
+  const invalid = historyQueryError(req.query);
+  if (invalid) {
+    return res.status(400).json({
+      success: false,
+      error: invalid,
+    });
+  }
+
+  res.json({
+    success: true,
+    ...searchRuns({
+      q,
+      database,
+      status,
+      from,
+      to,
+      page,
+      pageSize,
+      keyId: req.apiKey.admin ? key : req.apiKey.id,
+    }),
+  });
+});
+
+app.get("/history/:id", authenticate, (req, res) => {
+  const run = getRun(req.params.id);
+
+  if (!run || (!req.apiKey.admin && run.keyId !== req.apiKey.id)) {
+    return res.status(404).json({
+      success: false,
+      error: "History entry not found",
+      errorCode: "HISTORY_NOT_FOUND",
+    });
+  }
+
+  res.json({ success: true, run });
+});
+
+/**
+ * Usage Endpoint
+ * Today's questions, LLM tokens and requests of the caller's key, with its limits
+ */
+app.get("/usage", authenticate, (req, res) => {
+  res.json({ success: true, key: req.apiKey.id, role: req.role?.name || null, usage: getUsage(req.apiKey) });
+});
+
+/**
+ * Admin Key Endpoints
+ * List, create and revoke API keys (admin keys only)
+ */
+app.get("/admin/keys", authenticate, requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    keys: listKeys().map((key) => ({ ...key, usage: getUsage(key) })),
+  });
+});
+
+app.post("/admin/keys", authenticate, requireAdmin, (req, res) => {
+  const { id, name, admin, role, limits } = req.body || {};
+  const result = createKey({ id, name, admin, role, limits });
+
+  if (!result.success) {
+    return res.status(result.errorCode === "KEY_EXISTS" ? 409 : 400).json(result);
+  }
+
+  console.log(`🔑 ${req.apiKey.id}: created API key "${id}"`);
+  res.status(201).json(result);
+});
+
+app.delete("/admin/keys/:id", authenticate, requireAdmin, (req, res) => {
+  if (!revokeKey(req.params.id)) {
+    return res.status(404).json({
+      success: false,
+      error: `Unknown API key "${req.params.id}"`,
+      errorCode: "KEY_NOT_FOUND",
+    });
+  }
+
+  console.log(`🔑 ${req.apiKey.id}: revoked API key "${req.params.id}"`);
+  res.json({ success: true, id: req.params.id });
+});
+
 /**
  * Health check endpoint
  */
@@ -80,13 +384,19 @@ app.get("/", (req, res) => {
   res.json({
     service: "SQL Query Agent API",
     version: "1.0.0",
+    authentication: "Send an API key as 'Authorization: Bearer <key>' or 'X-API-Key: <key>' (all endpoints except / and /health)",
     endpoints: {
       "POST /ask": {
         description: "Ask a question in natural language and get SQL query results",
         body: {
-          question: "string (required) - Your question about the database",
+          question: "string (required unless answering a clarification) - Your question about the database",
           debug: "boolean (optional) - Enable debug trace output",
-          maxRows: "number (optional) - Maximum rows to return (default: 100)",
+          maxRows: "number (optional) - Maximum rows to return (default: 100, capped server-side)",
+          timeoutMs: "number (optional) - Statement timeout in milliseconds (capped server-side)",
+          sessionId: "string (optional) - Continue a conversation; omit to start a new one",
+          database: "string (optional) - Data source to query (see GET /databases; default source when omitted)",
+          preview: "boolean (optional) - Stop before execution with the plan estimate and an explanation; run with POST /results/:id/execute",
+          clarification: "object (optional) - { id, answer } answering a needs_clarification response; resumes that run (with its sessionId, no question)",
         },
         example: {
           question: "How many users are in the database?",
@@ -94,11 +404,181 @@ app.get("/", (req, res) => {
           maxRows: 100,
         },
       },
+      "POST /ask/stream": {
+        description: "Same as POST /ask, streamed as Server-Sent Events",
+        events: [
+          "clarification, schema_extraction, schema_linking, query_generation, safety_check, cost_check, explain, query_explanation, execution, execution_repair, chart - one per completed step",
+          "rows - query results and their chart spec",
+          "summary_token - one per summary chunk",
+          "result - final response body (same as POST /ask)",
+        ],
+      },
+      "DELETE /sessions/:id": "End a conversation session",
+      "POST /results/:id/execute": {
+        description: "Run a previewed query as shown and get the same response as POST /ask",
+        body: {
+          maxRows: "number (optional) - Maximum rows to return (default: 100, capped server-side)",
+          timeoutMs: "number (optional) - Statement timeout in milliseconds (capped server-side)",
+        },
+      },
+      "GET /results/:id": {
+        description: "Fetch another page of a previous /ask result without regenerating the SQL",
+        query: {
+          page: "number (optional) - 1-based page number (default: 1)",
+          pageSize: "number (optional) - Rows per page (default: 100, capped server-side)",
+        },
+      },
+      "GET /results/:id/export": {
+        description: "Download a whole previous /ask result as a file, streamed",
+        query: {
+          format: "string (optional) - csv, jsonl, xlsx or parquet (default: csv)",
+          timeoutMs: "number (optional) - Statement timeout in milliseconds (capped server-side)",
+        },
+      },
+      "GET /databases": "List the configured data sources",
+      "POST /schema/refresh": "Re-introspect a database schema ({ database } optional) and replace the cached copy (admin)",
+      "GET /history": "Past runs, newest first (?q=&database=&status=&from=&to=&page=&pageSize=; admins also ?key=)",
+      "GET /history/:id": "One past run with every SQL attempt and its safety issues",
+      "GET /usage": "Today's usage and limits of your API key",
+      "GET /admin/keys": "List API keys with their usage (admin)",
+      "POST /admin/keys": "Create an API key ({ id, name, admin, role, limits }); the key is returned once (admin)",
+      "DELETE /admin/keys/:id": "Revoke an API key (admin)",
       "GET /health": "Health check endpoint",
     },
   });
 });
 
+/**
+ * Helper: Reject an /ask body that can't be answered, before it counts against the key's quota
+ */
+function validateAskBody(req, res, next) {
+  const invalid = askBodyError(req.body || {});
+  if (invalid) {
+    return res.status(400).json({
+      success: false,
+      error: invalid,
+    });
+  }
+  next();
+}
+
+/**
+ * Helper: Why an /ask body can't be answered; null when it can
+ * An answer to a clarifying question resumes its run, so it needs no question
+ */
+function askBodyError({ question, sessionId, clarification }) {
+  if (clarification === undefined) {
+    return question ? null : "Missing 'question' field in request body";
+  }
+  if (typeof clarification?.id !== "string" || typeof clarification.answer !== "string" || !clarification.answer.trim()) {
+    return "'clarification' needs the 'id' it was asked with and a non-empty 'answer'";
+  }
+  if (!sessionId) return "Answering a clarification needs the 'sessionId' it was asked in";
+  return null;
+}
+
+/**
+ * Helper: Why a /history query can't be searched; null when it can
+ * A repeated parameter (?q=a&q=b) arrives as an array
+ */
+function historyQueryError(query) {
+  const filter = ["q", "database", "status", "from", "to", "page", "pageSize", "key"].find(
+    (name) => query[name] !== undefined && typeof query[name] !== "string"
+  );
+  return filter ? `'${filter}' must be given once, as text` : null;
+}
+
+/**
+ * Helper: Response body for an agent result (shared by /ask and /ask/stream)
+ */
+function formatAgentResponse(result) {
+  if (result.success && result.needsClarification) {
+    return {
+      success: true,
+      needsClarification: true,
+      sessionId: result.sessionId,
+      database: result.database,
+      clarification: result.clarification,
+      metadata: result.metadata,
+      usage: result.usage,
+      historyId: result.historyId,
+      trace: result.trace,
+    };
+  }
+
+  if (result.success && result.preview) {
+    return {
+      success: true,
+      preview: true,
+      sessionId: result.sessionId,
+      database: result.database,
+      query: result.query,
+      resultId: result.resultId,
+      estimate: result.estimate,
+      explanation: result.explanation,
+      metadata: result.metadata,
+      usage: result.usage,
+      historyId: result.historyId,
+      trace: result.trace,
+    };
+  }
+
+  if (result.success) {
+    return {
+      success: true,
+      sessionId: result.sessionId,
+      database: result.database,
+      answer: result.answer,
+      query: result.query,
+      resultId: result.resultId,
+      data: result.data,
+      chart: result.chart,
+      metadata: result.metadata,
+      usage: result.usage,
+      historyId: result.historyId,
+      trace: result.trace,
+    };
+  }
+
+  return {
+    success: false,
+    sessionId: result.sessionId,
+    database: result.database,
+    error: result.error,
+    errorCode: result.errorCode,
+    details: result.details,
+    usage: result.usage,
+    historyId: result.historyId,
+    trace: result.trace,
+  };
+}
+
+function statusForResult(result) {
+  if (result.success) return 200;
+  if (["SESSION_NOT_FOUND", "RESULT_NOT_FOUND", "CLARIFICATION_NOT_FOUND"].includes(result.errorCode)) return 404;
+  if (["RESULT_NOT_EXECUTED", "RESULT_ALREADY_EXECUTED", "RESULT_NOT_PAGEABLE"].includes(result.errorCode)) return 409;
+  return 400;
+}
+
+function logResult(req, result) {
+  const tokens = result.usage ? result.usage.inputTokens + result.usage.outputTokens : 0;
+  if (result.success && result.needsClarification) {
+    console.log(`❓ [${req.apiKey.id}] Needs clarification: ${result.clarification.question} (${tokens} LLM tokens)`);
+  } else if (result.success && result.preview) {
+    const cost = result.estimate.estimatedCost ?? "unknown";
+    console.log(`👁 [${req.apiKey.id}] Preview ready (estimated cost ${cost}, ${tokens} LLM tokens)`);
+  } else if (result.success) {
+    console.log(`✓ [${req.apiKey.id}] Success! Returned ${result.data.rowCount} rows in ${result.data.executionTime} (${tokens} LLM tokens)`);
+  } else {
+    console.log(`✗ [${req.apiKey.id}] Failed: ${result.error} (${tokens} LLM tokens)`);
+  }
+}
+
+// Optional: invalidate the schema cache on DDL via LISTEN/NOTIFY, on every data source
+if (process.env.SCHEMA_LISTEN === "true") {
+  listDataSources().forEach(({ name }) => startSchemaChangeListener(getDataSource(name)));
+}
+
 app.listen(PORT, () => {
   console.log(`\n🚀 SQL Query Agent Server running on port ${PORT}`);
   console.log(`📍 http://localhost:${PORT}`);